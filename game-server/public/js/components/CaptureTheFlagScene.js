@@ -0,0 +1,315 @@
+const TEAM_COLORS = {
+  red: '#ff6b6b',
+  blue: '#4dabf7'
+};
+
+const KEY_DIRECTIONS = {
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  KeyW: [0, -1],
+  KeyS: [0, 1],
+  KeyA: [-1, 0],
+  KeyD: [1, 0]
+};
+
+/**
+ * Renders the real-time Capture the Flag arena. The server simulates the match
+ * and streams gameStateSnapshot frames; the scene interpolates between the last
+ * two frames and only sends the direction the player is steering in.
+ */
+export class CaptureTheFlagScene {
+  constructor(config = {}) {
+    const { socket, gameState, roundMessage, playerId, containerId = 'game-container' } = config;
+    this.socket = socket;
+    this.playerId = playerId || null;
+    this.gameState = gameState || null;
+    this.previousState = null;
+    this.receivedAt = 0;
+    this.frameInterval = 100;
+    this.pendingAnnouncement = roundMessage || null;
+    this.containerId = containerId;
+
+    this.rootElement = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.announcementElement = null;
+    this.announcementTimeout = null;
+    this.animationFrameId = null;
+    this.pressedKeys = new Set();
+    this.pointerTarget = null;
+    this.sentInput = { x: 0, y: 0 };
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handlePointer = this.handlePointer.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+  }
+
+  init() {
+    const host = document.getElementById(this.containerId);
+    if (!host) {
+      throw new Error('Unable to locate game container element.');
+    }
+
+    host.innerHTML = '';
+    this.rootElement = document.createElement('div');
+    this.rootElement.className = 'checkers-board';
+
+    const { width, height } = this.getArena();
+    const pixelRatio = window.devicePixelRatio || 1;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = width * pixelRatio;
+    this.canvas.height = height * pixelRatio;
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.maxWidth = '100%';
+    this.canvas.style.height = 'auto';
+    this.canvas.style.touchAction = 'none';
+    this.canvas.setAttribute('role', 'img');
+    this.canvas.setAttribute('aria-label', 'Capture the Flag arena. Steer with WASD, the arrow keys or by holding on the arena.');
+
+    this.ctx = this.canvas.getContext('2d');
+    if (this.ctx) {
+      this.ctx.scale(pixelRatio, pixelRatio);
+    }
+
+    this.rootElement.appendChild(this.canvas);
+    host.appendChild(this.rootElement);
+
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('blur', this.handleBlur);
+    this.canvas.addEventListener('pointerdown', this.handlePointer);
+    this.canvas.addEventListener('pointermove', this.handlePointer);
+    this.canvas.addEventListener('pointerup', this.handlePointerUp);
+    this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+
+    this.animate();
+
+    if (this.pendingAnnouncement) {
+      this.showAnnouncement(this.pendingAnnouncement);
+      this.pendingAnnouncement = null;
+    }
+  }
+
+  getArena() {
+    return this.gameState?.arena || { width: 800, height: 480, playerRadius: 14, flagRadius: 10, baseRadius: 60 };
+  }
+
+  animate() {
+    this.render();
+    this.animationFrameId = requestAnimationFrame(() => this.animate());
+  }
+
+  updateGameState(newGameState) {
+    if (!newGameState || typeof newGameState !== 'object') {
+      console.error('Invalid game state update received');
+      return;
+    }
+    const now = performance.now();
+    if (this.receivedAt) {
+      this.frameInterval = Math.min(250, Math.max(16, now - this.receivedAt));
+    }
+    this.previousState = this.gameState;
+    this.gameState = newGameState;
+    this.receivedAt = now;
+    if (newGameState.isComplete) {
+      this.sendInput({ x: 0, y: 0 });
+    }
+  }
+
+  /**
+   * Position of a player between the previous and the latest frame.
+   */
+  interpolate(player) {
+    const previous = this.previousState?.players?.[player.id];
+    if (!previous || (previous.respawnMs === 0 && player.respawnMs > 0)) {
+      return player;
+    }
+    const progress = Math.min(1, (performance.now() - this.receivedAt) / this.frameInterval);
+    return {
+      ...player,
+      x: previous.x + (player.x - previous.x) * progress,
+      y: previous.y + (player.y - previous.y) * progress
+    };
+  }
+
+  render() {
+    if (!this.ctx || !this.gameState) return;
+    const ctx = this.ctx;
+    const { width, height, playerRadius, flagRadius, baseRadius } = this.getArena();
+
+    ctx.fillStyle = '#16331c';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(255, 107, 107, 0.08)';
+    ctx.fillRect(0, 0, width / 2, height);
+    ctx.fillStyle = 'rgba(77, 171, 247, 0.08)';
+    ctx.fillRect(width / 2, 0, width / 2, height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.setLineDash([8, 8]);
+    ctx.beginPath();
+    ctx.moveTo(width / 2, 0);
+    ctx.lineTo(width / 2, height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    Object.entries(this.gameState.bases || {}).forEach(([team, base]) => {
+      ctx.beginPath();
+      ctx.arc(base.x, base.y, baseRadius, 0, Math.PI * 2);
+      ctx.strokeStyle = TEAM_COLORS[team];
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    });
+
+    const players = Object.values(this.gameState.players || {}).map((player) => this.interpolate(player));
+    const positions = Object.fromEntries(players.map((player) => [player.id, player]));
+
+    Object.values(this.gameState.flags || {}).forEach((flag) => {
+      const anchor = positions[flag.carriedBy] || flag;
+      ctx.fillStyle = TEAM_COLORS[flag.team];
+      ctx.fillRect(anchor.x - 1, anchor.y - flagRadius * 2, 2, flagRadius * 2);
+      ctx.beginPath();
+      ctx.moveTo(anchor.x + 1, anchor.y - flagRadius * 2);
+      ctx.lineTo(anchor.x + flagRadius * 1.5, anchor.y - flagRadius * 1.5);
+      ctx.lineTo(anchor.x + 1, anchor.y - flagRadius);
+      ctx.fill();
+    });
+
+    ctx.textAlign = 'center';
+    ctx.font = '12px sans-serif';
+    players.forEach((player) => {
+      ctx.globalAlpha = player.respawnMs > 0 ? 0.35 : 1;
+      ctx.beginPath();
+      ctx.arc(player.x, player.y, playerRadius, 0, Math.PI * 2);
+      ctx.fillStyle = TEAM_COLORS[player.team];
+      ctx.fill();
+      if (player.id === this.playerId) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+      }
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(player.displayName || '', player.x, player.y + playerRadius + 14);
+      ctx.globalAlpha = 1;
+    });
+  }
+
+  handleKeyDown(event) {
+    if (!KEY_DIRECTIONS[event.code] || event.target?.closest?.('input, textarea')) return;
+    event.preventDefault();
+    this.pressedKeys.add(event.code);
+    this.sendInput(this.getKeyboardInput());
+  }
+
+  handleKeyUp(event) {
+    if (!this.pressedKeys.delete(event.code)) return;
+    this.sendInput(this.getKeyboardInput());
+  }
+
+  handleBlur() {
+    this.pressedKeys.clear();
+    this.pointerTarget = null;
+    this.sendInput({ x: 0, y: 0 });
+  }
+
+  getKeyboardInput() {
+    let x = 0;
+    let y = 0;
+    this.pressedKeys.forEach((code) => {
+      x += KEY_DIRECTIONS[code][0];
+      y += KEY_DIRECTIONS[code][1];
+    });
+    return { x: Math.sign(x), y: Math.sign(y) };
+  }
+
+  /**
+   * Holding a pointer on the arena steers towards it (touch devices).
+   */
+  handlePointer(event) {
+    if (event.type === 'pointermove' && !this.pointerTarget) return;
+    const me = this.gameState?.players?.[this.playerId];
+    if (!me || !this.canvas) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const { width, height } = this.getArena();
+    this.pointerTarget = {
+      x: (event.clientX - rect.left) * (width / rect.width),
+      y: (event.clientY - rect.top) * (height / rect.height)
+    };
+    const dx = this.pointerTarget.x - me.x;
+    const dy = this.pointerTarget.y - me.y;
+    const distance = Math.hypot(dx, dy);
+    this.sendInput(distance < 4 ? { x: 0, y: 0 } : { x: dx / distance, y: dy / distance });
+  }
+
+  handlePointerUp() {
+    this.pointerTarget = null;
+    this.sendInput({ x: 0, y: 0 });
+  }
+
+  sendInput(input) {
+    const x = Math.round(input.x * 100) / 100;
+    const y = Math.round(input.y * 100) / 100;
+    if (x === this.sentInput.x && y === this.sentInput.y) return;
+    if (this.gameState?.isComplete && (x || y)) return;
+    this.sentInput = { x, y };
+    this.socket?.emit('submitMove', { type: 'move', payload: { x, y } });
+  }
+
+  showAnnouncement(message) {
+    if (!message) return;
+
+    if (!this.rootElement) {
+      this.pendingAnnouncement = message;
+      return;
+    }
+
+    if (!this.announcementElement) {
+      this.announcementElement = document.createElement('div');
+      this.announcementElement.className = 'checkers-announcement';
+      this.rootElement.appendChild(this.announcementElement);
+    }
+
+    this.announcementElement.textContent = message;
+    this.announcementElement.classList.add('visible');
+
+    if (this.announcementTimeout) {
+      clearTimeout(this.announcementTimeout);
+    }
+
+    this.announcementTimeout = setTimeout(() => {
+      this.announcementElement?.classList.remove('visible');
+      this.announcementTimeout = null;
+    }, 2500);
+  }
+
+  destroy() {
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    if (this.announcementTimeout) {
+      clearTimeout(this.announcementTimeout);
+      this.announcementTimeout = null;
+    }
+
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('blur', this.handleBlur);
+    if (this.canvas) {
+      this.canvas.removeEventListener('pointerdown', this.handlePointer);
+      this.canvas.removeEventListener('pointermove', this.handlePointer);
+      this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+      this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    this.rootElement?.parentNode?.removeChild(this.rootElement);
+    this.rootElement = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.announcementElement = null;
+    this.pressedKeys.clear();
+  }
+}
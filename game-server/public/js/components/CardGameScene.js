@@ -3,6 +3,8 @@
  * Renders card games with visual card elements, animations, and interactions
  */
 
+import { ReactionBubbles } from './reactionBubbles.js';
+
 export class CardGameScene {
   constructor({ socket, playerId, gameState, containerId = 'game-canvas-container' }) {
     this.socket = socket;
@@ -15,6 +17,7 @@ export class CardGameScene {
     this.selectedCard = null;
     this.hoveredCard = null;
     this.animations = [];
+    this.reactions = new ReactionBubbles();
 
     // Card dimensions
     this.cardWidth = 80;
@@ -115,6 +118,7 @@ export class CardGameScene {
 
     // Draw animations
     this.renderAnimations();
+    this.reactions.draw(this.ctx, width);
   }
 
   /**
@@ -238,6 +242,7 @@ export class CardGameScene {
    * Draw player's hand
    */
   drawPlayerHand(width, height) {
+    this.reactions.setAnchor(this.playerId, width / 2, height - this.cardHeight - 40);
     const hand = this.gameState.hands?.[this.playerId] || [];
     if (hand.length === 0) return;
 
@@ -281,6 +286,7 @@ export class CardGameScene {
       // Draw card back to represent opponent's hand
       const x = width / 2 - this.cardWidth / 2;
       this.drawCard(null, x, 50, false);
+      this.reactions.setAnchor(opponentId, width / 2, 50 + this.cardHeight + 40);
     }
   }
 
@@ -308,6 +314,7 @@ export class CardGameScene {
         this.ctx.font = '12px Arial';
         this.ctx.textAlign = 'center';
         this.ctx.fillText(`${playerName}: ${hand.length}`, pos.x, pos.y);
+        this.reactions.setAnchor(pid, pos.x, pos.y - 20);
       }
     });
   }
@@ -594,6 +601,13 @@ export class CardGameScene {
     }
   }
 
+  /**
+   * Show a quick reaction over a player's seat
+   */
+  showReaction(playerId, text) {
+    this.reactions.add(playerId, text);
+  }
+
   /**
    * Show announcement message
    */
@@ -4,6 +4,17 @@
  * with betting UI, animations, and voting system
  */
 
+import { ReactionBubbles } from './reactionBubbles.js';
+import { buildBeadPlate, buildBigRoad } from './baccaratRoads.js';
+
+// Baccarat side bets, staked at the main bet's amount when selected
+const BACCARAT_SIDE_BETS = [
+  { key: 'playerPair', label: 'P PAIR' },
+  { key: 'bankerPair', label: 'B PAIR' },
+  { key: 'dragonBonusPlayer', label: 'DRAGON P' },
+  { key: 'dragonBonusBanker', label: 'DRAGON B' }
+];
+
 export class CasinoGameScene {
   constructor({ socket, playerId, gameType, gameState, containerId = 'game-canvas-container' }) {
     this.socket = socket;
@@ -18,6 +29,8 @@ export class CasinoGameScene {
     this.buttons = [];
     this.hoveredButton = null;
     this.betInput = '';
+    this.sideBets = new Set();
+    this.reactions = new ReactionBubbles();
 
     // Card dimensions
     this.cardWidth = 80;
@@ -124,6 +137,7 @@ export class CasinoGameScene {
     // Check if voting is active
     if (this.gameState.votingPhase) {
       this.renderVotingScreen(width, height);
+      this.reactions.draw(this.ctx, width);
       return;
     }
 
@@ -147,6 +161,7 @@ export class CasinoGameScene {
 
     // Render animations on top
     this.renderAnimations();
+    this.reactions.draw(this.ctx, width);
   }
 
   /**
@@ -180,6 +195,8 @@ export class CasinoGameScene {
     // Draw action buttons for current player
     if (state.currentPlayerId === this.playerId && state.phase === 'playing') {
       this.drawBlackjackActions(width, height, state);
+    } else if (state.phase === 'insurance' && state.insurance?.[this.playerId] === null) {
+      this.drawInsuranceActions(width, height, state);
     } else if (state.phase === 'betting' && !state.playerBets?.[this.playerId]) {
       this.drawBettingUI(width, height, state);
     }
@@ -223,6 +240,11 @@ export class CasinoGameScene {
 
     // Draw betting round indicator
     this.drawBettingRound(width, state.bettingRound);
+
+    // Cash games and sit-and-gos: hand number, blinds and how the last hand went
+    if (state.mode && state.mode !== 'single') {
+      this.drawSessionInfo(state);
+    }
   }
 
   /**
@@ -255,6 +277,9 @@ export class CasinoGameScene {
     const centerX = width / 2;
     const centerY = height / 2;
 
+    // Draw the shoe's scoreboards along the top
+    this.drawBaccaratScoreboards(width, state);
+
     // Draw banker hand (top)
     this.drawBaccaratHand('Banker', state.bankerHand, centerX - 100, centerY - 150, state.bankerValue);
 
@@ -285,6 +310,16 @@ export class CasinoGameScene {
     this.ctx.textAlign = 'center';
     this.ctx.fillText('DEALER', centerX, y - 10);
 
+    // Shoe: cards left, and whether the cut card has come out
+    if (state.shoe) {
+      this.ctx.fillStyle = '#d1d5db';
+      this.ctx.font = '12px Arial';
+      this.ctx.textAlign = 'left';
+      const shoeText = state.shoe.cutCardOut ? 'Cut card out - reshuffle next game' : `${state.deckCount ?? 0} cards left`;
+      this.ctx.fillText(`${state.shoe.decks}-deck shoe: ${shoeText}`, 15, 25);
+      this.ctx.textAlign = 'center';
+    }
+
     // Draw dealer's cards
     if (dealerHand.length > 0) {
       const startX = centerX - (dealerHand.length * (this.cardWidth + this.cardSpacing)) / 2;
@@ -313,13 +348,13 @@ export class CasinoGameScene {
 
     playerOrder.forEach((pid, index) => {
       const centerX = sectionWidth * index + sectionWidth / 2;
-      const hand = state.hands?.[pid] || [];
-      const handValue = state.handValues?.[pid] || 0;
+      const hands = state.hands?.[pid] || [];
       const bet = state.playerBets?.[pid] || 0;
+      const insurance = state.insurance?.[pid] || 0;
       const balance = state.finalBalances?.[pid] || state._bettingManager?.getPlayerBalance?.(pid) || 0;
-      const status = state.playerStatuses?.[pid] || 'playing';
       const isCurrentPlayer = state.currentPlayerId === pid;
       const isMe = pid === this.playerId;
+      this.reactions.setAnchor(pid, centerX, y - 45);
 
       // Highlight current player
       if (isCurrentPlayer && state.phase === 'playing') {
@@ -334,33 +369,44 @@ export class CasinoGameScene {
       const playerName = isMe ? 'YOU' : `Player ${index + 1}`;
       this.ctx.fillText(playerName, centerX, y - 25);
 
-      // Draw cards
-      if (hand.length > 0) {
-        const startX = centerX - (hand.length * (this.cardWidth + this.cardSpacing)) / 2;
-        hand.forEach((card, cardIndex) => {
-          const x = startX + cardIndex * (this.cardWidth + this.cardSpacing);
-          this.drawCard(card, x, y, card.faceUp);
+      // Draw each hand (a split makes several), side by side within the section
+      const handWidth = (sectionWidth - 20) / Math.max(hands.length, 1);
+      hands.forEach((hand, handIndex) => {
+        const handX = centerX - sectionWidth / 2 + 10 + handWidth * handIndex + handWidth / 2;
+        const cards = hand.cards || [];
+        const step = Math.min(this.cardWidth + this.cardSpacing, (handWidth - this.cardWidth) / Math.max(cards.length - 1, 1));
+        const startX = handX - (step * (cards.length - 1) + this.cardWidth) / 2;
+        cards.forEach((card, cardIndex) => {
+          this.drawCard(card, startX + cardIndex * step, y, card.faceUp);
         });
-      }
 
-      // Draw hand value
-      this.ctx.fillStyle = '#ffffff';
-      this.ctx.font = '14px Arial';
-      this.ctx.fillText(`Value: ${handValue}`, centerX, y + this.cardHeight + 20);
-
-      // Draw status
-      if (status !== 'playing') {
-        const statusText = status.toUpperCase();
-        const statusColor = status === 'bust' ? '#dc2626' : status === 'blackjack' ? '#fbbf24' : '#22c55e';
-        this.ctx.fillStyle = statusColor;
-        this.ctx.font = 'bold 14px Arial';
-        this.ctx.fillText(statusText, centerX, y + this.cardHeight + 38);
-      }
+        // Mark the hand being played
+        if (isCurrentPlayer && state.phase === 'playing' && handIndex === state.activeHand && hands.length > 1) {
+          this.ctx.fillStyle = this.colors.gold;
+          this.ctx.fillRect(handX - this.cardWidth / 2, y + this.cardHeight + 4, this.cardWidth, 3);
+        }
+
+        // Draw hand value
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = '14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`Value: ${hand.value || 0}`, handX, y + this.cardHeight + 20);
+
+        // Draw status
+        const status = hand.evenMoney ? 'even money' : hand.status;
+        if (status !== 'playing') {
+          const statusText = status.toUpperCase();
+          const statusColor = status === 'bust' ? '#dc2626' : status === 'blackjack' ? '#fbbf24' : '#22c55e';
+          this.ctx.fillStyle = statusColor;
+          this.ctx.font = 'bold 14px Arial';
+          this.ctx.fillText(statusText, handX, y + this.cardHeight + 38);
+        }
+      });
 
       // Draw bet and balance
       this.ctx.fillStyle = '#ffffff';
       this.ctx.font = '12px Arial';
-      this.ctx.fillText(`Bet: ${bet} chips`, centerX, y + this.cardHeight + 56);
+      this.ctx.fillText(`Bet: ${bet} chips${insurance ? ` (+${insurance} insurance)` : ''}`, centerX, y + this.cardHeight + 56);
       this.ctx.fillText(`Balance: ${balance} chips`, centerX, y + this.cardHeight + 72);
     });
   }
@@ -405,6 +451,7 @@ export class CasinoGameScene {
       const isActive = activePlayers.includes(pid);
       const isCurrentPlayer = state.currentPlayerId === pid;
       const isMe = pid === this.playerId;
+      this.reactions.setAnchor(pid, pos.x, pos.y - 35);
 
       // Draw player area background
       const bgColor = isCurrentPlayer ? 'rgba(251, 191, 36, 0.3)' : 'rgba(0, 0, 0, 0.3)';
@@ -620,19 +667,34 @@ export class CasinoGameScene {
     const spacing = 20;
     const actions = [];
 
-    // Determine available actions
-    const hand = state.hands?.[this.playerId] || [];
-    const bet = state.playerBets?.[this.playerId] || 0;
+    // Determine available actions for the hand being played (the server has the final say)
+    const hands = state.hands?.[this.playerId] || [];
+    const hand = hands[state.activeHand] || { cards: [], bet: 0 };
+    const rules = state.rules || {};
     const balance = state._bettingManager?.getPlayerBalance?.(this.playerId) || 0;
+    const firstDecision = hand.cards.length === 2 && !hand.doubled;
+    const [first, second] = hand.cards;
+    const tenValue = card => ['10', 'J', 'Q', 'K'].includes(card?.rank);
+    const isPair = firstDecision && (first.rank === second.rank || (tenValue(first) && tenValue(second)));
 
-    actions.push({ label: 'HIT', action: 'hit' });
+    if (!hand.splitAces) {
+      actions.push({ label: 'HIT', action: 'hit' });
+    }
     actions.push({ label: 'STAND', action: 'stand' });
 
     // Can double if first turn and has balance
-    if (hand.length === 2 && balance >= bet) {
+    if (firstDecision && !hand.splitAces && (!hand.fromSplit || rules.doubleAfterSplit) && balance >= hand.bet) {
       actions.push({ label: 'DOUBLE', action: 'double' });
     }
 
+    if (isPair && hands.length < (rules.maxHands || 4) && (!hand.splitAces || rules.resplitAces) && balance >= hand.bet) {
+      actions.push({ label: 'SPLIT', action: 'split' });
+    }
+
+    if (rules.surrender && firstDecision && hands.length === 1 && !hand.fromSplit) {
+      actions.push({ label: 'SURRENDER', action: 'surrender' });
+    }
+
     const totalWidth = actions.length * buttonWidth + (actions.length - 1) * spacing;
     let x = (width - totalWidth) / 2;
 
@@ -651,6 +713,32 @@ export class CasinoGameScene {
     this.drawButtons();
   }
 
+  /**
+   * Draw the insurance offer shown while the dealer's ace is up
+   */
+  drawInsuranceActions(width, height, state) {
+    this.buttons = [];
+    const buttonY = height - 50;
+    const buttonWidth = 140;
+    const buttonHeight = 40;
+    const spacing = 20;
+    const [hand] = state.hands?.[this.playerId] || [];
+    // With a blackjack, insurance is taken as even money
+    const evenMoney = hand?.status === 'blackjack';
+    const actions = [
+      { label: evenMoney ? 'EVEN MONEY' : `INSURE (${Math.floor((hand?.bet || 0) / 2)})`, action: 'insurance', color: this.colors.gold },
+      { label: 'NO THANKS', action: 'noInsurance', color: this.colors.blue }
+    ];
+
+    let x = (width - (actions.length * buttonWidth + (actions.length - 1) * spacing)) / 2;
+    actions.forEach(action => {
+      this.buttons.push({ x, y: buttonY, width: buttonWidth, height: buttonHeight, ...action });
+      x += buttonWidth + spacing;
+    });
+
+    this.drawButtons();
+  }
+
   /**
    * Draw action buttons for Poker
    */
@@ -668,7 +756,7 @@ export class CasinoGameScene {
     const currentBet = bettingManager.getCurrentBet?.() || 0;
     const playerBet = state.playerBets?.[this.playerId] || 0;
     const balance = bettingManager.getPlayerBalance?.(this.playerId) || 0;
-    const minRaise = bettingManager.minRaise || 10;
+    const minRaise = bettingManager.minRaise || state.minBet || 10;
 
     // Fold
     actions.push({ label: 'FOLD', action: 'fold', color: this.colors.red });
@@ -829,9 +917,125 @@ export class CasinoGameScene {
       x += buttonWidth + 20;
     });
 
+    // Side bet toggles, each staked at the same amount as the main bet
+    const sideWidth = 90;
+    let sideX = centerX - (BACCARAT_SIDE_BETS.length * sideWidth + (BACCARAT_SIDE_BETS.length - 1) * 10) / 2;
+    BACCARAT_SIDE_BETS.forEach(sideBet => {
+      const selected = this.sideBets.has(sideBet.key);
+      this.buttons.push({
+        x: sideX, y: buttonY + 50,
+        width: sideWidth,
+        height: 30,
+        label: selected ? `✓ ${sideBet.label}` : sideBet.label,
+        action: 'toggleSideBet',
+        value: sideBet.key,
+        color: selected ? this.colors.gold : this.colors.darkGreen
+      });
+      sideX += sideWidth + 10;
+    });
+
     this.drawButtons();
   }
 
+  /**
+   * Draw the Bead Plate (left) and Big Road (right) for the current shoe
+   */
+  drawBaccaratScoreboards(width, state) {
+    const history = state.history || [];
+    const cell = 16;
+    const top = 28;
+    const panelWidth = width / 2 - 30;
+    const columns = Math.floor(panelWidth / cell);
+    const colorOf = winner => (winner === 'banker' ? this.colors.red : winner === 'player' ? '#2563eb' : this.colors.green);
+
+    const drawGrid = (x, label) => {
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      this.ctx.fillRect(x, top, columns * cell, 6 * cell);
+      this.ctx.strokeStyle = '#d1d5db';
+      this.ctx.lineWidth = 1;
+      for (let col = 0; col <= columns; col++) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + col * cell, top);
+        this.ctx.lineTo(x + col * cell, top + 6 * cell);
+        this.ctx.stroke();
+      }
+      for (let row = 0; row <= 6; row++) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, top + row * cell);
+        this.ctx.lineTo(x + columns * cell, top + row * cell);
+        this.ctx.stroke();
+      }
+      this.ctx.fillStyle = this.colors.gold;
+      this.ctx.font = 'bold 12px Arial';
+      this.ctx.textAlign = 'left';
+      this.ctx.fillText(label, x, top - 6);
+    };
+
+    // Pairs are dots in the corners: banker top left, player bottom right
+    const drawPairs = (cx, cy, { bankerPair, playerPair }) => {
+      [[bankerPair, -1, this.colors.red], [playerPair, 1, '#2563eb']].forEach(([pair, corner, color]) => {
+        if (!pair) return;
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.arc(cx + corner * cell * 0.32, cy + corner * cell * 0.32, 2.5, 0, Math.PI * 2);
+        this.ctx.fill();
+      });
+    };
+
+    // Bead Plate: filled circles lettered B, P or T
+    const beadX = 15;
+    drawGrid(beadX, 'BEAD PLATE');
+    buildBeadPlate(history, columns).forEach(bead => {
+      const cx = beadX + bead.col * cell + cell / 2;
+      const cy = top + bead.row * cell + cell / 2;
+      this.ctx.fillStyle = colorOf(bead.winner);
+      this.ctx.beginPath();
+      this.ctx.arc(cx, cy, cell / 2 - 2, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.font = 'bold 9px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(bead.winner[0].toUpperCase(), cx, cy + 3);
+      drawPairs(cx, cy, bead);
+    });
+
+    // Big Road: hollow rings, with a green slash for each tie after them
+    const roadX = width / 2 + 15;
+    drawGrid(roadX, 'BIG ROAD');
+    buildBigRoad(history, columns).forEach(entry => {
+      const cx = roadX + entry.col * cell + cell / 2;
+      const cy = top + entry.row * cell + cell / 2;
+      this.ctx.strokeStyle = colorOf(entry.winner);
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.arc(cx, cy, cell / 2 - 3, 0, Math.PI * 2);
+      this.ctx.stroke();
+      if (entry.ties > 0) {
+        this.ctx.strokeStyle = this.colors.green;
+        this.ctx.beginPath();
+        this.ctx.moveTo(cx - cell / 2 + 3, cy + cell / 2 - 3);
+        this.ctx.lineTo(cx + cell / 2 - 3, cy - cell / 2 + 3);
+        this.ctx.stroke();
+        if (entry.ties > 1) {
+          this.ctx.fillStyle = '#000000';
+          this.ctx.font = 'bold 8px Arial';
+          this.ctx.textAlign = 'center';
+          this.ctx.fillText(String(entry.ties), cx, cy + 3);
+        }
+      }
+      drawPairs(cx, cy, entry);
+    });
+
+    // Shoe: games dealt, and whether the cut card has come out
+    if (state.shoe) {
+      this.ctx.fillStyle = '#d1d5db';
+      this.ctx.font = '12px Arial';
+      this.ctx.textAlign = 'right';
+      const shoeText = state.shoe.cutCardOut ? 'cut card out - new shoe next game' : `${state.deckCount ?? 0} cards left`;
+      this.ctx.fillText(`Game ${history.length} of this shoe, ${shoeText}`, width - 15, top + 6 * cell + 16);
+    }
+  }
+
   /**
    * Draw buttons
    */
@@ -881,10 +1085,12 @@ export class CasinoGameScene {
   }
 
   /**
-   * Draw central pot for poker
+   * Draw central pot for poker, with the main and side pots listed below it
+   * once there is more than one (and, after the showdown, who won each)
    */
   drawCentralPot(centerX, centerY, state) {
-    const pot = state.pot || 0;
+    const pots = state.pots || [];
+    const pot = state.pot || pots.reduce((sum, entry) => sum + entry.amount, 0);
 
     // Draw pot background
     this.ctx.fillStyle = 'rgba(251, 191, 36, 0.3)';
@@ -905,6 +1111,27 @@ export class CasinoGameScene {
     this.ctx.fillStyle = '#ffffff';
     this.ctx.font = 'bold 28px Arial';
     this.ctx.fillText(`${pot}`, centerX, centerY + 20);
+
+    const settled = pots.some(entry => entry.winners);
+    if (pots.length < 2 && !settled) {
+      return;
+    }
+    pots.forEach((entry, index) => {
+      const label = index === 0 ? 'Main pot' : `Side pot ${index}`;
+      const winnerNames = (entry.winners || [])
+        .map(pid => (pid === this.playerId ? 'You' : state.players?.[pid]?.displayName || 'Player'))
+        .join(', ');
+      const text = winnerNames ? `${label}: ${entry.amount} - ${winnerNames}` : `${label}: ${entry.amount}`;
+      const y = centerY + 82 + index * 22;
+
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      this.roundRect(this.ctx, centerX - 110, y - 15, 220, 20, 6);
+      this.ctx.fill();
+      this.ctx.fillStyle = index === 0 ? this.colors.gold : '#ffffff';
+      this.ctx.font = 'bold 13px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(text, centerX, y);
+    });
   }
 
   /**
@@ -913,6 +1140,7 @@ export class CasinoGameScene {
   drawPhaseIndicator(width, phase) {
     const phaseLabels = {
       betting: 'PLACE YOUR BETS',
+      insurance: 'INSURANCE?',
       playing: 'PLAYING',
       dealer: 'DEALER\'S TURN',
       complete: 'ROUND COMPLETE'
@@ -954,6 +1182,45 @@ export class CasinoGameScene {
     this.ctx.fillText(label, width - 110, 35);
   }
 
+  /**
+   * Draw the session panel for multi-hand Hold'em
+   */
+  drawSessionInfo(state) {
+    const nameOf = pid => (pid === this.playerId ? 'You' : state.players?.[pid]?.displayName || 'Player');
+    const lines = [
+      `${state.mode === 'sitAndGo' ? 'Sit & Go' : 'Cash game'} - Hand ${state.handNumber}`
+    ];
+    if (state.blinds) {
+      lines.push(`Blinds ${state.blinds.small}/${state.blinds.big} (level ${state.blinds.level})`);
+    }
+    if (state.nextLevelAt) {
+      lines.push(`Blinds rise at hand ${state.nextLevelAt}`);
+    }
+    const lastHand = state.lastHand;
+    if (lastHand) {
+      const won = lastHand.winners.reduce(
+        (sum, pid) => sum + Math.max(0, (lastHand.finalBalances[pid] ?? 0) - (lastHand.startingBalances[pid] ?? 0)),
+        0
+      );
+      const handName = lastHand.winningHand?.name ? ` - ${lastHand.winningHand.name}` : '';
+      lines.push(`Hand ${lastHand.handNumber}: ${lastHand.winners.map(nameOf).join(' & ')} won ${won}${handName}`);
+    }
+    if (state.eliminated?.length) {
+      lines.push(`Out: ${state.eliminated.map(nameOf).join(', ')}`);
+    }
+
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.roundRect(this.ctx, 10, 10, 260, 16 + lines.length * 18, 8);
+    this.ctx.fill();
+
+    this.ctx.textAlign = 'left';
+    lines.forEach((line, index) => {
+      this.ctx.fillStyle = index === 0 ? this.colors.gold : '#ffffff';
+      this.ctx.font = index === 0 ? 'bold 14px Arial' : '12px Arial';
+      this.ctx.fillText(line, 20, 30 + index * 18);
+    });
+  }
+
   /**
    * Draw street indicator for 5 Card Stud
    */
@@ -984,6 +1251,16 @@ export class CasinoGameScene {
     this.ctx.font = 'bold 32px Arial';
     this.ctx.textAlign = 'center';
     this.ctx.fillText(`${winner} WINS!`, centerX, centerY + 10);
+
+    // List the side bets this player won
+    const sideBets = state.results?.[this.playerId]?.sideBets || {};
+    const won = BACCARAT_SIDE_BETS.filter(sideBet => sideBets[sideBet.key]?.payout > 0)
+      .map(sideBet => `${sideBet.label} +${sideBets[sideBet.key].payout}`);
+    if (won.length > 0) {
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.font = 'bold 14px Arial';
+      this.ctx.fillText(won.join('   '), centerX, centerY + 38);
+    }
   }
 
   /**
@@ -1029,6 +1306,15 @@ export class CasinoGameScene {
     this.ctx.font = '16px Arial';
     this.ctx.fillText(`Votes: New Game (${voteCount.newGame}) | Lobby (${voteCount.lobby})`, centerX, centerY - 60);
 
+    // Votes still missing at the deadline are left out of the count
+    if (this.gameState.voteDeadline) {
+      const secondsLeft = Math.max(0, Math.ceil((this.gameState.voteDeadline - Date.now()) / 1000));
+      this.ctx.fillStyle = this.colors.gold;
+      this.ctx.font = '14px Arial';
+      this.ctx.fillText(`Voting closes in ${secondsLeft}s`, centerX, centerY - 35);
+      this.ctx.fillStyle = '#ffffff';
+    }
+
     // Draw voting buttons
     this.buttons = [];
 
@@ -1154,10 +1440,21 @@ export class CasinoGameScene {
         break;
 
       case 'double':
+      case 'split':
+      case 'surrender':
         this.socket?.emit('submitMove', {
           type: 'playerAction',
           playerId: this.playerId,
-          payload: { action: 'double' }
+          payload: { action: button.action }
+        });
+        break;
+
+      case 'insurance':
+      case 'noInsurance':
+        this.socket?.emit('submitMove', {
+          type: 'insurance',
+          playerId: this.playerId,
+          payload: { take: button.action === 'insurance' }
         });
         break;
 
@@ -1188,7 +1485,7 @@ export class CasinoGameScene {
       case 'raise':
         // For now, use minimum raise
         const bettingManager = this.gameState._bettingManager;
-        const minRaise = bettingManager?.minRaise || 10;
+        const minRaise = bettingManager?.minRaise || this.gameState.minBet || 10;
         this.socket?.emit('submitMove', {
           type: 'pokerAction',
           playerId: this.playerId,
@@ -1227,15 +1524,25 @@ export class CasinoGameScene {
         const baccaratBet = parseInt(this.betInput) || 0;
         if (baccaratBet > 0) {
           const betType = button.action.replace('bet', '').toLowerCase();
+          const sideBets = Object.fromEntries([...this.sideBets].map(key => [key, baccaratBet]));
           this.socket?.emit('submitMove', {
             type: 'placeBet',
             playerId: this.playerId,
-            payload: { amount: baccaratBet, betType }
+            payload: { amount: baccaratBet, betType, sideBets }
           });
           this.betInput = '';
         }
         break;
 
+      case 'toggleSideBet':
+        if (this.sideBets.has(button.value)) {
+          this.sideBets.delete(button.value);
+        } else {
+          this.sideBets.add(button.value);
+        }
+        this.render();
+        break;
+
       case 'voteNewGame':
         this.playerVote = 'newGame';
         this.socket?.emit('submitMove', {
@@ -1480,6 +1787,13 @@ export class CasinoGameScene {
     this.render();
   }
 
+  /**
+   * Show a quick reaction over a player's seat
+   */
+  showReaction(playerId, text) {
+    this.reactions.add(playerId, text);
+  }
+
   /**
    * Render animations
    */
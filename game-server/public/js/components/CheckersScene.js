@@ -1,3 +1,5 @@
+import { ReactionBubbles } from './reactionBubbles.js';
+
 export class CheckersScene {
   constructor(config = {}) {
     const { socket, myColor, gameState, roundMessage, containerId = 'game-container' } = config;
@@ -19,6 +21,7 @@ export class CheckersScene {
     this.validMoves = [];
     this.lastMoveHighlight = null;
     this.animatingPiece = null;
+    this.reactions = new ReactionBubbles();
 
     this.handleBoardClick = this.handleBoardClick.bind(this);
   }
@@ -78,6 +81,24 @@ export class CheckersScene {
     if (!this.ctx) return;
     this.drawBoard();
     this.drawPieces();
+    this.drawReactions();
+  }
+
+  /**
+   * Red plays up from the bottom edge and black down from the top, so each
+   * player's reactions float over their own side of the board
+   */
+  drawReactions() {
+    const boardSize = this.BOARD_SIZE * this.CELL_SIZE;
+    Object.entries(this.gameState?.players || {}).forEach(([playerId, player]) => {
+      if (player?.color === 'red') this.reactions.setAnchor(playerId, boardSize / 2, boardSize - 20);
+      if (player?.color === 'black') this.reactions.setAnchor(playerId, boardSize / 2, 50);
+    });
+    this.reactions.draw(this.ctx, boardSize);
+  }
+
+  showReaction(playerId, text) {
+    this.reactions.add(playerId, text);
   }
 
   drawBoard() {
@@ -0,0 +1,74 @@
+/**
+ * Baccarat scoreboards
+ * Lays out a shoe's results (the state's `history`) the way the roads on a
+ * baccarat table show them; the scene draws the cells. Both roads are six
+ * rows tall.
+ */
+
+const ROWS = 6;
+
+/**
+ * Bead Plate: every game in order, filling each column top to bottom.
+ * Only the last `columns` columns are kept.
+ */
+export function buildBeadPlate(history, columns) {
+  const firstColumn = Math.max(Math.ceil(history.length / ROWS) - columns, 0);
+  return history
+    .map((entry, index) => ({ ...entry, col: Math.floor(index / ROWS) - firstColumn, row: index % ROWS }))
+    .filter(cell => cell.col >= 0);
+}
+
+/**
+ * Big Road: a column per streak of Banker or Player wins. A streak that runs
+ * past the bottom row, or into an earlier column's tail, turns right (the
+ * dragon tail). Ties are not given a cell; they are counted on the cell before
+ * them (or the first cell, for ties that open the shoe).
+ * Only the last `columns` columns are kept.
+ */
+export function buildBigRoad(history, columns) {
+  const cells = [];
+  const taken = new Set();
+  const key = (col, row) => `${col}:${row}`;
+  let leadingTies = 0;
+  let streakStart = -1;
+
+  history.forEach(({ winner, playerPair, bankerPair }) => {
+    const last = cells[cells.length - 1];
+    if (winner === 'tie') {
+      if (last) {
+        last.ties++;
+      } else {
+        leadingTies++;
+      }
+      return;
+    }
+
+    let col = 0;
+    let row = 0;
+    let tail = false;
+    if (last && last.winner === winner) {
+      // Once a streak has turned right it stays on that row
+      tail = last.tail || last.row + 1 >= ROWS || taken.has(key(last.col, last.row + 1));
+      col = tail ? last.col + 1 : last.col;
+      row = tail ? last.row : last.row + 1;
+    } else {
+      streakStart++;
+      while (taken.has(key(streakStart, 0))) {
+        streakStart++;
+      }
+      col = streakStart;
+    }
+
+    taken.add(key(col, row));
+    cells.push({ col, row, winner, ties: 0, playerPair, bankerPair, tail });
+  });
+
+  if (cells.length > 0) {
+    cells[0].ties += leadingTies;
+  }
+  const lastColumn = cells.reduce((max, cell) => Math.max(max, cell.col), 0);
+  const firstColumn = Math.max(lastColumn + 1 - columns, 0);
+  return cells
+    .map(cell => ({ ...cell, col: cell.col - firstColumn }))
+    .filter(cell => cell.col >= 0);
+}
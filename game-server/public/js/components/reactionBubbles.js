@@ -0,0 +1,69 @@
+/**
+ * ReactionBubbles
+ * Floating speech bubbles for quick reactions on the canvas scenes. While a
+ * scene draws its table it records where each player's seat is (setAnchor);
+ * draw() then floats each bubble up from that seat and fades it out. Bubbles
+ * for a seat the scene does not draw stack along the top of the canvas.
+ */
+
+const BUBBLE_LIFETIME_MS = 2500;
+const BUBBLE_RISE = 30;
+
+export class ReactionBubbles {
+  constructor() {
+    this.bubbles = [];
+    this.anchors = new Map();
+  }
+
+  /**
+   * Shows a bubble over a player's seat, replacing their previous one
+   */
+  add(playerId, text) {
+    this.bubbles = this.bubbles.filter(bubble => bubble.playerId !== playerId);
+    this.bubbles.push({ playerId, text, startedAt: performance.now() });
+  }
+
+  setAnchor(playerId, x, y) {
+    this.anchors.set(playerId, { x, y });
+  }
+
+  draw(ctx, width) {
+    const now = performance.now();
+    this.bubbles = this.bubbles.filter(bubble => now - bubble.startedAt < BUBBLE_LIFETIME_MS);
+    let unanchored = 0;
+
+    this.bubbles.forEach(bubble => {
+      const progress = (now - bubble.startedAt) / BUBBLE_LIFETIME_MS;
+      const anchor = this.anchors.get(bubble.playerId) || { x: width / 2, y: 50 + 40 * unanchored++ };
+      const x = anchor.x;
+      const y = anchor.y - progress * BUBBLE_RISE;
+
+      ctx.save();
+      ctx.globalAlpha = progress > 0.75 ? (1 - progress) * 4 : 1;
+      ctx.font = 'bold 14px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      const boxWidth = ctx.measureText(bubble.text).width + 20;
+      const boxHeight = 28;
+
+      ctx.fillStyle = '#ffffff';
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x - boxWidth / 2, y - boxHeight);
+      ctx.lineTo(x + boxWidth / 2, y - boxHeight);
+      ctx.lineTo(x + boxWidth / 2, y);
+      ctx.lineTo(x + 6, y);
+      ctx.lineTo(x, y + 8);
+      ctx.lineTo(x - 6, y);
+      ctx.lineTo(x - boxWidth / 2, y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = '#000000';
+      ctx.fillText(bubble.text, x, y - boxHeight / 2);
+      ctx.restore();
+    });
+  }
+}
@@ -6,6 +6,13 @@
 import { UIManager } from './managers/UIManager.js';
 import { GameManager } from './managers/GameManager.js';
 import { ProfileManager } from './managers/ProfileManager.js';
+import { ReplayManager } from './managers/ReplayManager.js';
+import { TournamentManager } from './managers/TournamentManager.js';
+import { LeaderboardManager } from './managers/LeaderboardManager.js';
+import { ChatManager } from './managers/ChatManager.js';
+import { ReactionManager } from './managers/ReactionManager.js';
+import { PokerTableManager } from './managers/PokerTableManager.js';
+import { HouseRulesManager } from './managers/HouseRulesManager.js';
 import { ErrorHandler } from './utils/ErrorHandler.js';
 import { createTutorialManager } from './ui/tutorial.js';
 
@@ -172,6 +179,27 @@ class LocalStorageManager {
     }
   }
 
+  // The reconnect token lets this tab take its session (and seat) back after a
+  // dropped connection or a reload; it stays with the tab, so another tab does
+  // not take the seat over
+  getReconnectToken(username) {
+    try {
+      const data = JSON.parse(sessionStorage.getItem(this.STORAGE_KEY) || 'null');
+      return data?.username === username ? data.reconnectToken : null;
+    } catch (error) {
+      console.error('[SessionStorage] Error reading reconnect token:', error);
+    }
+    return null;
+  }
+
+  setReconnectToken(username, reconnectToken) {
+    try {
+      sessionStorage.setItem(this.STORAGE_KEY, JSON.stringify({ username, reconnectToken }));
+    } catch (error) {
+      console.error('[SessionStorage] Error saving reconnect token:', error);
+    }
+  }
+
   clear() {
     try {
       localStorage.removeItem(this.STORAGE_KEY);
@@ -195,6 +223,22 @@ class UserManager {
       losses: 0,
       gamesPlayed: 0
     };
+    this.identified = false;
+
+    // A reconnect (or server restart) gives us a new socket id; identify again so
+    // the server can hand back the seat we were playing in
+    this.socket.io?.on('reconnect', () => {
+      if (this.identified) {
+        this.identify();
+      }
+    });
+  }
+
+  identify() {
+    this.socket.emit('identify', {
+      username: this.username,
+      reconnectToken: this.storage.getReconnectToken(this.username) || undefined,
+    });
   }
 
   async initialize() {
@@ -212,6 +256,7 @@ class UserManager {
 
   setGuestUsername() {
     this.username = 'Guest' + Math.random().toString(36).substring(2, 8);
+    this.identified = false;
     this.updateUI();
   }
 
@@ -228,7 +273,8 @@ class UserManager {
     this.storage.setUsername(this.username);
 
     // Identify with server
-    this.socket.emit('identify', { username: this.username });
+    this.identify();
+    this.identified = true;
 
     // Get stats from server
     this.socket.emit('getUserStats', { username: this.username });
@@ -335,6 +381,7 @@ function setupPauseMenuHandlers(uiManager, gameManager) {
   const pauseButton = uiManager.elements.game?.pauseButton;
   const resumeButton = uiManager.elements.game?.resumeButton;
   const pauseExitButton = uiManager.elements.game?.pauseExitButton;
+  const pauseUndoButton = uiManager.elements.game?.pauseUndoButton;
 
   const togglePause = () => {
     isPaused = !isPaused;
@@ -354,6 +401,13 @@ function setupPauseMenuHandlers(uiManager, gameManager) {
     resumeButton.addEventListener('click', closePauseMenu);
   }
 
+  if (pauseUndoButton) {
+    pauseUndoButton.addEventListener('click', () => {
+      closePauseMenu();
+      gameManager.undoMove();
+    });
+  }
+
   if (pauseExitButton) {
     pauseExitButton.addEventListener('click', () => {
       closePauseMenu();
@@ -379,7 +433,7 @@ function setupPauseMenuHandlers(uiManager, gameManager) {
   });
 }
 
-function setupStatsOverlay(userManager) {
+function setupStatsOverlay(userManager, uiManager, gameManager) {
   const statsButton = document.getElementById('stats-button');
   const statsOverlay = document.getElementById('stats-overlay');
   const closeStatsBtn = document.getElementById('close-stats-btn');
@@ -388,6 +442,9 @@ function setupStatsOverlay(userManager) {
   const openStats = () => {
     if (statsOverlay) {
       userManager.updateUI(); // Refresh stats
+      uiManager.profileUI.loadMatchHistory(userManager.username, {
+        gameName: (gameId) => gameManager.availableGames.find((game) => game.id === gameId)?.name || gameId
+      });
       statsOverlay.classList.remove('hidden');
       statsOverlay.focus();
     }
@@ -561,10 +618,24 @@ async function initializeApp() {
   const userManager = new UserManager(socket, storage);
   const uiManager = new UIManager(socket);
   const gameManager = new GameManager(socket, uiManager, profileManager);
+  const replayManager = new ReplayManager(socket, uiManager, gameManager);
+  const tournamentManager = new TournamentManager(socket, uiManager, gameManager);
+  const leaderboardManager = new LeaderboardManager(socket, uiManager, gameManager);
+  const chatManager = new ChatManager(socket, uiManager, gameManager);
+  const reactionManager = new ReactionManager(socket, uiManager, gameManager);
+  const pokerTableManager = new PokerTableManager(socket, uiManager, gameManager);
+  const houseRulesManager = new HouseRulesManager(socket, uiManager, gameManager);
 
   // Socket event handlers
   socket.on('identified', (data) => {
     console.log('[Socket] Identified as:', data.username);
+    // Rooms and games know us by this id, which outlives the socket
+    if (data.playerId) {
+      gameManager.myPlayerId = data.playerId;
+    }
+    if (data.reconnectToken) {
+      storage.setReconnectToken(userManager.username, data.reconnectToken);
+    }
     userManager.updateStats(data.stats);
   });
 
@@ -574,6 +645,8 @@ async function initializeApp() {
   });
 
   socket.on('error', (error) => {
+    // Failures the GameManager request that caused them deals with itself
+    if (error?.handled) return;
     console.error('[Socket] Server error:', error);
     showToast(error.message || 'An error occurred', 'error');
     ErrorHandler.handle(error, { source: 'server', action: error.action });
@@ -584,7 +657,7 @@ async function initializeApp() {
 
   // Setup UI
   setupPauseMenuHandlers(uiManager, gameManager);
-  setupStatsOverlay(userManager);
+  setupStatsOverlay(userManager, uiManager, gameManager);
   setupNetworkToggle();
   setupUsernameInput(userManager);
 
@@ -610,6 +683,13 @@ async function initializeApp() {
     userManager,
     uiManager,
     gameManager,
+    replayManager,
+    tournamentManager,
+    leaderboardManager,
+    chatManager,
+    reactionManager,
+    pokerTableManager,
+    houseRulesManager,
     storage,
     tutorialManager,
     deviceDetector
@@ -0,0 +1,144 @@
+const CHAT_VIEWS = ['mainLobby', 'matchLobby', 'gameUI'];
+// Rejections shown here rather than as a general error toast
+const CHAT_ERRORS = ['RATE_LIMITED', 'INAPPROPRIATE_LANGUAGE', 'NOT_IDENTIFIED'];
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Lobby and room chat. There is one chat panel; it moves into the chat slot of
+ * whichever view is showing. In a room it offers the room and lobby channels as
+ * tabs, elsewhere only the lobby channel. The server sends each channel's
+ * scrollback as `chatHistory` on connect and on joining a room. Messages
+ * starting with `/me ` are sent as emotes.
+ */
+export class ChatManager {
+  constructor(socket, uiManager, gameManager) {
+    this.socket = socket;
+    this.uiManager = uiManager;
+    this.gameManager = gameManager;
+    this.elements = uiManager.elements.chat;
+    this.messages = { lobby: [], room: [] };
+    this.roomId = null;
+    this.channel = 'lobby';
+
+    this.bindControls();
+    this.setupSocketListeners();
+    this.uiManager.onViewChange((viewName) => this.placePanel(viewName));
+    this.placePanel(this.uiManager.currentView || 'mainLobby');
+  }
+
+  bindControls() {
+    const { roomTab, lobbyTab, form } = this.elements;
+    roomTab?.addEventListener('click', () => this.selectChannel('room'));
+    lobbyTab?.addEventListener('click', () => this.selectChannel('lobby'));
+    form?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.send();
+    });
+  }
+
+  setupSocketListeners() {
+    this.socket.on('chatHistory', ({ channel, roomId, messages = [] }) => {
+      if (channel === 'room') {
+        this.roomId = roomId;
+      }
+      this.messages[channel] = messages;
+      if (channel === this.channel) {
+        this.render();
+      }
+    });
+    this.socket.on('chatMessage', (message) => {
+      if (message.channel === 'room' && message.roomId !== this.roomId) return;
+      this.messages[message.channel].push(message);
+      if (message.channel === this.channel) {
+        this.appendMessage(message);
+      } else {
+        this.tabFor(message.channel)?.classList.add('has-unread');
+      }
+    });
+    this.socket.on('joinedMatchLobby', ({ room }) => {
+      if (room?.id !== this.roomId) {
+        this.roomId = room?.id || null;
+        this.messages.room = [];
+      }
+      this.elements.roomTab?.classList.remove('hidden');
+      this.selectChannel('room');
+    });
+  }
+
+  tabFor(channel) {
+    return channel === 'room' ? this.elements.roomTab : this.elements.lobbyTab;
+  }
+
+  placePanel(viewName) {
+    const { panel, slots = [], roomTab } = this.elements;
+    if (!panel || !CHAT_VIEWS.includes(viewName)) return;
+    const slot = slots.find((candidate) => candidate.dataset.view === viewName);
+    slot?.appendChild(panel);
+
+    if (viewName === 'mainLobby') {
+      this.roomId = null;
+      this.messages.room = [];
+    }
+    roomTab?.classList.toggle('hidden', !this.roomId);
+    this.selectChannel(this.roomId ? 'room' : 'lobby');
+  }
+
+  selectChannel(channel) {
+    this.channel = channel;
+    ['room', 'lobby'].forEach((name) => {
+      const tab = this.tabFor(name);
+      tab?.classList.toggle('is-active', name === channel);
+      tab?.setAttribute('aria-selected', String(name === channel));
+    });
+    this.tabFor(channel)?.classList.remove('has-unread');
+    this.render();
+  }
+
+  async send() {
+    const { input } = this.elements;
+    const text = input?.value.trim();
+    if (!text) return;
+    const emote = text.startsWith('/me ');
+    const response = await this.gameManager.request('chatMessage', {
+      channel: this.channel,
+      message: emote ? text.slice(4) : text,
+      type: emote ? 'emote' : 'text'
+    }, { expect: CHAT_ERRORS });
+    if (response.ok) {
+      input.value = '';
+    } else if (CHAT_ERRORS.includes(response.error.code) || response.error.code === 'TIMEOUT') {
+      this.uiManager.showToast(response.error.message, 'warning');
+    }
+  }
+
+  render() {
+    const { messages } = this.elements;
+    if (!messages) return;
+    messages.innerHTML = '';
+    this.messages[this.channel].forEach((message) => this.appendMessage(message));
+  }
+
+  appendMessage(message) {
+    const { messages } = this.elements;
+    if (!messages) return;
+    const item = document.createElement('li');
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = formatTime(message.sentAt);
+    item.appendChild(time);
+    if (message.type === 'emote') {
+      item.classList.add('chat-emote');
+      item.appendChild(document.createTextNode(`${message.username} ${message.text}`));
+    } else {
+      const sender = document.createElement('strong');
+      sender.textContent = `${message.username}: `;
+      item.appendChild(sender);
+      item.appendChild(document.createTextNode(message.text));
+    }
+    messages.appendChild(item);
+    messages.scrollTop = messages.scrollHeight;
+  }
+}
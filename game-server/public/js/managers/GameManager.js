@@ -1,8 +1,13 @@
 import { CheckersScene } from '../components/CheckersScene.js';
 import { CardGameScene } from '../components/CardGameScene.js';
 import { CasinoGameScene } from '../components/CasinoGameScene.js';
+import { CaptureTheFlagScene } from '../components/CaptureTheFlagScene.js';
 import { DEFAULT_GUEST_NAME } from './ProfileManager.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { applyPatch } from '../utils/statePatch.js';
+
+// How long request() waits for the server's acknowledgement
+const REQUEST_TIMEOUT_MS = 10000;
 
 const PLAYER_COLOR_SWATCHES = {
   red: '#ff6b6b',
@@ -77,6 +82,14 @@ const DEFAULT_GAME_METADATA = {
     maxPlayers: 8,
     category: 'casino',
     isCasino: true
+  },
+  'capture-the-flag': {
+    id: 'capture-the-flag',
+    name: 'Capture the Flag',
+    description: 'Real-time team game - steal the enemy flag and bring it home!',
+    minPlayers: 4,
+    maxPlayers: 8,
+    category: 'action'
   }
 };
 
@@ -90,6 +103,12 @@ export class GameManager {
     this.myPlayerId = null;
     this.activeGameId = null;
     this.roomListVersion = 0;
+    // Last game state and version received, the base for delta updates
+    this.gameState = null;
+    this.stateVersion = 0;
+    this.syncPending = false;
+    // "event:CODE" failures an in-flight request() handles itself, kept out of the error toast
+    this.expectedErrors = new Set();
     this.gameOverShown = false;
     this.lastGameOverState = null;
 
@@ -101,17 +120,20 @@ export class GameManager {
       DEFAULT_GAME_METADATA.blackjack,
       DEFAULT_GAME_METADATA['texas-holdem'],
       DEFAULT_GAME_METADATA['5-card-stud'],
-      DEFAULT_GAME_METADATA.baccarat
+      DEFAULT_GAME_METADATA.baccarat,
+      DEFAULT_GAME_METADATA['capture-the-flag']
     ]);
 
-    this.uiManager.setRoomJoinHandler((roomId) => this.joinGame(roomId));
+    this.uiManager.setRoomJoinHandler((roomId, options) => this.joinGame(roomId, options));
     this.uiManager.bindLobbyControls({
       availableGames: this.availableGames,
-      onReady: () => this.socket.emit('playerReady'),
-      onStartGame: () => this.socket.emit('startGame'),
+      onReady: () => this.request('playerReady'),
+      onStartGame: () => this.request('startGame'),
       onCreateGame: (game) => this.createGame(game),
-      onJoinGame: (roomCode) => this.joinGame(roomCode),
-      onLeaveRoom: () => this.leaveGame()
+      onJoinGame: (roomCode) => this.joinOnlineRoom(roomCode),
+      onLeaveRoom: () => this.leaveGame(),
+      onAddBot: (difficulty) => this.request('addBot', { difficulty }),
+      onRemoveBot: (botId) => this.request('removeBot', { botId })
     });
 
     this.setupSocketListeners();
@@ -140,24 +162,52 @@ export class GameManager {
       this.roomListVersion = payload.version || 0;
       this.uiManager.renderRoomList(payload.rooms || payload);
     });
-    this.socket.on('joinedMatchLobby', ({ room, yourId }) => {
+    this.socket.on('joinedMatchLobby', ({ room, yourId, spectating, promoted, returned, tournament }) => {
       console.log('Joined match lobby:', room, 'My ID:', yourId);
       this.myPlayerId = yourId;
+      if (returned || tournament) {
+        // The post-game vote ended the match, or the tournament moved us on to
+        // our next match; either way the previous game is over
+        this.destroyGameInstance();
+        this.gameState = null;
+        this.stateVersion = 0;
+        this.syncPending = false;
+        this.gameOverShown = false;
+        this.lastGameOverState = null;
+      }
+      if (returned) {
+        this.uiManager.showToast('Back in the match lobby. Ready up for the next game.', 'info');
+      } else if (tournament) {
+        this.uiManager.showToast(`Your tournament match (${tournament.matchId}) is starting.`, 'success');
+      } else if (promoted) {
+        this.uiManager.showToast('A seat opened up — you are now playing.', 'success');
+      } else if (spectating) {
+        this.uiManager.showToast('You are watching this room.', 'info');
+      }
       this.uiManager.updateMatchLobby(room, this.myPlayerId);
+      this.uiManager.updateRoomStatus(room);
+      this.uiManager.updateSpectators(room, this.myPlayerId);
+      this.uiManager.updateTurnTimer(room.turnTimer || null, this.myPlayerId);
       this.uiManager.setScoreboardVisibility(false);
       this.uiManager.showView('matchLobby');
     });
     this.socket.on('roomStateUpdate', (room) => {
       console.log('Room state update received:', room);
       this.uiManager.updateMatchLobby(room, this.myPlayerId);
+      this.uiManager.updateRoomStatus(room);
+      this.uiManager.updateSpectators(room, this.myPlayerId);
       this.syncCurrentPlayersWithRoom(room);
     });
-    this.socket.on('gameStart', ({ gameState, players, mode, gameId }) => {
+    this.socket.on('gameStart', ({ gameState, version, players, mode, gameId, allowUndo }) => {
       const normalizedState = this.normalizeGameState(gameState);
+      this.gameState = normalizedState;
+      this.stateVersion = version || 0;
+      this.syncPending = false;
       this.activeGameId = gameId || normalizedState?.id || this.activeGameId || 'checkers';
       this.currentPlayers = this.normalizePlayers(players);
       const myPlayer = this.currentPlayers?.[this.myPlayerId] || {};
       this.uiManager.showView('gameUI');
+      this.uiManager.elements.game.pauseUndoButton?.classList.toggle('hidden', !allowUndo);
       if (this.uiManager.elements.game.mode) {
         this.uiManager.elements.game.mode.textContent = mode === 'p2p' ? 'Online (P2P)' : 'LAN';
       }
@@ -198,7 +248,8 @@ export class GameManager {
       });
     });
     this.socket.on('gameStateUpdate', (payload = {}) => {
-      const nextState = this.normalizeGameState(payload);
+      const nextState = this.resolveStateUpdate(payload);
+      if (!nextState) return;
 
       if (this.gameInstance && typeof this.gameInstance.updateGameState === 'function') {
         this.gameInstance.updateGameState(nextState);
@@ -232,6 +283,30 @@ export class GameManager {
         this.lastGameOverState = null;
       }
     });
+    // Real-time games stream the simulated state at the server's snapshot rate
+    this.socket.on('gameStateSnapshot', ({ state, version } = {}) => {
+      if (!state) return;
+      this.gameState = state;
+      this.stateVersion = version || this.stateVersion;
+      if (this.gameInstance && typeof this.gameInstance.updateGameState === 'function') {
+        this.gameInstance.updateGameState(state);
+      }
+      if (state.score) {
+        this.uiManager.updateScoreboardDisplay(state.score, {
+          players: this.currentPlayers,
+          gameId: this.activeGameId
+        });
+      }
+    });
+    this.socket.on('turnTimer', ({ timer } = {}) => {
+      this.uiManager.updateTurnTimer(timer || null, this.myPlayerId);
+    });
+    this.socket.on('turnTimeout', ({ playerId, playerName } = {}) => {
+      const message = playerId === this.myPlayerId
+        ? 'You ran out of time - your turn was played for you.'
+        : `${playerName || 'A player'} ran out of time.`;
+      this.uiManager.showToast(message, 'warning');
+    });
     this.socket.on('roundEnd', (event = {}) => {
       const { outcome, winnerColor, winnerMarker, winnerName, seriesWinnerName, seriesWinnerId, score, redScore, blackScore } = event;
       let announcement;
@@ -283,6 +358,11 @@ export class GameManager {
       this.uiManager.showToast('Room has been closed', 'info');
     });
     this.socket.on('error', (errorPayload) => {
+      if (errorPayload?.action && this.expectedErrors.has(`${errorPayload.action}:${errorPayload.code}`)) {
+        errorPayload.handled = true;
+        return;
+      }
+
       // Handle both string errors and error objects
       let message = errorPayload;
       if (typeof errorPayload === 'object' && errorPayload !== null) {
@@ -291,15 +371,6 @@ export class GameManager {
 
       console.error('[GameManager] Server error:', errorPayload);
 
-      if (typeof message === 'string' && message.includes('does not exist')) {
-        const codeInput = this.uiManager.elements.lobby.onlineRoomCodeInput;
-        const roomCode = (codeInput?.value || '').trim().toUpperCase();
-        if (roomCode) {
-          this.createGame({ id: 'checkers', name: 'Checkers' }, roomCode, 'p2p');
-          return;
-        }
-      }
-
       // Show user-friendly error messages
       if (typeof message === 'string') {
         if (message.includes('Not your turn')) {
@@ -339,29 +410,67 @@ export class GameManager {
     });
   }
 
-  createGame(game, roomCode, mode = 'lan') {
-    if (!game) return;
+  // Emits a client event and resolves with the server's acknowledgement:
+  // { ok: true, ... } or { ok: false, error: { code, message } }. Error codes
+  // listed in `expect` are left to the caller instead of the error toast.
+  request(event, payload = {}, { expect = [] } = {}) {
+    const expected = expect.map(code => `${event}:${code}`);
+    expected.forEach(key => this.expectedErrors.add(key));
+    return new Promise((resolve) => {
+      this.socket.timeout(REQUEST_TIMEOUT_MS).emit(event, payload, (timeoutError, response) => {
+        expected.forEach(key => this.expectedErrors.delete(key));
+        if (timeoutError) {
+          resolve({ ok: false, error: { code: 'TIMEOUT', message: `No response to ${event}` } });
+          return;
+        }
+        resolve(response || { ok: false, error: { code: 'SERVER_ERROR', message: 'Empty response' } });
+      });
+    });
+  }
+
+  async createGame(game, roomCode, mode = 'lan') {
+    if (!game) return null;
     const selectedGame = game.id ? game : DEFAULT_GAME_METADATA.checkers;
     const payload = { gameType: selectedGame.id, mode };
     if (roomCode) {
       payload.roomCode = roomCode;
     }
-    this.socket.emit('createRoom', payload);
-    const modal = this.uiManager.elements.modals.createGame;
-    if (this.uiManager.modalManager && modal) {
-      this.uiManager.modalManager.closeModal(modal);
-    } else {
-      modal?.classList.add('hidden');
+    const response = await this.request('createRoom', payload);
+    if (response.ok) {
+      const modal = this.uiManager.elements.modals.createGame;
+      if (this.uiManager.modalManager && modal) {
+        this.uiManager.modalManager.closeModal(modal);
+      } else {
+        modal?.classList.add('hidden');
+      }
+    }
+    return response;
+  }
+
+  joinGame(roomId, { spectate = false } = {}) {
+    return this.request('joinRoom', { roomId, spectate });
+  }
+
+  // Joins the room behind an online room code, or opens it as a P2P room
+  // when nobody is hosting that code yet.
+  async joinOnlineRoom(roomCode) {
+    const response = await this.request('joinRoom', { roomId: roomCode }, { expect: ['ROOM_NOT_FOUND'] });
+    if (!response.ok && response.error?.code === 'ROOM_NOT_FOUND') {
+      return this.createGame(DEFAULT_GAME_METADATA.checkers, roomCode, 'p2p');
     }
+    return response;
   }
 
-  joinGame(roomId) {
-    this.socket.emit('joinRoom', { roomId });
+  undoMove() {
+    return this.request('undoMove');
   }
 
   leaveGame() {
     this.gameOverShown = false;
     this.lastGameOverState = null;
+    this.gameState = null;
+    this.stateVersion = 0;
+    this.syncPending = false;
 
     if (this.socket && this.socket.connected) {
       this.socket.emit('leaveRoom');
@@ -371,6 +480,9 @@ export class GameManager {
     this.currentPlayers = null;
     this.activeGameId = null;
     this.uiManager.syncCurrentPlayers(null);
+    this.uiManager.updateRoomStatus(null);
+    this.uiManager.updateSpectators(null);
+    this.uiManager.updateTurnTimer(null);
     this.uiManager.setScoreboardVisibility(false);
     this.uiManager.showView('mainLobby');
     this.uiManager.showToast('Returned to the main lobby.', 'info');
@@ -385,37 +497,46 @@ export class GameManager {
 
   startGame(config) {
     this.destroyGameInstance();
+    this.gameInstance = this.createScene(this.activeGameId, { ...config, playerId: this.myPlayerId });
 
-    // Determine which scene to use based on game type
-    const gameType = this.activeGameId;
+    if (typeof this.gameInstance.init === 'function') {
+      this.gameInstance.init();
+    }
+  }
+
+  /**
+   * Builds the scene that renders a game type. Also used by the replay viewer,
+   * which passes a null socket so the scene cannot submit moves.
+   */
+  createScene(gameType, config) {
     const gameMetadata = DEFAULT_GAME_METADATA[gameType];
 
+    if (gameMetadata?.category === 'action') {
+      return new CaptureTheFlagScene({
+        ...config,
+        containerId: 'game-container'
+      });
+    }
     if (gameMetadata?.category === 'casino') {
       // Use CasinoGameScene for casino games (blackjack, poker, etc.)
-      this.gameInstance = new CasinoGameScene({
+      return new CasinoGameScene({
         ...config,
-        playerId: this.myPlayerId,
         gameType: gameType,
         containerId: 'game-container'
       });
-    } else if (gameMetadata?.category === 'cards') {
+    }
+    if (gameMetadata?.category === 'cards') {
       // Use CardGameScene for card games
-      this.gameInstance = new CardGameScene({
-        ...config,
-        playerId: this.myPlayerId,
-        containerId: 'game-container'
-      });
-    } else {
-      // Use CheckersScene for board games (checkers, tic-tac-toe)
-      this.gameInstance = new CheckersScene({
+      return new CardGameScene({
         ...config,
         containerId: 'game-container'
       });
     }
-
-    if (typeof this.gameInstance.init === 'function') {
-      this.gameInstance.init();
-    }
+    // Use CheckersScene for board games (checkers, tic-tac-toe)
+    return new CheckersScene({
+      ...config,
+      containerId: 'game-container'
+    });
   }
 
   syncCurrentPlayersWithRoom(room) {
@@ -440,6 +561,30 @@ export class GameManager {
     return color.toUpperCase();
   }
 
+  // Full updates replace the state; deltas patch the version they were diffed
+  // against. A gap in the version chain asks the server for a full resync and
+  // drops deltas until it arrives.
+  resolveStateUpdate(payload) {
+    if (payload.type !== 'delta') {
+      if (typeof payload.version === 'number' && payload.version < this.stateVersion) return null;
+      this.gameState = this.normalizeGameState(payload);
+      this.stateVersion = payload.version || this.stateVersion;
+      this.syncPending = false;
+      return this.gameState;
+    }
+    if (payload.version <= this.stateVersion) return null;
+    if (!this.gameState || payload.fromVersion !== this.stateVersion) {
+      if (!this.syncPending) {
+        this.syncPending = true;
+        this.socket.emit('requestSync', { reason: 'desync' });
+      }
+      return null;
+    }
+    this.gameState = applyPatch(this.gameState, payload.delta?.changes);
+    this.stateVersion = payload.version;
+    return this.gameState;
+  }
+
   normalizeGameState(payload) {
     if (!payload) return {};
     if (payload.state && typeof payload.state === 'object') {
@@ -0,0 +1,61 @@
+// Matches the server's default house rules
+const DEFAULT_RULES = { decks: 6, dealerHitsSoft17: false, blackjackPayout: '3:2', doubleAfterSplit: true, surrender: true };
+
+/**
+ * Blackjack house rules. In the match lobby the host picks the number of decks
+ * in the shoe, whether the dealer hits soft 17, what a blackjack pays and
+ * whether doubling after a split and surrender are allowed (sent as the room's
+ * `gameSettings`, used from the next game).
+ */
+export class HouseRulesManager {
+  constructor(socket, uiManager, gameManager) {
+    this.socket = socket;
+    this.uiManager = uiManager;
+    this.gameManager = gameManager;
+    this.elements = uiManager.elements.houseRules;
+
+    this.bindControls();
+    this.socket.on('joinedMatchLobby', ({ room }) => this.updateRoom(room));
+    this.socket.on('roomStateUpdate', (room) => this.updateRoom(room));
+  }
+
+  bindControls() {
+    const { decksSelect, dealerRuleSelect, payoutSelect, doubleAfterSplitToggle, surrenderToggle } = this.elements;
+    decksSelect?.addEventListener('change', () => this.save({ decks: Number.parseInt(decksSelect.value, 10) }));
+    dealerRuleSelect?.addEventListener('change', () => this.save({ dealerHitsSoft17: dealerRuleSelect.value === 'h17' }));
+    payoutSelect?.addEventListener('change', () => this.save({ blackjackPayout: payoutSelect.value }));
+    doubleAfterSplitToggle?.addEventListener('change', () => this.save({ doubleAfterSplit: doubleAfterSplitToggle.checked }));
+    surrenderToggle?.addEventListener('change', () => this.save({ surrender: surrenderToggle.checked }));
+  }
+
+  async save(gameSettings) {
+    const response = await this.gameManager.request('updateRoomSettings', { gameSettings });
+    if (response.ok) {
+      this.showSettings(response.gameSettings);
+    }
+  }
+
+  showSettings(settings = {}) {
+    const { decksSelect, dealerRuleSelect, payoutSelect, doubleAfterSplitToggle, surrenderToggle } = this.elements;
+    const rules = { ...DEFAULT_RULES, ...settings };
+    if (decksSelect) decksSelect.value = String(rules.decks);
+    if (dealerRuleSelect) dealerRuleSelect.value = rules.dealerHitsSoft17 ? 'h17' : 's17';
+    if (payoutSelect) payoutSelect.value = rules.blackjackPayout;
+    if (doubleAfterSplitToggle) doubleAfterSplitToggle.checked = rules.doubleAfterSplit;
+    if (surrenderToggle) surrenderToggle.checked = rules.surrender;
+  }
+
+  updateRoom(room) {
+    const { settings, ...controls } = this.elements;
+    if (!room) return;
+    const isBlackjack = room.gameId === 'blackjack';
+    settings?.classList.toggle('hidden', !isBlackjack);
+    if (isBlackjack) {
+      this.showSettings(room.metadata?.gameSettings);
+      const isHost = room.hostId === this.gameManager.myPlayerId;
+      Object.values(controls).forEach((control) => {
+        if (control) control.disabled = !isHost;
+      });
+    }
+  }
+}
@@ -0,0 +1,120 @@
+const LEADERBOARD_LIMIT = 25;
+
+function createCell(tag, text, className) {
+  const cell = document.createElement(tag);
+  if (className) cell.className = className;
+  cell.textContent = text;
+  return cell;
+}
+
+function formatTrend(trend) {
+  if (trend > 0) return { text: `▲ ${trend}`, className: 'trend-up' };
+  if (trend < 0) return { text: `▼ ${Math.abs(trend)}`, className: 'trend-down' };
+  return { text: '–', className: '' };
+}
+
+/**
+ * Lobby leaderboard: the per-game rating table from /api/leaderboard. Ratings
+ * only change when a match finishes, so the table is loaded when a game is
+ * picked or the Refresh button is pressed.
+ */
+export class LeaderboardManager {
+  constructor(socket, uiManager, gameManager) {
+    this.socket = socket;
+    this.uiManager = uiManager;
+    this.gameManager = gameManager;
+    this.elements = uiManager.elements.leaderboard;
+    this.username = null;
+
+    this.bindControls();
+    this.setupSocketListeners();
+    this.populateGames();
+  }
+
+  bindControls() {
+    const { gameSelect, refreshButton } = this.elements;
+    gameSelect?.addEventListener('change', () => this.load());
+    refreshButton?.addEventListener('click', () => this.load());
+  }
+
+  setupSocketListeners() {
+    this.socket.on('availableGames', () => this.populateGames());
+    this.socket.on('identified', ({ username }) => {
+      this.username = username;
+      this.load();
+    });
+  }
+
+  populateGames() {
+    const { gameSelect } = this.elements;
+    if (!gameSelect) return;
+    const selected = gameSelect.value;
+    gameSelect.innerHTML = '';
+    // Games against the house are not rated
+    this.gameManager.availableGames
+      .filter((game) => game.minPlayers >= 2)
+      .forEach((game) => {
+        const option = document.createElement('option');
+        option.value = game.id;
+        option.textContent = game.name;
+        gameSelect.appendChild(option);
+      });
+    if (selected) {
+      gameSelect.value = selected;
+    }
+    if (gameSelect.value !== selected) {
+      this.load();
+    }
+  }
+
+  async load() {
+    const { gameSelect, list } = this.elements;
+    const gameId = gameSelect?.value;
+    if (!list || !gameId) return;
+    try {
+      const response = await fetch(`/api/leaderboard/${encodeURIComponent(gameId)}?limit=${LEADERBOARD_LIMIT}`);
+      if (!response.ok) {
+        throw new Error(`Unexpected status ${response.status}`);
+      }
+      const { players = [] } = await response.json();
+      if (gameSelect.value === gameId) {
+        this.render(players);
+      }
+    } catch (error) {
+      console.error('[Leaderboard] Failed to load leaderboard:', error);
+      list.innerHTML = '<p class="text-muted">The leaderboard is unavailable right now.</p>';
+    }
+  }
+
+  render(players) {
+    const { list } = this.elements;
+    if (!players.length) {
+      list.innerHTML = '<p class="text-muted">No rated games yet.</p>';
+      return;
+    }
+    const table = document.createElement('table');
+    table.className = 'leaderboard-table';
+    const header = document.createElement('tr');
+    ['#', 'Player', 'Rating', 'Trend', 'Games'].forEach((label) => header.appendChild(createCell('th', label)));
+    table.appendChild(header);
+
+    players.forEach((player) => {
+      const row = document.createElement('tr');
+      if (player.username === this.username) {
+        row.className = 'is-me';
+      }
+      const trend = formatTrend(player.trend);
+      const trendCell = createCell('td', trend.text, trend.className);
+      trendCell.title = `Last ${player.recent.length} games: ${player.recent.map((delta) => (delta > 0 ? `+${delta}` : delta)).join(', ')}`;
+      row.appendChild(createCell('td', String(player.rank)));
+      row.appendChild(createCell('td', player.username));
+      row.appendChild(createCell('td', String(player.rating)));
+      row.appendChild(trendCell);
+      row.appendChild(createCell('td', `${player.gamesPlayed} (${player.wins}W ${player.losses}L)`));
+      table.appendChild(row);
+    });
+
+    list.innerHTML = '';
+    list.appendChild(table);
+  }
+}
@@ -0,0 +1,79 @@
+const SESSION_MODES = ['cash', 'sitAndGo'];
+// Matches the server's defaults for each table mode
+const DEFAULT_HANDS_PER_LEVEL = { single: 0, cash: 0, sitAndGo: 10 };
+
+/**
+ * Hold'em table settings. In the match lobby the host picks a single hand, a
+ * cash game or a sit-and-go and how often the blinds rise (sent as the room's
+ * `gameSettings`, used from the next game); during a session the host can close
+ * the table, which ends it and calls off the hand in progress.
+ */
+export class PokerTableManager {
+  constructor(socket, uiManager, gameManager) {
+    this.socket = socket;
+    this.uiManager = uiManager;
+    this.gameManager = gameManager;
+    this.elements = uiManager.elements.pokerTable;
+
+    this.bindControls();
+    this.socket.on('joinedMatchLobby', ({ room }) => this.updateRoom(room));
+    this.socket.on('roomStateUpdate', (room) => this.updateRoom(room));
+    this.uiManager.onViewChange((viewName) => {
+      if (viewName === 'mainLobby') {
+        this.elements.closeButton?.classList.add('hidden');
+      }
+    });
+  }
+
+  bindControls() {
+    const { modeSelect, handsPerLevelInput, closeButton } = this.elements;
+    modeSelect?.addEventListener('change', () => {
+      const pokerMode = modeSelect.value;
+      handsPerLevelInput.value = DEFAULT_HANDS_PER_LEVEL[pokerMode];
+      this.save({ pokerMode, handsPerLevel: DEFAULT_HANDS_PER_LEVEL[pokerMode] });
+    });
+    handsPerLevelInput?.addEventListener('change', () => {
+      const handsPerLevel = Number.parseInt(handsPerLevelInput.value, 10);
+      if (Number.isInteger(handsPerLevel) && handsPerLevel >= 0) {
+        this.save({ handsPerLevel });
+      }
+    });
+    closeButton?.addEventListener('click', async () => {
+      if (!confirm('Close the table? The hand in progress is called off and the session ends.')) return;
+      const response = await this.gameManager.request('submitMove', { type: 'closeTable', payload: {} });
+      if (response.ok) {
+        closeButton.classList.add('hidden');
+      }
+    });
+  }
+
+  async save(gameSettings) {
+    const response = await this.gameManager.request('updateRoomSettings', { gameSettings });
+    if (response.ok) {
+      this.showSettings(response.gameSettings);
+    }
+  }
+
+  showSettings(settings = {}) {
+    const { modeSelect, handsPerLevelInput } = this.elements;
+    const pokerMode = settings.pokerMode || 'single';
+    if (modeSelect) modeSelect.value = pokerMode;
+    if (handsPerLevelInput) handsPerLevelInput.value = settings.handsPerLevel ?? DEFAULT_HANDS_PER_LEVEL[pokerMode];
+  }
+
+  updateRoom(room) {
+    const { settings, modeSelect, handsPerLevelInput, closeButton } = this.elements;
+    if (!room) return;
+    const isHoldem = room.gameId === 'texas-holdem';
+    const isHost = room.hostId === this.gameManager.myPlayerId;
+    settings?.classList.toggle('hidden', !isHoldem);
+    if (isHoldem) {
+      this.showSettings(room.metadata?.gameSettings);
+      if (modeSelect) modeSelect.disabled = !isHost;
+      if (handsPerLevelInput) handsPerLevelInput.disabled = !isHost;
+    }
+    const state = this.gameManager.gameState;
+    const inSession = isHoldem && room.isGameActive && SESSION_MODES.includes(state?.mode) && !state.isComplete;
+    closeButton?.classList.toggle('hidden', !(inSession && isHost));
+  }
+}
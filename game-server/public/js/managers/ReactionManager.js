@@ -0,0 +1,109 @@
+// Same ids as the server's REACTIONS
+const REACTIONS = {
+  gg: 'GG',
+  'nice-hand': 'Nice hand!',
+  'good-move': 'Good move!',
+  'well-played': 'Well played',
+  oops: 'Oops!',
+  laugh: '😂',
+  wow: '😮',
+  clap: '👏',
+  fire: '🔥',
+  cry: '😢'
+};
+// Matches the server's per-player cooldown
+const REACTION_COOLDOWN_MS = 3000;
+
+/**
+ * Quick reactions during play. Seated players fire them from the bar under the
+ * board; the server relays them to the room as `playerReaction` and the scene
+ * floats them over the sender's seat (or, for scenes without seats, they are
+ * shown as a toast). The host can turn them off from the match lobby.
+ */
+export class ReactionManager {
+  constructor(socket, uiManager, gameManager) {
+    this.socket = socket;
+    this.uiManager = uiManager;
+    this.gameManager = gameManager;
+    this.elements = uiManager.elements.reactions;
+    this.cooldownTimer = null;
+
+    this.renderBar();
+    this.bindControls();
+    this.setupSocketListeners();
+    // Out of the room (or watching a replay) there is no one to react to
+    this.uiManager.onViewChange((viewName) => {
+      if (viewName === 'mainLobby') {
+        this.elements.bar?.classList.add('hidden');
+      }
+    });
+  }
+
+  renderBar() {
+    const { bar } = this.elements;
+    if (!bar) return;
+    Object.entries(REACTIONS).forEach(([reaction, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn';
+      button.textContent = label;
+      button.addEventListener('click', () => this.send(reaction));
+      bar.appendChild(button);
+    });
+  }
+
+  bindControls() {
+    const { toggle } = this.elements;
+    toggle?.addEventListener('change', async () => {
+      const response = await this.gameManager.request('updateRoomSettings', { reactionsEnabled: toggle.checked });
+      if (!response.ok) {
+        toggle.checked = !toggle.checked;
+      }
+    });
+  }
+
+  setupSocketListeners() {
+    this.socket.on('joinedMatchLobby', ({ room }) => this.updateRoom(room));
+    this.socket.on('roomStateUpdate', (room) => this.updateRoom(room));
+    this.socket.on('playerReaction', ({ playerId, displayName, reaction }) => {
+      const label = REACTIONS[reaction];
+      if (!label) return;
+      const scene = this.gameManager.gameInstance;
+      if (typeof scene?.showReaction === 'function') {
+        scene.showReaction(playerId, label);
+      } else {
+        this.uiManager.showToast(`${displayName}: ${label}`, 'info');
+      }
+    });
+  }
+
+  updateRoom(room) {
+    const { bar, toggle } = this.elements;
+    if (!room) return;
+    const enabled = room.metadata?.reactionsEnabled !== false;
+    const myId = this.gameManager.myPlayerId;
+    const seated = (room.players || []).some((player) => player.id === myId);
+    if (toggle) {
+      toggle.checked = enabled;
+      toggle.disabled = room.hostId !== myId;
+    }
+    bar?.classList.toggle('hidden', !enabled || !seated);
+  }
+
+  async send(reaction) {
+    if (this.cooldownTimer) return;
+    const response = await this.gameManager.request('sendReaction', { reaction }, { expect: ['REACTION_COOLDOWN'] });
+    if (!response.ok && response.error.code !== 'REACTION_COOLDOWN') return;
+    this.setButtonsDisabled(true);
+    this.cooldownTimer = setTimeout(() => {
+      this.cooldownTimer = null;
+      this.setButtonsDisabled(false);
+    }, REACTION_COOLDOWN_MS);
+  }
+
+  setButtonsDisabled(disabled) {
+    this.elements.bar?.querySelectorAll('button').forEach((button) => {
+      button.disabled = disabled;
+    });
+  }
+}
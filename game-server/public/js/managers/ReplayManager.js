@@ -0,0 +1,291 @@
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+
+const AUTOPLAY_INTERVAL_MS = 1000;
+
+function formatDate(timestamp) {
+  if (!timestamp) return '';
+  try {
+    return new Date(timestamp).toLocaleString();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Step-through viewer for recorded matches. The server rebuilds the match from
+ * its seed and command log and streams frames over the socket; each frame is
+ * rendered with the same scene the live game uses, without a socket, so nothing
+ * can be submitted from a replay.
+ */
+export class ReplayManager {
+  constructor(socket, uiManager, gameManager) {
+    this.socket = socket;
+    this.uiManager = uiManager;
+    this.gameManager = gameManager;
+    this.elements = uiManager.elements.replay;
+    this.replay = null;
+    this.players = null;
+    this.frame = null;
+    this.scene = null;
+    this.seatId = null;
+    this.autoplayTimer = null;
+
+    this.bindControls();
+    this.setupSocketListeners();
+  }
+
+  bindControls() {
+    const { openButton, modal, closeButtons, firstButton, prevButton, playButton, nextButton, lastButton, seatSelect, exitButton } = this.elements;
+
+    openButton?.addEventListener('click', () => {
+      modal?.classList.remove('hidden');
+      this.loadReplays();
+    });
+    closeButtons.forEach((button) => {
+      button?.addEventListener('click', () => modal?.classList.add('hidden'));
+    });
+    modal?.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.classList.add('hidden');
+      }
+    });
+
+    firstButton?.addEventListener('click', () => this.stepTo(0));
+    prevButton?.addEventListener('click', () => this.stepBy(-1));
+    nextButton?.addEventListener('click', () => this.stepBy(1));
+    lastButton?.addEventListener('click', () => this.stepTo((this.frame?.frameCount || 1) - 1));
+    playButton?.addEventListener('click', () => this.toggleAutoplay());
+    seatSelect?.addEventListener('change', () => {
+      this.seatId = seatSelect.value || null;
+      this.renderFrame({ rebuildScene: true });
+    });
+    exitButton?.addEventListener('click', () => this.closeReplay());
+  }
+
+  setupSocketListeners() {
+    this.socket.on('replayLoaded', (replay) => {
+      this.replay = replay;
+      this.players = this.gameManager.normalizePlayers(replay.players) || {};
+      this.seatId = replay.players?.[0]?.id || null;
+      this.destroyScene();
+      this.populateSeats();
+
+      this.elements.modal?.classList.add('hidden');
+      this.setReplayMode(true);
+      this.uiManager.showView('gameUI');
+      if (this.uiManager.elements.game.mode) {
+        this.uiManager.elements.game.mode.textContent = 'Replay';
+      }
+      this.uiManager.setGameType(replay.gameId);
+      this.uiManager.syncCurrentPlayers(this.players);
+      this.uiManager.setScoreboardVisibility(true);
+    });
+
+    this.socket.on('replayFrame', (frame) => {
+      if (!this.replay || frame.replayId !== this.replay.id) {
+        return;
+      }
+      this.frame = frame;
+      this.renderFrame();
+      if (frame.index >= frame.frameCount - 1) {
+        this.stopAutoplay();
+      }
+    });
+  }
+
+  async loadReplays() {
+    const { list } = this.elements;
+    if (!list) return;
+    list.innerHTML = '<p class="text-muted">Loading…</p>';
+    try {
+      const response = await fetch('/api/replays?limit=50');
+      if (!response.ok) {
+        throw new Error(`Unexpected status ${response.status}`);
+      }
+      const { replays = [] } = await response.json();
+      this.renderReplayList(replays);
+    } catch (error) {
+      console.error('[Replay] Failed to load replays:', error);
+      list.innerHTML = '<p class="text-muted">Replays are unavailable right now.</p>';
+    }
+  }
+
+  renderReplayList(replays) {
+    const { list } = this.elements;
+    if (!replays.length) {
+      list.innerHTML = '<p class="text-muted">No recorded matches yet.</p>';
+      return;
+    }
+    list.innerHTML = '';
+    replays.forEach((replay) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'room-item';
+      wrapper.style.display = 'grid';
+      wrapper.style.gridTemplateColumns = '1fr auto';
+      wrapper.style.gap = 'var(--space-3)';
+      wrapper.style.alignItems = 'center';
+
+      const details = document.createElement('div');
+      const title = document.createElement('p');
+      title.style.margin = '0';
+      title.style.fontWeight = '600';
+      title.style.fontSize = '11px';
+      title.textContent = `${replay.gameId} · ${replay.commandCount} moves${replay.completed ? '' : ' (unfinished)'}`;
+      const meta = document.createElement('p');
+      meta.style.margin = '0';
+      meta.style.fontSize = '9px';
+      meta.style.color = 'var(--win2k-muted)';
+      const names = (replay.players || []).map((player) => player.displayName || player.id).join(', ');
+      meta.textContent = `${names} — ${formatDate(replay.startedAt)}`;
+      details.appendChild(title);
+      details.appendChild(meta);
+
+      const watchButton = document.createElement('button');
+      watchButton.className = 'btn btn-primary';
+      watchButton.type = 'button';
+      watchButton.textContent = 'Watch';
+      watchButton.style.minWidth = '60px';
+      watchButton.style.fontSize = '9px';
+      watchButton.style.padding = 'var(--space-1) var(--space-2)';
+      watchButton.addEventListener('click', () => this.openReplay(replay.id));
+
+      wrapper.appendChild(details);
+      wrapper.appendChild(watchButton);
+      list.appendChild(wrapper);
+    });
+  }
+
+  openReplay(replayId) {
+    if (this.gameManager.gameInstance) {
+      this.uiManager.showToast('Leave your current game before watching a replay.', 'warning');
+      return;
+    }
+    this.socket.emit('openReplay', { replayId });
+  }
+
+  populateSeats() {
+    const { seatSelect } = this.elements;
+    if (!seatSelect) return;
+    seatSelect.innerHTML = '';
+    (this.replay.players || []).forEach((player) => {
+      const option = document.createElement('option');
+      option.value = player.id;
+      option.textContent = player.displayName || player.id;
+      seatSelect.appendChild(option);
+    });
+    seatSelect.value = this.seatId || '';
+  }
+
+  stepTo(index) {
+    if (!this.replay || !this.frame) return;
+    const last = this.frame.frameCount - 1;
+    const target = Math.min(Math.max(index, 0), last);
+    if (target !== this.frame.index) {
+      this.socket.emit('replayStep', { index: target });
+    }
+  }
+
+  stepBy(delta) {
+    if (!this.frame) return;
+    this.stepTo(this.frame.index + delta);
+  }
+
+  toggleAutoplay() {
+    if (this.autoplayTimer) {
+      this.stopAutoplay();
+      return;
+    }
+    if (!this.frame) return;
+    if (this.frame.index >= this.frame.frameCount - 1) {
+      this.stepTo(0);
+    }
+    this.autoplayTimer = setInterval(() => this.stepBy(1), AUTOPLAY_INTERVAL_MS);
+    if (this.elements.playButton) {
+      this.elements.playButton.textContent = 'Pause';
+    }
+  }
+
+  stopAutoplay() {
+    if (this.autoplayTimer) {
+      clearInterval(this.autoplayTimer);
+      this.autoplayTimer = null;
+    }
+    if (this.elements.playButton) {
+      this.elements.playButton.textContent = 'Play';
+    }
+  }
+
+  renderFrame({ rebuildScene = false } = {}) {
+    if (!this.frame) return;
+    const { state, index, frameCount, command } = this.frame;
+    const gameId = this.replay.gameId;
+
+    try {
+      if (rebuildScene) {
+        this.destroyScene();
+      }
+      if (!this.scene) {
+        const seat = this.players?.[this.seatId] || {};
+        this.scene = this.gameManager.createScene(gameId, {
+          socket: null,
+          playerId: this.seatId,
+          myColor: seat.color,
+          gameState: state
+        });
+        this.scene.init?.();
+      } else {
+        this.scene.updateGameState?.(state);
+      }
+    } catch (error) {
+      ErrorHandler.handle(error, { source: 'replay', action: 'renderFrame' });
+    }
+
+    const context = { players: this.players, gameId };
+    this.uiManager.updateTurnIndicator(state, context);
+    if (state.score) {
+      this.uiManager.updateScoreboardDisplay(state.score, context);
+    }
+
+    if (this.elements.stepLabel) {
+      this.elements.stepLabel.textContent = `Step ${index} / ${frameCount - 1}`;
+    }
+    if (this.elements.commandLabel) {
+      this.elements.commandLabel.textContent = this.describeCommand(command);
+    }
+  }
+
+  describeCommand(command) {
+    if (!command) return 'Initial deal';
+    const player = this.players?.[command.playerId];
+    const actor = player?.displayName || (player?.color && this.gameManager.formatColorLabel(player.color)) || 'Player';
+    return command.undo ? `${actor} undid ${command.type}` : `${actor}: ${command.type}`;
+  }
+
+  setReplayMode(active) {
+    const liveControls = document.querySelector('#game-ui .match-controls:not(#replay-controls)');
+    this.elements.controls?.classList.toggle('hidden', !active);
+    liveControls?.classList.toggle('hidden', active);
+  }
+
+  destroyScene() {
+    if (this.scene && typeof this.scene.destroy === 'function') {
+      this.scene.destroy();
+    }
+    this.scene = null;
+  }
+
+  closeReplay() {
+    this.stopAutoplay();
+    this.destroyScene();
+    if (this.socket.connected) {
+      this.socket.emit('closeReplay');
+    }
+    this.replay = null;
+    this.players = null;
+    this.frame = null;
+    this.setReplayMode(false);
+    this.uiManager.syncCurrentPlayers(null);
+    this.uiManager.setScoreboardVisibility(false);
+    this.uiManager.showView('mainLobby');
+  }
+}
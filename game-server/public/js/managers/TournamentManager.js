@@ -0,0 +1,358 @@
+const FORMAT_LABELS = {
+  'single-elimination': 'Single elimination',
+  'double-elimination': 'Double elimination',
+  'round-robin': 'Round robin'
+};
+
+const STATUS_LABELS = {
+  registration: 'Registration open',
+  running: 'In progress',
+  complete: 'Finished'
+};
+
+const SECTION_TITLES = {
+  winners: 'Winners bracket',
+  losers: 'Losers bracket',
+  final: 'Grand final',
+  league: 'Fixtures'
+};
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function createButton(label, className, onClick) {
+  const button = createElement('button', `btn ${className}`, label);
+  button.type = 'button';
+  button.style.fontSize = '9px';
+  button.style.padding = 'var(--space-1) var(--space-2)';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Tournament browser and live bracket. The server pushes every change as
+ * `tournamentUpdated`, so the open view re-renders as matches finish; players
+ * are moved into their match rooms by the server when a match is ready.
+ */
+export class TournamentManager {
+  constructor(socket, uiManager, gameManager) {
+    this.socket = socket;
+    this.uiManager = uiManager;
+    this.gameManager = gameManager;
+    this.elements = uiManager.elements.tournament;
+    this.tournaments = new Map();
+    this.selectedId = null;
+
+    this.bindControls();
+    this.setupSocketListeners();
+  }
+
+  bindControls() {
+    const { openButton, modal, closeButtons, createForm, backButton } = this.elements;
+
+    openButton?.addEventListener('click', () => {
+      modal?.classList.remove('hidden');
+      this.populateGames();
+      this.loadTournaments();
+    });
+    closeButtons.forEach((button) => {
+      button?.addEventListener('click', () => modal?.classList.add('hidden'));
+    });
+    modal?.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.classList.add('hidden');
+      }
+    });
+    createForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createTournament();
+    });
+    backButton?.addEventListener('click', () => this.select(null));
+  }
+
+  setupSocketListeners() {
+    this.socket.on('tournamentUpdated', (tournament) => {
+      this.tournaments.set(tournament.id, tournament);
+      this.render();
+    });
+
+    this.socket.on('tournamentRemoved', ({ tournamentId }) => {
+      this.tournaments.delete(tournamentId);
+      if (this.selectedId === tournamentId) {
+        this.selectedId = null;
+      }
+      this.render();
+    });
+
+    this.socket.on('joinedMatchLobby', ({ tournament }) => {
+      if (tournament) {
+        this.elements.modal?.classList.add('hidden');
+      }
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal && !this.elements.modal.classList.contains('hidden');
+  }
+
+  populateGames() {
+    const { gameSelect } = this.elements;
+    if (!gameSelect) return;
+    const selected = gameSelect.value;
+    gameSelect.innerHTML = '';
+    // Every tournament match is one-on-one
+    this.gameManager.availableGames
+      .filter((game) => game.minPlayers === 2)
+      .forEach((game) => {
+        const option = createElement('option', null, game.name);
+        option.value = game.id;
+        gameSelect.appendChild(option);
+      });
+    if (selected) {
+      gameSelect.value = selected;
+    }
+  }
+
+  async loadTournaments() {
+    const response = await this.gameManager.request('getTournaments');
+    if (!response.ok) {
+      this.elements.list.innerHTML = '<p class="text-muted">Tournaments are unavailable right now.</p>';
+      return;
+    }
+    this.tournaments = new Map(response.tournaments.map((tournament) => [tournament.id, tournament]));
+    this.render();
+  }
+
+  async createTournament() {
+    const { gameSelect, formatSelect, nameInput } = this.elements;
+    if (!gameSelect?.value) {
+      this.uiManager.showToast('Pick a game for the tournament.', 'warning');
+      return;
+    }
+    const response = await this.gameManager.request('createTournament', {
+      gameType: gameSelect.value,
+      format: formatSelect?.value,
+      name: nameInput?.value.trim() || undefined
+    });
+    if (response.ok) {
+      nameInput.value = '';
+      this.select(response.tournamentId);
+    }
+  }
+
+  async act(event, tournamentId) {
+    const response = await this.gameManager.request(event, { tournamentId });
+    if (response.ok && event === 'leaveTournament' && this.selectedId === tournamentId) {
+      this.select(null);
+    }
+  }
+
+  async watchMatch(roomId) {
+    if (this.gameManager.gameInstance) {
+      this.uiManager.showToast('Leave your current game before watching a match.', 'warning');
+      return;
+    }
+    const response = await this.gameManager.joinGame(roomId, { spectate: true });
+    if (response.ok) {
+      this.elements.modal?.classList.add('hidden');
+    }
+  }
+
+  select(tournamentId) {
+    this.selectedId = tournamentId;
+    this.render();
+  }
+
+  render() {
+    if (!this.isOpen()) return;
+    const { browser, detail } = this.elements;
+    const tournament = this.selectedId ? this.tournaments.get(this.selectedId) : null;
+    browser?.classList.toggle('hidden', Boolean(tournament));
+    detail?.classList.toggle('hidden', !tournament);
+    if (tournament) {
+      this.renderDetail(tournament);
+    } else {
+      this.renderList();
+    }
+  }
+
+  renderList() {
+    const { list } = this.elements;
+    if (!list) return;
+    const tournaments = [...this.tournaments.values()].sort((a, b) => b.createdAt - a.createdAt);
+    if (!tournaments.length) {
+      list.innerHTML = '<p class="text-muted">No tournaments yet. Create one!</p>';
+      return;
+    }
+    list.innerHTML = '';
+    tournaments.forEach((tournament) => {
+      const wrapper = createElement('div', 'room-item');
+      wrapper.style.display = 'grid';
+      wrapper.style.gridTemplateColumns = '1fr auto';
+      wrapper.style.gap = 'var(--space-3)';
+      wrapper.style.alignItems = 'center';
+      wrapper.addEventListener('click', () => this.select(tournament.id));
+
+      const details = createElement('div');
+      details.appendChild(createElement('h3', null, tournament.name));
+      details.appendChild(createElement('p', null, [
+        this.gameName(tournament.gameId),
+        FORMAT_LABELS[tournament.format] || tournament.format,
+        `${tournament.players.length} players`,
+        STATUS_LABELS[tournament.status] || tournament.status
+      ].join(' · ')));
+
+      const actions = createElement('div');
+      actions.style.display = 'flex';
+      actions.style.gap = 'var(--space-2)';
+      this.actionButtons(tournament).forEach((button) => actions.appendChild(button));
+
+      wrapper.appendChild(details);
+      wrapper.appendChild(actions);
+      list.appendChild(wrapper);
+    });
+  }
+
+  actionButtons(tournament) {
+    const myId = this.gameManager.myPlayerId;
+    const registered = tournament.players.some((player) => player.id === myId);
+    const isHost = tournament.hostId === myId;
+    const buttons = [];
+    const add = (label, className, event) => {
+      buttons.push(createButton(label, className, (e) => {
+        e.stopPropagation();
+        this.act(event, tournament.id);
+      }));
+    };
+    if (tournament.status === 'registration') {
+      if (registered) {
+        add('Leave', 'btn-secondary', 'leaveTournament');
+      } else {
+        add('Join', 'btn-primary', 'joinTournament');
+      }
+      if (isHost) {
+        add('Start', 'btn-primary', 'startTournament');
+      }
+    }
+    if (isHost && tournament.status !== 'complete') {
+      add('Cancel', 'btn-secondary', 'cancelTournament');
+    }
+    return buttons;
+  }
+
+  renderDetail(tournament) {
+    const { detailTitle, detailStatus, bracket } = this.elements;
+    detailTitle.textContent = tournament.name;
+    const champion = tournament.players.find((player) => player.id === tournament.championId);
+    detailStatus.textContent = champion
+      ? `Champion: ${champion.displayName}`
+      : `${this.gameName(tournament.gameId)} · ${FORMAT_LABELS[tournament.format] || tournament.format} · ${STATUS_LABELS[tournament.status] || tournament.status}`;
+
+    bracket.innerHTML = '';
+    const actions = this.actionButtons(tournament);
+    if (actions.length) {
+      const row = createElement('div');
+      row.style.display = 'flex';
+      row.style.gap = 'var(--space-2)';
+      actions.forEach((button) => row.appendChild(button));
+      bracket.appendChild(row);
+    }
+
+    if (!tournament.matches.length) {
+      const entrants = createElement('div', 'bracket-section');
+      entrants.appendChild(createElement('h3', null, `Registered players (${tournament.players.length})`));
+      tournament.players.forEach((player) => {
+        entrants.appendChild(createElement('div', 'bracket-player', player.displayName));
+      });
+      bracket.appendChild(entrants);
+      return;
+    }
+
+    if (tournament.standings) {
+      bracket.appendChild(this.renderStandings(tournament));
+    }
+    ['winners', 'losers', 'final', 'league'].forEach((section) => {
+      const matches = tournament.matches.filter((match) => match.bracket === section);
+      if (matches.length) {
+        bracket.appendChild(this.renderSection(section, matches));
+      }
+    });
+  }
+
+  renderSection(section, matches) {
+    const container = createElement('div', 'bracket-section');
+    container.appendChild(createElement('h3', null, SECTION_TITLES[section]));
+    const rounds = createElement('div', 'bracket-rounds');
+    const roundNumbers = [...new Set(matches.map((match) => match.round))];
+    roundNumbers.forEach((round) => {
+      const column = createElement('div', 'bracket-round');
+      column.appendChild(createElement('h4', null, section === 'final' && round === 2 ? 'Reset' : `Round ${round}`));
+      matches
+        .filter((match) => match.round === round)
+        .forEach((match) => column.appendChild(this.renderMatch(match)));
+      rounds.appendChild(column);
+    });
+    container.appendChild(rounds);
+    return container;
+  }
+
+  renderMatch(match) {
+    const card = createElement('div', `bracket-match is-${match.status}`);
+    match.players.forEach((player) => {
+      let label = 'TBD';
+      let className = 'bracket-player is-pending';
+      if (player?.bye) {
+        label = 'Bye';
+      } else if (player) {
+        label = player.displayName;
+        className = match.winnerId && match.winnerId === player.id ? 'bracket-player is-winner' : 'bracket-player';
+      }
+      const row = createElement('div', className);
+      row.appendChild(createElement('span', null, label));
+      if (player?.id && match.winnerId === player.id) {
+        row.appendChild(createElement('span', null, '✓'));
+      }
+      card.appendChild(row);
+    });
+
+    const notes = [];
+    if (match.status === 'playing') notes.push('Live');
+    if (match.status === 'skipped') notes.push('Not needed');
+    if (match.draw) notes.push('Draw');
+    if (match.forfeit) notes.push('Forfeit');
+    if (match.replays) notes.push(`Replay ${match.replays}`);
+    if (notes.length) {
+      card.appendChild(createElement('div', 'bracket-match-status', notes.join(' · ')));
+    }
+    if (match.status === 'playing' && match.roomId) {
+      card.appendChild(createButton('Watch', 'btn-secondary', () => this.watchMatch(match.roomId)));
+    }
+    return card;
+  }
+
+  renderStandings(tournament) {
+    const names = new Map(tournament.players.map((player) => [player.id, player.displayName]));
+    const container = createElement('div', 'bracket-section');
+    container.appendChild(createElement('h3', null, 'Standings'));
+    const table = createElement('table', 'standings-table');
+    const header = createElement('tr');
+    ['#', 'Player', 'P', 'W', 'D', 'L', 'Pts'].forEach((label) => header.appendChild(createElement('th', null, label)));
+    table.appendChild(header);
+    tournament.standings.forEach((row, index) => {
+      const tr = createElement('tr');
+      [index + 1, names.get(row.playerId) || 'Player', row.played, row.wins, row.draws, row.losses, row.points]
+        .forEach((value) => tr.appendChild(createElement('td', null, String(value))));
+      table.appendChild(tr);
+    });
+    container.appendChild(table);
+    return container;
+  }
+
+  gameName(gameId) {
+    return this.gameManager.availableGames.find((game) => game.id === gameId)?.name || gameId;
+  }
+}
@@ -8,6 +8,7 @@ import { createProfileUI } from '../ui/profile.js';
 import { createLobbyUI } from '../ui/lobby.js';
 import { createGameUI } from '../ui/game.js';
 import { createModalManager } from '../ui/modalManager.js';
+import { describeRoomStatus, describeSpectators, describeTurnTimer } from '../ui/roomStatus.js';
 
 function getLocalStorageItem(key) {
   try {
@@ -35,12 +36,21 @@ export class UIManager {
     this.lobbyUI = createLobbyUI(this.elements, this.toast, this.modalManager);
     this.gameUI = createGameUI(this.elements, this.modalManager);
     this.profileManager = null;
+    this.roomStatus = null;
+    this.roomStatusTimer = null;
+    this.turnTimer = null;
+    this.turnTimerInterval = null;
+    this.viewListeners = [];
   }
 
   setProfileManager(manager) {
     this.profileManager = manager;
   }
 
+  onViewChange(listener) {
+    this.viewListeners.push(listener);
+  }
+
   showView(viewName) {
     const { views = {}, modals = {}, lobby = {} } = this.elements || {};
     Object.values(views || {}).forEach((view) => {
@@ -70,6 +80,8 @@ export class UIManager {
         gameOverModal.classList.add('hidden');
       }
     }
+
+    this.viewListeners.forEach((listener) => listener(viewName));
   }
 
   showToast(message, variant = 'info', options = {}) {
@@ -110,6 +122,81 @@ export class UIManager {
     }
   }
 
+  /**
+   * Shows the room's lifecycle state in the match lobby and above the game
+   * board, ticking the "starting in N…" countdown locally. Pass null on leave.
+   */
+  updateRoomStatus(room) {
+    this.roomStatus = room && room.status
+      ? { status: room.status, statusDetails: room.statusDetails, players: room.players }
+      : null;
+    this.renderRoomStatus();
+
+    const counting = this.roomStatus?.status === 'STARTING';
+    if (counting && !this.roomStatusTimer) {
+      this.roomStatusTimer = setInterval(() => this.renderRoomStatus(), 250);
+    } else if (!counting && this.roomStatusTimer) {
+      clearInterval(this.roomStatusTimer);
+      this.roomStatusTimer = null;
+    }
+  }
+
+  renderRoomStatus() {
+    const room = this.roomStatus;
+    const text = room ? describeRoomStatus(room) : '';
+    const { statusText } = this.elements.matchLobby;
+    if (statusText) {
+      statusText.textContent = text || describeRoomStatus({ status: 'LOBBY' });
+    }
+    const banner = this.elements.game.roomStatus;
+    if (banner) {
+      const showBanner = Boolean(text) && room.status !== 'LOBBY';
+      banner.textContent = showBanner ? text : '';
+      banner.classList.toggle('hidden', !showBanner);
+    }
+  }
+
+  /**
+   * Shows who is watching the room, in the match lobby and under the game's
+   * room status. Pass null to clear it.
+   */
+  updateSpectators(room, myPlayerId) {
+    const text = room ? describeSpectators(room, myPlayerId) : '';
+    [this.elements.matchLobby.spectatorText, this.elements.game.spectatorStatus].forEach((element) => {
+      if (!element) return;
+      element.textContent = text;
+      element.classList.toggle('hidden', !text);
+    });
+  }
+
+  /**
+   * Shows the room's turn clock under the room status, counting down locally
+   * from the server's remainingMs. Pass null when no clock is running.
+   */
+  updateTurnTimer(timer, myPlayerId) {
+    this.turnTimer = timer ? { ...timer, endsAt: Date.now() + timer.remainingMs, myPlayerId } : null;
+    this.renderTurnTimer();
+
+    const counting = Boolean(this.turnTimer?.running);
+    if (counting && !this.turnTimerInterval) {
+      this.turnTimerInterval = setInterval(() => this.renderTurnTimer(), 250);
+    } else if (!counting && this.turnTimerInterval) {
+      clearInterval(this.turnTimerInterval);
+      this.turnTimerInterval = null;
+    }
+  }
+
+  renderTurnTimer() {
+    const element = this.elements.game.turnTimer;
+    if (!element) return;
+    const timer = this.turnTimer;
+    const text = describeTurnTimer(timer, this.roomStatus, timer?.myPlayerId);
+    element.textContent = text;
+    element.classList.toggle('hidden', !text);
+    const seconds = timer?.running ? (timer.endsAt - Date.now()) / 1000 : Infinity;
+    element.classList.toggle('urgent', seconds <= 5);
+  }
+
   updateMatchLobby(room, myPlayerId) {
     if (!room || typeof room !== 'object') {
       console.warn('Received invalid room payload for lobby update.', room);
@@ -140,7 +227,8 @@ export class UIManager {
       gameType: room.gameType || room.gameName || room.metadata?.name || 'Match',
       players: normalizedPlayers,
       hostId: room.hostId || room.host?.id || null,
-      maxPlayers: room.maxPlayers || room.playerLimit || Object.keys(normalizedPlayers).length || 2
+      maxPlayers: room.maxPlayers || room.playerLimit || Object.keys(normalizedPlayers).length || 2,
+      supportsBots: Boolean(room.supportsBots)
     };
 
     this.lobbyUI.updateMatchLobby(normalizedRoom, myPlayerId, (player, fallback) =>
@@ -23,13 +23,19 @@ export function cacheElements() {
     },
     matchLobby: {
       title: document.getElementById('match-lobby-gametype'),
+      statusText: document.getElementById('match-lobby-status'),
+      spectatorText: document.getElementById('match-lobby-spectators'),
       player1Card: document.getElementById('player1-card'),
       player1Status: document.getElementById('player1-status'),
       player2Card: document.getElementById('player2-card'),
       player2Status: document.getElementById('player2-status'),
       readyButton: document.getElementById('ready-btn'),
       startGameButton: document.getElementById('start-game-btn'),
-      leaveRoomButton: document.getElementById('leave-room-btn')
+      leaveRoomButton: document.getElementById('leave-room-btn'),
+      botControls: document.getElementById('bot-controls'),
+      botList: document.getElementById('bot-list'),
+      botDifficultySelect: document.getElementById('bot-difficulty-select'),
+      addBotButton: document.getElementById('add-bot-btn')
     },
     identity: {
       overlay: document.getElementById('identity-overlay'),
@@ -53,7 +59,11 @@ export function cacheElements() {
       signOutButton: document.getElementById('sign-out-btn'),
       changeAvatarButton: document.getElementById('change-avatar-btn'),
       avatarInput: document.getElementById('avatar-upload-input'),
-      avatarForm: document.getElementById('avatar-upload-form')
+      avatarForm: document.getElementById('avatar-upload-form'),
+      historyList: document.getElementById('match-history-list'),
+      historyPrevButton: document.getElementById('match-history-prev-btn'),
+      historyNextButton: document.getElementById('match-history-next-btn'),
+      historyPage: document.getElementById('match-history-page')
     },
     prompt: {
       editButton: document.getElementById('prompt-edit-profile-btn'),
@@ -63,14 +73,88 @@ export function cacheElements() {
       mode: document.getElementById('game-mode'),
       color: document.getElementById('player-color'),
       turn: document.getElementById('turn-indicator'),
+      roomStatus: document.getElementById('room-status'),
+      turnTimer: document.getElementById('turn-timer'),
+      spectatorStatus: document.getElementById('spectator-status'),
       container: document.getElementById('game-container'),
       pauseButton: document.getElementById('pause-game-btn'),
       resumeButton: document.getElementById('resume-game-btn'),
       pauseExitButton: document.getElementById('pause-exit-to-menu-btn'),
+      pauseUndoButton: document.getElementById('pause-undo-btn'),
       exitButton: document.getElementById('exit-to-menu-btn'),
       gameOverExitButton: document.getElementById('game-over-exit-btn'),
       winnerText: document.getElementById('winner-text')
     },
+    replay: {
+      openButton: document.getElementById('show-replays-btn'),
+      modal: document.getElementById('replays-modal'),
+      list: document.getElementById('replay-list'),
+      closeButtons: [
+        document.getElementById('close-replays-btn'),
+        document.getElementById('close-replays-modal-btn')
+      ],
+      controls: document.getElementById('replay-controls'),
+      firstButton: document.getElementById('replay-first-btn'),
+      prevButton: document.getElementById('replay-prev-btn'),
+      playButton: document.getElementById('replay-play-btn'),
+      nextButton: document.getElementById('replay-next-btn'),
+      lastButton: document.getElementById('replay-last-btn'),
+      stepLabel: document.getElementById('replay-step-label'),
+      seatSelect: document.getElementById('replay-seat-select'),
+      commandLabel: document.getElementById('replay-command-label'),
+      exitButton: document.getElementById('replay-exit-btn')
+    },
+    leaderboard: {
+      gameSelect: document.getElementById('leaderboard-game-select'),
+      refreshButton: document.getElementById('leaderboard-refresh-btn'),
+      list: document.getElementById('leaderboard-list')
+    },
+    reactions: {
+      bar: document.getElementById('reaction-bar'),
+      toggle: document.getElementById('reactions-toggle')
+    },
+    pokerTable: {
+      settings: document.getElementById('poker-table-settings'),
+      modeSelect: document.getElementById('poker-mode-select'),
+      handsPerLevelInput: document.getElementById('poker-hands-per-level-input'),
+      closeButton: document.getElementById('close-table-btn')
+    },
+    houseRules: {
+      settings: document.getElementById('blackjack-rules-settings'),
+      decksSelect: document.getElementById('blackjack-decks-select'),
+      dealerRuleSelect: document.getElementById('blackjack-dealer-rule-select'),
+      payoutSelect: document.getElementById('blackjack-payout-select'),
+      doubleAfterSplitToggle: document.getElementById('blackjack-das-toggle'),
+      surrenderToggle: document.getElementById('blackjack-surrender-toggle')
+    },
+    chat: {
+      panel: document.getElementById('chat-panel'),
+      slots: Array.from(document.querySelectorAll('.chat-slot')),
+      roomTab: document.getElementById('chat-room-tab'),
+      lobbyTab: document.getElementById('chat-lobby-tab'),
+      messages: document.getElementById('chat-messages'),
+      form: document.getElementById('chat-form'),
+      input: document.getElementById('chat-input')
+    },
+    tournament: {
+      openButton: document.getElementById('show-tournaments-btn'),
+      modal: document.getElementById('tournaments-modal'),
+      closeButtons: [
+        document.getElementById('close-tournaments-btn'),
+        document.getElementById('close-tournaments-modal-btn')
+      ],
+      browser: document.getElementById('tournament-browser'),
+      createForm: document.getElementById('tournament-create-form'),
+      gameSelect: document.getElementById('tournament-game-select'),
+      formatSelect: document.getElementById('tournament-format-select'),
+      nameInput: document.getElementById('tournament-name-input'),
+      list: document.getElementById('tournament-list'),
+      detail: document.getElementById('tournament-detail'),
+      backButton: document.getElementById('tournament-back-btn'),
+      detailTitle: document.getElementById('tournament-detail-title'),
+      detailStatus: document.getElementById('tournament-detail-status'),
+      bracket: document.getElementById('tournament-bracket')
+    },
     scoreboard: {
       container: document.getElementById('scoreboard'),
       text: document.getElementById('score-text')
@@ -1,8 +1,10 @@
 import { validateRoomCode } from '../utils/validation.js';
+import { getStatusLabel } from './roomStatus.js';
 
 export function createLobbyUI(elements, toast, modalManager) {
   const { lobby, matchLobby, modals } = elements;
   let joinHandler = null;
+  let removeBotHandler = null;
   let createGameHandler = null;
   let cachedAvailableGames = [];
 
@@ -55,29 +57,43 @@ export function createLobbyUI(elements, toast, modalManager) {
       <p style="margin: 0; font-weight: 600; font-size: 11px;">${room.gameType}</p>
       <p style="margin: 0; font-size: 9px; color: var(--win2k-muted);">${room.roomId}</p>
     `;
+    const statusLabel = getStatusLabel(room.status);
+    if (statusLabel) {
+      const status = document.createElement('p');
+      status.style.margin = '0';
+      status.style.fontSize = '9px';
+      status.textContent = statusLabel;
+      details.appendChild(status);
+    }
 
     const actions = document.createElement('div');
     actions.style.textAlign = 'right';
+    const watching = room.spectatorCount ? ` · ${room.spectatorCount} watching` : '';
     actions.innerHTML = `
-      <p style="margin: 0 0 var(--space-1) 0; font-weight: 600; font-size: 10px;">${room.playerCount}/${room.maxPlayers}</p>
+      <p style="margin: 0 0 var(--space-1) 0; font-weight: 600; font-size: 10px;">${room.playerCount}/${room.maxPlayers}${watching}</p>
     `;
 
-    const joinButton = document.createElement('button');
-    joinButton.className = 'btn btn-primary';
-    joinButton.type = 'button';
-    joinButton.textContent = 'Join';
-    joinButton.style.minWidth = '60px';
-    joinButton.style.fontSize = '9px';
-    joinButton.style.padding = 'var(--space-1) var(--space-2)';
-    joinButton.addEventListener('click', () => {
-      joinHandler?.(room.roomId);
-      // Close modal if open
-      const modal = document.getElementById('available-games-modal');
-      if (modal && !modal.classList.contains('hidden')) {
-        modal.classList.add('hidden');
-      }
+    // Full and in-progress rooms can only be watched; spectators queue for a seat
+    const canJoin = room.canJoin !== false;
+    const buttons = canJoin ? [['Join', 'btn-primary', false], ['Watch', 'btn-secondary', true]] : [['Watch', 'btn-secondary', true]];
+    buttons.forEach(([label, variant, spectate]) => {
+      const button = document.createElement('button');
+      button.className = `btn ${variant}`;
+      button.type = 'button';
+      button.textContent = label;
+      button.style.minWidth = '60px';
+      button.style.fontSize = '9px';
+      button.style.padding = 'var(--space-1) var(--space-2)';
+      button.addEventListener('click', () => {
+        joinHandler?.(room.roomId, { spectate });
+        // Close modal if open
+        const modal = document.getElementById('available-games-modal');
+        if (modal && !modal.classList.contains('hidden')) {
+          modal.classList.add('hidden');
+        }
+      });
+      actions.appendChild(button);
     });
-    actions.appendChild(joinButton);
 
     wrapper.appendChild(details);
     wrapper.appendChild(actions);
@@ -150,7 +166,7 @@ export function createLobbyUI(elements, toast, modalManager) {
     }
   }
 
-  function bindLobbyControls({ availableGames = [], onReady, onStartGame, onCreateGame, onJoinGame, onLeaveRoom }) {
+  function bindLobbyControls({ availableGames = [], onReady, onStartGame, onCreateGame, onJoinGame, onLeaveRoom, onAddBot, onRemoveBot }) {
     // Available games modal handlers
     const showAvailableGamesBtn = document.getElementById('show-available-games-btn');
     const availableGamesModal = document.getElementById('available-games-modal');
@@ -196,6 +212,11 @@ export function createLobbyUI(elements, toast, modalManager) {
 
     matchLobby.leaveRoomButton?.addEventListener('click', () => onLeaveRoom?.());
 
+    matchLobby.addBotButton?.addEventListener('click', () => {
+      onAddBot?.(matchLobby.botDifficultySelect?.value || 'medium');
+    });
+    removeBotHandler = onRemoveBot;
+
     let startGamePending = false;
     matchLobby.startGameButton?.addEventListener('click', () => {
       if (startGamePending) {
@@ -208,15 +229,22 @@ export function createLobbyUI(elements, toast, modalManager) {
       const originalText = matchLobby.startGameButton.textContent;
       matchLobby.startGameButton.textContent = 'Starting...';
 
-      onStartGame?.();
-
-      setTimeout(() => {
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
         startGamePending = false;
         if (matchLobby.startGameButton) {
           matchLobby.startGameButton.disabled = false;
           matchLobby.startGameButton.textContent = originalText;
         }
-      }, 3000);
+      };
+
+      // A rejected start frees the button right away
+      Promise.resolve(onStartGame?.()).then((response) => {
+        if (response && !response.ok) release();
+      });
+      setTimeout(release, 3000);
     });
 
     lobby.joinOnlineButton?.addEventListener('click', () => {
@@ -277,11 +305,12 @@ export function createLobbyUI(elements, toast, modalManager) {
     }
 
     const myPlayer = room.players[myPlayerId];
+    renderBotControls(room, myPlayerId === room.hostId && Boolean(myPlayer));
 
     if (!myPlayer) {
-      console.warn('Local player not found in room state');
+      // Spectators are in the room without a seat
       matchLobby.readyButton.disabled = true;
-      matchLobby.readyButton.textContent = 'Not in Room';
+      matchLobby.readyButton.textContent = 'Spectating';
       matchLobby.startGameButton.classList.add('hidden');
       return;
     }
@@ -308,6 +337,43 @@ export function createLobbyUI(elements, toast, modalManager) {
     }
   }
 
+  function renderBotControls(room, isHost) {
+    const { botControls, botList, addBotButton } = matchLobby;
+    if (!botControls) return;
+    const bots = Object.values(room.players).filter((player) => player?.isBot);
+    if (!room.supportsBots || (!isHost && !bots.length)) {
+      botControls.classList.add('hidden');
+      return;
+    }
+    botControls.classList.remove('hidden');
+
+    botList.innerHTML = '';
+    bots.forEach((bot) => {
+      const item = document.createElement('div');
+      item.className = 'bot-item';
+      item.setAttribute('role', 'listitem');
+      const label = document.createElement('span');
+      label.textContent = `🤖 ${bot.displayName} (${bot.botDifficulty || 'medium'})`;
+      item.appendChild(label);
+      if (isHost) {
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-secondary';
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => removeBotHandler?.(bot.id));
+        item.appendChild(removeButton);
+      }
+      botList.appendChild(item);
+    });
+
+    const isFull = Object.keys(room.players).length >= (room.maxPlayers || Infinity);
+    [addBotButton, matchLobby.botDifficultySelect].forEach((control) => {
+      control?.classList.toggle('hidden', !isHost);
+      if (control) control.disabled = isFull;
+    });
+    botControls.querySelector('label')?.classList.toggle('hidden', !isHost);
+  }
+
   return {
     setRoomJoinHandler,
     renderRoomList,
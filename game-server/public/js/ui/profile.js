@@ -319,6 +319,91 @@ export function createProfileUI(elements, toast, modalManager) {
     updateNamePreview(displayName);
   };
 
+  const HISTORY_PAGE_SIZE = 10;
+  const RESULT_LABELS = { win: 'Win', loss: 'Loss', draw: 'Draw' };
+  let historyQuery = null;
+
+  const formatDuration = (durationMs) => {
+    if (!Number.isFinite(durationMs)) return null;
+    const totalSeconds = Math.round(durationMs / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes ? `${minutes}m ${seconds}s` : `${seconds}s`;
+  };
+
+  const renderHistoryEntry = (match, username, gameName) => {
+    const me = match.players.find((player) => player.username === username) || {};
+    const opponents = match.players
+      .filter((player) => player !== me)
+      .map((player) => player.displayName || player.username || 'Player');
+
+    const summary = [gameName(match.gameId), RESULT_LABELS[me.result] || 'No result'];
+    if (Number.isFinite(me.creditsChange)) {
+      summary.push(`${me.creditsChange >= 0 ? '+' : ''}${me.creditsChange} credits`);
+    }
+    const meta = [
+      opponents.length ? `vs ${opponents.join(', ')}` : null,
+      formatDuration(match.durationMs),
+      new Date(match.endedAt).toLocaleString()
+    ].filter(Boolean);
+
+    const item = document.createElement('div');
+    item.className = 'match-history-item';
+    const title = document.createElement('p');
+    title.textContent = summary.join(' · ');
+    const details = document.createElement('p');
+    details.className = 'match-meta';
+    details.textContent = meta.join(' — ');
+    item.append(title, details);
+    return item;
+  };
+
+  /**
+   * Loads one page of the user's completed matches into the statistics overlay.
+   * `gameName` turns a game id into its display name.
+   */
+  const loadMatchHistory = async (username, { offset = 0, gameName = (gameId) => gameId } = {}) => {
+    const { historyList, historyPrevButton, historyNextButton, historyPage } = profile;
+    if (!historyList || !username) return;
+    historyQuery = { username, offset, gameName };
+    try {
+      const response = await fetch(
+        `/api/user/${encodeURIComponent(username)}/history?limit=${HISTORY_PAGE_SIZE}&offset=${offset}`
+      );
+      if (!response.ok) {
+        throw new Error(`Unexpected status ${response.status}`);
+      }
+      const { total, matches } = await response.json();
+      if (historyQuery?.username !== username || historyQuery.offset !== offset) return;
+
+      historyList.innerHTML = '';
+      if (!matches.length) {
+        historyList.innerHTML = '<p class="text-muted">No matches played yet.</p>';
+      }
+      matches.forEach((match) => historyList.appendChild(renderHistoryEntry(match, username, gameName)));
+      if (historyPrevButton) historyPrevButton.disabled = offset === 0;
+      if (historyNextButton) historyNextButton.disabled = offset + matches.length >= total;
+      if (historyPage) {
+        historyPage.textContent = total ? `${offset + 1}–${offset + matches.length} of ${total}` : '';
+      }
+    } catch (error) {
+      console.error('[Profile] Failed to load match history:', error);
+      historyList.innerHTML = '<p class="text-muted">Match history is unavailable right now.</p>';
+    }
+  };
+
+  profile.historyPrevButton?.addEventListener('click', () => {
+    if (!historyQuery) return;
+    loadMatchHistory(historyQuery.username, {
+      ...historyQuery,
+      offset: Math.max(0, historyQuery.offset - HISTORY_PAGE_SIZE)
+    });
+  });
+  profile.historyNextButton?.addEventListener('click', () => {
+    if (!historyQuery) return;
+    loadMatchHistory(historyQuery.username, { ...historyQuery, offset: historyQuery.offset + HISTORY_PAGE_SIZE });
+  });
+
   const toggleProfileActions = (authenticated) => {
     const { signInButton, signOutButton } = profile;
     if (!signInButton || !signOutButton) return;
@@ -334,6 +419,7 @@ export function createProfileUI(elements, toast, modalManager) {
     maybeShowProfilePrompt,
     hideProfilePrompt,
     clearNameStatus,
-    updateNamePreview
+    updateNamePreview,
+    loadMatchHistory
   };
 }
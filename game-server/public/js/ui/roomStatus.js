@@ -0,0 +1,97 @@
+/**
+ * Human-readable labels for the server's room lifecycle (RoomState). Rooms
+ * carry `status` and `statusDetails` in roomStateUpdate and the room list.
+ */
+
+const STATUS_LABELS = {
+  LOBBY: 'In lobby',
+  STARTING: 'Starting',
+  PLAYING: 'In progress',
+  PAUSED: 'Paused',
+  ROUND_END: 'Round over',
+  ENDING: 'Ending',
+  TERMINATED: 'Closed'
+};
+
+export function getStatusLabel(status) {
+  return STATUS_LABELS[status] || '';
+}
+
+function playerName(room, playerId) {
+  const players = Array.isArray(room.players)
+    ? room.players
+    : Object.values(room.players || {});
+  const player = players.find((candidate) => candidate?.id === playerId);
+  return player?.displayName || player?.username || 'a player';
+}
+
+/**
+ * Full sentence for the current status, or '' when there is nothing to show
+ * (a game in progress). `now` is only passed in to keep the countdown testable.
+ */
+export function describeRoomStatus(room, now = Date.now()) {
+  const details = room?.statusDetails || {};
+  switch (room?.status) {
+    case 'STARTING': {
+      if (!details.startsAt) {
+        return 'Starting…';
+      }
+      const seconds = Math.max(0, Math.ceil((details.startsAt - now) / 1000));
+      return seconds > 0 ? `Starting in ${seconds}…` : 'Starting…';
+    }
+    case 'PAUSED': {
+      const names = (details.waitingFor || []).map((playerId) => playerName(room, playerId));
+      return names.length
+        ? `Paused — waiting for ${names.join(', ')} to reconnect`
+        : 'Paused';
+    }
+    case 'ROUND_END':
+      return details.matchComplete ? 'Match over' : 'Round over';
+    case 'ENDING':
+      return details.reason === 'INSUFFICIENT_PLAYERS'
+        ? 'Game ended — not enough players'
+        : 'Game ending…';
+    case 'LOBBY':
+      return 'The game will begin when the host starts the match.';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Spectator line for the room (`spectators` in roomStateUpdate), or '' when
+ * nobody is watching. Spectators are told they are queued for a seat.
+ */
+export function describeSpectators(room, myPlayerId) {
+  const spectators = room?.spectators || [];
+  if (spectators.some((spectator) => spectator.id === myPlayerId)) {
+    const others = spectators.length - 1;
+    const watching = others > 0 ? ` with ${others} other${others === 1 ? '' : 's'}` : '';
+    return `You are spectating${watching} — you will be seated when a seat opens between matches.`;
+  }
+  if (!spectators.length) {
+    return '';
+  }
+  return `${spectators.length} watching`;
+}
+
+/**
+ * Countdown line for the room's turn clock (the `turnTimer` event), or '' when
+ * no clock is running. `timer.endsAt` is the local time the turn runs out.
+ */
+export function describeTurnTimer(timer, room, myPlayerId, now = Date.now()) {
+  if (!timer) {
+    return '';
+  }
+  const seconds = Math.max(0, Math.ceil((timer.running ? timer.endsAt - now : timer.remainingMs) / 1000));
+  const playerIds = timer.playerIds || [];
+  let who;
+  if (playerIds.length === 1) {
+    who = playerIds[0] === myPlayerId ? 'Your turn' : `${playerName(room || {}, playerIds[0])}'s turn`;
+  } else if (playerIds.includes(myPlayerId)) {
+    who = `You and ${playerIds.length - 1} more to act`;
+  } else {
+    who = `Waiting for ${playerIds.length} players`;
+  }
+  return timer.running ? `${who} — ${seconds}s` : `${who} — clock paused at ${seconds}s`;
+}
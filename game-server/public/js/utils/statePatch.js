@@ -0,0 +1,27 @@
+// Client half of delta sync; mirrors applyPatch in src/core/statePatch.js.
+// A change is { operation: 'set' | 'delete', path, value } where path lists the
+// keys and array indexes from the state root; an empty path replaces the state.
+
+export function applyPatch(state, changes = []) {
+  let root = state;
+  for (const { operation, path, value } of changes) {
+    root = path.length ? setIn(root, path, 0, operation, value) : value;
+  }
+  return root;
+}
+
+function setIn(node, path, index, operation, value) {
+  const copy = Array.isArray(node) ? node.slice() : { ...node };
+  const key = path[index];
+  if (index === path.length - 1) {
+    if (operation === 'delete') {
+      delete copy[key];
+    } else {
+      copy[key] = value;
+    }
+    return copy;
+  }
+  const child = copy[key] !== null && typeof copy[key] === 'object' ? copy[key] : {};
+  copy[key] = setIn(child, path, index + 1, operation, value);
+  return copy;
+}
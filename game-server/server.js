@@ -10,8 +10,11 @@ const path = require('path');
 const fs = require('fs');
 const { Server } = require('socket.io');
 const { createModularGameServer } = require('./src/server/gameGateway');
-const { metricsCollector } = require('./src/monitoring/metrics');
 const { SessionManager } = require('./src/utils/sessionManager');
+const { parseBoolean, parseInteger } = require('./src/config');
+const { toPublicRecording } = require('./src/core/matchRecorder');
+const { rateMatch, createRatingRecord, applyRating } = require('./src/core/ratings');
+const { CreditLedger } = require('./src/core/creditLedger');
 
 // ============================================================================
 // Configuration
@@ -20,6 +23,21 @@ const { SessionManager } = require('./src/utils/sessionManager');
 const PORT = process.env.PORT || 8081;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const IS_PRODUCTION = NODE_ENV === 'production';
+// Same env flag as tick.deterministicRng: seed each room's RNG so games can be reproduced
+const DETERMINISTIC_RNG = parseBoolean(process.env.DETERMINISTIC_RNG, true);
+const RECORD_MATCHES = parseBoolean(process.env.RECORD_MATCHES, true);
+const PERSIST_ROOMS = parseBoolean(process.env.PERSIST_ROOMS, true);
+const TURN_TIMERS = parseBoolean(process.env.TURN_TIMERS, true);
+const DELTA_SYNC = parseBoolean(process.env.DELTA_SYNC, true);
+const ALLOW_UNDO = parseBoolean(process.env.ALLOW_UNDO, false);
+const BOT_THINK_MS = parseInteger(process.env.BOT_THINK_MS, 1000, 0, 10000, 'BOT_THINK_MS');
+const VOTE_TIMEOUT_SECONDS = parseInteger(process.env.VOTE_TIMEOUT_SECONDS, 30, 5, 300, 'VOTE_TIMEOUT_SECONDS');
+const TOURNAMENT_MATCH_DELAY_SECONDS = parseInteger(process.env.TOURNAMENT_MATCH_DELAY_SECONDS, 5, 0, 60, 'TOURNAMENT_MATCH_DELAY_SECONDS');
+const CHAT_RATE_LIMIT = parseInteger(process.env.CHAT_RATE_LIMIT, 5, 1, 60, 'CHAT_RATE_LIMIT');
+const START_COUNTDOWN_SECONDS = Math.max(0, Number.parseInt(process.env.START_COUNTDOWN_SECONDS ?? '3', 10) || 0);
+// Same env vars and bounds as config.tick: fixed-timestep loop for real-time games
+const TICK_RATE = parseInteger(process.env.TICK_RATE, 30, 20, 60, 'TICK_RATE');
+const SNAPSHOT_RATE = parseInteger(process.env.SNAPSHOT_RATE, 10, 5, 30, 'SNAPSHOT_RATE');
 
 // ============================================================================
 // Global Error Handlers
@@ -50,16 +68,23 @@ process.on('uncaughtException', (error) => {
 
 const DATA_DIR = path.join(__dirname, 'data');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const REPLAYS_DIR = path.join(DATA_DIR, 'replays');
+const ROOMS_DIR = path.join(DATA_DIR, 'rooms');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+const LEDGER_FILE = path.join(DATA_DIR, 'ledger.jsonl');
+const STARTING_CREDITS = 10000;
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Simple in-memory user storage with file persistence
+// Simple in-memory user storage with file persistence. Credits come from the
+// ledger; `credits` on the user is a copy kept for the stats endpoint
 class UserStore {
-  constructor() {
+  constructor(ledger) {
     this.users = new Map();
+    this.ledger = ledger;
     this.load();
   }
 
@@ -94,26 +119,28 @@ class UserStore {
         wins: 0,
         losses: 0,
         gamesPlayed: 0,
-        credits: 10000, // Starting credits for new users
+        credits: 0,
         created: new Date().toISOString(),
         lastSeen: new Date().toISOString()
       });
-      this.save();
+      this.recordTransaction(cleanUsername, {
+        type: 'grant',
+        amount: STARTING_CREDITS,
+        idempotencyKey: `signup:${cleanUsername}`,
+        reason: 'Starting credits'
+      });
     } else {
       // Update last seen
       const user = this.users.get(cleanUsername);
       user.lastSeen = new Date().toISOString();
-      // Ensure credits field exists for legacy users
-      if (typeof user.credits !== 'number') {
-        user.credits = 10000;
-      }
       this.save();
     }
 
     return this.users.get(cleanUsername);
   }
 
-  updateStats(username, result) {
+  // Counts one finished match, overall and per game; result is 'win', 'loss' or 'draw'
+  recordResult(username, gameId, result) {
     const user = this.getOrCreate(username);
     user.gamesPlayed++;
 
@@ -123,10 +150,42 @@ class UserStore {
       user.losses++;
     }
 
+    user.games = user.games || {};
+    const record = user.games[gameId] || { played: 0, wins: 0, losses: 0, draws: 0 };
+    record.played++;
+    record[{ win: 'wins', loss: 'losses', draw: 'draws' }[result]]++;
+    user.games[gameId] = record;
+
     this.save();
     return user;
   }
 
+  // Rates one finished match; results are [{ username, won }]. Ratings are
+  // kept per game on the user as ratings[gameId]
+  recordRatings(gameId, results) {
+    const users = results.map(({ username }) => this.getOrCreate(username));
+    const rated = rateMatch(users.map((user, index) => ({
+      id: user.username,
+      rating: user.ratings?.[gameId]?.rating ?? createRatingRecord().rating,
+      won: results[index].won
+    })));
+
+    users.forEach((user, index) => {
+      user.ratings = user.ratings || {};
+      user.ratings[gameId] = applyRating(user.ratings[gameId] || createRatingRecord(), rated[index], results[index].won);
+    });
+    this.save();
+    return rated;
+  }
+
+  // Rated players of one game, best first
+  getLeaderboard(gameId) {
+    return Array.from(this.users.values())
+      .filter(user => user.ratings?.[gameId]?.gamesPlayed)
+      .map(user => ({ username: user.username, ...user.ratings[gameId] }))
+      .sort((a, b) => b.rating - a.rating || b.gamesPlayed - a.gamesPlayed || a.username.localeCompare(b.username));
+  }
+
   sanitizeUsername(username) {
     if (!username || typeof username !== 'string') {
       return 'Guest' + Math.random().toString(36).substring(2, 8);
@@ -142,32 +201,71 @@ class UserStore {
   // Credit management methods for ProfileService compatibility
   getBalance(username) {
     const user = this.getOrCreate(username);
-    return user.credits;
+    return this.ledger.balance(user.username);
   }
 
-  updateBalance(username, newBalance) {
-    const user = this.getOrCreate(username);
-    user.credits = Math.max(0, newBalance); // Ensure credits never go negative
+  // Adds a ledger entry ({ type, amount, roundId, gameId, roomId,
+  // idempotencyKey, reason }); returns it, or null for a repeated key
+  recordTransaction(username, transaction) {
+    const cleanUsername = this.sanitizeUsername(username);
+    const entry = this.ledger.record({ ...transaction, username: cleanUsername });
+    const user = this.users.get(cleanUsername) || this.getOrCreate(cleanUsername);
+    user.credits = this.ledger.balance(cleanUsername);
     this.save();
-    return user.credits;
+    return entry;
   }
 
-  addCredits(username, amount) {
-    const user = this.getOrCreate(username);
-    user.credits = (user.credits || 0) + amount;
-    this.save();
-    return user.credits;
+  addCredits(username, amount, reason = null) {
+    this.recordTransaction(username, { type: 'grant', amount, reason });
+    return this.getBalance(username);
   }
 
-  deductCredits(username, amount) {
-    const user = this.getOrCreate(username);
-    user.credits = Math.max(0, (user.credits || 0) - amount);
-    this.save();
-    return user.credits;
+  deductCredits(username, amount, reason = null) {
+    this.recordTransaction(username, { type: 'adjustment', amount: -amount, reason });
+    return this.getBalance(username);
+  }
+
+  // Brings users.json in line with the ledger: users from before the ledger
+  // get their stored credits as an opening entry, and a stored balance that
+  // differs from the ledger is corrected to it
+  reconcileCredits() {
+    const report = { checked: 0, opened: 0, corrected: [], mismatches: this.ledger.verify() };
+    for (const user of this.users.values()) {
+      if (!user?.username) {
+        continue;
+      }
+      report.checked++;
+      if (!this.ledger.hasEntries(user.username)) {
+        this.recordTransaction(user.username, {
+          type: 'adjustment',
+          amount: typeof user.credits === 'number' ? user.credits : STARTING_CREDITS,
+          idempotencyKey: `opening:${user.username}`,
+          reason: 'Opening balance'
+        });
+        report.opened++;
+      } else if (user.credits !== this.ledger.balance(user.username)) {
+        report.corrected.push({ username: user.username, stored: user.credits, ledger: this.ledger.balance(user.username) });
+        user.credits = this.ledger.balance(user.username);
+      }
+    }
+    if (report.corrected.length) {
+      this.save();
+    }
+    return report;
   }
 }
 
-const userStore = new UserStore();
+const creditLedger = new CreditLedger({ file: LEDGER_FILE });
+creditLedger.load();
+const userStore = new UserStore(creditLedger);
+const reconciliation = userStore.reconcileCredits();
+console.log(`[Credits] Reconciled ${reconciliation.checked} users with the ledger: ${reconciliation.opened} opened, ${reconciliation.corrected.length} corrected`);
+reconciliation.corrected.forEach(({ username, stored, ledger }) => {
+  console.warn(`[Credits] ${username} had ${stored} credits stored, the ledger says ${ledger}`);
+});
+reconciliation.mismatches.forEach(({ username, id, recorded, derived }) => {
+  console.warn(`[Credits] Ledger entry ${id} for ${username} records a balance of ${recorded}, its entries add up to ${derived}`);
+});
 
 // ============================================================================
 // Session Manager for Reconnection Support
@@ -235,11 +333,24 @@ app.get('/api/user/:username', (req, res) => {
   res.json(user);
 });
 
-// Update user stats
-app.post('/api/user/:username/stats', (req, res) => {
-  const { result } = req.body;
-  const user = userStore.updateStats(req.params.username, result);
-  res.json(user);
+// Credit ledger entries of a user, newest first
+app.get('/api/user/:username/transactions', (req, res) => {
+  const username = userStore.sanitizeUsername(req.params.username);
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+  const type = typeof req.query.type === 'string' ? req.query.type : null;
+  const { total, transactions } = creditLedger.listForUser(username, { limit, offset, type });
+  res.json({ username, balance: creditLedger.balance(username), total, limit, offset, transactions });
+});
+
+// Completed matches a user played in, newest first
+app.get('/api/user/:username/history', (req, res) => {
+  const username = userStore.sanitizeUsername(req.params.username);
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+  const gameId = typeof req.query.gameId === 'string' ? req.query.gameId : null;
+  const { total, matches } = modularGameServer.matchHistory.listForUser(username, { limit, offset, gameId });
+  res.json({ username, total, limit, offset, matches });
 });
 
 // Get available games
@@ -254,11 +365,83 @@ app.get('/api/games', (req, res) => {
       { id: '5-card-stud', name: '5 Card Stud', players: [2, 8], type: 'casino' },
       { id: 'baccarat', name: 'Baccarat', players: [1, 6], type: 'casino' },
       { id: 'tictactoe', name: 'Tic Tac Toe', players: 2, type: 'board' },
-      { id: 'capture-the-flag', name: 'Capture the Flag', players: 2, type: 'board' }
+      { id: 'capture-the-flag', name: 'Capture the Flag', players: [4, 8], type: 'action' }
     ]
   });
 });
 
+// List recorded matches, newest first
+app.get('/api/replays', async (req, res) => {
+  if (!modularGameServer?.matchRecorder) {
+    return res.status(503).json({ error: 'Match recording is not enabled', code: 'REPLAYS_DISABLED' });
+  }
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+    const result = await modularGameServer.matchRecorder.list({ gameId: req.query.gameId, limit, offset });
+    res.json({ ...result, limit, offset });
+  } catch (error) {
+    console.error('[API] Failed to list replays:', error);
+    res.status(500).json({ error: 'Failed to list replays', code: 'SERVER_ERROR' });
+  }
+});
+
+// Full recording of one match: setup, initial state and command log
+app.get('/api/replays/:id', async (req, res) => {
+  if (!modularGameServer?.matchRecorder) {
+    return res.status(503).json({ error: 'Match recording is not enabled', code: 'REPLAYS_DISABLED' });
+  }
+  try {
+    const recording = await modularGameServer.matchRecorder.get(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ error: 'Replay not found', code: 'REPLAY_NOT_FOUND' });
+    }
+    res.json(toPublicRecording(recording));
+  } catch (error) {
+    console.error('[API] Failed to load replay:', error);
+    res.status(500).json({ error: 'Failed to load replay', code: 'SERVER_ERROR' });
+  }
+});
+
+// Rating table for one game; trend is the rating change over the recent games
+app.get('/api/leaderboard/:gameId', (req, res) => {
+  const { gameId } = req.params;
+  if (!modularGameServer.registry.get(gameId)) {
+    return res.status(404).json({ error: 'Game not found', code: 'GAME_NOT_FOUND' });
+  }
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+  const ranked = userStore.getLeaderboard(gameId);
+  const players = ranked.slice(offset, offset + limit).map((entry, index) => ({
+    rank: offset + index + 1,
+    username: entry.username,
+    rating: entry.rating,
+    peak: entry.peak,
+    gamesPlayed: entry.gamesPlayed,
+    wins: entry.wins,
+    losses: entry.losses,
+    trend: entry.recent.reduce((sum, delta) => sum + delta, 0),
+    recent: entry.recent
+  }));
+  res.json({ gameId, total: ranked.length, limit, offset, players });
+});
+
+// Tournaments with their brackets, newest first
+app.get('/api/tournaments', (req, res) => {
+  const tournaments = modularGameServer.tournamentManager.listTournaments()
+    .sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ tournaments });
+});
+
+// One tournament: bracket, results and (for round robins) standings
+app.get('/api/tournaments/:id', (req, res) => {
+  const tournament = modularGameServer.tournamentManager.getTournament(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found', code: 'TOURNAMENT_NOT_FOUND' });
+  }
+  res.json(modularGameServer.tournamentManager.toJSON(tournament));
+});
+
 // Metrics endpoint (optional)
 app.get('/metrics', (req, res) => {
   const metrics = {
@@ -281,280 +464,43 @@ let modularGameServer = null;
 modularGameServer = createModularGameServer({
   io: io,
   logger: console,
-  profileService: userStore
+  profileService: userStore,
+  deterministicRng: DETERMINISTIC_RNG,
+  replayDirectory: RECORD_MATCHES ? REPLAYS_DIR : null,
+  historyFile: HISTORY_FILE,
+  roomStateDirectory: PERSIST_ROOMS ? ROOMS_DIR : null,
+  startCountdownMs: START_COUNTDOWN_SECONDS * 1000,
+  turnTimers: TURN_TIMERS,
+  botThinkMs: BOT_THINK_MS,
+  voteTimeoutMs: VOTE_TIMEOUT_SECONDS * 1000,
+  tournamentMatchDelayMs: TOURNAMENT_MATCH_DELAY_SECONDS * 1000,
+  chatRateLimit: { windowMs: 10000, max: CHAT_RATE_LIMIT },
+  deltaSync: DELTA_SYNC,
+  allowUndo: ALLOW_UNDO,
+  userStore,
+  sessionManager,
+  tickRate: TICK_RATE,
+  snapshotRate: Math.min(SNAPSHOT_RATE, TICK_RATE)
 });
 
-// Room list update broadcaster
-const emitOpenRoomsUpdate = () => {
-  if (!modularGameServer) return;
-
-  const rooms = modularGameServer._serializeRooms();
-  const payload = {
-    version: modularGameServer.roomListVersion || 1,
-    rooms: rooms,
-    timestamp: Date.now()
-  };
-
-  console.log(`[Server] Broadcasting room list update. Rooms: ${Object.keys(rooms).length}`);
-  io.emit('updateRoomList', payload);
-};
-
-// Error handler for socket events
-function emitSocketError({ socket, action, error, message = 'Operation failed', code = 'ERROR' }) {
-  console.error(`[Socket] ${action} failed:`, error?.message || error);
-
-  if (metricsCollector?.recordError) {
-    metricsCollector.recordError(error, { action, transport: 'socket.io' });
-  }
-
-  if (socket?.connected) {
-    socket.emit('error', { message, code, action });
-  }
-}
-
 // ============================================================================
 // Socket.IO Event Handlers
 // ============================================================================
 
+// Every client event is handled (and acknowledged) by the gateway
 io.on('connection', (socket) => {
   console.log(`[Socket] Client connected: ${socket.id}`);
 
-  // Store username on socket
-  socket.username = null;
-
-  // User identification with reconnection support
-  socket.on('identify', ({ username, attemptReconnect = true }) => {
-    try {
-      const user = userStore.getOrCreate(username);
-      socket.username = user.username;
-
-      // Check for existing session and attempt reconnection
-      let reconnectInfo = null;
-      if (attemptReconnect && sessionManager.hasActiveSession(username)) {
-        const result = sessionManager.attemptReconnect(socket.id, username);
-        if (result.canReconnect) {
-          console.log(`[Socket] User reconnected: ${socket.username} (${socket.id}) - Previous session restored`);
-          reconnectInfo = {
-            reconnected: true,
-            roomId: result.roomId,
-            message: 'Previous session restored'
-          };
-
-          // If user was in a room, rejoin it
-          if (result.roomId) {
-            socket.join(result.roomId);
-            const room = modularGameServer.roomManager.getRoom(result.roomId);
-            if (room) {
-              socket.emit('joinedMatchLobby', { room: room.toJSON(), yourId: socket.id });
-              io.to(result.roomId).emit('roomStateUpdate', room.toJSON());
-            }
-          }
-        }
-      }
-
-      // Register new session or update existing
-      sessionManager.registerSession(socket.id, user.username);
-
-      console.log(`[Socket] User identified: ${socket.username} (${socket.id}) - Credits: ${user.credits}`);
-
-      socket.emit('identified', {
-        username: user.username,
-        stats: {
-          wins: user.wins,
-          losses: user.losses,
-          gamesPlayed: user.gamesPlayed,
-          credits: user.credits
-        },
-        reconnect: reconnectInfo
-      });
-    } catch (error) {
-      emitSocketError({ socket, action: 'identify', error });
-    }
-  });
-
-  // Get user stats
-  socket.on('getUserStats', ({ username }) => {
-    try {
-      const user = userStore.getOrCreate(username);
-      socket.emit('userStats', {
-        username: user.username,
-        wins: user.wins,
-        losses: user.losses,
-        gamesPlayed: user.gamesPlayed,
-        credits: user.credits
-      });
-    } catch (error) {
-      emitSocketError({ socket, action: 'getUserStats', error });
-    }
-  });
-
-  // Create room
-  socket.on('createRoom', async ({ gameType, username }) => {
-    try {
-      if (!socket.username) {
-        socket.username = userStore.sanitizeUsername(username);
-      }
-
-      const result = await modularGameServer.handleCreateRoom(socket, gameType);
-
-      if (result.success) {
-        console.log(`[Socket] Room created: ${result.roomId} by ${socket.username}`);
-        // Update session with room info
-        sessionManager.setSessionRoom(socket.id, result.roomId);
-        emitOpenRoomsUpdate();
-        // Emit the correct event that client expects
-        socket.emit('joinedMatchLobby', { room: result.room, yourId: socket.id });
-        // Also emit room state update to all players in the room
-        io.to(result.roomId).emit('roomStateUpdate', result.room);
-      } else {
-        socket.emit('error', { message: result.error, code: 'CREATE_ROOM_FAILED' });
-      }
-    } catch (error) {
-      emitSocketError({ socket, action: 'createRoom', error });
-    }
-  });
-
-  // Join room
-  socket.on('joinRoom', async ({ roomId, username }) => {
-    try {
-      if (!socket.username) {
-        socket.username = userStore.sanitizeUsername(username);
-      }
-
-      const result = await modularGameServer.handleJoinRoom(socket, roomId);
-
-      if (result.success) {
-        console.log(`[Socket] User ${socket.username} joined room: ${roomId}`);
-        // Update session with room info
-        sessionManager.setSessionRoom(socket.id, roomId);
-        emitOpenRoomsUpdate();
-        // Emit the correct event that client expects
-        socket.emit('joinedMatchLobby', { room: result.room, yourId: socket.id });
-        // Also emit room state update to all players in the room
-        io.to(result.roomId).emit('roomStateUpdate', result.room);
-      } else {
-        socket.emit('error', { message: result.error, code: 'JOIN_ROOM_FAILED' });
-      }
-    } catch (error) {
-      emitSocketError({ socket, action: 'joinRoom', error });
-    }
-  });
-
-  // Leave room
-  socket.on('leaveRoom', async () => {
-    try {
-      const result = await modularGameServer.handleLeaveRoom(socket);
-
-      if (result.success) {
-        console.log(`[Socket] User ${socket.username} left room`);
-        // Update session - remove room info
-        sessionManager.setSessionRoom(socket.id, null);
-        emitOpenRoomsUpdate();
-        socket.emit('roomLeft', result);
-      }
-    } catch (error) {
-      emitSocketError({ socket, action: 'leaveRoom', error });
-    }
-  });
-
-  // Player ready
-  socket.on('playerReady', () => {
-    try {
-      const result = modularGameServer.handlePlayerReady(socket);
-
-      if (result.success) {
-        console.log(`[Socket] Player ${socket.username} is ready`);
-      }
-    } catch (error) {
-      emitSocketError({ socket, action: 'playerReady', error });
-    }
-  });
-
-  // Start game
-  socket.on('startGame', () => {
-    try {
-      const result = modularGameServer.handleStartGame(socket);
-
-      if (result.success) {
-        console.log(`[Socket] Game started in room`);
-      } else {
-        socket.emit('error', { message: result.error, code: 'START_GAME_FAILED' });
-      }
-    } catch (error) {
-      emitSocketError({ socket, action: 'startGame', error });
-    }
-  });
-
-  // Game action (legacy support)
-  socket.on('gameAction', (action) => {
-    try {
-      modularGameServer.handleGameAction(socket, action);
-    } catch (error) {
-      emitSocketError({ socket, action: 'gameAction', error });
-    }
-  });
-
-  // Submit move (modern event handler)
-  socket.on('submitMove', (commandDescriptor) => {
-    try {
-      const rooms = Array.from(socket.rooms);
-      for (const roomId of rooms) {
-        if (roomId !== socket.id) {
-          const room = modularGameServer.roomManager.getRoom(roomId);
-          if (room && room.gameInstance) {
-            console.log(`[Socket] Player ${socket.username} (${socket.id}) submitting move in room ${roomId}`);
-            modularGameServer.roomManager.submitCommand(roomId, {
-              ...commandDescriptor,
-              playerId: socket.id
-            });
-            return;
-          }
+  modularGameServer.attachSocket(socket, {
+    validation: {
+      sequenceValidation: process.env.ENABLE_SEQUENCE_VALIDATION === 'true',
+      maxSequenceDrift: Number.parseInt(process.env.MAX_SEQUENCE_DRIFT, 10) || 100,
+      onReject: (rejectedSocket, { event, code, message, details }) => {
+        console.warn(`[Socket] Rejected ${event} from ${rejectedSocket.id}: [${code}] ${message}`);
+        if (rejectedSocket.connected) {
+          rejectedSocket.emit('error', { message, code, action: event, details });
         }
       }
-      socket.emit('error', { message: 'Not in an active game', code: 'NOT_IN_GAME' });
-    } catch (error) {
-      console.error('[Socket] submitMove error:', error);
-      emitSocketError({ socket, action: 'submitMove', error, message: error.message || 'Move failed' });
-    }
-  });
-
-  // Get room list
-  socket.on('getRoomList', () => {
-    try {
-      const rooms = modularGameServer._serializeRooms();
-      socket.emit('updateRoomList', {
-        version: modularGameServer.roomListVersion || 1,
-        rooms: rooms,
-        timestamp: Date.now()
-      });
-    } catch (error) {
-      emitSocketError({ socket, action: 'getRoomList', error });
-    }
-  });
-
-  // Disconnect - keep session for potential reconnection
-  socket.on('disconnect', async (reason) => {
-    console.log(`[Socket] Client disconnected: ${socket.id} (${socket.username || 'unknown'}) - Reason: ${reason}`);
-
-    try {
-      // Update session activity but don't remove it yet
-      // This allows reconnection within the timeout window
-      sessionManager.updateActivity(socket.id);
-
-      // For intentional disconnects (client closing), clean up immediately
-      // For network issues, keep the session for reconnection
-      if (reason === 'client namespace disconnect' || reason === 'server namespace disconnect') {
-        console.log(`[Socket] Intentional disconnect - cleaning up session for ${socket.username}`);
-        await modularGameServer.handleLeaveRoom(socket);
-        sessionManager.removeSession(socket.id);
-      } else {
-        console.log(`[Socket] Network disconnect - keeping session for ${socket.username} (reconnect available for 5 minutes)`);
-        // Don't remove from room immediately - give them a chance to reconnect
-      }
-
-      emitOpenRoomsUpdate();
-    } catch (error) {
-      console.error('[Socket] Error during disconnect cleanup:', error);
     }
   });
 });
@@ -614,12 +560,17 @@ function shutdown() {
 
   // Cleanup session manager
   sessionManager.shutdown();
-
-  // Close server
-  server.close(() => {
-    console.log('[Server] HTTP server closed');
-    process.exit(0);
-  });
+  modularGameServer?.tickManager.stop();
+
+  // Let pending room and history writes reach disk, then close server
+  Promise.all([modularGameServer?.repository.flush?.(), modularGameServer?.matchHistory?.flush()])
+    .catch((error) => console.error('[Server] Failed to flush room state:', error))
+    .finally(() => {
+      server.close(() => {
+        console.log('[Server] HTTP server closed');
+        process.exit(0);
+      });
+    });
 
   // Force close after 5 seconds
   setTimeout(() => {
@@ -631,4 +582,4 @@ function shutdown() {
 // Start the server
 startServer();
 
-module.exports = { app, server, io, userStore };
+module.exports = { app, server, io, userStore, creditLedger };
@@ -12,9 +12,8 @@ class BettingManager extends EventEmitter {
     this.maxBet = maxBet;
     this.gameType = gameType; // 'fixed' or 'rounds'
 
-    // Pot management
+    // Pot management (side pots are worked out from playerTotalBets, see buildPots)
     this.pot = 0;
-    this.sidePots = [];
 
     // Player bets tracking
     this.playerBets = new Map(); // playerId -> currentBet
@@ -122,8 +121,8 @@ class BettingManager extends EventEmitter {
 
     const balance = this.getPlayerBalance(playerId);
 
-    // Check if player can afford to call
-    if (amountToCall > balance) {
+    // A call that takes the player's last chip is an all-in
+    if (amountToCall >= balance) {
       // All-in
       return this.allIn(playerId);
     }
@@ -253,6 +252,30 @@ class BettingManager extends EventEmitter {
     return { success: true, action: 'allIn', amount: balance, pot: this.pot };
   }
 
+  /**
+   * Post a forced bet (blind or ante) - ignores the minimum bet and is capped at the player's balance
+   */
+  postBlind(playerId, amount) {
+    const balance = this.getPlayerBalance(playerId);
+    const posted = Math.min(amount, balance);
+
+    this.playerBalances.set(playerId, balance - posted);
+    this.playerBets.set(playerId, this.getPlayerCurrentBet(playerId) + posted);
+    this.playerTotalBets.set(playerId, this.getPlayerTotalBet(playerId) + posted);
+    this.pot += posted;
+
+    if (posted === balance) {
+      this.playerStatus.set(playerId, 'allIn');
+    }
+    if (this.getPlayerCurrentBet(playerId) > this.currentBet) {
+      this.currentBet = this.getPlayerCurrentBet(playerId);
+    }
+
+    this.emit('blindPosted', { playerId, amount: posted, pot: this.pot });
+
+    return { success: true, action: 'blind', amount: posted, pot: this.pot };
+  }
+
   /**
    * Start a new betting round
    */
@@ -308,6 +331,87 @@ class BettingManager extends EventEmitter {
     return { success: true, payouts: Array.from(payouts.entries()) };
   }
 
+  /**
+   * Split the pot by how much each player put in. Every amount a player still
+   * in the hand went all-in for closes a pot: it holds everyone's chips up to
+   * that amount, and only players who put in at least as much can win it. The
+   * first pot is the main pot; the rest are side pots. A pot only one player
+   * can win holds chips nobody called, which go back to that player.
+   */
+  buildPots() {
+    if (this.pot <= 0) {
+      return [];
+    }
+    const contributions = Array.from(this.playerTotalBets.entries()).filter(([, amount]) => amount > 0);
+    const inHand = contributions.filter(([playerId]) => this.getPlayerStatus(playerId) !== 'folded');
+    const allInLevels = [...new Set(inHand
+      .filter(([playerId]) => this.getPlayerStatus(playerId) === 'allIn')
+      .map(([, amount]) => amount))]
+      .sort((a, b) => a - b);
+
+    const pots = [];
+    let previous = 0;
+    [...allInLevels, Infinity].forEach(level => {
+      const amount = contributions.reduce((sum, [, contributed]) => sum + Math.max(0, Math.min(contributed, level) - previous), 0);
+      const eligible = inHand.filter(([, contributed]) => contributed > previous).map(([playerId]) => playerId);
+      previous = level;
+      if (amount <= 0) {
+        return;
+      }
+      if (eligible.length === 0 && pots.length > 0) {
+        // Folded chips above every live player's stake stay in the last pot
+        pots[pots.length - 1].amount += amount;
+        return;
+      }
+      pots.push({ amount, eligible: eligible.length ? eligible : inHand.map(([playerId]) => playerId) });
+    });
+    return pots;
+  }
+
+  /**
+   * Side pots (every pot after the main pot)
+   */
+  getSidePots() {
+    return this.buildPots().slice(1);
+  }
+
+  /**
+   * Pay out every pot to the best hand among the players who can win it.
+   * pickWinners(eligiblePlayerIds) returns the winning ids. A split pot's odd
+   * chips go one each to the winners who come first in seatOrder (the seats
+   * left of the button). Returns the pots with their winners and payouts.
+   */
+  distributePots(pickWinners, seatOrder = []) {
+    const seat = playerId => {
+      const index = seatOrder.indexOf(playerId);
+      return index === -1 ? seatOrder.length : index;
+    };
+    const payouts = new Map();
+
+    const pots = this.buildPots().map(pot => {
+      const winners = [...(pot.eligible.length === 1 ? pot.eligible : pickWinners([...pot.eligible]))]
+        .sort((a, b) => seat(a) - seat(b));
+      const share = Math.floor(pot.amount / winners.length);
+      let oddChips = pot.amount - share * winners.length;
+      const potPayouts = {};
+      winners.forEach(playerId => {
+        const amount = share + (oddChips >= 1 ? 1 : 0);
+        oddChips -= 1;
+        potPayouts[playerId] = amount;
+        payouts.set(playerId, (payouts.get(playerId) || 0) + amount);
+        this.playerBalances.set(playerId, this.getPlayerBalance(playerId) + amount);
+      });
+      return { ...pot, winners, payouts: potPayouts };
+    });
+
+    const oldPot = this.pot;
+    this.pot = 0;
+
+    this.emit('payoutComplete', { winners: Array.from(payouts.keys()), payouts: Array.from(payouts.entries()), oldPot });
+
+    return { success: true, pots, payouts: Array.from(payouts.entries()) };
+  }
+
   /**
    * Get current pot size
    */
@@ -370,7 +474,6 @@ class BettingManager extends EventEmitter {
    */
   reset() {
     this.pot = 0;
-    this.sidePots = [];
     this.currentRound = null;
     this.currentBet = 0;
     this.lastRaiser = null;
@@ -391,10 +494,13 @@ class BettingManager extends EventEmitter {
   getState() {
     return {
       pot: this.pot,
+      sidePots: this.getSidePots(),
       currentBet: this.currentBet,
       currentRound: this.currentRound,
+      lastRaiser: this.lastRaiser,
       minBet: this.minBet,
       maxBet: this.maxBet,
+      gameType: this.gameType,
       players: Array.from(this.playerBalances.keys()).map(playerId => ({
         id: playerId,
         balance: this.getPlayerBalance(playerId),
@@ -404,6 +510,29 @@ class BettingManager extends EventEmitter {
       }))
     };
   }
+
+  /**
+   * Rebuild a betting manager from a getState() snapshot.
+   * Game state only holds plain data, so strategies restore the manager per command.
+   */
+  static fromState(snapshot = {}) {
+    const manager = new BettingManager({
+      minBet: snapshot.minBet,
+      maxBet: snapshot.maxBet,
+      gameType: snapshot.gameType
+    });
+    manager.pot = snapshot.pot || 0;
+    manager.currentBet = snapshot.currentBet || 0;
+    manager.currentRound = snapshot.currentRound ?? null;
+    manager.lastRaiser = snapshot.lastRaiser ?? null;
+    (snapshot.players || []).forEach(player => {
+      manager.playerBalances.set(player.id, player.balance);
+      manager.playerBets.set(player.id, player.currentBet);
+      manager.playerTotalBets.set(player.id, player.totalBet);
+      manager.playerStatus.set(player.id, player.status);
+    });
+    return manager;
+  }
 }
 
 module.exports = {
@@ -0,0 +1,118 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { createRNG } = require('../utils/rng');
+
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Plays the bot seats of one room using the game definition's `bot` config:
+ *
+ *   bot: {
+ *       getLegalCommands(state, playerId) { return [{ type, payload }] }, // [] while the bot cannot act
+ *       chooseCommand(state, playerId, commands, { difficulty, rng }) { return command }, // optional
+ *   }
+ *
+ * update() is called with every new game state. A bot with legal commands
+ * thinks for about thinkMs, then emits 'command' with `{ playerId, command }`.
+ * The state is read again before choosing, so a bot never plays a stale
+ * decision. Bots without chooseCommand play a random legal command. Bots only
+ * act while running (the room is PLAYING). Emits 'disposed' when torn down.
+ */
+class BotController extends EventEmitter {
+    constructor({ config, bots, getState, thinkMs = 1000, rng = createRNG() }) {
+        super();
+        this.config = config;
+        this.bots = bots;
+        this.getState = getState;
+        this.thinkMs = thinkMs;
+        this.rng = rng;
+        this.running = false;
+        this.timers = new Map();
+    }
+
+    update(state) {
+        if (!this.running) {
+            return;
+        }
+        for (const playerId of this.bots.keys()) {
+            if (!this.timers.has(playerId) && this.config.getLegalCommands(state, playerId).length) {
+                this._think(playerId);
+            }
+        }
+    }
+
+    setRunning(running) {
+        if (this.running === running) {
+            return;
+        }
+        this.running = running;
+        if (running) {
+            this.update(this.getState());
+        } else {
+            this._cancelAll();
+        }
+    }
+
+    dispose() {
+        this.running = false;
+        this._cancelAll();
+        this.emit('disposed');
+        this.removeAllListeners();
+    }
+
+    _think(playerId) {
+        // 75-125% of thinkMs so several bots at one table do not act in lockstep
+        const delay = Math.round(this.thinkMs * (0.75 + this.rng.random() * 0.5));
+        const timer = setTimeout(() => {
+            this.timers.delete(playerId);
+            const bot = this.bots.get(playerId);
+            if (!this.running || !bot) {
+                return;
+            }
+            const state = this.getState();
+            const commands = this.config.getLegalCommands(state, playerId);
+            if (!commands.length) {
+                return;
+            }
+            const options = { difficulty: bot.difficulty, rng: this.rng };
+            const command = this.config.chooseCommand
+                ? this.config.chooseCommand(state, playerId, commands, options)
+                : pickBotCommand(commands, options);
+            if (command) {
+                this.emit('command', { playerId, command });
+            }
+        }, delay);
+        timer.unref?.();
+        this.timers.set(playerId, timer);
+    }
+
+    _cancelAll() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+/**
+ * Difficulty-aware pick for chooseCommand policies. `score(command)` rates a
+ * command (higher is better): hard bots always play a best command, medium
+ * bots do half of the time and easy bots play at random.
+ */
+function pickBotCommand(commands, { difficulty = 'medium', rng, score } = {}) {
+    const random = rng || createRNG();
+    const playBest = score && (difficulty === 'hard' || (difficulty === 'medium' && random.randomBoolean(0.5)));
+    if (!playBest) {
+        return random.choice(commands);
+    }
+    const scores = commands.map((command) => score(command));
+    const best = Math.max(...scores);
+    return random.choice(commands.filter((command, index) => scores[index] === best));
+}
+
+module.exports = {
+    BotController,
+    BOT_DIFFICULTIES,
+    pickBotCommand,
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const EventEmitter = require('events');
+const { createCodedError } = require('./utils');
 
 class Command {
     constructor({ type, payload, playerId }) {
@@ -22,11 +23,12 @@ class Command {
 }
 
 class CommandBus extends EventEmitter {
-    constructor({ stateManager, ruleEngine, playerManager }) {
+    constructor({ stateManager, ruleEngine, playerManager, rng = null }) {
         super();
         this.stateManager = stateManager;
         this.ruleEngine = ruleEngine;
         this.playerManager = playerManager;
+        this.rng = rng;
         this.history = [];
     }
 
@@ -34,13 +36,14 @@ class CommandBus extends EventEmitter {
         const descriptor = normalizeDescriptor(commandDescriptor);
         const handler = this.ruleEngine.getStrategy(descriptor.type);
         if (!handler) {
-            throw new Error(`No command handler for type ${descriptor.type}`);
+            throw createCodedError('INVALID_COMMAND', `No command handler for type ${descriptor.type}`);
         }
         const context = {
             state: this.stateManager.snapshot().state,
             playerManager: this.playerManager,
             playerId: descriptor.playerId,
             payload: descriptor.payload,
+            rng: this.rng,
         };
 
         const outcome = this._executeWithTimeout(handler, context, 5000);
@@ -49,13 +52,13 @@ class CommandBus extends EventEmitter {
             throw new Error('Command handler must return an outcome object.');
         }
         if (outcome.error) {
-            throw new Error(outcome.error);
+            throw createCodedError(outcome.code || classifyRejection(outcome.error), outcome.error);
         }
+        // Handlers build the next state from their own snapshot, so it is committed without another copy
         if (typeof outcome.apply === 'function') {
-            const nextState = outcome.apply(this.stateManager.snapshot().state);
-            this.stateManager.replace(nextState, { command: descriptor });
+            this.stateManager.update((state) => outcome.apply(state), { command: descriptor });
         } else if (outcome.state) {
-            this.stateManager.replace(outcome.state, { command: descriptor });
+            this.stateManager.commit(outcome.state, { command: descriptor });
         }
         if (typeof outcome.getUndo === 'function') {
             this.history.push({ descriptor, undo: outcome.getUndo() });
@@ -91,7 +94,7 @@ class CommandBus extends EventEmitter {
         const last = this.history.pop();
         if (playerId && last.descriptor.playerId !== playerId) {
             this.history.push(last);
-            throw new Error('Only the issuing player can undo this command.');
+            throw createCodedError('UNDO_NOT_ALLOWED', 'Only the issuing player can undo this command.');
         }
         const undoResult = last.undo();
         if (undoResult?.state) {
@@ -102,10 +105,14 @@ class CommandBus extends EventEmitter {
     }
 }
 
+function classifyRejection(message) {
+    return /not (your|their) turn/i.test(String(message)) ? 'OUT_OF_TURN' : 'INVALID_MOVE';
+}
+
 function normalizeDescriptor(descriptor = {}) {
     const { type, payload, playerId } = descriptor;
     if (!type) {
-        throw new Error('Command descriptor requires a type.');
+        throw createCodedError('INVALID_COMMAND', 'Command descriptor requires a type.');
     }
     return { type, payload: payload || {}, playerId: playerId || null };
 }
@@ -0,0 +1,146 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createCodedError, generateRoomId } = require('./utils');
+
+const TRANSACTION_TYPES = ['grant', 'bet', 'payout', 'adjustment'];
+
+/**
+ * Append-only log of every credit movement, kept in memory and in a JSON Lines
+ * file. A user's balance is the sum of their entries; each entry also carries
+ * the running balance after it, so the log can be checked (`verify`). Entries
+ * are appended synchronously, so one is on disk before the balance it changes
+ * is used. An entry with an idempotency key is recorded at most once.
+ */
+class CreditLedger {
+    constructor({ file = null, logger = console } = {}) {
+        this.file = file;
+        this.logger = logger;
+        this.byUser = new Map();
+        this.keys = new Set();
+    }
+
+    /**
+     * Reads the log back. Unreadable lines (a write cut short) are skipped and
+     * reported.
+     */
+    load() {
+        if (!this.file) {
+            return;
+        }
+        let content;
+        try {
+            content = fs.readFileSync(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error?.('[CreditLedger] Failed to load ledger:', error);
+            }
+            return;
+        }
+        let skipped = 0;
+        for (const line of content.split('\n').filter(Boolean)) {
+            try {
+                this._index(JSON.parse(line));
+            } catch (error) {
+                skipped++;
+            }
+        }
+        if (skipped) {
+            this.logger.warn?.(`[CreditLedger] Skipped ${skipped} unreadable ledger line(s)`);
+        }
+    }
+
+    /**
+     * Adds an entry and returns it, or returns null when an entry with the same
+     * idempotency key is already recorded. `amount` is signed: bets are
+     * negative, payouts and grants positive.
+     */
+    record({ username, type, amount, roundId = null, gameId = null, roomId = null, idempotencyKey = null, reason = null }) {
+        if (!TRANSACTION_TYPES.includes(type)) {
+            throw createCodedError('INVALID_TRANSACTION', `Unknown transaction type: ${type}`);
+        }
+        if (!username || !Number.isFinite(amount)) {
+            throw createCodedError('INVALID_TRANSACTION', 'A transaction needs a username and an amount.');
+        }
+        if (idempotencyKey && this.keys.has(idempotencyKey)) {
+            return null;
+        }
+        const entry = {
+            id: generateRoomId('txn'),
+            username,
+            type,
+            amount,
+            balance: this.balance(username) + amount,
+            roundId,
+            gameId,
+            roomId,
+            idempotencyKey,
+            reason,
+            createdAt: Date.now(),
+        };
+        if (this.file) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`, 'utf8');
+        }
+        this._index(entry);
+        return entry;
+    }
+
+    /**
+     * Sum of a user's entries (0 for someone with none).
+     */
+    balance(username) {
+        const entries = this.byUser.get(username) || [];
+        return entries.length ? entries[entries.length - 1].derivedBalance : 0;
+    }
+
+    hasEntries(username) {
+        return this.byUser.has(username);
+    }
+
+    /**
+     * A user's entries, newest first.
+     */
+    listForUser(username, { limit = 50, offset = 0, type = null } = {}) {
+        const entries = (this.byUser.get(username) || [])
+            .filter((entry) => !type || entry.type === type)
+            .reverse();
+        return {
+            total: entries.length,
+            transactions: entries.slice(offset, offset + limit).map(({ derivedBalance, ...entry }) => entry),
+        };
+    }
+
+    /**
+     * Entries whose recorded running balance does not match the sum of the
+     * user's entries up to them, i.e. the log was edited or lost lines.
+     */
+    verify() {
+        const mismatches = [];
+        for (const [username, entries] of this.byUser) {
+            for (const entry of entries) {
+                if (entry.balance !== entry.derivedBalance) {
+                    mismatches.push({ username, id: entry.id, recorded: entry.balance, derived: entry.derivedBalance });
+                }
+            }
+        }
+        return mismatches;
+    }
+
+    _index(entry) {
+        const indexed = { ...entry, derivedBalance: this.balance(entry.username) + entry.amount };
+        if (!this.byUser.has(entry.username)) {
+            this.byUser.set(entry.username, []);
+        }
+        this.byUser.get(entry.username).push(indexed);
+        if (entry.idempotencyKey) {
+            this.keys.add(entry.idempotencyKey);
+        }
+    }
+}
+
+module.exports = {
+    CreditLedger,
+    TRANSACTION_TYPES,
+};
@@ -5,16 +5,17 @@ const GameStateManager = require('./gameStateManager');
 const PlayerManager = require('./playerManager');
 const RuleEngine = require('./ruleEngine');
 const { CommandBus } = require('./command');
+const { createRNG } = require('../utils/rng');
 
-function buildGameInstance({ id, initialState, minPlayers, maxPlayers, strategies = {}, metadata = {} }) {
+function buildGameInstance({ id, initialState, minPlayers, maxPlayers, strategies = {}, metadata = {}, rng = createRNG() }) {
     const playerManager = new PlayerManager({ minPlayers, maxPlayers });
     const stateManager = new GameStateManager(initialState);
     const ruleEngine = new RuleEngine(id);
     for (const [key, strategy] of Object.entries(strategies)) {
         ruleEngine.registerStrategy(key, strategy);
     }
-    const commandBus = new CommandBus({ stateManager, ruleEngine, playerManager });
-    return new GameInstance({ id, playerManager, stateManager, ruleEngine, commandBus, metadata });
+    const commandBus = new CommandBus({ stateManager, ruleEngine, playerManager, rng });
+    return new GameInstance({ id, playerManager, stateManager, ruleEngine, commandBus, metadata, rng });
 }
 
 module.exports = {
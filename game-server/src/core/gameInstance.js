@@ -1,13 +1,14 @@
 'use strict';
 
 class GameInstance {
-    constructor({ id, playerManager, stateManager, ruleEngine, commandBus, metadata = {} }) {
+    constructor({ id, playerManager, stateManager, ruleEngine, commandBus, metadata = {}, rng = null }) {
         this.id = id;
         this.playerManager = playerManager;
         this.stateManager = stateManager;
         this.ruleEngine = ruleEngine;
         this.commandBus = commandBus;
         this.metadata = metadata;
+        this.rng = rng;
     }
 
     getState() {
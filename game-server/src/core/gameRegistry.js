@@ -42,19 +42,161 @@ class GameRegistry extends EventEmitter {
     list() {
         return Array.from(this._definitions.values());
     }
+
+    /**
+     * Validates a command payload against the schema its game registered for the
+     * command type. Commands without a registered schema pass through unchanged.
+     */
+    validateCommand(id, descriptor = {}) {
+        const schema = this.get(id)?.commandSchemas?.[descriptor.type];
+        if (!schema) {
+            return { success: true, data: descriptor, error: null };
+        }
+        const result = schema.safeParse(descriptor.payload ?? {});
+        if (result.success) {
+            return { success: true, data: { ...descriptor, payload: result.data }, error: null };
+        }
+        const issue = result.error.errors?.[0];
+        const path = issue?.path?.length ? `${issue.path.join('.')}: ` : '';
+        return {
+            success: false,
+            data: null,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: `Invalid ${descriptor.type} command. ${path}${issue?.message || 'Invalid payload'}`,
+                details: result.error.errors,
+            },
+        };
+    }
+
+    /**
+     * Validates room settings against the schema the game registered for them
+     * (`settingsSchema`). Games without one take no settings.
+     */
+    validateSettings(id, settings = {}) {
+        const schema = this.get(id)?.settingsSchema;
+        if (!schema) {
+            return {
+                success: false,
+                data: null,
+                error: { code: 'INVALID_SETTINGS', message: 'This game has no settings.' },
+            };
+        }
+        const result = schema.safeParse(settings);
+        if (result.success) {
+            return { success: true, data: result.data, error: null };
+        }
+        const issue = result.error.errors?.[0];
+        const path = issue?.path?.length ? `${issue.path.join('.')}: ` : '';
+        return {
+            success: false,
+            data: null,
+            error: {
+                code: 'INVALID_SETTINGS',
+                message: `Invalid settings. ${path}${issue?.message || 'Invalid value'}`,
+                details: result.error.errors,
+            },
+        };
+    }
+
+    /**
+     * Projects a game state for a single viewer. Definitions without view hooks
+     * expose the full state; a null viewer receives the public (spectator) view.
+     */
+    projectState(id, state, viewerId = null) {
+        const definition = this.get(id);
+        if (!definition || !state) {
+            return state;
+        }
+        if (viewerId !== null && viewerId !== undefined && definition.getPlayerView) {
+            return definition.getPlayerView(state, viewerId);
+        }
+        if (definition.getPublicView) {
+            return definition.getPublicView(state);
+        }
+        return state;
+    }
 }
 
 function normalizeDefinition(definition = {}) {
     if (!definition || typeof definition !== 'object') {
         throw new TypeError('Game definition must be an object.');
     }
-    const { id, name, version, minPlayers, maxPlayers, create, category, isCasino, description, minBet, maxBet } = definition;
+    const {
+        id,
+        name,
+        version,
+        minPlayers,
+        maxPlayers,
+        create,
+        category,
+        isCasino,
+        description,
+        minBet,
+        maxBet,
+        getPlayerView,
+        getPublicView,
+        commandSchemas,
+        settingsSchema,
+        hostCommands,
+        carryOver,
+        allowUndo,
+        onTick,
+        turnTimer,
+        bot,
+    } = definition;
     if (!id || typeof id !== 'string') {
         throw new Error('Game definition requires an id.');
     }
     if (typeof create !== 'function') {
         throw new Error(`Game definition "${id}" must implement a create() factory.`);
     }
+    if (getPlayerView !== undefined && typeof getPlayerView !== 'function') {
+        throw new Error(`Game definition "${id}" getPlayerView must be a function.`);
+    }
+    if (getPublicView !== undefined && typeof getPublicView !== 'function') {
+        throw new Error(`Game definition "${id}" getPublicView must be a function.`);
+    }
+    if (carryOver !== undefined && typeof carryOver !== 'function') {
+        throw new Error(`Game definition "${id}" carryOver must be a function.`);
+    }
+    if (allowUndo !== undefined && typeof allowUndo !== 'boolean') {
+        throw new Error(`Game definition "${id}" allowUndo must be a boolean.`);
+    }
+    if (onTick !== undefined && typeof onTick !== 'function') {
+        throw new Error(`Game definition "${id}" onTick must be a function.`);
+    }
+    if (turnTimer !== undefined) {
+        const valid = turnTimer && typeof turnTimer === 'object'
+            && typeof turnTimer.getTurn === 'function'
+            && typeof turnTimer.getDefaultCommand === 'function'
+            && turnTimer.phases && typeof turnTimer.phases === 'object'
+            && Object.values(turnTimer.phases).every((ms) => Number.isFinite(ms) && ms > 0);
+        if (!valid) {
+            throw new Error(`Game definition "${id}" turnTimer needs phases, getTurn() and getDefaultCommand().`);
+        }
+    }
+    if (bot !== undefined) {
+        const valid = bot && typeof bot.getLegalCommands === 'function'
+            && (bot.chooseCommand === undefined || typeof bot.chooseCommand === 'function');
+        if (!valid) {
+            throw new Error(`Game definition "${id}" bot needs getLegalCommands() and an optional chooseCommand().`);
+        }
+    }
+    if (commandSchemas !== undefined) {
+        const valid = commandSchemas && typeof commandSchemas === 'object'
+            && Object.values(commandSchemas).every((schema) => typeof schema?.safeParse === 'function');
+        if (!valid) {
+            throw new Error(`Game definition "${id}" commandSchemas must map command types to schemas.`);
+        }
+    }
+    if (settingsSchema !== undefined && typeof settingsSchema?.safeParse !== 'function') {
+        throw new Error(`Game definition "${id}" settingsSchema must be a schema.`);
+    }
+    if (hostCommands !== undefined
+        && !(Array.isArray(hostCommands) && hostCommands.every((type) => typeof type === 'string'))) {
+        throw new Error(`Game definition "${id}" hostCommands must list command types.`);
+    }
     return {
         id,
         name: name || id,
@@ -67,6 +209,17 @@ function normalizeDefinition(definition = {}) {
         description: description || '',
         minBet: minBet || undefined,
         maxBet: maxBet || undefined,
+        getPlayerView: getPlayerView || null,
+        getPublicView: getPublicView || null,
+        commandSchemas: commandSchemas || {},
+        settingsSchema: settingsSchema || null,
+        hostCommands: hostCommands || [],
+        carryOver: carryOver || null,
+        // Undo is opt-in: in games with hidden cards it would let a player see a card and take the move back
+        allowUndo: allowUndo || false,
+        onTick: onTick || null,
+        turnTimer: turnTimer || null,
+        bot: bot || null,
     };
 }
 
@@ -3,6 +3,8 @@
 const EventEmitter = require('events');
 const PlayerManager = require('./playerManager');
 const StateSynchronizer = require('./stateSynchronizer');
+const { RoomStateMachine, RoomState } = require('./stateMachines');
+const { createCodedError } = require('./utils');
 
 class GameRoom extends EventEmitter {
     constructor({ id, hostId, gameId, metadata = {}, playerLimits }) {
@@ -18,7 +20,14 @@ class GameRoom extends EventEmitter {
         this.gameInstance = null;
         this.stateSynchronizer = null;
         this.stateManager = null;
-        this.isClosing = false;
+        this.lifecycle = new RoomStateMachine(id);
+        this.turnTimer = null;
+        // Bot seats (playerId -> { difficulty }); bots are regular players in playerManager
+        this.bots = new Map();
+        this.botController = null;
+        // People watching without a seat (id -> { id, displayName, metadata, joinedAt }),
+        // in the order they queued for one
+        this.spectators = new Map();
         this.disconnectedPlayers = new Map(); // Track temporarily disconnected players
     }
 
@@ -36,6 +45,57 @@ class GameRoom extends EventEmitter {
         return (Date.now() - this.lastActivity) > timeoutMs;
     }
 
+    /**
+     * Current RoomState (LOBBY, STARTING, PLAYING, ...)
+     */
+    get status() {
+        return this.lifecycle.getState();
+    }
+
+    is(...states) {
+        return this.lifecycle.isAny(...states);
+    }
+
+    /**
+     * Moves the room to another RoomState. Transitions the state machine does not
+     * allow are rejected with INVALID_ROOM_STATE.
+     */
+    transition(targetState, details = {}) {
+        if (!this.lifecycle.canTransition(targetState)) {
+            throw createCodedError(
+                'INVALID_ROOM_STATE',
+                `Room ${this.id} cannot move from ${this.status} to ${targetState}.`,
+                { from: this.status, to: targetState },
+            );
+        }
+        this.lifecycle.transition(targetState, { ...details, since: Date.now() });
+        this.updateActivity();
+        return this.status;
+    }
+
+    /**
+     * Whether any seat is held by a person rather than a bot
+     */
+    hasHumanPlayers() {
+        return this.playerManager.list().some((player) => !this.bots.has(player.id));
+    }
+
+    /**
+     * Whether a spectator may be seated now: in the lobby, or once a match has
+     * finished and the next one has not started yet
+     */
+    isBetweenMatches() {
+        return this.is(RoomState.LOBBY, RoomState.STARTING)
+            || (this.is(RoomState.ROUND_END) && Boolean(this.lifecycle.metadata.matchComplete));
+    }
+
+    /**
+     * Seated players that are currently disconnected
+     */
+    getDisconnectedPlayerIds() {
+        return Array.from(this.disconnectedPlayers.keys()).filter((playerId) => this.playerManager.hasPlayer(playerId));
+    }
+
     /**
      * Mark a player as temporarily disconnected
      */
@@ -136,11 +196,20 @@ class GameRoom extends EventEmitter {
             createdAt: this.createdAt,
             lastActivity: this.lastActivity,
             metadata: this.metadata,
-            players: this.playerManager.list(),
+            players: this.playerManager.list().map((player) => (
+                this.bots.has(player.id)
+                    ? { ...player, isBot: true, botDifficulty: this.bots.get(player.id).difficulty }
+                    : player
+            )),
+            spectators: Array.from(this.spectators.values()),
+            spectatorCount: this.spectators.size,
             minPlayers: this.playerManager.minPlayers,
             maxPlayers: this.playerManager.maxPlayers,
             isGameActive: Boolean(this.gameInstance),
             disconnectedPlayerCount: this.disconnectedPlayers.size,
+            status: this.status,
+            statusDetails: this.lifecycle.metadata,
+            turnTimer: this.turnTimer?.getStatus() ?? null,
         };
     }
 
@@ -150,6 +219,7 @@ class GameRoom extends EventEmitter {
     dispose() {
         this.detachGame();
         this.disconnectedPlayers.clear();
+        this.spectators.clear();
         this.removeAllListeners();
     }
 }
@@ -2,16 +2,51 @@
 
 const EventEmitter = require('events');
 const GameRoom = require('./gameRoom');
-const { generateRoomId } = require('./utils');
+const TurnTimer = require('./turnTimer');
+const { BotController, BOT_DIFFICULTIES } = require('./botController');
+const { RoomState } = require('./stateMachines');
+const { isMatchFinished } = require('./matchRecorder');
+const { restoreVotingManager } = require('./votingStrategy');
+const { deepClone, generateRoomId, createCodedError } = require('./utils');
 const { createGameLogger } = require('../utils/gameLogger');
+const { createRNG, generateSeed } = require('../utils/rng');
 
 class GameRoomManager extends EventEmitter {
-    constructor({ gameFactory, repository, logger = console }) {
+    constructor({
+        gameFactory,
+        repository,
+        matchRecorder = null,
+        logger = console,
+        deterministicRng = true,
+        startCountdownMs = 0,
+        tickManager = null,
+        turnTimers = true,
+        botThinkMs = 1000,
+        voteTimeoutMs = 30000,
+    }) {
         super();
         this.gameFactory = gameFactory;
         this.repository = repository;
+        this.matchRecorder = matchRecorder;
         this.rooms = new Map();
         this.logger = logger;
+        this.deterministicRng = deterministicRng;
+        this.startCountdownMs = startCountdownMs;
+        this.startTimers = new Map();
+        this.tickManager = tickManager;
+        this.turnTimers = turnTimers;
+        this.botThinkMs = botThinkMs;
+        this.voteTimeoutMs = voteTimeoutMs;
+        if (tickManager) {
+            this._onRoomTick = ({ roomId, room, tick, deltaTime }) => {
+                if (this.rooms.get(roomId) === room) {
+                    this._tickRoom(room, tick, deltaTime);
+                }
+            };
+            this._onTickSnapshot = (snapshot) => this._broadcastSnapshots(snapshot);
+            tickManager.on('roomTick', this._onRoomTick);
+            tickManager.on('snapshot', this._onTickSnapshot);
+        }
 
         // Start periodic cleanup
         this.cleanupInterval = setInterval(() => {
@@ -33,9 +68,10 @@ class GameRoomManager extends EventEmitter {
         let room;
         try {
             if (this.rooms.has(roomId)) {
-                throw new Error(`Room ${roomId} already exists.`);
+                throw createCodedError('ROOM_CODE_EXISTS', `Room ${roomId} already exists.`);
             }
             room = new GameRoom({ id: roomId, hostId, gameId, metadata, playerLimits });
+            room.transition(RoomState.LOBBY);
             this.rooms.set(roomId, room);
             this.emit('roomCreated', room.toJSON());
             return room;
@@ -49,15 +85,22 @@ class GameRoomManager extends EventEmitter {
         }
     }
 
-    deleteRoom(roomId) {
+    deleteRoom(roomId, { reason = null } = {}) {
         const room = this.rooms.get(roomId);
         if (!room) return null;
         const context = { action: 'deleteRoom', roomId };
         try {
+            this._cancelCountdown(room);
+            if (room.lifecycle.canTransition(RoomState.ENDING)) {
+                room.transition(RoomState.ENDING);
+            }
             room.detachGame();
+            room.transition(RoomState.TERMINATED);
             this.rooms.delete(roomId);
-            this.repository?.remove?.(roomId);
-            this.emit('roomRemoved', { roomId });
+            Promise.resolve(this.repository?.remove?.(roomId)).catch((repoError) => {
+                this._logError('deleteRoom:repositoryRemove', repoError, context);
+            });
+            this.emit('roomRemoved', { roomId, reason });
             return room;
         } catch (error) {
             if (!this.rooms.has(roomId)) {
@@ -80,14 +123,24 @@ class GameRoomManager extends EventEmitter {
         const context = { action: 'joinRoom', roomId, playerId: player?.id || null };
         const room = this.getRoom(roomId);
         if (!room) {
-            throw new Error(`Room ${roomId} not found.`);
+            throw createCodedError('ROOM_NOT_FOUND', `Room ${roomId} not found.`);
         }
-        if (room.isClosing) {
-            throw new Error(`Room ${roomId} is closing.`);
+        if (room.is(RoomState.ENDING, RoomState.TERMINATED)) {
+            throw createCodedError('ROOM_NOT_FOUND', `Room ${roomId} is closing.`);
+        }
+        if (!room.playerManager.hasPlayer(player?.id)) {
+            if (!room.isBetweenMatches()) {
+                throw createCodedError('GAME_IN_PROGRESS', 'A game is in progress; join as a spectator instead.');
+            }
+            if (room.playerManager.players.size >= room.playerManager.maxPlayers) {
+                throw createCodedError('ROOM_FULL', 'Room is full.');
+            }
         }
         let playerState;
         try {
             playerState = room.playerManager.addPlayer(player);
+            room.spectators.delete(playerState.id);
+            this._abortCountdownUnlessReady(room);
             this.emit('roomUpdated', room.toJSON());
             return { room, player: playerState };
         } catch (error) {
@@ -103,19 +156,83 @@ class GameRoomManager extends EventEmitter {
         }
     }
 
+    /**
+     * Adds someone to the room without a seat. Spectators can watch any room,
+     * full or mid-game, and receive the public state view. They queue for a seat
+     * in join order and are seated by _promoteSpectators() when one opens
+     * between matches.
+     */
+    spectateRoom(roomId, spectator) {
+        const room = this.getRoom(roomId);
+        if (!room || room.is(RoomState.ENDING, RoomState.TERMINATED)) {
+            throw createCodedError('ROOM_NOT_FOUND', `Room ${roomId} not found.`);
+        }
+        if (!spectator?.id) {
+            throw createCodedError('VALIDATION_ERROR', 'Spectator id is required.');
+        }
+        if (room.playerManager.hasPlayer(spectator.id)) {
+            throw createCodedError('ALREADY_SEATED', 'You already have a seat in this room.');
+        }
+        const entry = room.spectators.get(spectator.id) || {
+            id: spectator.id,
+            displayName: spectator.displayName || 'Spectator',
+            metadata: spectator.metadata || {},
+            joinedAt: Date.now(),
+        };
+        room.spectators.set(entry.id, entry);
+        room.updateActivity();
+        this.emit('roomUpdated', room.toJSON());
+        return { room, spectator: entry };
+    }
+
+    /**
+     * Seats waiting spectators, oldest first, while the room is between matches
+     * and has open seats. Emits 'spectatorPromoted' for each and returns the
+     * new players.
+     */
+    _promoteSpectators(room) {
+        const promoted = [];
+        while (room.spectators.size && room.isBetweenMatches()
+            && room.playerManager.players.size < room.playerManager.maxPlayers) {
+            const [spectator] = room.spectators.values();
+            room.spectators.delete(spectator.id);
+            try {
+                const player = room.playerManager.addPlayer({
+                    id: spectator.id,
+                    displayName: spectator.displayName,
+                    metadata: spectator.metadata,
+                    isReady: false,
+                });
+                promoted.push(player);
+                this.emit('spectatorPromoted', { roomId: room.id, playerId: player.id });
+            } catch (error) {
+                this._logError('promoteSpectator', error, { roomId: room.id, playerId: spectator.id });
+            }
+        }
+        return promoted;
+    }
+
     async leaveRoom(roomId, playerId) {
         const room = this.getRoom(roomId);
         if (!room) {
             return null;
         }
+        if (room.spectators.has(playerId)) {
+            const spectator = room.spectators.get(playerId);
+            room.spectators.delete(playerId);
+            this.emit('roomUpdated', room.toJSON());
+            return spectator;
+        }
         const context = { action: 'leaveRoom', roomId, playerId };
         let removed = null;
         try {
             removed = room.playerManager.removePlayer(playerId);
-            if (room.playerManager.players.size === 0) {
-                room.isClosing = true;
+            room.disconnectedPlayers.delete(playerId);
+            this._promoteSpectators(room);
+            if (!room.hasHumanPlayers()) {
                 this.deleteRoom(roomId);
             } else {
+                this._settleAfterDeparture(room);
                 this.emit('roomUpdated', room.toJSON());
             }
             return removed;
@@ -127,7 +244,6 @@ class GameRoomManager extends EventEmitter {
                     this._logError('leaveRoom:recovery', recoveryError, context);
                 }
             }
-            room.isClosing = false;
             this._logError('leaveRoom', error, context);
             throw error;
         }
@@ -135,12 +251,13 @@ class GameRoomManager extends EventEmitter {
 
     toggleReady(roomId, playerId) {
         const room = this.getRoom(roomId);
-        if (!room) throw new Error('Room not found');
+        if (!room) throw createCodedError('ROOM_NOT_FOUND', 'Room not found');
         const context = { action: 'toggleReady', roomId, playerId };
         const player = room.playerManager.getPlayer(playerId);
         const previousReady = player?.isReady;
         try {
             const updated = room.playerManager.toggleReady(playerId);
+            this._abortCountdownUnlessReady(room);
             this.emit('roomUpdated', room.toJSON());
             return updated;
         } catch (error) {
@@ -154,12 +271,13 @@ class GameRoomManager extends EventEmitter {
 
     setReady(roomId, playerId, ready) {
         const room = this.getRoom(roomId);
-        if (!room) throw new Error('Room not found');
+        if (!room) throw createCodedError('ROOM_NOT_FOUND', 'Room not found');
         const context = { action: 'setReady', roomId, playerId, ready: Boolean(ready) };
         const player = room.playerManager.getPlayer(playerId);
         const previousReady = player?.isReady;
         try {
             const updated = room.playerManager.setReady(playerId, ready);
+            this._abortCountdownUnlessReady(room);
             this.emit('roomUpdated', room.toJSON());
             return updated;
         } catch (error) {
@@ -171,75 +289,775 @@ class GameRoomManager extends EventEmitter {
         }
     }
 
+    /**
+     * Seats a bot in the match lobby. Only the host can add bots, and only for
+     * games whose definition provides a bot policy. Bots are always ready.
+     */
+    addBot(roomId, { requesterId, difficulty = 'medium' } = {}) {
+        const room = this._getLobbyForBots(roomId, requesterId);
+        if (!BOT_DIFFICULTIES.includes(difficulty)) {
+            throw createCodedError('VALIDATION_ERROR', `Bot difficulty must be one of ${BOT_DIFFICULTIES.join(', ')}.`);
+        }
+        if (room.playerManager.players.size >= room.playerManager.maxPlayers) {
+            throw createCodedError('ROOM_FULL', 'Room is full.');
+        }
+        const botId = generateRoomId('bot');
+        const names = new Set(room.playerManager.list().map((player) => player.displayName));
+        let number = 1;
+        while (names.has(`Bot ${number}`)) {
+            number += 1;
+        }
+        room.bots.set(botId, { difficulty });
+        const player = room.playerManager.addPlayer({
+            id: botId,
+            displayName: `Bot ${number}`,
+            isReady: true,
+            metadata: { isBot: true, difficulty },
+        });
+        this.emit('roomUpdated', room.toJSON());
+        return player;
+    }
+
+    removeBot(roomId, { requesterId, botId } = {}) {
+        const room = this._getLobbyForBots(roomId, requesterId);
+        if (!room.bots.has(botId)) {
+            throw createCodedError('BOT_NOT_FOUND', 'That bot is not in this room.');
+        }
+        room.bots.delete(botId);
+        const removed = room.playerManager.removePlayer(botId);
+        this.emit('roomUpdated', room.toJSON());
+        return removed;
+    }
+
+    /**
+     * Host-only: changes the room's settings, which live in its metadata:
+     * `reactionsEnabled` (quick reactions during play), on unless the host
+     * turns it off, and `gameSettings`, checked against the game's
+     * settingsSchema and merged into what was set before. Settings can be
+     * changed at any time; a game reads its settings when it is created, so
+     * they apply from the next game.
+     */
+    updateSettings(roomId, { requesterId, reactionsEnabled, gameSettings } = {}) {
+        const room = this.getRoom(roomId);
+        if (!room) throw createCodedError('ROOM_NOT_FOUND', 'Room not found');
+        if (room.hostId !== requesterId) {
+            throw createCodedError('NOT_HOST', 'Only the host can change room settings.');
+        }
+        if (gameSettings) {
+            const validation = this.gameFactory?.registry.validateSettings(room.gameId, gameSettings);
+            if (!validation?.success) {
+                const error = validation?.error || { code: 'INVALID_SETTINGS', message: 'This game has no settings.' };
+                throw createCodedError(error.code, error.message, error.details);
+            }
+            room.metadata.gameSettings = { ...room.metadata.gameSettings, ...validation.data };
+        }
+        if (typeof reactionsEnabled === 'boolean') {
+            room.metadata.reactionsEnabled = reactionsEnabled;
+        }
+        room.updateActivity();
+        this.emit('roomUpdated', room.toJSON());
+        const { gameSettings: settings } = room.metadata;
+        return { reactionsEnabled: room.metadata.reactionsEnabled !== false, ...(settings && { gameSettings: settings }) };
+    }
+
+    _getLobbyForBots(roomId, requesterId) {
+        const room = this.getRoom(roomId);
+        if (!room) throw createCodedError('ROOM_NOT_FOUND', 'Room not found');
+        if (room.hostId !== requesterId) {
+            throw createCodedError('NOT_HOST', 'Only the host can add or remove bots.');
+        }
+        if (!this.gameFactory?.registry.get(room.gameId)?.bot) {
+            throw createCodedError('BOTS_NOT_SUPPORTED', 'This game does not support bots.');
+        }
+        if (!room.is(RoomState.LOBBY)) {
+            throw createCodedError('INVALID_ROOM_STATE', `Bots cannot be changed while the room is ${room.status}.`);
+        }
+        return room;
+    }
+
+    /**
+     * Moves the room to STARTING and creates the game once the start countdown
+     * (startCountdownMs) has run. Without a countdown the game is created
+     * immediately and `{ room, gameInstance }` is returned; otherwise
+     * `{ room, startsAt }` is returned and a failed delayed start is reported
+     * through 'gameStartFailed'.
+     */
     startGame(roomId, options = {}) {
         const room = this.getRoom(roomId);
-        if (!room) throw new Error('Room not found');
-        const context = { action: 'startGame', roomId };
+        if (!room) throw createCodedError('ROOM_NOT_FOUND', 'Room not found');
+        if (!room.is(RoomState.LOBBY, RoomState.ROUND_END)) {
+            throw createCodedError('INVALID_ROOM_STATE', `A game cannot be started while the room is ${room.status}.`);
+        }
+        this._assertStartable(room);
+        const countdownMs = options.countdownMs ?? this.startCountdownMs;
+        const startsAt = Date.now() + countdownMs;
+        room.transition(RoomState.STARTING, { startsAt, countdownMs });
+        if (countdownMs <= 0) {
+            return this._beginGame(room, options);
+        }
+
+        this.emit('roomUpdated', room.toJSON());
+        const timer = setTimeout(() => {
+            this.startTimers.delete(roomId);
+            if (this.getRoom(roomId) !== room || !room.is(RoomState.STARTING)) {
+                return;
+            }
+            try {
+                this._assertStartable(room);
+                this._beginGame(room, options);
+            } catch (error) {
+                if (room.is(RoomState.STARTING)) {
+                    room.transition(RoomState.LOBBY, { reason: error.code || 'START_FAILED' });
+                }
+                this.emit('roomUpdated', room.toJSON());
+                this.emit('gameStartFailed', { roomId, error });
+            }
+        }, countdownMs);
+        timer.unref?.();
+        this.startTimers.set(roomId, timer);
+        return { room, startsAt };
+    }
+
+    _assertStartable(room) {
+        if (room.playerManager.players.size < room.playerManager.minPlayers) {
+            throw createCodedError('INSUFFICIENT_PLAYERS', `At least ${room.playerManager.minPlayers} players are required.`);
+        }
         if (!room.playerManager.isReadyToStart()) {
-            throw new Error('Not all players are ready.');
+            throw createCodedError('NOT_ALL_READY', 'Not all players are ready.');
         }
         if (!this.gameFactory) {
             throw new Error('Game factory not configured.');
         }
-        let synchronizer;
+    }
+
+    _beginGame(room, options) {
+        const roomId = room.id;
+        const context = { action: 'startGame', roomId };
         let gameInstance;
+        // A host starting the next match directly ends a running post-game vote
+        this._clearVoteTimer(room);
         try {
+            // Every shuffle and deal draws from the room's RNG, so a recorded seed plus
+            // the command log reproduces the whole game. The seed is random, not derived
+            // from the room id or start time, so players cannot work out the deal.
+            const seed = options.seed ?? (this.deterministicRng ? generateSeed() : null);
+            const rng = seed === null ? createRNG() : createRNG(seed, { state: true });
+
             const definition = this.gameFactory.registry.get(room.gameId);
-            gameInstance = this.gameFactory.create(room.gameId, {
-                roomId,
-                players: room.playerManager.list(),
+            const setup = {
+                players: options.players || room.playerManager.list(),
                 metadata: room.metadata,
                 minPlayers: definition.minPlayers,
                 maxPlayers: definition.maxPlayers,
                 initialBalances: options.initialBalances || {},
-            });
+                ...(options.carryOver && { carryOver: options.carryOver }),
+            };
+            const recordedSetup = deepClone(setup);
+            gameInstance = this.gameFactory.create(room.gameId, { roomId, ...setup, rng, seed });
+            room.seed = seed;
+            room.rng = rng;
+            room.gameSetup = recordedSetup;
+            room.gameStartedAt = Date.now();
+
+            // Real-time games also advance on ticks, which a command log cannot reproduce
+            room.matchRecording?.finish();
+            room.matchRecording = this.matchRecorder && !definition.onTick
+                ? this.matchRecorder.start({
+                    roomId, gameId: room.gameId, seed, setup: recordedSetup, gameInstance,
+                    carriesOver: Boolean(definition.carryOver),
+                })
+                : null;
 
             // Create game logger for detailed tracking
             const gameLogger = createGameLogger(roomId, room.gameId);
             room.gameLogger = gameLogger;
-            gameLogger.logGameStart(room.playerManager.list(), gameInstance.getState());
+            gameLogger.logGameStart(setup.players, gameInstance.getState(), { seed });
 
-            synchronizer = room.attachGame(gameInstance);
-            synchronizer.on('sync', async (payload) => {
-                try {
-                    await this.repository?.save?.(roomId, payload.state);
-                } catch (repoError) {
-                    this._logError('startGame:repositorySave', repoError, { ...context });
-                }
-                this.emit('gameState', payload);
-            });
-            const forwardRoundEnd = (payload) => {
-                this.emit('roundEnd', payload);
-            };
-            synchronizer.on('roundEnd', forwardRoundEnd);
-            room.once('gameDetached', () => {
-                synchronizer.off('roundEnd', forwardRoundEnd);
-                if (room.gameLogger) {
-                    const finalState = gameInstance.getState();
-                    room.gameLogger.logGameEnd(finalState.winner, finalState);
-                }
-            });
+            this._attachGame(room, gameInstance);
+            room.transition(RoomState.PLAYING);
+            this._persistRoom(room);
             this.emit('gameStarted', { roomId, state: gameInstance.getState() });
+            this.emit('roomUpdated', room.toJSON());
             return { room, gameInstance };
         } catch (error) {
-            if (synchronizer) {
+            room.matchRecording?.finish();
+            room.matchRecording = null;
+            if (room.stateSynchronizer) {
                 try {
                     room.detachGame();
                 } catch (detachError) {
                     this._logError('startGame:detachRecovery', detachError, context);
                 }
             }
+            if (room.is(RoomState.STARTING)) {
+                room.transition(RoomState.LOBBY, { reason: error.code || 'START_FAILED' });
+            }
             this._logError('startGame', error, context);
             throw error;
         }
     }
 
+    _cancelCountdown(room) {
+        const timer = this.startTimers.get(room.id);
+        if (timer) {
+            clearTimeout(timer);
+            this.startTimers.delete(room.id);
+        }
+    }
+
+    /**
+     * Drops a pending countdown back to LOBBY when a join, leave or unready means
+     * the room can no longer start.
+     */
+    _abortCountdownUnlessReady(room) {
+        if (!room.is(RoomState.STARTING) || !this.startTimers.has(room.id)) {
+            return;
+        }
+        const enoughPlayers = room.playerManager.players.size >= room.playerManager.minPlayers;
+        if (enoughPlayers && room.playerManager.isReadyToStart()) {
+            return;
+        }
+        this._cancelCountdown(room);
+        room.transition(RoomState.LOBBY, { reason: enoughPlayers ? 'NOT_ALL_READY' : 'INSUFFICIENT_PLAYERS' });
+    }
+
+    /**
+     * Ends a running game that no longer has enough players; otherwise resumes
+     * it if the departed player was the one it was waiting for.
+     */
+    _settleAfterDeparture(room) {
+        this._abortCountdownUnlessReady(room);
+        if (room.is(RoomState.PLAYING, RoomState.PAUSED, RoomState.ROUND_END)
+            && room.playerManager.players.size < room.playerManager.minPlayers) {
+            room.transition(RoomState.ENDING, { reason: 'INSUFFICIENT_PLAYERS' });
+            return;
+        }
+        this._updatePause(room);
+    }
+
+    _assertAcceptingCommands(room) {
+        if (!room?.gameInstance) {
+            throw createCodedError('NOT_IN_GAME', 'Game is not active.');
+        }
+        if (room.is(RoomState.PAUSED)) {
+            throw createCodedError('GAME_PAUSED', 'The game is paused until every player has reconnected.', {
+                waitingFor: room.lifecycle.metadata.waitingFor || [],
+            });
+        }
+        if (!room.is(RoomState.PLAYING, RoomState.ROUND_END)) {
+            throw createCodedError('NOT_IN_GAME', `The game is not accepting moves while the room is ${room.status}.`);
+        }
+    }
+
+    /**
+     * Pauses a running game while any seated player is disconnected and resumes
+     * it once all of them are back (or have been removed). Returns true when the
+     * room changed state.
+     */
+    _updatePause(room) {
+        const waitingFor = room.getDisconnectedPlayerIds();
+        if (room.is(RoomState.PLAYING) && waitingFor.length) {
+            room.transition(RoomState.PAUSED, { waitingFor });
+            return true;
+        }
+        if (room.is(RoomState.PAUSED) && !waitingFor.length) {
+            room.transition(RoomState.PLAYING, { resumed: true });
+            return true;
+        }
+        return false;
+    }
+
+    markPlayerDisconnected(roomId, playerId) {
+        const room = this.getRoom(roomId);
+        if (!room?.playerManager.hasPlayer(playerId)) {
+            return null;
+        }
+        room.markPlayerDisconnected(playerId);
+        this._updatePause(room);
+        this.emit('roomUpdated', room.toJSON());
+        return room;
+    }
+
+    markPlayerReconnected(roomId, playerId) {
+        const room = this.getRoom(roomId);
+        if (!room) {
+            return null;
+        }
+        room.markPlayerReconnected(playerId);
+        this._updatePause(room);
+        this.emit('roomUpdated', room.toJSON());
+        return room;
+    }
+
+    /**
+     * Rebuilds a room and its running game from a repository entry written by
+     * _persistRoom(). The game is recreated from its original setup, then the
+     * saved state, state version and RNG position are loaded on top. Seated
+     * players start out disconnected until they reclaim their seats.
+     */
+    restoreRoom({ roomId, state, metadata: record }) {
+        const context = { action: 'restoreRoom', roomId };
+        if (!roomId || !state || !record?.setup) {
+            throw createCodedError('INVALID_ROOM_RECORD', `Stored room ${roomId} is incomplete.`);
+        }
+        const { gameId } = record;
+        if (this.rooms.has(roomId)) {
+            throw createCodedError('ROOM_CODE_EXISTS', `Room ${roomId} already exists.`);
+        }
+        if (!this.gameFactory?.registry.get(gameId)) {
+            throw createCodedError('INVALID_GAME_TYPE', `Game ${gameId} is not available.`);
+        }
+        const room = new GameRoom({
+            id: roomId,
+            hostId: record.hostId,
+            gameId,
+            metadata: record.metadata || {},
+            playerLimits: record.playerLimits,
+        });
+        try {
+            room.createdAt = record.createdAt || room.createdAt;
+            const seed = record.seed ?? null;
+            const rng = seed === null ? createRNG() : createRNG(seed, { state: true });
+            const gameInstance = this.gameFactory.create(gameId, { roomId, ...deepClone(record.setup), rng, seed });
+            if (record.rngState) {
+                rng.setState(record.rngState);
+            }
+            gameInstance.stateManager.restore(state, record.version);
+
+            const seated = new Map((record.players || []).map((player) => [player.id, player]));
+            for (const player of gameInstance.playerManager.list()) {
+                if (!seated.has(player.id)) {
+                    gameInstance.playerManager.removePlayer(player.id);
+                } else {
+                    Object.assign(player, seated.get(player.id));
+                }
+            }
+
+            room.seed = seed;
+            room.rng = rng;
+            room.gameSetup = record.setup;
+            room.gameStartedAt = record.gameStartedAt ?? null;
+            room.bots = new Map(Object.entries(record.bots || {}));
+            room.restoredAt = Date.now();
+            room.gameLogger = createGameLogger(roomId, gameId);
+            room.transition(RoomState.LOBBY);
+            room.transition(RoomState.STARTING, { restored: true });
+            this.rooms.set(roomId, room);
+            this._attachGame(room, gameInstance);
+            room.transition(RoomState.PLAYING, { restored: true });
+            if (isMatchFinished(state)) {
+                room.roundEndVersion = gameInstance.stateManager.version;
+                room.transition(RoomState.ROUND_END, { matchComplete: true });
+                this._updateVoting(room);
+            }
+            for (const player of room.playerManager.list()) {
+                if (!room.bots.has(player.id)) {
+                    room.markPlayerDisconnected(player.id);
+                }
+            }
+            this._updatePause(room);
+            this.emit('roomCreated', room.toJSON());
+            return room;
+        } catch (error) {
+            if (this.rooms.get(roomId) === room) {
+                this.rooms.delete(roomId);
+            }
+            room.detachGame();
+            this._logError('restoreRoom', error, context);
+            throw error;
+        }
+    }
+
+    _attachGame(room, gameInstance) {
+        const roomId = room.id;
+        const synchronizer = room.attachGame(gameInstance);
+        synchronizer.on('sync', (payload) => {
+            room.turnTimer?.update(payload.state, payload.context);
+            room.botController?.update(payload.state);
+            // The first state change after a round end (next deal, auto reset) starts the next round;
+            // post-game votes do not
+            if (room.is(RoomState.ROUND_END) && payload.version > room.roundEndVersion && !payload.state.votingPhase) {
+                room.transition(RoomState.STARTING, { nextRound: true });
+                room.transition(RoomState.PLAYING);
+                this._updatePause(room);
+                this.emit('roomUpdated', room.toJSON());
+            }
+            // Tick updates reach clients through snapshots; one that ended the round
+            // (the room left PLAYING) is saved and broadcast like a command.
+            if (payload.context?.tick && room.is(RoomState.PLAYING)) {
+                return;
+            }
+            // A state of a game that has since been replaced (the last post-game vote
+            // starts the rematch) must not follow the new game's
+            if (room.gameInstance !== gameInstance) {
+                return;
+            }
+            this.emit('gameState', payload);
+            // Saved after the broadcast so a slow disk does not hold up moves; the
+            // repository writes a room's saves in order
+            this._persistRoom(room, payload);
+        });
+        // Each game reports its result once: when its last round ends, or when it
+        // is detached already finished. A restored room whose match was over has
+        // reported it before the restart.
+        let resultReported = room.is(RoomState.ROUND_END) && Boolean(room.lifecycle.metadata.matchComplete);
+        const { gameSetup: setup, gameStartedAt: startedAt = null } = room;
+        const replayId = room.matchRecording?.id ?? null;
+        const reportMatchComplete = (state) => {
+            resultReported = true;
+            this.emit('matchComplete', {
+                roomId,
+                gameId: room.gameId,
+                state,
+                players: gameInstance.playerManager.list(),
+                setup,
+                startedAt,
+                replayId,
+            });
+        };
+        const forwardRoundEnd = (payload) => {
+            if (room.is(RoomState.PLAYING)) {
+                room.roundEndVersion = gameInstance.stateManager.version;
+                const matchComplete = isMatchFinished(gameInstance.stateManager.state);
+                room.transition(RoomState.ROUND_END, { round: payload.round ?? null, matchComplete });
+                this._promoteSpectators(room);
+                // Games that deal the next round in the same move (poker sessions) play straight on
+                if (!matchComplete && payload.nextRoundStarted) {
+                    room.transition(RoomState.STARTING, { nextRound: true });
+                    room.transition(RoomState.PLAYING);
+                    this._updatePause(room);
+                }
+                this.emit('roomUpdated', room.toJSON());
+                if (matchComplete) {
+                    reportMatchComplete(gameInstance.stateManager.state);
+                }
+            }
+            this.emit('roundEnd', payload);
+        };
+        synchronizer.on('roundEnd', forwardRoundEnd);
+        const definition = this.gameFactory?.registry.get(room.gameId);
+        if (this.tickManager && definition?.onTick) {
+            this._startTicking(room);
+        }
+        if (this.turnTimers && definition?.turnTimer) {
+            this._startTurnTimer(room, gameInstance, definition.turnTimer);
+        }
+        if (definition?.bot && room.bots.size) {
+            this._startBots(room, gameInstance, definition.bot);
+        }
+        room.once('gameDetached', () => {
+            this._clearVoteTimer(room);
+            this._stopTicking(room);
+            this._stopTurnTimer(room);
+            room.botController?.dispose();
+            room.botController = null;
+            synchronizer.off('roundEnd', forwardRoundEnd);
+            room.matchRecording?.finish();
+            room.matchRecording = null;
+            const finalState = gameInstance.getState();
+            if (!resultReported && isMatchFinished(finalState.state)) {
+                reportMatchComplete(finalState.state);
+            }
+            if (room.gameLogger) {
+                room.gameLogger.logGameEnd(finalState.winner, finalState);
+            }
+        });
+        return synchronizer;
+    }
+
+    /**
+     * Post-game vote for games that register a `vote` command. When the match is
+     * over, voting opens until `voteDeadline` (voteTimeoutMs from then). A
+     * complete vote, or the votes cast when time runs out, either restarts the
+     * game with the same seats ('newGame') or returns the room to its match
+     * lobby ('lobby').
+     */
+    _updateVoting(room) {
+        // Tournament matches end with the match; the bracket decides what comes next
+        if (room.metadata.tournamentId || !room.gameInstance?.ruleEngine?.getStrategy('vote')
+            || !room.is(RoomState.ROUND_END) || !room.lifecycle.metadata.matchComplete) {
+            return;
+        }
+        const { state } = room.gameInstance.getState();
+        if (state.votingComplete) {
+            this._finishVoting(room, state.votingResult);
+        } else if (!room.voteTimer) {
+            this._openVoting(room);
+        }
+    }
+
+    _openVoting(room) {
+        const voteDeadline = Date.now() + this.voteTimeoutMs;
+        room.stateManager.update(
+            (state) => ({ ...state, votingPhase: true, votes: state.votes || {}, voteDeadline }),
+            { voting: 'open' },
+        );
+        room.voteTimer = setTimeout(() => {
+            room.voteTimer = null;
+            if (this.getRoom(room.id) !== room || !room.gameInstance || !room.is(RoomState.ROUND_END)) {
+                return;
+            }
+            // Players who did not vote in time are left out of the count
+            const result = restoreVotingManager(room.gameInstance.getState().state).close();
+            this._finishVoting(room, result);
+        }, this.voteTimeoutMs);
+        room.voteTimer.unref?.();
+    }
+
+    _clearVoteTimer(room) {
+        if (room.voteTimer) {
+            clearTimeout(room.voteTimer);
+            room.voteTimer = null;
+        }
+    }
+
+    _finishVoting(room, result) {
+        this._clearVoteTimer(room);
+        const players = room.playerManager.list();
+        const { state } = room.gameInstance.getState();
+        // Either way the finished game ends here (recording, timers, bots)
+        room.detachGame();
+        if (result === 'newGame') {
+            try {
+                this._rematch(room, players, state);
+                return;
+            } catch (error) {
+                this._logError('rematch', error, { roomId: room.id });
+            }
+        }
+        this._returnToLobby(room, players);
+    }
+
+    /**
+     * Starts the next match with the same seats. Everyone moves one seat along,
+     * so the dealer button (or first turn) rotates, and balances carry over
+     * from the finished match, along with anything else the game keeps between
+     * matches (its `carryOver`, such as a Blackjack shoe).
+     */
+    _rematch(room, players, finalState) {
+        const previousOrder = (room.gameSetup?.players || []).map((player) => player.id);
+        const rotated = [...previousOrder.slice(1), ...previousOrder.slice(0, 1)];
+        const seats = [
+            ...rotated.map((id) => players.find((player) => player.id === id)).filter(Boolean),
+            // Spectators seated after the match join at the end
+            ...players.filter((player) => !previousOrder.includes(player.id)),
+        ];
+        if (seats.length < room.playerManager.minPlayers) {
+            throw createCodedError('INSUFFICIENT_PLAYERS', `At least ${room.playerManager.minPlayers} players are required.`);
+        }
+        const definition = this.gameFactory.registry.get(room.gameId);
+        room.transition(RoomState.STARTING, { rematch: true });
+        return this._beginGame(room, {
+            players: seats,
+            initialBalances: { ...room.gameSetup?.initialBalances, ...finalState.finalBalances },
+            carryOver: definition?.carryOver?.(finalState) || null,
+        });
+    }
+
+    /**
+     * Puts the players of a finished game back in the match lobby with their
+     * seats kept and ready flags reset (bots stay ready).
+     */
+    _returnToLobby(room, players) {
+        for (const player of players) {
+            room.playerManager.addPlayer({ ...player, isReady: room.bots.has(player.id) });
+        }
+        if (!room.is(RoomState.LOBBY)) {
+            room.transition(RoomState.LOBBY, { reason: 'VOTE' });
+        }
+        this._promoteSpectators(room);
+        // A lobby has no game to restore after a restart
+        Promise.resolve(this.repository?.remove?.(room.id)).catch((repoError) => {
+            this._logError('returnToLobby:repositoryRemove', repoError, { roomId: room.id });
+        });
+        this.emit('returnedToLobby', { roomId: room.id });
+        this.emit('roomUpdated', room.toJSON());
+    }
+
+    /**
+     * Gives the room a TurnTimer for the definition's turnTimer config. The clock
+     * only runs while the room is PLAYING, so pauses and round ends keep the
+     * time left.
+     */
+    _startTurnTimer(room, gameInstance, config) {
+        this._stopTurnTimer(room);
+        const turnTimer = new TurnTimer({ config });
+        const onTransition = () => turnTimer.setRunning(room.is(RoomState.PLAYING));
+        room.turnTimer = turnTimer;
+        room.lifecycle.on('transition', onTransition);
+        turnTimer.once('disposed', () => room.lifecycle.off('transition', onTransition));
+        turnTimer.on('changed', (timer) => this.emit('turnTimer', { roomId: room.id, timer }));
+        turnTimer.on('expired', (turn) => this._expireTurn(room, config, turn));
+        turnTimer.update(gameInstance.getState().state);
+        onTransition();
+    }
+
+    _stopTurnTimer(room) {
+        if (!room.turnTimer) {
+            return;
+        }
+        room.turnTimer.dispose();
+        room.turnTimer = null;
+        this.emit('turnTimer', { roomId: room.id, timer: null });
+    }
+
+    /**
+     * Plays the definition's default command for every player the clock ran out
+     * on, re-reading the state before each one since earlier defaults can end
+     * the turn (or the round) for the rest.
+     */
+    _expireTurn(room, config, { phase, playerIds }) {
+        for (const playerId of playerIds) {
+            if (!room.gameInstance || !room.is(RoomState.PLAYING)) {
+                return;
+            }
+            const { state } = room.gameInstance.getState();
+            const turn = config.getTurn(state);
+            if (turn?.phase !== phase || !turn.playerIds.includes(playerId)) {
+                continue;
+            }
+            const command = config.getDefaultCommand(state, playerId);
+            if (!command) {
+                continue;
+            }
+            try {
+                this.submitCommand(room.id, { ...command, playerId });
+                this.emit('turnTimeout', { roomId: room.id, playerId, phase, command });
+            } catch (error) {
+                this._logError('turnTimeout', error, { roomId: room.id, playerId, phase, command });
+            }
+        }
+    }
+
+    /**
+     * Lets the room's bots play through submitCommand, like any other player,
+     * while the room is PLAYING.
+     */
+    _startBots(room, gameInstance, config) {
+        room.botController?.dispose();
+        const controller = new BotController({
+            config,
+            bots: room.bots,
+            getState: () => gameInstance.getState().state,
+            thinkMs: this.botThinkMs,
+        });
+        const onTransition = () => controller.setRunning(room.is(RoomState.PLAYING));
+        room.botController = controller;
+        room.lifecycle.on('transition', onTransition);
+        controller.once('disposed', () => room.lifecycle.off('transition', onTransition));
+        controller.on('command', ({ playerId, command }) => {
+            try {
+                this.submitCommand(room.id, { ...command, playerId });
+            } catch (error) {
+                this._logError('botCommand', error, { roomId: room.id, playerId, command });
+            }
+        });
+        onTransition();
+    }
+
+    /**
+     * Registers a real-time room with the shared tick loop, starting the loop
+     * for the first one.
+     */
+    _startTicking(room) {
+        this.tickManager.registerRoom(room.id, room);
+        if (!this.tickManager.isRunning) {
+            this.tickManager.start();
+        }
+    }
+
+    _stopTicking(room) {
+        if (!this.tickManager || this.tickManager.rooms.get(room.id) !== room) {
+            return;
+        }
+        this.tickManager.unregisterRoom(room.id);
+        if (this.tickManager.rooms.size === 0) {
+            this.tickManager.stop();
+        }
+    }
+
+    /**
+     * Advances a real-time game by one fixed step through its definition's
+     * onTick(state, dt) hook. The hook returns the next state, or null when
+     * nothing changed. Ticks only run while the room is PLAYING; a hook that
+     * throws stops ticking its room.
+     */
+    _tickRoom(room, tick, deltaTime) {
+        if (!room.gameInstance || !room.is(RoomState.PLAYING)) {
+            return;
+        }
+        const { stateManager } = room.gameInstance;
+        try {
+            const definition = this.gameFactory.registry.get(room.gameId);
+            const nextState = definition.onTick(stateManager.snapshot().state, deltaTime);
+            if (nextState) {
+                stateManager.commit(nextState, { tick });
+            }
+        } catch (error) {
+            this._logError('tick', error, { roomId: room.id, tick });
+            this._stopTicking(room);
+        }
+    }
+
+    _broadcastSnapshots({ tick, serverTime }) {
+        for (const room of this.tickManager.rooms.values()) {
+            if (this.rooms.get(room.id) !== room || !room.gameInstance || !room.is(RoomState.PLAYING)) {
+                continue;
+            }
+            const { state, version } = room.gameInstance.getState();
+            this.emit('gameSnapshot', { roomId: room.id, tick, serverTime, version, state });
+        }
+    }
+
+    /**
+     * Saves the game state together with everything else restoreRoom() needs:
+     * room settings, the setup the game was created from, current players, the
+     * state version and the RNG position.
+     */
+    async _persistRoom(room, snapshot = room.gameInstance?.getState()) {
+        if (!this.repository?.save || !room.gameInstance || !snapshot) {
+            return;
+        }
+        try {
+            const { rng } = room;
+            await this.repository.save(room.id, snapshot.state, {
+                gameId: room.gameId,
+                hostId: room.hostId,
+                metadata: room.metadata,
+                playerLimits: room.playerLimits,
+                createdAt: room.createdAt,
+                seed: room.seed ?? null,
+                setup: room.gameSetup,
+                gameStartedAt: room.gameStartedAt ?? null,
+                players: room.playerManager.list(),
+                bots: Object.fromEntries(room.bots),
+                version: snapshot.version,
+                rngState: rng?.options?.state ? rng.getState() : null,
+                savedAt: Date.now(),
+            });
+        } catch (repoError) {
+            this._logError('persistRoom', repoError, { roomId: room.id });
+        }
+    }
+
     submitCommand(roomId, commandDescriptor) {
         const room = this.getRoom(roomId);
-        if (!room?.gameInstance) {
-            throw new Error('Game is not active.');
+        this._assertAcceptingCommands(room);
+        if (room.spectators.has(commandDescriptor?.playerId)) {
+            throw createCodedError('SPECTATOR', 'Spectators cannot make moves.');
+        }
+        const hostCommands = this.gameFactory?.registry?.get(room.gameId)?.hostCommands || [];
+        if (hostCommands.includes(commandDescriptor?.type) && commandDescriptor.playerId !== room.hostId) {
+            throw createCodedError('NOT_HOST', 'Only the host can do that.');
         }
         const context = { action: 'submitCommand', roomId, playerId: commandDescriptor?.playerId || null };
+        const validation = this.gameFactory?.registry?.validateCommand?.(room.gameId, commandDescriptor);
+        if (validation && !validation.success) {
+            throw createCodedError(validation.error.code, validation.error.message, validation.error.details);
+        }
+        if (validation) {
+            commandDescriptor = validation.data;
+        }
         try {
             const oldState = room.gameInstance.getState();
             const outcome = room.gameInstance.commandBus.dispatch(commandDescriptor);
@@ -265,6 +1083,7 @@ class GameRoomManager extends EventEmitter {
                 }
             }
 
+            this._updateVoting(room);
             this.emit('roomUpdated', room.toJSON());
             return outcome;
         } catch (error) {
@@ -278,9 +1097,7 @@ class GameRoomManager extends EventEmitter {
 
     undoLast(roomId, playerId) {
         const room = this.getRoom(roomId);
-        if (!room?.gameInstance) {
-            throw new Error('Game is not active.');
-        }
+        this._assertAcceptingCommands(room);
         const context = { action: 'undoLast', roomId, playerId };
         try {
             const outcome = room.gameInstance.commandBus.undoLast(playerId);
@@ -304,9 +1121,22 @@ class GameRoomManager extends EventEmitter {
                 // Clean up disconnected players in each room
                 const removedCount = room.cleanupDisconnectedPlayers(300000); // 5 minutes
                 disconnectedPlayers += removedCount;
+                if (removedCount > 0) {
+                    this._promoteSpectators(room);
+                }
+                if (removedCount > 0 && room.bots.size && !room.hasHumanPlayers()) {
+                    // Nobody is left to play with the bots
+                    this.deleteRoom(roomId);
+                    inactiveRooms++;
+                    continue;
+                }
+                if (removedCount > 0 && room.playerManager.players.size > 0) {
+                    this._settleAfterDeparture(room);
+                    this.emit('roomUpdated', room.toJSON());
+                }
 
-                // Clean up inactive rooms (no players and inactive for 30 minutes)
-                if (room.playerManager.players.size === 0 && room.isInactive(1800000)) {
+                // Clean up inactive rooms (no people and inactive for 30 minutes)
+                if (!room.hasHumanPlayers() && room.isInactive(1800000)) {
                     this.logger.info?.(`[GameRoomManager] Removing inactive room ${roomId}`);
                     this.deleteRoom(roomId);
                     inactiveRooms++;
@@ -329,6 +1159,21 @@ class GameRoomManager extends EventEmitter {
             clearInterval(this.cleanupInterval);
             this.cleanupInterval = null;
         }
+        for (const timer of this.startTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.startTimers.clear();
+        for (const room of this.rooms.values()) {
+            this._stopTurnTimer(room);
+            this._clearVoteTimer(room);
+        }
+        if (this.tickManager) {
+            for (const room of this.rooms.values()) {
+                this._stopTicking(room);
+            }
+            this.tickManager.off('roomTick', this._onRoomTick);
+            this.tickManager.off('snapshot', this._onTickSnapshot);
+        }
 
         // Clean up all rooms
         for (const roomId of this.rooms.keys()) {
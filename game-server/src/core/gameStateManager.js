@@ -18,21 +18,42 @@ class GameStateManager extends EventEmitter {
     }
 
     replace(nextState, context = {}) {
-        const previous = this.snapshot();
-        this.state = deepClone(nextState);
+        return this.commit(deepClone(nextState), context);
+    }
+
+    /**
+     * Adopts `nextState` as the new state without copying it. Only for states
+     * the caller built from a snapshot() and will not touch again.
+     *
+     * States are never changed in place once committed, so stateChanged
+     * listeners get the previous and current states without copies and must
+     * treat them as read-only.
+     */
+    commit(nextState, context = {}) {
+        const previous = { version: this.version, state: this.state };
+        this.state = nextState;
         this.version += 1;
-        const current = this.snapshot();
+        const current = { version: this.version, state: this.state };
         this.emit('stateChanged', { previous, current, context });
         return current;
     }
 
+    /**
+     * Loads a persisted state and version without emitting stateChanged, so a
+     * rehydrated game continues numbering where it left off.
+     */
+    restore(state, version = 0) {
+        this.state = deepClone(state);
+        this.version = version;
+        return this.snapshot();
+    }
+
     update(mutator, context = {}) {
-        const current = deepClone(this.state);
-        const nextState = mutator(current);
+        const nextState = mutator(deepClone(this.state));
         if (typeof nextState === 'undefined') {
             throw new Error('State mutator must return the next state object.');
         }
-        return this.replace(nextState, context);
+        return this.commit(nextState, context);
     }
 }
 
@@ -13,9 +13,22 @@ module.exports = {
     GameInstance: require('./gameInstance'),
     buildGameInstance: require('./gameBuilder').buildGameInstance,
     StateSynchronizer: require('./stateSynchronizer'),
+    diffState: require('./statePatch').diffState,
+    applyPatch: require('./statePatch').applyPatch,
     ResourceMonitor: require('./resourceMonitor'),
+    TickManager: require('./tickManager'),
+    TurnTimer: require('./turnTimer'),
+    BotController: require('./botController').BotController,
+    pickBotCommand: require('./botController').pickBotCommand,
     InMemoryGameRepository: require('./repositories/inMemoryGameRepository'),
+    FileGameRepository: require('./repositories/fileGameRepository'),
+    MatchRecorder: require('./matchRecorder').MatchRecorder,
+    MatchHistory: require('./matchHistory').MatchHistory,
+    CreditLedger: require('./creditLedger').CreditLedger,
+    TournamentManager: require('./tournamentManager'),
+    buildReplayFrames: require('./matchRecorder').buildReplayFrames,
     BettingManager: require('./bettingManager').BettingManager,
     VotingManager: require('./votingManager').VotingManager,
     VotingStrategy: require('./votingStrategy').VotingStrategy,
+    voteCommandSchema: require('./votingStrategy').voteCommandSchema,
 };
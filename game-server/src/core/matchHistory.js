@@ -0,0 +1,111 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { generateRoomId } = require('./utils');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+/**
+ * Compact record of every completed match (game, time, duration, participants
+ * with their result and credit change), kept in memory and appended to a JSON
+ * Lines file. Once the file holds half as many records again as `maxEntries`
+ * it is rewritten with the newest `maxEntries`.
+ */
+class MatchHistory {
+    constructor({ file, logger = console, maxEntries = 10000 }) {
+        if (!file) {
+            throw new Error('MatchHistory requires a file.');
+        }
+        this.file = file;
+        this.logger = logger;
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.lineCount = 0;
+        this.writes = Promise.resolve();
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error?.('[MatchHistory] Failed to load history:', error);
+            }
+            return;
+        }
+        const lines = content.split('\n').filter(Boolean);
+        this.lineCount = lines.length;
+        this.entries = lines
+            .map((line) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .slice(-this.maxEntries);
+    }
+
+    /**
+     * Adds a finished match. `players` are `{ username, displayName, isBot,
+     * result, creditsChange }`; username is null for bots.
+     */
+    record({ gameId, roomId, startedAt = null, endedAt = Date.now(), tournamentId = null, replayId = null, players }) {
+        const entry = {
+            id: generateRoomId('game'),
+            gameId,
+            roomId,
+            startedAt,
+            endedAt,
+            durationMs: startedAt ? Math.max(0, endedAt - startedAt) : null,
+            tournamentId,
+            replayId,
+            players,
+        };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        this.lineCount++;
+        if (this.lineCount > this.maxEntries * 1.5) {
+            const content = this.entries.map((kept) => `${JSON.stringify(kept)}\n`).join('');
+            this.lineCount = this.entries.length;
+            this._enqueue(() => writeFileAtomic(this.file, content));
+        } else {
+            const line = `${JSON.stringify(entry)}\n`;
+            this._enqueue(async () => {
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.appendFile(this.file, line, 'utf8');
+            });
+        }
+        return entry;
+    }
+
+    /**
+     * A user's matches, newest first.
+     */
+    listForUser(username, { limit = 20, offset = 0, gameId = null } = {}) {
+        const matches = this.entries
+            .filter((entry) => (!gameId || entry.gameId === gameId)
+                && entry.players.some((player) => player.username === username))
+            .reverse();
+        return { total: matches.length, matches: matches.slice(offset, offset + limit) };
+    }
+
+    /**
+     * Resolves once every queued write has reached the file.
+     */
+    flush() {
+        return this.writes;
+    }
+
+    _enqueue(write) {
+        this.writes = this.writes.then(write).catch((error) => {
+            this.logger.error?.('[MatchHistory] Failed to save history:', error);
+        });
+    }
+}
+
+module.exports = { MatchHistory };
@@ -0,0 +1,286 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { deepClone, generateRoomId, now, createCodedError } = require('./utils');
+const { createRNG } = require('../utils/rng');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+const REPLAY_ID_PATTERN = /^match_[a-f0-9]{8}$/;
+
+function isMatchFinished(state = {}) {
+    return Boolean(state.isComplete || state.gameOver || state.seriesWinner);
+}
+
+/**
+ * Player ids that won a finished match: the series winner, the winners of the
+ * last hand, or the single winner. Several ids mean a split (e.g. a chopped
+ * pot); none means a draw. Some games name the winner by color or marker, so
+ * callers should keep only ids of seated players.
+ */
+function getMatchWinners(state = {}) {
+    if (state.seriesWinner) {
+        return [state.seriesWinner];
+    }
+    if (Array.isArray(state.winners)) {
+        return state.winners.filter(Boolean);
+    }
+    const winnerId = state.winnerId || state.gameWinnerId || state.winner;
+    return winnerId ? [winnerId] : [];
+}
+
+// Per-seat results of games played against the house
+const HOUSE_RESULTS = { win: 'win', blackjack: 'win', lose: 'loss', push: 'draw' };
+
+/**
+ * 'win', 'loss' or 'draw' for each of `playerIds` in a finished match, or null
+ * when the state names a winner who is none of them. Games against the house
+ * report each seat's result in `results`; otherwise the winners come from
+ * getMatchWinners, where a winning team or color wins for everyone on it.
+ */
+function getMatchOutcomes(state = {}, playerIds = []) {
+    if (state.results && playerIds.every((playerId) => HOUSE_RESULTS[state.results[playerId]?.result])) {
+        return new Map(playerIds.map((playerId) => [playerId, HOUSE_RESULTS[state.results[playerId].result]]));
+    }
+    const winners = getMatchWinners(state);
+    if (!winners.length) {
+        return new Map(playerIds.map((playerId) => [playerId, 'draw']));
+    }
+    const won = (playerId) => winners.some((winner) => winner === playerId
+        || winner === state.players?.[playerId]?.team
+        || winner === state.players?.[playerId]?.color);
+    if (!playerIds.some(won)) {
+        return null;
+    }
+    return new Map(playerIds.map((playerId) => [playerId, won(playerId) ? 'win' : 'loss']));
+}
+
+function summarizeRecording(recording) {
+    return {
+        id: recording.id,
+        roomId: recording.roomId,
+        gameId: recording.gameId,
+        startedAt: recording.startedAt,
+        endedAt: recording.endedAt,
+        completed: recording.completed,
+        finalized: recording.finalized,
+        players: recording.players,
+        commandCount: recording.commands.length,
+    };
+}
+
+/**
+ * The recording as anyone may read it. The room RNG keeps running while its
+ * game is attached, so the seed is only published once the recording has been
+ * finalized. A game that deals its next match on from the same shoe (its
+ * `carryOver`) would give that shoe's order away through the seed, the deck it
+ * started with or the shoe it was handed, so none of them is published.
+ */
+function toPublicRecording(recording) {
+    const { seed, setup = {}, initialState, ...rest } = recording;
+    const { carryOver, ...publicSetup } = setup;
+    return {
+        ...rest,
+        ...(recording.finalized && !recording.carriesOver && { seed }),
+        setup: publicSetup,
+        initialState: Array.isArray(initialState?.deck) ? { ...initialState, deck: [] } : initialState,
+    };
+}
+
+/**
+ * Records the setup (creation options, seed, initial state) and every command a
+ * room's CommandBus executes, and persists each match as one JSON file. A match
+ * is reproduced by rebuilding the game from its setup and re-dispatching the log.
+ */
+class MatchRecorder {
+    constructor({ directory, logger = console }) {
+        if (!directory) {
+            throw new Error('MatchRecorder requires a directory.');
+        }
+        this.directory = directory;
+        this.logger = logger;
+        this.pendingWrites = new Map();
+    }
+
+    /**
+     * Starts recording a freshly created game instance. Returns a handle whose
+     * finish() stops listening and writes the final recording. `carriesOver`
+     * marks a game whose next match carries on with this one's cards.
+     */
+    start({ roomId, gameId, seed = null, setup = {}, gameInstance, carriesOver = false }) {
+        const { commandBus, stateManager } = gameInstance;
+        const recording = {
+            id: generateRoomId('match'),
+            roomId,
+            gameId,
+            seed,
+            startedAt: now(),
+            endedAt: null,
+            completed: false,
+            finalized: false,
+            carriesOver,
+            players: (setup.players || []).map(({ id, displayName }) => ({ id, displayName: displayName || null })),
+            setup: deepClone(setup),
+            initialState: gameInstance.getState().state,
+            commands: [],
+        };
+
+        const onExecuted = ({ descriptor }) => {
+            recording.commands.push({ ...deepClone(descriptor), at: now() });
+            if (!recording.completed && isMatchFinished(stateManager.state)) {
+                recording.completed = true;
+                recording.endedAt = now();
+                this.save(recording);
+            }
+        };
+        const onUndone = ({ descriptor }) => {
+            recording.commands.push({ type: descriptor.type, playerId: descriptor.playerId, undo: true, at: now() });
+        };
+        commandBus.on('commandExecuted', onExecuted);
+        commandBus.on('commandUndone', onUndone);
+
+        let finished = false;
+        return {
+            id: recording.id,
+            recording,
+            finish: () => {
+                if (finished) {
+                    return this.pendingWrites.get(recording.id) || Promise.resolve(null);
+                }
+                finished = true;
+                commandBus.off('commandExecuted', onExecuted);
+                commandBus.off('commandUndone', onUndone);
+                if (!recording.commands.length) {
+                    return Promise.resolve(null);
+                }
+                recording.endedAt = recording.endedAt || now();
+                recording.finalized = true;
+                return this.save(recording);
+            },
+        };
+    }
+
+    /**
+     * Writes a recording atomically (temp file + rename). Writes for the same
+     * match are chained so a late flush never overwrites a newer one.
+     */
+    save(recording) {
+        const snapshot = JSON.stringify(recording);
+        const filePath = this._pathFor(recording.id);
+        const previous = this.pendingWrites.get(recording.id) || Promise.resolve();
+        const write = previous
+            .then(async () => {
+                await writeFileAtomic(filePath, snapshot);
+                return recording.id;
+            })
+            .catch((error) => {
+                this.logger.error?.(`[MatchRecorder] Failed to save ${recording.id}:`, error);
+                return null;
+            })
+            .finally(() => {
+                if (this.pendingWrites.get(recording.id) === write) {
+                    this.pendingWrites.delete(recording.id);
+                }
+            });
+        this.pendingWrites.set(recording.id, write);
+        return write;
+    }
+
+    async list({ gameId, limit = 50, offset = 0 } = {}) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { total: 0, replays: [] };
+            }
+            throw error;
+        }
+
+        const summaries = [];
+        for (const entry of entries) {
+            const id = path.basename(entry, '.json');
+            if (!entry.endsWith('.json') || !REPLAY_ID_PATTERN.test(id)) {
+                continue;
+            }
+            const recording = await this.get(id);
+            if (recording && (!gameId || recording.gameId === gameId)) {
+                summaries.push(summarizeRecording(recording));
+            }
+        }
+        summaries.sort((a, b) => b.startedAt - a.startedAt);
+        return {
+            total: summaries.length,
+            replays: summaries.slice(offset, offset + limit),
+        };
+    }
+
+    async get(id) {
+        if (!REPLAY_ID_PATTERN.test(String(id))) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(this._pathFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            this.logger.error?.(`[MatchRecorder] Failed to read ${id}:`, error);
+            return null;
+        }
+    }
+
+    _pathFor(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+}
+
+/**
+ * Rebuilds a recorded match and returns one frame per step: the initial state
+ * followed by the state after each recorded command (or undo). A match recorded
+ * without a seed can only be rebuilt if it never drew a random number; otherwise
+ * the frames would show invented deals, so it is reported as unavailable.
+ */
+function buildReplayFrames(recording, gameFactory) {
+    const rng = recording.seed === null ? createRNG() : createRNG(recording.seed, { state: true });
+    const gameInstance = gameFactory.create(recording.gameId, {
+        ...deepClone(recording.setup),
+        roomId: recording.roomId,
+        rng,
+        seed: recording.seed,
+    });
+
+    const frames = [{ index: 0, command: null, state: gameInstance.getState().state }];
+    for (const entry of recording.commands) {
+        try {
+            if (entry.undo) {
+                gameInstance.commandBus.undoLast(entry.playerId);
+            } else {
+                gameInstance.commandBus.dispatch({ type: entry.type, payload: entry.payload, playerId: entry.playerId });
+            }
+        } catch (error) {
+            throw createCodedError(
+                'REPLAY_DIVERGED',
+                `Replay ${recording.id} diverged at step ${frames.length}: ${error.message}`,
+            );
+        }
+        frames.push({ index: frames.length, command: entry, state: gameInstance.getState().state });
+    }
+    if (recording.seed === null && rng.getCallCount() > 0) {
+        throw createCodedError(
+            'REPLAY_UNAVAILABLE',
+            `Replay ${recording.id} was recorded without a seed, so its deals cannot be reproduced.`,
+        );
+    }
+    return frames;
+}
+
+module.exports = {
+    MatchRecorder,
+    buildReplayFrames,
+    isMatchFinished,
+    getMatchWinners,
+    getMatchOutcomes,
+    summarizeRecording,
+    toPublicRecording,
+};
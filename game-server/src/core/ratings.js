@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Elo ratings per game. A match with more than two players is scored as a set
+ * of one-on-one results: every winner beats every other player, winners who
+ * shared the win drew with each other, and losers are not compared among
+ * themselves. The rating change is the average over those pairings.
+ */
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+// Rating changes kept per player and game, for the leaderboard trend
+const RECENT_RESULTS = 10;
+
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Rates one finished match. `entries` are `{ id, rating, won }`; returns
+ * `{ id, rating, delta }` per entry, in the same order.
+ */
+function rateMatch(entries, { kFactor = K_FACTOR } = {}) {
+    return entries.map((entry) => {
+        let total = 0;
+        let pairings = 0;
+        for (const opponent of entries) {
+            if (opponent === entry || (!entry.won && !opponent.won)) {
+                continue;
+            }
+            const score = entry.won === opponent.won ? 0.5 : Number(entry.won);
+            total += score - expectedScore(entry.rating, opponent.rating);
+            pairings++;
+        }
+        const delta = pairings ? Math.round((kFactor * total) / pairings) : 0;
+        return { id: entry.id, rating: entry.rating + delta, delta };
+    });
+}
+
+function createRatingRecord() {
+    return {
+        rating: DEFAULT_RATING,
+        peak: DEFAULT_RATING,
+        gamesPlayed: 0,
+        wins: 0,
+        losses: 0,
+        recent: [],
+        updatedAt: null,
+    };
+}
+
+/**
+ * Applies a match result to a player's rating record in place.
+ */
+function applyRating(record, { rating, delta }, won, timestamp = Date.now()) {
+    record.rating = rating;
+    record.peak = Math.max(record.peak, rating);
+    record.gamesPlayed++;
+    record[won ? 'wins' : 'losses']++;
+    record.recent = [...record.recent, delta].slice(-RECENT_RESULTS);
+    record.updatedAt = timestamp;
+    return record;
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    K_FACTOR,
+    RECENT_RESULTS,
+    expectedScore,
+    rateMatch,
+    createRatingRecord,
+    applyRating,
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../../utils/atomicFile');
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * File-backed repository with one snapshot and one journal per room.
+ *
+ * save() appends `{ state, metadata }` to `<roomId>.log`; once the journal holds
+ * `compactAfter` entries it is compacted: the latest entry is written to
+ * `<roomId>.json` atomically and the journal is truncated. Reads take the
+ * snapshot and replay the journal, skipping a torn final line left by a crash.
+ */
+class FileGameRepository {
+    constructor({ directory, compactAfter = 50, logger = console }) {
+        if (!directory) {
+            throw new Error('FileGameRepository requires a directory.');
+        }
+        this.directory = directory;
+        this.compactAfter = compactAfter;
+        this.logger = logger;
+        this.journalSizes = new Map();
+        this.queues = new Map();
+    }
+
+    async save(roomId, state, metadata = null) {
+        this._assertRoomId(roomId);
+        const entry = { state, metadata };
+        await this._enqueue(roomId, async () => {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            await fs.promises.appendFile(this._journalPath(roomId), `${JSON.stringify(entry)}\n`, 'utf8');
+            const size = (this.journalSizes.get(roomId) || 0) + 1;
+            this.journalSizes.set(roomId, size);
+            if (size >= this.compactAfter) {
+                await this._compact(roomId, entry);
+            }
+        });
+        return state;
+    }
+
+    async get(roomId) {
+        this._assertRoomId(roomId);
+        const entry = await this._enqueue(roomId, () => this._read(roomId));
+        return entry ? entry.state : null;
+    }
+
+    async remove(roomId) {
+        this._assertRoomId(roomId);
+        await this._enqueue(roomId, async () => {
+            await Promise.all([
+                fs.promises.unlink(this._snapshotPath(roomId)).catch(ignoreMissing),
+                fs.promises.unlink(this._journalPath(roomId)).catch(ignoreMissing),
+            ]);
+            this.journalSizes.delete(roomId);
+        });
+    }
+
+    /**
+     * Returns every stored room as `{ roomId, state, metadata }`, compacting each
+     * one so a restarted server begins with empty journals.
+     */
+    async list() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const roomIds = new Set(entries
+            .filter((entry) => entry.endsWith('.json') || entry.endsWith('.log'))
+            .map((entry) => entry.replace(/\.(json|log)$/, ''))
+            .filter((roomId) => ROOM_ID_PATTERN.test(roomId)));
+
+        const rooms = [];
+        for (const roomId of roomIds) {
+            const entry = await this.compact(roomId);
+            if (entry !== null) {
+                rooms.push({ roomId, state: entry.state, metadata: entry.metadata });
+            }
+        }
+        return rooms;
+    }
+
+    async compact(roomId) {
+        this._assertRoomId(roomId);
+        return this._enqueue(roomId, async () => {
+            const entry = await this._read(roomId);
+            if (entry !== null) {
+                await this._compact(roomId, entry);
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Resolves once every queued write has reached disk.
+     */
+    async flush() {
+        await Promise.all(Array.from(this.queues.values()));
+    }
+
+    async _compact(roomId, entry) {
+        await writeFileAtomic(this._snapshotPath(roomId), JSON.stringify(entry));
+        await fs.promises.truncate(this._journalPath(roomId), 0).catch(ignoreMissing);
+        this.journalSizes.set(roomId, 0);
+    }
+
+    async _read(roomId) {
+        let latest = null;
+        try {
+            latest = JSON.parse(await fs.promises.readFile(this._snapshotPath(roomId), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn?.(`[FileGameRepository] Ignoring unreadable snapshot for ${roomId}: ${error.message}`);
+            }
+        }
+
+        let journal = '';
+        try {
+            journal = await fs.promises.readFile(this._journalPath(roomId), 'utf8');
+        } catch (error) {
+            ignoreMissing(error);
+        }
+        const lines = journal.split('\n').filter(Boolean);
+        for (const line of lines) {
+            try {
+                latest = JSON.parse(line);
+            } catch (error) {
+                this.logger.warn?.(`[FileGameRepository] Skipping torn journal entry for ${roomId}`);
+            }
+        }
+        this.journalSizes.set(roomId, lines.length);
+        return latest;
+    }
+
+    _enqueue(roomId, task) {
+        const previous = this.queues.get(roomId) || Promise.resolve();
+        const run = previous.catch(() => {}).then(task);
+        const settled = run.catch(() => {}).finally(() => {
+            if (this.queues.get(roomId) === settled) {
+                this.queues.delete(roomId);
+            }
+        });
+        this.queues.set(roomId, settled);
+        return run;
+    }
+
+    _assertRoomId(roomId) {
+        if (!ROOM_ID_PATTERN.test(String(roomId))) {
+            throw new Error(`Invalid room id for storage: ${roomId}`);
+        }
+    }
+
+    _snapshotPath(roomId) {
+        return path.join(this.directory, `${roomId}.json`);
+    }
+
+    _journalPath(roomId) {
+        return path.join(this.directory, `${roomId}.log`);
+    }
+}
+
+function ignoreMissing(error) {
+    if (error.code !== 'ENOENT') {
+        throw error;
+    }
+}
+
+module.exports = FileGameRepository;
@@ -3,10 +3,14 @@
 class InMemoryGameRepository {
     constructor() {
         this.states = new Map();
+        this.metadata = new Map();
     }
 
-    async save(roomId, state) {
+    async save(roomId, state, metadata) {
         this.states.set(roomId, state);
+        if (metadata !== undefined) {
+            this.metadata.set(roomId, metadata);
+        }
         return state;
     }
 
@@ -16,6 +20,15 @@ class InMemoryGameRepository {
 
     async remove(roomId) {
         this.states.delete(roomId);
+        this.metadata.delete(roomId);
+    }
+
+    async list() {
+        return Array.from(this.states, ([roomId, state]) => ({
+            roomId,
+            state,
+            metadata: this.metadata.get(roomId) || null,
+        }));
     }
 }
 
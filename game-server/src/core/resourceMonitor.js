@@ -12,15 +12,17 @@ class ResourceMonitor extends EventEmitter {
             rooms: 0,
             activeGames: 0,
             players: 0,
+            tick: null,
             lastUpdated: Date.now(),
             system: collectSystemMetrics(),
         };
     }
 
-    update({ rooms, activeGames, players }) {
+    update({ rooms, activeGames, players, tick }) {
         if (typeof rooms === 'number') this.metrics.rooms = rooms;
         if (typeof activeGames === 'number') this.metrics.activeGames = activeGames;
         if (typeof players === 'number') this.metrics.players = players;
+        if (tick && typeof tick === 'object') this.metrics.tick = tick;
         this.metrics.lastUpdated = Date.now();
         this.emit('metrics', this.metrics);
     }
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Versioned state patches for delta sync. A patch is a list of changes
+ * `{ operation: 'set' | 'delete', path, value }`, where `path` is the list of
+ * object keys and array indexes from the state root. A change with an empty
+ * path replaces the whole state.
+ *
+ * Arrays that grow are patched per index, so appending to a history list only
+ * sends the new entries; arrays that shrink are sent whole.
+ */
+function diffState(previous, current, path = [], changes = []) {
+    if (Object.is(previous, current)) {
+        return changes;
+    }
+    if (!isContainer(previous) || !isContainer(current) || Array.isArray(previous) !== Array.isArray(current)) {
+        changes.push({ operation: 'set', path, value: current });
+        return changes;
+    }
+    if (Array.isArray(current)) {
+        if (current.length < previous.length) {
+            changes.push({ operation: 'set', path, value: current });
+            return changes;
+        }
+        current.forEach((item, index) => {
+            if (index < previous.length) {
+                diffState(previous[index], item, [...path, index], changes);
+            } else {
+                changes.push({ operation: 'set', path: [...path, index], value: item });
+            }
+        });
+        return changes;
+    }
+    for (const key of Object.keys(previous)) {
+        if (!hasOwn(current, key)) {
+            changes.push({ operation: 'delete', path: [...path, key] });
+        }
+    }
+    for (const key of Object.keys(current)) {
+        if (hasOwn(previous, key)) {
+            diffState(previous[key], current[key], [...path, key], changes);
+        } else {
+            changes.push({ operation: 'set', path: [...path, key], value: current[key] });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Returns a new state with the changes applied. Objects along each changed
+ * path are copied and everything else is shared with `state`, which is left
+ * untouched.
+ */
+function applyPatch(state, changes = []) {
+    let root = state;
+    for (const { operation, path, value } of changes) {
+        root = path.length ? setIn(root, path, 0, operation, value) : value;
+    }
+    return root;
+}
+
+function setIn(node, path, index, operation, value) {
+    const copy = Array.isArray(node) ? node.slice() : { ...node };
+    const key = path[index];
+    if (index === path.length - 1) {
+        if (operation === 'delete') {
+            delete copy[key];
+        } else {
+            copy[key] = value;
+        }
+        return copy;
+    }
+    copy[key] = setIn(isContainer(copy[key]) ? copy[key] : {}, path, index + 1, operation, value);
+    return copy;
+}
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+module.exports = {
+    diffState,
+    applyPatch,
+};
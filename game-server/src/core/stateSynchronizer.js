@@ -2,16 +2,23 @@
 
 const EventEmitter = require('events');
 
+/**
+ * Forwards a game's state changes as 'sync' events. Each carries the new state
+ * and version plus `previous` ({ state, version }), so subscribers can send
+ * patches between the two instead of the full state. The states are shared
+ * with the GameStateManager and must not be modified.
+ */
 class StateSynchronizer extends EventEmitter {
     constructor({ stateManager, roomId }) {
         super();
         this.stateManager = stateManager;
         this.roomId = roomId;
-        this.listener = ({ current, context }) => {
+        this.listener = ({ previous, current, context }) => {
             this.emit('sync', {
                 roomId: this.roomId,
                 state: current.state,
                 version: current.version,
+                previous,
                 context,
             });
         };
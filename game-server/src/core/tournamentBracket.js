@@ -0,0 +1,280 @@
+'use strict';
+
+const { createCodedError } = require('./utils');
+
+/**
+ * Pairings for tournaments. A bracket is a flat list of one-on-one matches.
+ * Each match names where its winner (and, in double elimination, its loser)
+ * goes next as `{ matchId, slot }`. A slot holds a player id, `null` for a bye,
+ * or `undefined` while the match feeding it is still open.
+ *
+ * Match statuses: 'pending' (waiting for players), 'ready', 'playing',
+ * 'complete' and 'skipped' (a grand final reset that was not needed).
+ */
+
+const FORMATS = ['single-elimination', 'double-elimination', 'round-robin'];
+
+function createBracket(format, playerIds) {
+    if (playerIds.length < 2) {
+        throw createCodedError('INSUFFICIENT_PLAYERS', 'A tournament needs at least 2 players.');
+    }
+    switch (format) {
+        case 'single-elimination':
+            return createElimination(playerIds, { double: false });
+        case 'double-elimination':
+            return createElimination(playerIds, { double: true });
+        case 'round-robin':
+            return createRoundRobin(playerIds);
+        default:
+            throw createCodedError('INVALID_FORMAT', `Unknown tournament format ${format}.`);
+    }
+}
+
+function createMatch(id, bracket, round, players = [undefined, undefined]) {
+    return {
+        id,
+        bracket,
+        round,
+        players,
+        status: 'pending',
+        winnerId: null,
+        loserId: null,
+        draw: false,
+        replays: 0,
+        roomId: null,
+        winnerTo: null,
+        loserTo: null,
+    };
+}
+
+/**
+ * Seed numbers in bracket order, so the top seeds meet last and byes
+ * (seeds above the player count) go to the top seeds: 1 v 8, 4 v 5, 2 v 7, 3 v 6.
+ */
+function seedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const length = order.length * 2;
+        order = order.flatMap((seed) => [seed, length + 1 - seed]);
+    }
+    return order;
+}
+
+function createElimination(playerIds, { double }) {
+    let size = 2;
+    while (size < playerIds.length) {
+        size *= 2;
+    }
+    const rounds = Math.log2(size);
+    const seeded = seedOrder(size).map((seed) => playerIds[seed - 1] ?? null);
+
+    const winners = [];
+    for (let round = 1; round <= rounds; round++) {
+        winners.push(Array.from({ length: size >> round }, (_, i) => createMatch(`W${round}-${i + 1}`, 'winners', round)));
+    }
+    winners[0].forEach((match, i) => {
+        match.players = [seeded[2 * i], seeded[2 * i + 1]];
+    });
+    winners.slice(0, -1).forEach((round, r) => {
+        round.forEach((match, i) => {
+            match.winnerTo = { matchId: winners[r + 1][i >> 1].id, slot: i % 2 };
+        });
+    });
+    const matches = winners.flat();
+
+    if (double) {
+        // Losers of the first round pair up; every later winners round drops its
+        // losers into every other losers round, in reverse order to avoid rematches
+        const losers = [];
+        for (let round = 1; round <= 2 * (rounds - 1); round++) {
+            losers.push(Array.from({ length: size >> (Math.ceil(round / 2) + 1) }, (_, i) => createMatch(`L${round}-${i + 1}`, 'losers', round)));
+        }
+        if (losers.length) {
+            winners[0].forEach((match, i) => {
+                match.loserTo = { matchId: losers[0][i >> 1].id, slot: i % 2 };
+            });
+            winners.slice(1).forEach((round, r) => {
+                const dropRound = losers[2 * r + 1];
+                round.forEach((match, i) => {
+                    match.loserTo = { matchId: dropRound[dropRound.length - 1 - i].id, slot: 1 };
+                });
+            });
+            losers.slice(0, -1).forEach((round, r) => {
+                round.forEach((match, i) => {
+                    match.winnerTo = r % 2 === 0
+                        ? { matchId: losers[r + 1][i].id, slot: 0 }
+                        : { matchId: losers[r + 1][i >> 1].id, slot: i % 2 };
+                });
+            });
+        }
+
+        // The losers-bracket champion has to beat the winners-bracket champion
+        // twice, so a second final is played only if they win the first
+        const final = createMatch('GF-1', 'final', 1);
+        const reset = createMatch('GF-2', 'final', 2);
+        final.resetMatchId = reset.id;
+        const winnersChampion = winners[rounds - 1][0];
+        winnersChampion.winnerTo = { matchId: final.id, slot: 0 };
+        if (losers.length) {
+            losers[losers.length - 1][0].winnerTo = { matchId: final.id, slot: 1 };
+        } else {
+            winnersChampion.loserTo = { matchId: final.id, slot: 1 };
+        }
+        matches.push(...losers.flat(), final, reset);
+    }
+
+    // Byes in the first round advance their opponent straight away
+    winners[0].forEach((match) => settle(matches, match));
+    return matches;
+}
+
+/**
+ * Everyone plays everyone once (circle method). With an odd player count one
+ * player sits out each round.
+ */
+function createRoundRobin(playerIds) {
+    const seats = playerIds.length % 2 ? [...playerIds, null] : [...playerIds];
+    const matches = [];
+    for (let round = 1; round < seats.length; round++) {
+        let index = 0;
+        for (let i = 0; i < seats.length / 2; i++) {
+            const home = seats[i];
+            const away = seats[seats.length - 1 - i];
+            if (home !== null && away !== null) {
+                const match = createMatch(`R${round}-${++index}`, 'league', round, [home, away]);
+                match.status = 'ready';
+                matches.push(match);
+            }
+        }
+        seats.splice(1, 0, seats.pop());
+    }
+    return matches;
+}
+
+/**
+ * Records the result of a match and moves the players on. `winnerId` is null
+ * when nobody won: a draw when `draw` is set, otherwise a double forfeit.
+ * Drawn elimination matches are played again. Returns the match.
+ */
+function recordResult(matches, matchId, { winnerId = null, draw = false } = {}) {
+    const match = findMatch(matches, matchId);
+    if (draw && match.bracket !== 'league') {
+        match.replays++;
+        match.roomId = null;
+        match.status = 'ready';
+        return match;
+    }
+    complete(matches, match, winnerId, draw);
+    return match;
+}
+
+function complete(matches, match, winnerId, draw = false) {
+    match.status = 'complete';
+    match.winnerId = winnerId;
+    match.draw = draw;
+    match.loserId = winnerId === null ? null : match.players.find((id) => id !== winnerId) ?? null;
+    if (match.resetMatchId) {
+        const reset = findMatch(matches, match.resetMatchId);
+        if (winnerId !== null && winnerId === match.players[1]) {
+            reset.players = [...match.players];
+            reset.status = 'ready';
+        } else {
+            reset.status = 'skipped';
+        }
+    }
+    place(matches, match.winnerTo, winnerId);
+    place(matches, match.loserTo, winnerId === null ? null : match.loserId);
+}
+
+function place(matches, target, playerId) {
+    if (!target) {
+        return;
+    }
+    const match = findMatch(matches, target.matchId);
+    match.players[target.slot] = playerId;
+    settle(matches, match);
+}
+
+/**
+ * Marks a match ready once both players are known, or completes it right away
+ * when a side is a bye.
+ */
+function settle(matches, match) {
+    if (match.status !== 'pending' || match.players.some((id) => id === undefined)) {
+        return;
+    }
+    if (match.players.every((id) => id !== null)) {
+        match.status = 'ready';
+        return;
+    }
+    complete(matches, match, match.players.find((id) => id !== null) ?? null);
+}
+
+function findMatch(matches, matchId) {
+    const match = matches.find((candidate) => candidate.id === matchId);
+    if (!match) {
+        throw createCodedError('MATCH_NOT_FOUND', `Match ${matchId} not found.`);
+    }
+    return match;
+}
+
+function isBracketComplete(matches) {
+    return matches.every((match) => match.status === 'complete' || match.status === 'skipped');
+}
+
+/**
+ * Round-robin table: a win is worth 1 point and a draw half a point. Ties are
+ * broken by wins, then by registration order.
+ */
+function getStandings(playerIds, matches) {
+    const rows = new Map(playerIds.map((playerId) => [playerId, {
+        playerId, played: 0, wins: 0, draws: 0, losses: 0, points: 0,
+    }]));
+    for (const match of matches) {
+        if (match.status !== 'complete') {
+            continue;
+        }
+        for (const playerId of match.players) {
+            const row = rows.get(playerId);
+            if (!row) {
+                continue;
+            }
+            row.played++;
+            if (match.draw) {
+                row.draws++;
+                row.points += 0.5;
+            } else if (match.winnerId === playerId) {
+                row.wins++;
+                row.points += 1;
+            } else {
+                row.losses++;
+            }
+        }
+    }
+    return [...rows.values()].sort((a, b) => b.points - a.points
+        || b.wins - a.wins
+        || playerIds.indexOf(a.playerId) - playerIds.indexOf(b.playerId));
+}
+
+/**
+ * The tournament winner once every match is decided, or null.
+ */
+function getChampion(format, playerIds, matches) {
+    if (!isBracketComplete(matches)) {
+        return null;
+    }
+    if (format === 'round-robin') {
+        return getStandings(playerIds, matches)[0]?.playerId ?? null;
+    }
+    const decider = [...matches].reverse().find((match) => match.status === 'complete' && !match.winnerTo);
+    return decider?.winnerId ?? null;
+}
+
+module.exports = {
+    FORMATS,
+    createBracket,
+    recordResult,
+    isBracketComplete,
+    getStandings,
+    getChampion,
+};
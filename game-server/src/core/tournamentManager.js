@@ -0,0 +1,383 @@
+'use strict';
+
+const EventEmitter = require('events');
+const {
+    FORMATS,
+    createBracket,
+    recordResult,
+    isBracketComplete,
+    getStandings,
+    getChampion,
+} = require('./tournamentBracket');
+const { getMatchWinners } = require('./matchRecorder');
+const { generateRoomId, createCodedError } = require('./utils');
+
+const MAX_TOURNAMENT_PLAYERS = 64;
+
+/**
+ * Runs tournaments on top of GameRoomManager. Players register while the
+ * tournament is open; starting it draws the bracket. Every match that has both
+ * players, neither of them busy in another match, gets its own room with both
+ * seated and ready, and is started right away. The winner is read from the
+ * final game state; a player who leaves the room forfeits. After
+ * `matchDelayMs` (time to look at the result) the finished room is closed and
+ * the next matches start.
+ *
+ * Emits 'tournamentUpdated' with the public view after every change,
+ * 'tournamentRemoved' { tournamentId }, and 'matchReady' { tournamentId,
+ * matchId, roomId, playerIds } once a match room is seated, before its game
+ * starts. Tournaments are kept in memory only.
+ */
+class TournamentManager extends EventEmitter {
+    constructor({ roomManager, logger = console, matchDelayMs = 5000 }) {
+        super();
+        this.roomManager = roomManager;
+        this.logger = logger;
+        this.matchDelayMs = matchDelayMs;
+        this.tournaments = new Map();
+        // roomId -> { tournamentId, matchId } for matches being played
+        this.matchRooms = new Map();
+        this.timers = new Set();
+
+        this._onMatchComplete = ({ roomId, state }) => this._handleMatchComplete(roomId, state);
+        this._onRoomUpdated = (room) => this._handleRoomUpdated(room);
+        this._onRoomRemoved = ({ roomId }) => this._handleRoomRemoved(roomId);
+        roomManager.on('matchComplete', this._onMatchComplete);
+        roomManager.on('roomUpdated', this._onRoomUpdated);
+        roomManager.on('roomRemoved', this._onRoomRemoved);
+    }
+
+    _logError(action, error, context = {}) {
+        this.logger.error?.(`[TournamentManager] ${action} failed`, {
+            error: error?.message,
+            stack: error?.stack,
+            context,
+        });
+    }
+
+    createTournament({ gameId, format = 'single-elimination', name, host }) {
+        const definition = this.roomManager.gameFactory?.registry.get(gameId);
+        if (!definition) {
+            throw createCodedError('INVALID_GAME_TYPE', 'Selected game type is not available.');
+        }
+        // Matches are one on one; games for one player against the house have no opponent to beat
+        if (definition.minPlayers !== 2) {
+            throw createCodedError('UNSUPPORTED_GAME', `${definition.name || gameId} is not a one-on-one game.`);
+        }
+        if (!FORMATS.includes(format)) {
+            throw createCodedError('INVALID_FORMAT', `Unknown tournament format ${format}.`);
+        }
+        if (!host?.id) {
+            throw createCodedError('VALIDATION_ERROR', 'Host id is required.');
+        }
+        const tournament = {
+            id: generateRoomId('tournament'),
+            name: name || `${definition.name || gameId} tournament`,
+            gameId,
+            format,
+            hostId: host.id,
+            status: 'registration',
+            players: [],
+            matches: [],
+            championId: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            completedAt: null,
+        };
+        this.tournaments.set(tournament.id, tournament);
+        this.registerPlayer(tournament.id, host);
+        return tournament;
+    }
+
+    getTournament(tournamentId) {
+        return this.tournaments.get(tournamentId) || null;
+    }
+
+    listTournaments() {
+        return Array.from(this.tournaments.values()).map((tournament) => this.toJSON(tournament));
+    }
+
+    _requireTournament(tournamentId) {
+        const tournament = this.getTournament(tournamentId);
+        if (!tournament) {
+            throw createCodedError('TOURNAMENT_NOT_FOUND', `Tournament ${tournamentId} not found.`);
+        }
+        return tournament;
+    }
+
+    _requireRegistration(tournament) {
+        if (tournament.status !== 'registration') {
+            throw createCodedError('TOURNAMENT_STARTED', 'Registration for this tournament is closed.');
+        }
+    }
+
+    registerPlayer(tournamentId, player) {
+        const tournament = this._requireTournament(tournamentId);
+        this._requireRegistration(tournament);
+        if (!player?.id) {
+            throw createCodedError('VALIDATION_ERROR', 'Player id is required.');
+        }
+        const existing = tournament.players.find((entry) => entry.id === player.id);
+        if (existing) {
+            return existing;
+        }
+        if (tournament.players.length >= MAX_TOURNAMENT_PLAYERS) {
+            throw createCodedError('TOURNAMENT_FULL', `A tournament takes at most ${MAX_TOURNAMENT_PLAYERS} players.`);
+        }
+        const entry = {
+            id: player.id,
+            displayName: player.displayName || `Player ${tournament.players.length + 1}`,
+            metadata: player.metadata || {},
+        };
+        tournament.players.push(entry);
+        this._emitUpdate(tournament);
+        return entry;
+    }
+
+    unregisterPlayer(tournamentId, playerId) {
+        const tournament = this._requireTournament(tournamentId);
+        this._requireRegistration(tournament);
+        const index = tournament.players.findIndex((entry) => entry.id === playerId);
+        if (index === -1) {
+            throw createCodedError('NOT_REGISTERED', 'You are not registered for this tournament.');
+        }
+        tournament.players.splice(index, 1);
+        if (!tournament.players.length) {
+            this.tournaments.delete(tournament.id);
+            this.emit('tournamentRemoved', { tournamentId: tournament.id });
+            return;
+        }
+        if (tournament.hostId === playerId) {
+            tournament.hostId = tournament.players[0].id;
+        }
+        this._emitUpdate(tournament);
+    }
+
+    /**
+     * Closes registration and draws the bracket in registration order (the
+     * first to register is the top seed).
+     */
+    async startTournament(tournamentId, requesterId) {
+        const tournament = this._requireTournament(tournamentId);
+        if (tournament.hostId !== requesterId) {
+            throw createCodedError('NOT_HOST', 'Only the host can start the tournament.');
+        }
+        this._requireRegistration(tournament);
+        tournament.matches = createBracket(tournament.format, tournament.players.map((player) => player.id));
+        tournament.status = 'running';
+        tournament.startedAt = Date.now();
+        this._emitUpdate(tournament);
+        await this._startReadyMatches(tournament);
+        return tournament;
+    }
+
+    /**
+     * Ends a tournament early, or clears a finished one from the list. Rooms of
+     * matches being played are closed.
+     */
+    cancelTournament(tournamentId, requesterId) {
+        const tournament = this._requireTournament(tournamentId);
+        if (tournament.hostId !== requesterId) {
+            throw createCodedError('NOT_HOST', 'Only the host can cancel the tournament.');
+        }
+        this.tournaments.delete(tournament.id);
+        for (const match of tournament.matches) {
+            if (match.status === 'playing') {
+                this.matchRooms.delete(match.roomId);
+                this._closeRoom(match.roomId, 'The tournament was cancelled');
+            }
+        }
+        this.emit('tournamentRemoved', { tournamentId: tournament.id });
+    }
+
+    async _startReadyMatches(tournament) {
+        if (tournament.status !== 'running' || this.getTournament(tournament.id) !== tournament) {
+            return;
+        }
+        const busy = new Set(tournament.matches
+            .filter((match) => match.status === 'playing')
+            .flatMap((match) => match.players));
+        for (const match of tournament.matches) {
+            if (match.status !== 'ready' || match.players.some((playerId) => busy.has(playerId))) {
+                continue;
+            }
+            match.players.forEach((playerId) => busy.add(playerId));
+            try {
+                await this._startMatch(tournament, match);
+            } catch (error) {
+                this._logError('startMatch', error, { tournamentId: tournament.id, matchId: match.id });
+            }
+        }
+        this._emitUpdate(tournament);
+    }
+
+    async _startMatch(tournament, match) {
+        const players = match.players.map((playerId) => tournament.players.find((player) => player.id === playerId));
+        const room = this.roomManager.createRoom({
+            hostId: players[0].id,
+            gameId: tournament.gameId,
+            metadata: { mode: 'lan', tournamentId: tournament.id, matchId: match.id },
+            playerLimits: { minPlayers: 2, maxPlayers: 2 },
+        });
+        try {
+            for (const player of players) {
+                await this.roomManager.joinRoom(room.id, { ...player, isReady: true });
+            }
+            match.roomId = room.id;
+            this.matchRooms.set(room.id, { tournamentId: tournament.id, matchId: match.id });
+            this.emit('matchReady', {
+                tournamentId: tournament.id,
+                matchId: match.id,
+                roomId: room.id,
+                playerIds: [...match.players],
+            });
+            this.roomManager.startGame(room.id);
+            match.status = 'playing';
+        } catch (error) {
+            this.matchRooms.delete(room.id);
+            match.roomId = null;
+            this._closeRoom(room.id, 'The tournament match could not be started');
+            throw error;
+        }
+    }
+
+    _matchForRoom(roomId) {
+        const entry = this.matchRooms.get(roomId);
+        const tournament = entry && this.getTournament(entry.tournamentId);
+        const match = tournament?.matches.find((candidate) => candidate.id === entry.matchId);
+        return match?.status === 'playing' ? { tournament, match } : null;
+    }
+
+    _handleMatchComplete(roomId, state) {
+        const found = this._matchForRoom(roomId);
+        if (!found) {
+            return;
+        }
+        const winners = getMatchWinners(state).filter((playerId) => found.match.players.includes(playerId));
+        this._finishMatch(found.tournament, found.match, {
+            winnerId: winners.length === 1 ? winners[0] : null,
+            draw: winners.length !== 1,
+        });
+    }
+
+    /**
+     * A player who leaves a match room (or is dropped after staying
+     * disconnected) forfeits the match.
+     */
+    _handleRoomUpdated(room) {
+        const found = this._matchForRoom(room.id);
+        if (!found) {
+            return;
+        }
+        const seated = new Set(room.players.map((player) => player.id));
+        const remaining = found.match.players.filter((playerId) => seated.has(playerId));
+        if (remaining.length === 1) {
+            this._finishMatch(found.tournament, found.match, { winnerId: remaining[0], forfeit: true });
+        }
+    }
+
+    _handleRoomRemoved(roomId) {
+        const found = this._matchForRoom(roomId);
+        if (found) {
+            // Nobody is left to win it
+            this._finishMatch(found.tournament, found.match, { winnerId: null, forfeit: true });
+        }
+    }
+
+    _finishMatch(tournament, match, { winnerId, draw = false, forfeit = false }) {
+        const roomId = match.roomId;
+        this.matchRooms.delete(roomId);
+        recordResult(tournament.matches, match.id, { winnerId, draw });
+        match.forfeit = forfeit;
+        if (isBracketComplete(tournament.matches)) {
+            tournament.status = 'complete';
+            tournament.championId = getChampion(tournament.format, tournament.players.map((player) => player.id), tournament.matches);
+            tournament.completedAt = Date.now();
+        }
+        this._emitUpdate(tournament);
+
+        // Leave the result on screen for a moment before moving everyone on
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this._startReadyMatches(tournament)
+                .catch((error) => this._logError('advance', error, { tournamentId: tournament.id }))
+                .finally(() => this._closeRoom(roomId, 'The tournament match is over'));
+        }, this.matchDelayMs);
+        timer.unref?.();
+        this.timers.add(timer);
+    }
+
+    _closeRoom(roomId, reason) {
+        if (!roomId || !this.roomManager.getRoom(roomId)) {
+            return;
+        }
+        try {
+            this.roomManager.deleteRoom(roomId, { reason });
+        } catch (error) {
+            this._logError('closeRoom', error, { roomId });
+        }
+    }
+
+    _emitUpdate(tournament) {
+        if (this.getTournament(tournament.id) === tournament) {
+            this.emit('tournamentUpdated', this.toJSON(tournament));
+        }
+    }
+
+    /**
+     * Public view of a tournament: the bracket with player names, and the
+     * standings for round robins.
+     */
+    toJSON(tournament) {
+        const byId = new Map(tournament.players.map((player) => [player.id, player]));
+        const describe = (playerId) => {
+            if (playerId === undefined) {
+                return null;
+            }
+            if (playerId === null) {
+                return { bye: true };
+            }
+            return { id: playerId, displayName: byId.get(playerId)?.displayName || 'Player' };
+        };
+        return {
+            id: tournament.id,
+            name: tournament.name,
+            gameId: tournament.gameId,
+            format: tournament.format,
+            hostId: tournament.hostId,
+            status: tournament.status,
+            players: tournament.players.map(({ id, displayName }) => ({ id, displayName })),
+            matches: tournament.matches.map((match) => ({
+                id: match.id,
+                bracket: match.bracket,
+                round: match.round,
+                status: match.status,
+                players: match.players.map(describe),
+                winnerId: match.winnerId,
+                draw: match.draw,
+                forfeit: Boolean(match.forfeit),
+                replays: match.replays,
+                roomId: match.roomId,
+            })),
+            standings: tournament.format === 'round-robin' && tournament.matches.length
+                ? getStandings(tournament.players.map((player) => player.id), tournament.matches)
+                : null,
+            championId: tournament.championId,
+            createdAt: tournament.createdAt,
+            startedAt: tournament.startedAt,
+            completedAt: tournament.completedAt,
+        };
+    }
+
+    shutdown() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.roomManager.off('matchComplete', this._onMatchComplete);
+        this.roomManager.off('roomUpdated', this._onRoomUpdated);
+        this.roomManager.off('roomRemoved', this._onRoomRemoved);
+    }
+}
+
+module.exports = TournamentManager;
@@ -0,0 +1,135 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Per-room turn clock driven by a game definition's `turnTimer` config:
+ *
+ *   turnTimer: {
+ *       phases: { betting: 30000 },                  // ms per phase; unlisted phases are untimed
+ *       getTurn(state) { return { phase, playerIds } }, // who the game is waiting on, or null
+ *       getDefaultCommand(state, playerId) { return { type, payload } },
+ *   }
+ *
+ * update() is called with every new game state. The clock restarts when the
+ * phase changes, when someone new is waited on, or when a waited-on player acts
+ * and is still up (e.g. a Blackjack hit); otherwise it keeps running. It only
+ * counts down while running (the room is PLAYING). Emits 'changed' with
+ * getStatus(), 'expired' with `{ phase, playerIds }` and 'disposed'.
+ */
+class TurnTimer extends EventEmitter {
+    constructor({ config }) {
+        super();
+        this.config = config;
+        this.turn = null;
+        this.durationMs = 0;
+        this.remainingMs = 0;
+        this.deadline = null;
+        this.running = false;
+        this.timer = null;
+    }
+
+    update(state, context = {}) {
+        const turn = normalizeTurn(this.config.getTurn(state));
+        const durationMs = turn ? this.config.phases[turn.phase] : undefined;
+        if (!turn || !(durationMs > 0)) {
+            this._clear();
+            return;
+        }
+        const previous = this.turn;
+        const actor = context.command?.playerId;
+        const restart = !previous
+            || previous.phase !== turn.phase
+            || turn.playerIds.some((playerId) => !previous.playerIds.includes(playerId))
+            || (actor && turn.playerIds.includes(actor));
+        this.turn = turn;
+        if (restart) {
+            this.durationMs = durationMs;
+            this.remainingMs = durationMs;
+            this._schedule();
+        }
+        if (restart || turn.playerIds.length !== previous.playerIds.length) {
+            this.emit('changed', this.getStatus());
+        }
+    }
+
+    /**
+     * Starts or stops the countdown, keeping the time left while stopped.
+     */
+    setRunning(running) {
+        if (this.running === running) {
+            return;
+        }
+        if (!running && this.deadline !== null) {
+            this.remainingMs = Math.max(0, this.deadline - Date.now());
+        }
+        this.running = running;
+        if (this.turn) {
+            this._schedule();
+            this.emit('changed', this.getStatus());
+        }
+    }
+
+    getStatus() {
+        if (!this.turn) {
+            return null;
+        }
+        return {
+            phase: this.turn.phase,
+            playerIds: [...this.turn.playerIds],
+            durationMs: this.durationMs,
+            remainingMs: this.deadline !== null ? Math.max(0, this.deadline - Date.now()) : this.remainingMs,
+            deadline: this.deadline,
+            running: this.running,
+        };
+    }
+
+    dispose() {
+        this._cancel();
+        this.turn = null;
+        this.emit('disposed');
+        this.removeAllListeners();
+    }
+
+    _schedule() {
+        this._cancel();
+        if (!this.running) {
+            return;
+        }
+        this.deadline = Date.now() + this.remainingMs;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            const turn = this.turn;
+            this.remainingMs = 0;
+            this.emit('expired', { phase: turn.phase, playerIds: [...turn.playerIds] });
+        }, this.remainingMs);
+        this.timer.unref?.();
+    }
+
+    _cancel() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.deadline = null;
+    }
+
+    _clear() {
+        if (!this.turn) {
+            return;
+        }
+        this._cancel();
+        this.turn = null;
+        this.emit('changed', null);
+    }
+}
+
+function normalizeTurn(turn) {
+    const playerIds = (turn?.playerIds || []).filter(Boolean);
+    if (!turn?.phase || !playerIds.length) {
+        return null;
+    }
+    return { phase: turn.phase, playerIds };
+}
+
+module.exports = TurnTimer;
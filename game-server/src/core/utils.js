@@ -17,8 +17,18 @@ function now() {
     return Date.now();
 }
 
+function createCodedError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details !== undefined) {
+        error.details = details;
+    }
+    return error;
+}
+
 module.exports = {
     deepClone,
     generateRoomId,
     now,
+    createCodedError,
 };
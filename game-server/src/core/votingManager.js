@@ -49,6 +49,21 @@ class VotingManager {
     return { complete: false };
   }
 
+  /**
+   * End voting early (e.g. when time runs out) with the votes cast so far.
+   * Players who did not vote are left out; with no votes at all the room
+   * goes to the lobby.
+   * @returns {string} - 'newGame' or 'lobby'
+   */
+  close() {
+    if (this.result === null) {
+      const voters = new VotingManager(this.playerIds.filter(pid => this.votes[pid] !== undefined));
+      voters.votes = { ...this.votes };
+      this.result = voters.playerIds.length ? voters.calculateResult() : 'lobby';
+    }
+    return this.result;
+  }
+
   /**
    * Calculate the voting result based on rules
    * @returns {string} - 'newGame' or 'lobby'
@@ -3,11 +3,19 @@
  * Shared strategy for handling post-game voting
  */
 
+const { z } = require('zod');
 const { VotingManager } = require('./votingManager');
 
+/**
+ * Payload schema for the shared `vote` command
+ */
+const voteCommandSchema = z.object({
+  vote: z.enum(['newGame', 'lobby'])
+});
+
 class VotingStrategy {
   execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
@@ -22,44 +30,41 @@ class VotingStrategy {
       return { error: 'Vote is required' };
     }
 
+    // Votes are kept in the state as plain data; the manager is rebuilt from them
+    const votingManager = restoreVotingManager(state);
+    const voteResult = votingManager.vote(playerId, vote);
+    if (voteResult.error) {
+      return { error: voteResult.error };
+    }
+
     return {
       apply(current) {
         const next = JSON.parse(JSON.stringify(current));
-
-        // Initialize voting if not already started
-        if (!next.votingPhase) {
-          next.votingPhase = true;
-          next.votes = {};
-          next._votingManager = new VotingManager(next.playerOrder);
-        }
-
-        // Record the vote
-        const votingManager = next._votingManager;
-        const voteResult = votingManager.vote(playerId, vote);
-
-        if (voteResult.error) {
-          return { error: voteResult.error };
-        }
-
-        // Update votes in state
+        next.votingPhase = true;
         next.votes = votingManager.getVotes();
 
-        // If voting complete, set the result
+        // GameRoomManager starts the rematch or returns the room to the lobby
         if (voteResult.complete) {
           next.votingComplete = true;
           next.votingResult = voteResult.result;
-
-          // The room manager will handle the actual transition
-          // based on votingResult (newGame or lobby)
         }
 
         return next;
-      },
-      getUndo() {
-        return { error: 'Undo not supported for voting' };
       }
     };
   }
 }
 
-module.exports = { VotingStrategy };
+/**
+ * VotingManager holding the votes already recorded in `state`
+ */
+function restoreVotingManager(state) {
+  const votingManager = new VotingManager(state.playerOrder || []);
+  Object.assign(votingManager.votes, state.votes || {});
+  if (state.votingComplete) {
+    votingManager.result = state.votingResult;
+  }
+  return votingManager;
+}
+
+module.exports = { VotingStrategy, voteCommandSchema, restoreVotingManager };
@@ -4,10 +4,11 @@
  * Players: 2-8
  */
 
-const { buildGameInstance, VotingStrategy } = require('../../core');
+const { z } = require('zod');
+const { buildGameInstance, VotingStrategy, voteCommandSchema } = require('../../core');
 const { BettingManager } = require('../../core/bettingManager');
-const { createDeck, shuffle, getCardDisplayName } = require('../../shared/cardUtils');
-const { evaluateHand, determineWinners } = require('../texas-holdem/pokerUtils');
+const { createDeck, shuffle, getCardDisplayName, redactHands } = require('../../shared/cardUtils');
+const { evaluateHand, determineWinners, createPokerTurnTimer } = require('../texas-holdem/pokerUtils');
 
 /**
  * Streets in 5 Card Stud
@@ -20,28 +21,43 @@ const STREETS = {
   SHOWDOWN: 'showdown'
 };
 
+/**
+ * Payload schemas for stud commands
+ */
+const COMMAND_SCHEMAS = {
+  pokerAction: z.object({
+    action: z.enum(['call', 'raise', 'check', 'fold', 'allIn']),
+    amount: z.number().int().positive().optional()
+  }).refine(move => move.action !== 'raise' || move.amount, { message: 'Raise requires an amount.' }),
+  vote: voteCommandSchema
+};
+
 /**
  * Strategy for poker betting actions
  */
 class PokerBetStrategy {
   execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
 
     const { action, amount } = payload;
-    const bettingManager = state._bettingManager;
 
-    if (!bettingManager) {
+    if (!state.betting) {
       return { error: 'Betting manager not initialized' };
     }
 
+    if (state.isComplete) {
+      return { error: 'Hand is complete' };
+    }
+
     // Validate it's player's turn
     if (state.currentPlayerId !== playerId) {
       return { error: 'Not your turn' };
     }
 
+    const bettingManager = BettingManager.fromState(state.betting);
     let result;
 
     switch (action) {
@@ -83,35 +99,28 @@ class PokerBetStrategy {
           amount: result.amount || 0
         };
 
-        // Update betting state from manager
-        const bettingState = bettingManager.getState();
-        next.pot = bettingState.pot;
-        next.currentBet = bettingState.currentBet;
+        // A bet that raises the price reopens the action for everyone else
+        next.actedPlayers = bettingManager.currentBet > current.currentBet
+          ? [playerId]
+          : [...new Set([...(next.actedPlayers || []), playerId])];
 
-        // Update player statuses and bets
-        next.playerOrder.forEach(pid => {
-          const status = bettingManager.getPlayerStatus(pid);
-          next.playerStatuses[pid] = status;
-          next.playerBets[pid] = bettingManager.getPlayerCurrentBet(pid);
-        });
+        syncBettingState(next, bettingManager);
 
-        // Check if betting round is complete
-        const activePlayers = bettingManager.getActivePlayers();
         const playersInHand = bettingManager.getPlayersInHand();
 
         if (playersInHand.length === 1) {
           // Only one player left, they win
-          return completeGame(next, bettingManager, playerManager, playersInHand[0]);
+          return completeGame(next, bettingManager, playersInHand[0]);
         }
 
-        if (bettingManager.isRoundComplete()) {
+        if (isBettingRoundComplete(next, bettingManager)) {
           // Move to next street
           return advanceStreet(next, bettingManager);
-        } else {
-          // Move to next active player
-          moveToNextPlayer(next, bettingManager);
         }
 
+        // Move to next active player
+        moveToNextPlayer(next);
+
         return next;
       },
       getUndo() {
@@ -122,13 +131,48 @@ class PokerBetStrategy {
 }
 
 /**
- * Move to next active player
+ * Copies the betting manager's pot (split into main and side pots), bets and statuses into game state
  */
-function moveToNextPlayer(state, bettingManager) {
-  const activePlayers = bettingManager.getActivePlayers();
-  const currentIndex = activePlayers.indexOf(state.currentPlayerId);
-  const nextIndex = (currentIndex + 1) % activePlayers.length;
-  state.currentPlayerId = activePlayers[nextIndex];
+function syncBettingState(state, bettingManager) {
+  const bettingState = bettingManager.getState();
+  state.betting = bettingState;
+  state.pot = bettingState.pot;
+  state.pots = bettingManager.buildPots();
+  state.currentBet = bettingState.currentBet;
+  state.playerOrder.forEach(pid => {
+    state.playerStatuses[pid] = bettingManager.getPlayerStatus(pid);
+    state.playerBets[pid] = bettingManager.getPlayerCurrentBet(pid);
+  });
+}
+
+/**
+ * A betting round ends once every player who can still act has acted and matched the bet
+ */
+function isBettingRoundComplete(state, bettingManager) {
+  if (!bettingManager.isRoundComplete()) {
+    return false;
+  }
+  const canAct = state.playerOrder.filter(pid => bettingManager.getPlayerStatus(pid) === 'active');
+  if (canAct.length <= 1 && bettingManager.getPlayerCurrentBet(canAct[0]) >= bettingManager.currentBet) {
+    return true;
+  }
+  return canAct.every(pid => state.actedPlayers.includes(pid));
+}
+
+/**
+ * Move to next active player (in seat order, skipping folded and all-in players)
+ */
+function moveToNextPlayer(state) {
+  const order = state.playerOrder;
+  const start = order.indexOf(state.currentPlayerId);
+  state.currentPlayerId = null;
+  for (let offset = 1; offset <= order.length; offset++) {
+    const pid = order[(start + offset) % order.length];
+    if (state.playerStatuses[pid] === 'active') {
+      state.currentPlayerId = pid;
+      break;
+    }
+  }
 }
 
 /**
@@ -145,15 +189,22 @@ function advanceStreet(state, bettingManager) {
     if (nextStreet === STREETS.SHOWDOWN) {
       // Evaluate hands and determine winner
       return evaluateShowdown(state, bettingManager);
-    } else {
-      // Deal next card and start new betting round
-      dealNextCard(state);
-      bettingManager.startNewRound();
-
-      // Set first player to act
-      const playersInHand = bettingManager.getPlayersInHand();
-      state.currentPlayerId = determineFirstToAct(state, playersInHand);
     }
+
+    // Deal next card and start new betting round
+    dealNextCard(state, bettingManager);
+    bettingManager.startRound(nextStreet);
+    state.actedPlayers = [];
+    syncBettingState(state, bettingManager);
+
+    // Nobody left to bet against: deal the remaining streets
+    const canAct = state.playerOrder.filter(pid => bettingManager.getPlayerStatus(pid) === 'active');
+    if (canAct.length < 2) {
+      return advanceStreet(state, bettingManager);
+    }
+
+    // Set first player to act
+    state.currentPlayerId = determineFirstToAct(state, canAct);
   }
 
   return state;
@@ -162,8 +213,8 @@ function advanceStreet(state, bettingManager) {
 /**
  * Deal next card face up to all active players
  */
-function dealNextCard(state) {
-  const playersInHand = state._bettingManager.getPlayersInHand();
+function dealNextCard(state, bettingManager) {
+  const playersInHand = bettingManager.getPlayersInHand();
 
   playersInHand.forEach(pid => {
     if (state.hands[pid] && state.deck.length > 0) {
@@ -216,26 +267,37 @@ function evaluateShowdown(state, bettingManager) {
     handEvaluations[pid] = evaluateHand(hand);
   });
 
-  // Determine winners
-  const winners = determineWinners(handEvaluations);
-
-  // Payout
-  const payout = bettingManager.payout(winners, 'equal');
+  // Each pot goes to the best hand among the players who can win it; with no
+  // button, a split pot's odd chips go in seat order
+  const { pots, payouts: payoutList } = bettingManager.distributePots(
+    eligible => determineWinners(eligible.map(pid => ({ playerId: pid, cards: state.hands[pid] || [] }))).winners,
+    state.playerOrder
+  );
+  const payouts = Object.fromEntries(payoutList);
+  // Anyone who won a contested pot is a winner (a pot only one player could win just returns their chips)
+  let winners = [...new Set(pots.filter(pot => pot.eligible.length > 1).flatMap(pot => pot.winners))];
+  if (winners.length === 0 && pots.length) {
+    winners = [...pots[0].winners];
+  }
 
   // Update state
   state.phase = 'complete';
   state.winners = winners;
   state.handEvaluations = handEvaluations;
+  state.currentPlayerId = null;
   state.results = {};
 
   winners.forEach(pid => {
     state.results[pid] = {
       result: 'win',
-      payout: payout[pid] || 0,
+      payout: payouts[pid] || 0,
       hand: handEvaluations[pid]
     };
   });
 
+  syncBettingState(state, bettingManager);
+  state.pots = pots;
+
   // Record final balances
   state.finalBalances = {};
   state.playerOrder.forEach(pid => {
@@ -250,19 +312,23 @@ function evaluateShowdown(state, bettingManager) {
 /**
  * Complete game with single winner (all others folded)
  */
-function completeGame(state, bettingManager, playerManager, winnerId) {
-  const winner = playerManager.get(winnerId);
-  const payout = bettingManager.payout([winnerId], 'equal');
+function completeGame(state, bettingManager, winnerId) {
+  const { pots, payouts: payoutList } = bettingManager.distributePots(() => [winnerId], state.playerOrder);
+  const payouts = Object.fromEntries(payoutList);
 
   state.phase = 'complete';
   state.winners = [winnerId];
+  state.currentPlayerId = null;
   state.results = {
     [winnerId]: {
       result: 'win',
-      payout: payout[winnerId] || 0
+      payout: payouts[winnerId] || 0
     }
   };
 
+  syncBettingState(state, bettingManager);
+  state.pots = pots;
+
   state.finalBalances = {};
   state.playerOrder.forEach(pid => {
     state.finalBalances[pid] = bettingManager.getPlayerBalance(pid);
@@ -276,9 +342,10 @@ function completeGame(state, bettingManager, playerManager, winnerId) {
 /**
  * Initialize game state
  */
-function initializeGame({ playerOrder, initialBalances }) {
-  const deck = shuffle(createDeck());
-  const bettingManager = new BettingManager(playerOrder, initialBalances, 10, 1000, 'rounds');
+function initializeGame({ roomId, players, initialBalances = {}, rng }) {
+  const deck = shuffle(createDeck(), rng);
+  const bettingManager = new BettingManager({ minBet: 10, maxBet: 1000, gameType: 'rounds' });
+  const playerOrder = players.map(p => p.id);
 
   // Deal initial cards: 1 down, 1 up
   const hands = {};
@@ -287,21 +354,30 @@ function initializeGame({ playerOrder, initialBalances }) {
       { ...deck.shift(), faceUp: false },  // Hole card (face down)
       { ...deck.shift(), faceUp: true }    // Door card (face up)
     ];
+    bettingManager.initializePlayer(pid, initialBalances[pid] ?? 1000);
   });
+  bettingManager.startRound(STREETS.FIRST);
 
   // Determine first player (highest door card)
   const firstPlayer = determineFirstToAct({ hands }, playerOrder);
 
   return {
+    roomId,
     gameType: '5-card-stud',
     phase: 'playing',
     street: STREETS.FIRST,
     deck,
     hands,
+    players: players.reduce((acc, p, index) => ({
+      ...acc,
+      [p.id]: { id: p.id, displayName: p.displayName, index }
+    }), {}),
     playerOrder,
     playerStatuses: playerOrder.reduce((acc, pid) => ({ ...acc, [pid]: 'active' }), {}),
     playerBets: playerOrder.reduce((acc, pid) => ({ ...acc, [pid]: 0 }), {}),
+    actedPlayers: [],
     pot: 0,
+    pots: [],
     currentBet: 0,
     currentPlayerId: firstPlayer,
     lastAction: null,
@@ -309,10 +385,34 @@ function initializeGame({ playerOrder, initialBalances }) {
     results: null,
     finalBalances: null,
     isComplete: false,
-    _bettingManager: bettingManager
+    betting: bettingManager.getState()
+  };
+}
+
+/**
+ * State as seen by one seated player: door and street cards are public,
+ * opponents' hole cards stay hidden until showdown
+ */
+function getPlayerView(state, playerId) {
+  const reveal = state.street === STREETS.SHOWDOWN && state.isComplete
+    ? (state.playerOrder || []).filter(pid => state.playerStatuses?.[pid] !== 'folded')
+    : [];
+
+  return {
+    ...state,
+    hands: redactHands(state.hands, playerId, { reveal }),
+    deck: [],
+    deckCount: (state.deck || []).length
   };
 }
 
+/**
+ * State as seen by spectators
+ */
+function getPublicView(state) {
+  return getPlayerView(state, null);
+}
+
 /**
  * Register the game plugin
  */
@@ -328,18 +428,46 @@ module.exports = {
       maxPlayers: 8,
       minBet: 10,
       maxBet: 1000,
-      create({ roomId, players, initialBalances }) {
+      getPlayerView,
+      getPublicView,
+      commandSchemas: COMMAND_SCHEMAS,
+      turnTimer: createPokerTurnTimer('street', {
+        [STREETS.FIRST]: 30000,
+        [STREETS.THIRD]: 30000,
+        [STREETS.FOURTH]: 30000,
+        [STREETS.FIFTH]: 30000
+      }),
+      create({ roomId, players = [], initialBalances = {}, rng }) {
         const instance = buildGameInstance({
-          gameId: '5-card-stud',
-          initialState: initializeGame({
-            playerOrder: players.map(p => p.id),
-            initialBalances
-          })
+          id: '5-card-stud',
+          minPlayers: 2,
+          maxPlayers: 8,
+          rng,
+          initialState: initializeGame({ roomId, players, initialBalances, rng }),
+          strategies: {
+            pokerAction: new PokerBetStrategy(),
+            vote: new VotingStrategy()
+          }
         });
 
-        // Register strategies
-        instance.registerStrategy('pokerAction', new PokerBetStrategy());
-        instance.registerStrategy('vote', new VotingStrategy());
+        players.forEach(player => {
+          instance.playerManager.addPlayer({ ...player, isReady: true });
+        });
+
+        // Listen for game completion
+        let roundEndEmitted = false;
+        instance.stateManager.on('stateChanged', ({ current }) => {
+          const { state } = current;
+          if (state.isComplete && !roundEndEmitted) {
+            roundEndEmitted = true;
+            instance.stateManager.emit('roundEnd', {
+              winners: state.winners,
+              results: state.results,
+              outcome: 'complete',
+              state: { finalBalances: state.finalBalances }
+            });
+          }
+        });
 
         return instance;
       }
@@ -4,10 +4,41 @@
  * Players: 1-8 (all betting on same hand)
  */
 
-const { buildGameInstance, VotingStrategy } = require('../../core');
+const { z } = require('zod');
+const { buildGameInstance, VotingStrategy, voteCommandSchema } = require('../../core');
 const { BettingManager } = require('../../core/bettingManager');
 const { createDeck, shuffle } = require('../../shared/cardUtils');
 
+/**
+ * The shoe: eight decks, with the cut card this many cards from the end. Games
+ * at the same table deal on from one shoe until the cut card comes out.
+ */
+const SHOE_DECKS = 8;
+const CUT_CARD = 16;
+
+/**
+ * Side bets, each staked on top of the main bet. A pair bet wins when that
+ * side's first two cards are a pair. A Dragon Bonus wins when its side wins by
+ * a natural or by four points or more (DRAGON_BONUS_ODDS by margin).
+ */
+const SIDE_BETS = ['playerPair', 'bankerPair', 'dragonBonusPlayer', 'dragonBonusBanker'];
+const PAIR_ODDS = 11;
+const DRAGON_BONUS_ODDS = { 9: 30, 8: 10, 7: 6, 6: 4, 5: 2, 4: 1 };
+
+const betAmountSchema = z.number().int().positive();
+
+/**
+ * Payload schemas for Baccarat commands
+ */
+const COMMAND_SCHEMAS = {
+  placeBet: z.object({
+    amount: betAmountSchema,
+    betType: z.enum(['player', 'banker', 'tie']),
+    sideBets: z.object(Object.fromEntries(SIDE_BETS.map(side => [side, betAmountSchema]))).partial().optional()
+  }),
+  vote: voteCommandSchema
+};
+
 /**
  * Calculate Baccarat hand value (modulo 10)
  */
@@ -78,8 +109,8 @@ function shouldDrawThirdCard(playerHand, bankerHand, playerValue, bankerValue) {
  * Strategy for placing bets in Baccarat
  */
 class BaccaratBetStrategy {
-  execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+  execute({ state, playerManager, playerId, payload = {}, rng }) {
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
@@ -88,13 +119,18 @@ class BaccaratBetStrategy {
       return { error: 'Not betting phase' };
     }
 
-    const { amount, betType } = payload;
-    const bettingManager = state._bettingManager;
+    const { amount, betType, sideBets = {} } = payload;
 
-    if (!bettingManager) {
+    if (!state.betting) {
       return { error: 'Betting manager not initialized' };
     }
 
+    if (state.playerBets[playerId] > 0) {
+      return { error: 'Bet already placed' };
+    }
+
+    const bettingManager = BettingManager.fromState(state.betting);
+
     if (!amount || amount <= 0) {
       return { error: 'Invalid bet amount' };
     }
@@ -103,11 +139,21 @@ class BaccaratBetStrategy {
       return { error: 'Invalid bet type. Must be player, banker, or tie' };
     }
 
-    // Place bet
+    if (Object.keys(sideBets).some(side => !SIDE_BETS.includes(side))) {
+      return { error: 'Invalid side bet' };
+    }
+
+    // Place bet, then each side bet
     const result = bettingManager.placeBet(playerId, amount);
     if (result.error) {
       return result;
     }
+    for (const side of Object.keys(sideBets)) {
+      const sideResult = bettingManager.placeBet(playerId, sideBets[side]);
+      if (sideResult.error) {
+        return sideResult;
+      }
+    }
 
     return {
       apply(current) {
@@ -116,6 +162,7 @@ class BaccaratBetStrategy {
         // Record bet type
         next.playerBets[playerId] = amount;
         next.betTypes[playerId] = betType;
+        next.sideBets[playerId] = sideBets;
 
         // Update pot
         next.pot = bettingManager.getPot();
@@ -125,10 +172,12 @@ class BaccaratBetStrategy {
 
         if (allBet) {
           // Start the game
-          dealInitialCards(next);
-          evaluateHands(next, bettingManager, playerManager);
+          dealInitialCards(next, rng);
+          evaluateHands(next, bettingManager, rng);
         }
 
+        next.betting = bettingManager.getState();
+
         return next;
       },
       getUndo() {
@@ -138,41 +187,102 @@ class BaccaratBetStrategy {
   }
 }
 
+/**
+ * A freshly shuffled shoe
+ */
+function buildShoe(rng) {
+  let cards = [];
+  for (let i = 0; i < SHOE_DECKS; i++) {
+    cards = cards.concat(createDeck());
+  }
+  return shuffle(cards, rng);
+}
+
+/**
+ * The shoe for a new game: what is left of the last game's shoe (`carried`)
+ * until its cut card comes out, then a freshly shuffled one
+ */
+function loadShoe(rng, carried) {
+  const reuse = carried?.cards.length > CUT_CARD;
+  return {
+    deck: reuse ? carried.cards : buildShoe(rng),
+    shoe: { decks: SHOE_DECKS, size: SHOE_DECKS * 52, cutCard: CUT_CARD, cutCardOut: false, reshuffled: !reuse }
+  };
+}
+
+/**
+ * Deals the next card face up. The cut card only ends the shoe after the
+ * game, so a hand that runs the shoe dry finishes from a fresh one.
+ */
+function drawCard(state, rng) {
+  if (state.deck.length === 0) {
+    state.deck = buildShoe(rng);
+    state.shoe.reshuffled = true;
+  }
+  const card = state.deck.shift();
+  if (state.deck.length <= CUT_CARD) {
+    state.shoe.cutCardOut = true;
+  }
+  return { ...card, faceUp: true };
+}
+
 /**
  * Deal initial two cards to player and banker
  */
-function dealInitialCards(state) {
+function dealInitialCards(state, rng) {
   state.phase = 'dealing';
 
   // Deal 2 cards to player
-  state.playerHand = [
-    { ...state.deck.shift(), faceUp: true },
-    { ...state.deck.shift(), faceUp: true }
-  ];
+  state.playerHand = [drawCard(state, rng), drawCard(state, rng)];
 
   // Deal 2 cards to banker
-  state.bankerHand = [
-    { ...state.deck.shift(), faceUp: true },
-    { ...state.deck.shift(), faceUp: true }
-  ];
+  state.bankerHand = [drawCard(state, rng), drawCard(state, rng)];
 
   // Calculate values
   state.playerValue = calculateBaccaratValue(state.playerHand);
   state.bankerValue = calculateBaccaratValue(state.bankerHand);
 }
 
+/**
+ * Whether a two-card hand is a pair
+ */
+function isPair(hand) {
+  return hand[0].rank === hand[1].rank;
+}
+
+/**
+ * What a side bet returns per chip staked, including the stake (0 when it loses)
+ */
+function getSideBetReturn(side, state, natural) {
+  if (side === 'playerPair' || side === 'bankerPair') {
+    const hand = side === 'playerPair' ? state.playerHand : state.bankerHand;
+    return isPair(hand) ? PAIR_ODDS + 1 : 0;
+  }
+
+  // Dragon Bonus: a natural win pays 1:1 and a natural tie pushes; otherwise it pays by the margin
+  const [own, other] = side === 'dragonBonusPlayer'
+    ? [state.playerValue, state.bankerValue]
+    : [state.bankerValue, state.playerValue];
+  if (natural) {
+    return own > other ? 2 : own === other ? 1 : 0;
+  }
+  const odds = DRAGON_BONUS_ODDS[own - other];
+  return odds ? odds + 1 : 0;
+}
+
 /**
  * Evaluate hands and determine winner
  */
-function evaluateHands(state, bettingManager, playerManager) {
+function evaluateHands(state, bettingManager, rng) {
   let playerValue = state.playerValue;
   let bankerValue = state.bankerValue;
 
   // Check for natural (8 or 9)
   const playerNatural = playerValue >= 8;
   const bankerNatural = bankerValue >= 8;
+  const natural = playerNatural || bankerNatural;
 
-  if (!playerNatural && !bankerNatural) {
+  if (!natural) {
     // Determine if third cards should be drawn
     const thirdCardRules = shouldDrawThirdCard(
       state.playerHand,
@@ -182,16 +292,16 @@ function evaluateHands(state, bettingManager, playerManager) {
     );
 
     // Draw third card for player if needed
-    if (thirdCardRules.playerDraws && state.deck.length > 0) {
-      const thirdCard = { ...state.deck.shift(), faceUp: true };
+    if (thirdCardRules.playerDraws) {
+      const thirdCard = drawCard(state, rng);
       state.playerHand.push(thirdCard);
       playerValue = calculateBaccaratValue(state.playerHand);
       state.playerValue = playerValue;
     }
 
     // Draw third card for banker if needed
-    if (thirdCardRules.bankerDraws && state.deck.length > 0) {
-      const thirdCard = { ...state.deck.shift(), faceUp: true };
+    if (thirdCardRules.bankerDraws) {
+      const thirdCard = drawCard(state, rng);
       state.bankerHand.push(thirdCard);
       bankerValue = calculateBaccaratValue(state.bankerHand);
       state.bankerValue = bankerValue;
@@ -211,6 +321,16 @@ function evaluateHands(state, bettingManager, playerManager) {
   state.winner = winner;
   state.phase = 'complete';
 
+  // The shoe's scoreboard: one entry per game, for the Bead Plate and Big Road
+  state.history.push({
+    winner,
+    playerValue,
+    bankerValue,
+    natural,
+    playerPair: isPair(state.playerHand),
+    bankerPair: isPair(state.bankerHand)
+  });
+
   // Calculate payouts
   state.results = {};
   state.finalBalances = {};
@@ -224,21 +344,34 @@ function evaluateHands(state, bettingManager, playerManager) {
       if (betType === 'player') {
         payout = betAmount * 2; // 1:1 (bet + winnings)
       } else if (betType === 'banker') {
-        payout = betAmount * 1.95; // 1:1 minus 5% commission
+        payout = Math.floor(betAmount * 1.95); // 1:1 minus 5% commission, in whole credits
       } else if (betType === 'tie') {
         payout = betAmount * 9; // 8:1 (bet + winnings)
       }
-      bettingManager.adjustBalance(pid, payout - betAmount); // Adjust by profit only
+      // Stake was already taken from the balance, so credit the full payout
+      bettingManager.playerBalances.set(pid, bettingManager.getPlayerBalance(pid) + payout);
     } else {
       // Lost bet (already taken from balance)
       payout = 0;
     }
 
+    // Side bets are settled on their own, whatever the main bet did
+    const sideBets = {};
+    let staked = betAmount;
+    Object.entries(state.sideBets[pid] || {}).forEach(([side, amount]) => {
+      const sidePayout = amount * getSideBetReturn(side, state, natural);
+      sideBets[side] = { amount, payout: sidePayout };
+      staked += amount;
+      payout += sidePayout;
+      bettingManager.playerBalances.set(pid, bettingManager.getPlayerBalance(pid) + sidePayout);
+    });
+
     state.results[pid] = {
       result: betType === winner ? 'win' : 'lose',
       betType: betType,
       payout: payout,
-      profit: payout - betAmount
+      profit: payout - staked,
+      sideBets
     };
 
     state.finalBalances[pid] = bettingManager.getPlayerBalance(pid);
@@ -250,27 +383,51 @@ function evaluateHands(state, bettingManager, playerManager) {
 /**
  * Initialize game state
  */
-function initializeGame({ playerOrder, initialBalances }) {
-  const deck = shuffle(createDeck());
-  const bettingManager = new BettingManager(playerOrder, initialBalances, 10, 1000, 'fixed');
+function initializeGame({ roomId, players, initialBalances = {}, carryOver = null, rng }) {
+  const { deck, shoe } = loadShoe(rng, carryOver?.shoe);
+  const bettingManager = new BettingManager({ minBet: 10, maxBet: 1000, gameType: 'fixed' });
+  const playerOrder = players.map(p => p.id);
+  playerOrder.forEach(pid => {
+    bettingManager.initializePlayer(pid, initialBalances[pid] ?? 1000);
+  });
 
   return {
+    roomId,
     gameType: 'baccarat',
     phase: 'betting',
     deck,
+    shoe,
+    // A new shoe starts a new scoreboard
+    history: shoe.reshuffled ? [] : [...(carryOver?.history || [])],
     playerHand: [],
     bankerHand: [],
     playerValue: 0,
     bankerValue: 0,
+    players: players.reduce((acc, p, index) => ({
+      ...acc,
+      [p.id]: { id: p.id, displayName: p.displayName, index }
+    }), {}),
     playerOrder,
     playerBets: playerOrder.reduce((acc, pid) => ({ ...acc, [pid]: 0 }), {}),
     betTypes: playerOrder.reduce((acc, pid) => ({ ...acc, [pid]: null }), {}),
+    sideBets: playerOrder.reduce((acc, pid) => ({ ...acc, [pid]: {} }), {}),
     pot: 0,
     winner: null,
     results: null,
     finalBalances: null,
     isComplete: false,
-    _bettingManager: bettingManager
+    betting: bettingManager.getState()
+  };
+}
+
+/**
+ * Everyone sees the same table; only the order of the shoe stays hidden
+ */
+function getPublicView(state) {
+  return {
+    ...state,
+    deck: [],
+    deckCount: (state.deck || []).length
   };
 }
 
@@ -282,25 +439,49 @@ module.exports = {
     return registry.register({
       id: 'baccarat',
       name: 'Baccarat',
-      description: 'Classic casino card game - bet on Player, Banker, or Tie!',
+      description: 'Classic casino card game - bet on Player, Banker, or Tie, with pair and Dragon Bonus side bets!',
       category: 'casino',
       isCasino: true,
       minPlayers: 1,
       maxPlayers: 8,
       minBet: 10,
       maxBet: 1000,
-      create({ roomId, players, initialBalances }) {
+      getPlayerView: (state) => getPublicView(state),
+      getPublicView,
+      commandSchemas: COMMAND_SCHEMAS,
+      // The next game at the table deals on from the same shoe, keeping its scoreboard
+      carryOver: (state) => ({ shoe: { cards: state.deck }, history: state.history }),
+      create({ roomId, players = [], initialBalances = {}, carryOver = null, rng }) {
         const instance = buildGameInstance({
-          gameId: 'baccarat',
-          initialState: initializeGame({
-            playerOrder: players.map(p => p.id),
-            initialBalances
-          })
+          id: 'baccarat',
+          minPlayers: 1,
+          maxPlayers: 8,
+          rng,
+          initialState: initializeGame({ roomId, players, initialBalances, carryOver, rng }),
+          strategies: {
+            placeBet: new BaccaratBetStrategy(),
+            vote: new VotingStrategy()
+          }
         });
 
-        // Register strategies
-        instance.registerStrategy('placeBet', new BaccaratBetStrategy());
-        instance.registerStrategy('vote', new VotingStrategy());
+        players.forEach(player => {
+          instance.playerManager.addPlayer({ ...player, isReady: true });
+        });
+
+        // Listen for game completion
+        let roundEndEmitted = false;
+        instance.stateManager.on('stateChanged', ({ current }) => {
+          const { state } = current;
+          if (state.isComplete && !roundEndEmitted) {
+            roundEndEmitted = true;
+            instance.stateManager.emit('roundEnd', {
+              winner: state.winner,
+              results: state.results,
+              outcome: 'complete',
+              state: { finalBalances: state.finalBalances }
+            });
+          }
+        });
 
         return instance;
       }
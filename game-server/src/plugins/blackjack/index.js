@@ -4,9 +4,74 @@
  * Players: 1-7 (vs dealer)
  */
 
-const { buildGameInstance, VotingStrategy } = require('../../core');
+const { z } = require('zod');
+const { buildGameInstance, VotingStrategy, voteCommandSchema } = require('../../core');
 const { BettingManager } = require('../../core/bettingManager');
-const { createDeck, shuffle, getCardDisplayName } = require('../../shared/cardUtils');
+const { createDeck, shuffle, getCardDisplayName, concealFaceDown } = require('../../shared/cardUtils');
+
+/**
+ * House rules, which the host can change in the match lobby (`gameSettings`).
+ * `penetration` is how much of the shoe is dealt before the cut card comes
+ * out; the shoe is reshuffled before the next round after that. `maxHands` caps
+ * splitting and resplitting; split aces get one card each and are only split
+ * again with `resplitAces`.
+ */
+const DEFAULT_RULES = {
+  decks: 6,
+  penetration: 0.75,
+  dealerHitsSoft17: false,
+  blackjackPayout: '3:2',
+  doubleAfterSplit: true,
+  surrender: true,
+  maxHands: 4,
+  resplitAces: false
+};
+
+/**
+ * What a natural pays per chip bet
+ */
+const BLACKJACK_PAYOUTS = { '3:2': 1.5, '6:5': 1.2 };
+
+/**
+ * Payload schemas for Blackjack commands
+ */
+const COMMAND_SCHEMAS = {
+  placeBet: z.object({
+    amount: z.number().int().positive()
+  }),
+  action: z.object({
+    action: z.enum(['hit', 'stand', 'double', 'split', 'surrender'])
+  }),
+  insurance: z.object({
+    take: z.boolean()
+  }),
+  vote: voteCommandSchema
+};
+COMMAND_SCHEMAS.playerAction = COMMAND_SCHEMAS.action;
+
+/**
+ * Table settings the host can pick in the match lobby; they apply from the next game
+ */
+const SETTINGS_SCHEMA = z.object({
+  decks: z.number().int().min(1).max(8),
+  penetration: z.number().min(0.5).max(0.9),
+  dealerHitsSoft17: z.boolean(),
+  blackjackPayout: z.enum(Object.keys(BLACKJACK_PAYOUTS)),
+  doubleAfterSplit: z.boolean(),
+  surrender: z.boolean(),
+  maxHands: z.number().int().min(2).max(4),
+  resplitAces: z.boolean()
+}).partial();
+
+/**
+ * Blackjack value of one card, counting an ace as 1
+ */
+function getCardValue(card) {
+  if (card.rank === 'A') {
+    return 1;
+  }
+  return ['J', 'Q', 'K'].includes(card.rank) ? 10 : parseInt(card.rank);
+}
 
 /**
  * Calculate hand value in Blackjack
@@ -19,10 +84,8 @@ function calculateHandValue(hand) {
     if (card.rank === 'A') {
       aces++;
       value += 11;
-    } else if (['J', 'Q', 'K'].includes(card.rank)) {
-      value += 10;
     } else {
-      value += parseInt(card.rank);
+      value += getCardValue(card);
     }
   }
 
@@ -35,6 +98,14 @@ function calculateHandValue(hand) {
   return value;
 }
 
+/**
+ * Check if hand is soft (an ace still counts as 11)
+ */
+function isSoft(hand) {
+  const hardValue = hand.reduce((sum, card) => sum + getCardValue(card), 0);
+  return hand.some(card => card.rank === 'A') && hardValue + 10 === calculateHandValue(hand);
+}
+
 /**
  * Check if hand is blackjack (21 with 2 cards)
  */
@@ -49,18 +120,99 @@ function isBust(hand) {
   return calculateHandValue(hand) > 21;
 }
 
+/**
+ * A freshly shuffled shoe of `decks` decks
+ */
+function buildShoe(decks, rng) {
+  let cards = [];
+  for (let i = 0; i < decks; i++) {
+    cards = cards.concat(createDeck());
+  }
+  return shuffle(cards, rng);
+}
+
+/**
+ * The shoe for a new game: what is left of the last game's shoe (`carried`),
+ * unless its cut card came out or the number of decks changed, in which case
+ * a new one is shuffled
+ */
+function loadShoe(rules, rng, carried) {
+  const size = rules.decks * 52;
+  // Cards left in the shoe when the cut card comes out
+  const cutCard = Math.round(size * (1 - rules.penetration));
+  const reuse = carried?.decks === rules.decks && carried.cards.length > cutCard;
+  return {
+    deck: reuse ? carried.cards : buildShoe(rules.decks, rng),
+    shoe: { decks: rules.decks, size, cutCard, cutCardOut: false, reshuffled: !reuse }
+  };
+}
+
+/**
+ * Deals the next card face up. The cut card only ends the shoe after the
+ * round, so a round that runs the shoe dry finishes from a fresh one.
+ */
+function drawCard(state, rng) {
+  if (state.deck.length === 0) {
+    state.deck = buildShoe(state.shoe.decks, rng);
+    state.shoe.reshuffled = true;
+  }
+  const card = state.deck.shift();
+  if (state.deck.length <= state.shoe.cutCard) {
+    state.shoe.cutCardOut = true;
+  }
+  return { ...card, faceUp: true };
+}
+
+/**
+ * A hand as played: its own cards, bet and status. Splitting a pair makes a
+ * second hand with the same bet.
+ */
+function createHand(cards, bet, { fromSplit = false, splitAces = false } = {}) {
+  return {
+    cards,
+    bet,
+    value: calculateHandValue(cards),
+    status: !fromSplit && isBlackjack(cards) ? 'blackjack' : 'playing',
+    doubled: false,
+    fromSplit,
+    splitAces,
+    evenMoney: false
+  };
+}
+
+/**
+ * A player's status across their hands: playing while one is undecided, then
+ * the status of their only hand, or 'stand' when a split left a hand standing
+ */
+function summarizeStatus(hands) {
+  if (hands.some(hand => hand.status === 'playing')) {
+    return 'playing';
+  }
+  if (hands.length === 1) {
+    return hands[0].status;
+  }
+  return hands.some(hand => hand.status === 'stand') ? 'stand' : 'bust';
+}
+
+/**
+ * Moves chips straight to or from a player's balance (payouts and insurance)
+ */
+function adjustBalance(bettingManager, playerId, amount) {
+  bettingManager.playerBalances.set(playerId, bettingManager.getPlayerBalance(playerId) + amount);
+}
+
 /**
  * Strategy for placing initial bet
  */
 class PlaceBetStrategy {
-  execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+  execute({ state, playerManager, playerId, payload = {}, rng }) {
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
 
     const { amount } = payload;
-    const bettingManager = state._bettingManager;
+    const bettingManager = BettingManager.fromState(state.betting);
 
     if (!amount || amount <= 0) {
       return { error: 'Invalid bet amount' };
@@ -86,54 +238,83 @@ class PlaceBetStrategy {
 
         next.playerBets[playerId] = amount;
         next.pot = result.pot;
+        next.betting = bettingManager.getState();
 
         // Check if all players have bet
         const allBet = next.playerOrder.every(pid => next.playerBets[pid] > 0);
 
         if (allBet) {
-          // Deal initial cards
-          next.phase = 'playing';
-
           // Deal 2 cards to each player
           next.playerOrder.forEach(pid => {
-            next.hands[pid] = [
-              { ...next.deck.shift(), faceUp: true },
-              { ...next.deck.shift(), faceUp: true }
-            ];
-            next.handValues[pid] = calculateHandValue(next.hands[pid]);
-            next.playerStatuses[pid] = 'playing';
-
-            // Check for blackjack
-            if (isBlackjack(next.hands[pid])) {
-              next.playerStatuses[pid] = 'blackjack';
-            }
+            next.hands[pid] = [createHand([drawCard(next, rng), drawCard(next, rng)], next.playerBets[pid])];
+            next.playerStatuses[pid] = summarizeStatus(next.hands[pid]);
           });
 
           // Deal 2 cards to dealer (one face down)
-          next.dealerHand = [
-            { ...next.deck.shift(), faceUp: true },
-            { ...next.deck.shift(), faceUp: false }
-          ];
-
-          // Set first player as current
-          next.currentPlayerId = next.playerOrder[0];
-
-          // Skip player if they have blackjack
-          while (next.currentPlayerId && next.playerStatuses[next.currentPlayerId] === 'blackjack') {
-            const currentIndex = next.playerOrder.indexOf(next.currentPlayerId);
-            if (currentIndex >= next.playerOrder.length - 1) {
-              next.currentPlayerId = null;
-              break;
-            }
-            next.currentPlayerId = next.playerOrder[currentIndex + 1];
-          }
+          next.dealerHand = [drawCard(next, rng), { ...drawCard(next, rng), faceUp: false }];
 
-          // If no current player, move to dealer
-          if (!next.currentPlayerId) {
-            next.phase = 'dealer';
+          // An ace showing: everyone is offered insurance (even money on a blackjack) first
+          if (next.dealerHand[0].rank === 'A') {
+            next.phase = 'insurance';
+            next.playerOrder.forEach(pid => {
+              next.insurance[pid] = null;
+            });
+            return next;
           }
+
+          return new PlayerActionStrategy().peek(next, bettingManager, rng);
+        }
+
+        return next;
+      },
+      getUndo() {
+        return () => ({ state: JSON.parse(JSON.stringify(state)) });
+      }
+    };
+  }
+}
+
+/**
+ * Strategy for insurance: with an ace showing, each player takes insurance (half
+ * their bet, paying 2:1 if the dealer has blackjack) or declines. On a
+ * blackjack taking it means even money: the hand is paid 1:1 whatever the
+ * dealer has.
+ */
+class InsuranceStrategy {
+  execute({ state, playerManager, playerId, payload = {}, rng }) {
+    if (!playerManager.getPlayer(playerId)) {
+      return { error: 'Player not found' };
+    }
+
+    if (state.phase !== 'insurance') {
+      return { error: 'Insurance is not on offer' };
+    }
+
+    if (state.insurance[playerId] !== null) {
+      return { error: 'Insurance already decided' };
+    }
+
+    const bettingManager = BettingManager.fromState(state.betting);
+    const [hand] = state.hands[playerId];
+    const stake = payload.take && hand.status !== 'blackjack' ? Math.floor(hand.bet / 2) : 0;
+    if (stake > bettingManager.getPlayerBalance(playerId)) {
+      return { error: 'Insufficient balance for insurance' };
+    }
+
+    return {
+      apply(current) {
+        const next = JSON.parse(JSON.stringify(current));
+
+        next.insurance[playerId] = stake;
+        if (payload.take && hand.status === 'blackjack') {
+          next.hands[playerId][0].evenMoney = true;
         }
+        adjustBalance(bettingManager, playerId, -stake);
+        next.betting = bettingManager.getState();
 
+        if (next.playerOrder.every(pid => next.insurance[pid] !== null)) {
+          return new PlayerActionStrategy().peek(next, bettingManager, rng);
+        }
         return next;
       },
       getUndo() {
@@ -144,11 +325,12 @@ class PlaceBetStrategy {
 }
 
 /**
- * Strategy for player actions (hit, stand, double, split)
+ * Strategy for player actions (hit, stand, double, split, surrender) on the
+ * hand being played
  */
 class PlayerActionStrategy {
-  execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+  execute({ state, playerManager, playerId, payload = {}, rng }) {
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
@@ -163,58 +345,85 @@ class PlayerActionStrategy {
       return { error: 'Not your turn' };
     }
 
-    const bettingManager = state._bettingManager;
+    const bettingManager = BettingManager.fromState(state.betting);
+    const hands = state.hands[playerId];
+    const hand = hands[state.activeHand];
+    const rejection = this.validate(action, hand, hands, state.rules, bettingManager.getPlayerBalance(playerId));
+    if (rejection) {
+      return { error: rejection };
+    }
+    const strategy = this;
 
     return {
       apply(current) {
         const next = JSON.parse(JSON.stringify(current));
+        const nextHands = next.hands[playerId];
+        const nextHand = nextHands[next.activeHand];
 
         switch (action) {
           case 'hit':
             // Draw a card
-            next.hands[playerId].push({ ...next.deck.shift(), faceUp: true });
-            next.handValues[playerId] = calculateHandValue(next.hands[playerId]);
+            nextHand.cards.push(drawCard(next, rng));
+            nextHand.value = calculateHandValue(nextHand.cards);
 
             // Check if bust
-            if (isBust(next.hands[playerId])) {
-              next.playerStatuses[playerId] = 'bust';
-              return this.moveToNextPlayer(next);
+            if (isBust(nextHand.cards)) {
+              nextHand.status = 'bust';
             }
             break;
 
           case 'stand':
-            next.playerStatuses[playerId] = 'stand';
-            return this.moveToNextPlayer(next);
+            nextHand.status = 'stand';
+            break;
 
           case 'double':
             // Double the bet
-            const currentBet = next.playerBets[playerId];
-            const balance = bettingManager.getPlayerBalance(playerId);
-
-            if (currentBet > balance) {
-              return current; // Can't double, insufficient funds
-            }
-
-            bettingManager.placeBet(playerId, currentBet);
-            next.playerBets[playerId] = currentBet * 2;
-            next.pot = bettingManager.getPot();
+            bettingManager.placeBet(playerId, nextHand.bet);
+            nextHand.bet *= 2;
+            nextHand.doubled = true;
 
             // Draw one card and stand
-            next.hands[playerId].push({ ...next.deck.shift(), faceUp: true });
-            next.handValues[playerId] = calculateHandValue(next.hands[playerId]);
+            nextHand.cards.push(drawCard(next, rng));
+            nextHand.value = calculateHandValue(nextHand.cards);
+            nextHand.status = isBust(nextHand.cards) ? 'bust' : 'stand';
+            break;
 
-            if (isBust(next.hands[playerId])) {
-              next.playerStatuses[playerId] = 'bust';
-            } else {
-              next.playerStatuses[playerId] = 'stand';
-            }
+          case 'split': {
+            bettingManager.placeBet(playerId, nextHand.bet);
+            const [first, second] = nextHand.cards;
+            const splitAces = first.rank === 'A';
+            const options = { fromSplit: true, splitAces };
+            const split = [
+              createHand([first, drawCard(next, rng)], nextHand.bet, options),
+              createHand([second, drawCard(next, rng)], nextHand.bet, options)
+            ];
+            // Split aces get one card each, unless another ace may be split again
+            split.forEach(splitHand => {
+              if (splitAces && !strategy.canSplit(splitHand, nextHands.length + 1, next.rules)) {
+                splitHand.status = 'stand';
+              }
+            });
+            nextHands.splice(next.activeHand, 1, ...split);
+            break;
+          }
 
-            return this.moveToNextPlayer(next);
+          case 'surrender':
+            // Half the bet comes back at settlement
+            nextHand.status = 'surrender';
+            break;
 
           default:
             return current;
         }
 
+        next.playerBets[playerId] = nextHands.reduce((sum, entry) => sum + entry.bet, 0);
+        next.playerStatuses[playerId] = summarizeStatus(nextHands);
+        next.pot = bettingManager.getPot();
+        next.betting = bettingManager.getState();
+
+        if (nextHands[next.activeHand].status !== 'playing') {
+          return strategy.moveToNextHand(next, bettingManager, rng);
+        }
         return next;
       },
       getUndo() {
@@ -223,120 +432,242 @@ class PlayerActionStrategy {
     };
   }
 
-  moveToNextPlayer(state) {
-    const currentIndex = state.playerOrder.indexOf(state.currentPlayerId);
+  /**
+   * Why an action is not allowed on this hand, or null
+   */
+  validate(action, hand, hands, rules, balance) {
+    const firstDecision = hand.cards.length === 2 && !hand.doubled;
+    switch (action) {
+      case 'hit':
+        return hand.splitAces ? 'Split aces get one card each' : null;
+      case 'stand':
+        return null;
+      case 'double':
+        if (!firstDecision || hand.splitAces || (hand.fromSplit && !rules.doubleAfterSplit)) {
+          return 'This hand cannot be doubled';
+        }
+        return hand.bet > balance ? 'Insufficient balance to double' : null;
+      case 'split':
+        if (!this.canSplit(hand, hands.length, rules)) {
+          return 'This hand cannot be split';
+        }
+        return hand.bet > balance ? 'Insufficient balance to split' : null;
+      case 'surrender':
+        return rules.surrender && firstDecision && hands.length === 1 && !hand.fromSplit
+          ? null
+          : 'Surrender is only allowed as the first decision';
+      default:
+        return 'Invalid action';
+    }
+  }
 
-    // Move to next player
-    if (currentIndex < state.playerOrder.length - 1) {
-      state.currentPlayerId = state.playerOrder[currentIndex + 1];
+  /**
+   * A pair can be split while the player has fewer than `maxHands` hands; split
+   * aces only with `resplitAces`
+   */
+  canSplit(hand, handCount, rules) {
+    const [first, second] = hand.cards;
+    return hand.cards.length === 2
+      && getCardValue(first) === getCardValue(second)
+      && handCount < rules.maxHands
+      && (!hand.splitAces || rules.resplitAces);
+  }
 
-      // Skip if player already finished
-      while (state.currentPlayerId &&
-             ['stand', 'bust', 'blackjack'].includes(state.playerStatuses[state.currentPlayerId])) {
-        const nextIndex = state.playerOrder.indexOf(state.currentPlayerId);
-        if (nextIndex >= state.playerOrder.length - 1) {
-          state.currentPlayerId = null;
-          break;
-        }
-        state.currentPlayerId = state.playerOrder[nextIndex + 1];
+  /**
+   * With a ten or an ace showing, the dealer checks the hole card: a dealer
+   * blackjack ends the round before anyone plays. Otherwise play starts with
+   * the first undecided hand.
+   */
+  peek(state, bettingManager, rng) {
+    const upCard = state.dealerHand[0];
+    if (getCardValue(upCard) >= 10 || upCard.rank === 'A') {
+      if (isBlackjack(state.dealerHand)) {
+        state.dealerHand[1].faceUp = true;
+        return this.determineWinners(state, bettingManager);
       }
-    } else {
-      state.currentPlayerId = null;
     }
+    state.phase = 'playing';
+    state.currentPlayerId = null;
+    return this.moveToNextHand(state, bettingManager, rng);
+  }
 
-    // If no more players, dealer plays
-    if (!state.currentPlayerId) {
-      return this.dealerPlay(state);
+  /**
+   * Moves play to the next undecided hand: the current player's next split
+   * hand, or the first one of the next player who still has to play. The
+   * dealer plays once none is left.
+   */
+  moveToNextHand(state, bettingManager, rng) {
+    const startIndex = Math.max(state.playerOrder.indexOf(state.currentPlayerId), 0);
+    for (let index = startIndex; index < state.playerOrder.length; index++) {
+      const pid = state.playerOrder[index];
+      const handIndex = state.hands[pid].findIndex(hand => hand.status === 'playing');
+      if (handIndex !== -1) {
+        state.currentPlayerId = pid;
+        state.activeHand = handIndex;
+        return state;
+      }
     }
 
-    return state;
+    // If no more players, dealer plays
+    state.currentPlayerId = null;
+    state.activeHand = 0;
+    return this.dealerPlay(state, bettingManager, rng);
   }
 
-  dealerPlay(state) {
+  dealerPlay(state, bettingManager, rng) {
     state.phase = 'dealer';
 
     // Flip dealer's hole card
     state.dealerHand[1].faceUp = true;
 
-    // Dealer must hit on 16 or less, stand on 17 or more
-    let dealerValue = calculateHandValue(state.dealerHand);
+    // The dealer only draws while a standing hand is waiting on the result
+    const handsLeft = state.playerOrder.some(pid => state.hands[pid].some(hand => hand.status === 'stand'));
+
+    // Dealer must hit on 16 or less and stands on 17 or more (hitting soft 17 under H17)
+    const mustHit = () => {
+      const value = calculateHandValue(state.dealerHand);
+      return value < 17 || (value === 17 && state.rules.dealerHitsSoft17 && isSoft(state.dealerHand));
+    };
 
-    while (dealerValue < 17) {
-      state.dealerHand.push({ ...state.deck.shift(), faceUp: true });
-      dealerValue = calculateHandValue(state.dealerHand);
+    while (handsLeft && mustHit()) {
+      state.dealerHand.push(drawCard(state, rng));
     }
 
     // Determine winners
-    return this.determineWinners(state);
+    return this.determineWinners(state, bettingManager);
   }
 
-  determineWinners(state) {
+  determineWinners(state, bettingManager) {
     const dealerValue = calculateHandValue(state.dealerHand);
     const dealerBust = isBust(state.dealerHand);
     const dealerBlackjack = isBlackjack(state.dealerHand);
+    const blackjackPayout = BLACKJACK_PAYOUTS[state.rules.blackjackPayout];
 
-    const bettingManager = state._bettingManager;
     const results = {};
 
     state.playerOrder.forEach(playerId => {
-      const playerHand = state.hands[playerId];
-      const playerValue = state.handValues[playerId];
-      const playerBet = state.playerBets[playerId];
-      const playerStatus = state.playerStatuses[playerId];
-
-      let result = 'lose';
-      let payout = 0;
-
-      if (playerStatus === 'bust') {
-        // Player busts, loses bet
-        result = 'lose';
-      } else if (playerStatus === 'blackjack') {
-        if (dealerBlackjack) {
+      const hands = state.hands[playerId].map(hand => {
+        const { bet, value, status } = hand;
+        let result = 'lose';
+        let payout = 0;
+
+        if (hand.evenMoney) {
+          // Blackjack paid 1:1 before the dealer looked
+          result = 'win';
+          payout = bet * 2;
+        } else if (status === 'surrender') {
+          result = 'surrender';
+          payout = Math.floor(bet / 2);
+        } else if (status === 'bust') {
+          // Player busts, loses bet
+          result = 'lose';
+        } else if (status === 'blackjack') {
+          if (dealerBlackjack) {
+            // Push
+            result = 'push';
+            payout = bet;
+          } else {
+            result = 'blackjack';
+            payout = bet + Math.floor(bet * blackjackPayout);
+          }
+        } else if (dealerBlackjack) {
+          // Only reached when the dealer's peek ends the round
+          result = 'lose';
+        } else if (dealerBust || value > dealerValue) {
+          result = 'win';
+          payout = bet * 2;
+        } else if (value === dealerValue) {
           // Push
           result = 'push';
-          payout = playerBet;
+          payout = bet;
         } else {
-          // Player wins 3:2
-          result = 'blackjack';
-          payout = playerBet + Math.floor(playerBet * 1.5);
+          // Dealer wins
+          result = 'lose';
         }
-      } else if (dealerBust) {
-        // Dealer busts, player wins
-        result = 'win';
-        payout = playerBet * 2;
-      } else if (playerValue > dealerValue) {
-        // Player has higher value
-        result = 'win';
-        payout = playerBet * 2;
-      } else if (playerValue === dealerValue) {
-        // Push
-        result = 'push';
-        payout = playerBet;
-      } else {
-        // Dealer wins
-        result = 'lose';
+
+        return { result, payout, value, bet };
+      });
+
+      const insuranceStake = state.insurance[playerId] || 0;
+      const insurance = insuranceStake > 0
+        ? { stake: insuranceStake, payout: dealerBlackjack ? insuranceStake * 3 : 0 }
+        : null;
+      const payout = hands.reduce((sum, hand) => sum + hand.payout, 0) + (insurance?.payout || 0);
+      const net = payout - hands.reduce((sum, hand) => sum + hand.bet, 0) - insuranceStake;
+
+      let result = net > 0 ? 'win' : net < 0 ? 'lose' : 'push';
+      if (hands.length === 1 && hands[0].result === 'blackjack') {
+        result = 'blackjack';
       }
 
-      results[playerId] = { result, payout, playerValue, dealerValue };
+      results[playerId] = { result, payout, net, playerValue: hands[0].value, dealerValue, hands, insurance };
 
       // Update balance
       if (payout > 0) {
-        const currentBalance = bettingManager.getPlayerBalance(playerId);
-        bettingManager.playerBalances.set(playerId, currentBalance + payout);
+        adjustBalance(bettingManager, playerId, payout);
       }
 
       state.finalBalances[playerId] = bettingManager.getPlayerBalance(playerId);
     });
 
     state.results = results;
+    state.betting = bettingManager.getState();
     state.dealerValue = dealerValue;
     state.phase = 'complete';
     state.isComplete = true;
+    state.currentPlayerId = null;
 
     return state;
   }
 }
 
+/**
+ * Player cards are dealt face up, so every seat sees the same table:
+ * the shoe and the dealer's hole card stay hidden until revealed
+ */
+function getPublicView(state) {
+  return {
+    ...state,
+    dealerHand: concealFaceDown(state.dealerHand || []),
+    deck: [],
+    deckCount: (state.deck || []).length
+  };
+}
+
+/**
+ * Turn clock: everyone bets at once (a player who runs out of time bets the
+ * table minimum) and answers the insurance offer at once (declining when time
+ * runs out), then each player gets 30 seconds per decision and stands when it
+ * runs out.
+ */
+const TURN_TIMER = {
+  phases: { betting: 30000, insurance: 30000, playing: 30000 },
+  getTurn(state) {
+    if (state.isComplete) {
+      return null;
+    }
+    if (state.phase === 'betting') {
+      return { phase: 'betting', playerIds: state.playerOrder.filter(pid => !(state.playerBets[pid] > 0)) };
+    }
+    if (state.phase === 'insurance') {
+      return { phase: 'insurance', playerIds: state.playerOrder.filter(pid => state.insurance[pid] === null) };
+    }
+    if (state.phase === 'playing' && state.currentPlayerId) {
+      return { phase: 'playing', playerIds: [state.currentPlayerId] };
+    }
+    return null;
+  },
+  getDefaultCommand(state) {
+    if (state.phase === 'betting') {
+      return { type: 'placeBet', payload: { amount: state.minBet } };
+    }
+    if (state.phase === 'insurance') {
+      return { type: 'insurance', payload: { take: false } };
+    }
+    return { type: 'action', payload: { action: 'stand' } };
+  }
+};
+
 /**
  * Register Blackjack
  */
@@ -353,14 +684,17 @@ module.exports = {
       isCasino: true,
       minBet: 10,
       maxBet: 1000,
-
-      create({ roomId, players = [], initialBalances = {} }) {
-        // Create and shuffle deck (using multiple decks for blackjack)
-        let deck = [];
-        for (let i = 0; i < 6; i++) {
-          deck = deck.concat(createDeck());
-        }
-        deck = shuffle(deck);
+      getPlayerView: (state) => getPublicView(state),
+      getPublicView,
+      commandSchemas: COMMAND_SCHEMAS,
+      settingsSchema: SETTINGS_SCHEMA,
+      turnTimer: TURN_TIMER,
+      // The next game at the table deals on from the same shoe
+      carryOver: (state) => ({ shoe: { decks: state.shoe.decks, cards: state.deck } }),
+
+      create({ roomId, players = [], metadata = {}, initialBalances = {}, carryOver = null, rng }) {
+        const rules = { ...DEFAULT_RULES, ...metadata.gameSettings };
+        const { deck, shoe } = loadShoe(rules, rng, carryOver?.shoe);
 
         // Initialize betting manager
         const bettingManager = new BettingManager({
@@ -369,80 +703,98 @@ module.exports = {
           gameType: 'fixed'
         });
 
+        const initialState = {
+          roomId,
+          gameType: 'blackjack',
+          phase: 'betting', // betting, insurance, playing, dealer, complete
+          rules,
+          hands: {},
+          activeHand: 0,
+          insurance: {},
+          dealerHand: [],
+          dealerValue: 0,
+          deck,
+          shoe,
+          pot: 0,
+          minBet: 10,
+          maxBet: 1000,
+          playerBets: {},
+          playerStatuses: {},
+          players: {},
+          playerOrder: [],
+          currentPlayerId: null,
+          isComplete: false,
+          results: {},
+          finalBalances: {},
+          betting: null
+        };
+
+        // Initialize players
+        players.forEach((player, index) => {
+          initialState.hands[player.id] = [];
+          initialState.insurance[player.id] = 0;
+          initialState.playerBets[player.id] = 0;
+          initialState.playerStatuses[player.id] = 'waiting';
+          initialState.players[player.id] = {
+            id: player.id,
+            displayName: player.displayName,
+            index
+          };
+          initialState.playerOrder.push(player.id);
+
+          // Initialize betting manager for player
+          const balance = initialBalances[player.id] ?? 1000;
+          bettingManager.initializePlayer(player.id, balance);
+          initialState.finalBalances[player.id] = balance;
+        });
+        initialState.betting = bettingManager.getState();
+
         // Create game instance
+        const playerAction = new PlayerActionStrategy();
         const game = buildGameInstance({
           id: 'blackjack',
           minPlayers: 1,
           maxPlayers: 7,
-          initialState: {
-            roomId,
-            gameType: 'blackjack',
-            phase: 'betting', // betting, playing, dealer, complete
-            hands: {},
-            handValues: {},
-            dealerHand: [],
-            dealerValue: 0,
-            deck: deck,
-            pot: 0,
-            minBet: 10,
-            maxBet: 1000,
-            playerBets: {},
-            playerStatuses: {},
-            players: {},
-            playerOrder: [],
-            currentPlayerId: null,
-            isComplete: false,
-            results: {},
-            finalBalances: {},
-            _bettingManager: bettingManager
-          },
+          rng,
+          initialState,
           strategies: {
             placeBet: new PlaceBetStrategy(),
-            action: new PlayerActionStrategy(),
+            insurance: new InsuranceStrategy(),
+            action: playerAction,
+            playerAction,
             vote: new VotingStrategy()
           }
         });
 
-        // Initialize players
-        players.forEach((player, index) => {
-          game.playerManager.add(player);
-          const state = game.getState();
-
-          state.hands[player.id] = [];
-          state.handValues[player.id] = 0;
-          state.playerBets[player.id] = 0;
-          state.playerStatuses[player.id] = 'waiting';
-          state.players[player.id] = {
-            id: player.id,
-            displayName: player.displayName,
-            index
-          };
-          state.playerOrder.push(player.id);
-          state.finalBalances[player.id] = 0;
-
-          // Initialize betting manager for player
-          const balance = initialBalances[player.id] || 1000;
-          bettingManager.initializePlayer(player.id, balance);
+        players.forEach(player => {
+          game.playerManager.addPlayer({ ...player, isReady: true });
         });
 
         // Listen for game completion
+        let roundEndEmitted = false;
         game.stateManager.on('stateChanged', ({ current }) => {
-          if (current.isComplete) {
+          const { state } = current;
+          if (state.isComplete && !roundEndEmitted) {
+            roundEndEmitted = true;
             const winnings = {};
+            // Hand bets plus insurance, so the ledger's bet entries match what was staked
+            const totalBets = {};
 
-            current.playerOrder.forEach(playerId => {
-              const result = current.results[playerId];
+            state.playerOrder.forEach(playerId => {
+              const result = state.results[playerId];
               if (result) {
-                const initialBalance = initialBalances[playerId] || 1000;
-                winnings[playerId] = current.finalBalances[playerId] - initialBalance;
+                const initialBalance = initialBalances[playerId] ?? 1000;
+                winnings[playerId] = state.finalBalances[playerId] - initialBalance;
+                totalBets[playerId] = state.playerBets[playerId] + (state.insurance[playerId] || 0);
               }
             });
 
-            game.emit('roundEnd', {
-              results: current.results,
+            game.stateManager.emit('roundEnd', {
+              results: state.results,
               winnings,
-              dealerValue: current.dealerValue,
-              outcome: 'complete'
+              dealerValue: state.dealerValue,
+              outcome: 'complete',
+              state: { finalBalances: state.finalBalances, totalBets }
             });
           }
         });
@@ -1,48 +1,267 @@
 'use strict';
 
+const { z } = require('zod');
 const { buildGameInstance } = require('../../core');
 
-class CaptureFlagMoveStrategy {
-    execute({ state, payload, playerManager, playerId }) {
-        if (!playerManager.hasPlayer(playerId)) {
-            return { error: 'Unknown player.' };
+const TEAMS = ['red', 'blue'];
+const ARENA = { width: 800, height: 480 };
+const PLAYER_RADIUS = 14;
+const FLAG_RADIUS = 10;
+const BASE_RADIUS = 60;
+const PLAYER_SPEED = 180; // arena units per second
+const RESPAWN_MS = 3000;
+const SCORE_TO_WIN = 3;
+const SPAWN_SPACING = 48;
+const MAX_EVENTS = 10;
+
+const BASES = {
+    red: { x: 80, y: ARENA.height / 2 },
+    blue: { x: ARENA.width - 80, y: ARENA.height / 2 },
+};
+
+const COMMAND_SCHEMAS = {
+    move: z.object({
+        x: z.number().min(-1).max(1),
+        y: z.number().min(-1).max(1),
+    }),
+};
+
+/**
+ * Sets the direction a player is steering in. Positions only change on ticks,
+ * so the server stays authoritative over movement, pickups and tags.
+ */
+class MoveStrategy {
+    execute({ state, playerManager, playerId, payload }) {
+        if (!playerManager.hasPlayer(playerId) || !state.players?.[playerId]) {
+            return { error: 'Player not part of this game.' };
         }
         if (state.isComplete) {
             return { error: 'Game has ended.' };
         }
-        const { team, flagCaptured } = payload || {};
-        if (!['red', 'blue'].includes(team)) {
-            return { error: 'Invalid team.' };
-        }
-        const player = playerManager.getPlayer(playerId);
+        const input = normalizeInput(payload);
         return {
             apply(current) {
-                const next = JSON.parse(JSON.stringify(current));
-                next.events.push({
-                    type: 'captureAttempt',
-                    team,
-                    playerId,
-                    timestamp: Date.now(),
-                });
-                if (flagCaptured) {
-                    next.scores[team] += 1;
-                    if (next.scores[team] >= next.scoreToWin) {
-                        next.isComplete = true;
-                        next.winner = team;
-                    }
-                }
-                next.turnIndex = (next.turnIndex + 1) % playerManager.list().length;
-                next.activePlayerId = playerManager.list()[next.turnIndex].id;
-                return next;
-            },
-            getUndo() {
-                return () => ({ state: JSON.parse(JSON.stringify(state)) });
+                current.players[playerId].input = input;
+                return current;
             },
-            metadata: { playerDisplayName: player.displayName },
         };
     }
 }
 
+function normalizeInput({ x = 0, y = 0 } = {}) {
+    const length = Math.hypot(x, y);
+    if (length <= 1) {
+        return { x, y };
+    }
+    return { x: x / length, y: y / length };
+}
+
+function cloneState(state = {}) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function isTouching(a, b, reach) {
+    return Math.hypot(a.x - b.x, a.y - b.y) <= reach;
+}
+
+function opponentOf(team) {
+    return team === 'red' ? 'blue' : 'red';
+}
+
+function sideOf(x) {
+    return x < ARENA.width / 2 ? 'red' : 'blue';
+}
+
+function teamName(team) {
+    return `${team.charAt(0).toUpperCase()}${team.slice(1)} team`;
+}
+
+function spawnPoint(state, player) {
+    const teammates = Object.values(state.players).filter((candidate) => candidate.team === player.team);
+    const slot = teammates.findIndex((candidate) => candidate.id === player.id);
+    const base = BASES[player.team];
+    return {
+        x: base.x,
+        y: base.y + (slot - (teammates.length - 1) / 2) * SPAWN_SPACING,
+    };
+}
+
+function homeFlag(flag) {
+    Object.assign(flag, BASES[flag.team], { carriedBy: null, atHome: true });
+}
+
+function pushEvent(state, event) {
+    state.events.push(event);
+    if (state.events.length > MAX_EVENTS) {
+        state.events.splice(0, state.events.length - MAX_EVENTS);
+    }
+}
+
+function isActive(state) {
+    return Object.values(state.players).some((player) => player.respawnMs > 0 || player.input.x || player.input.y);
+}
+
+function movePlayers(state, dt) {
+    const seconds = dt / 1000;
+    for (const player of Object.values(state.players)) {
+        if (player.respawnMs > 0) {
+            player.respawnMs = Math.max(0, player.respawnMs - dt);
+            continue;
+        }
+        player.x = clamp(player.x + player.input.x * PLAYER_SPEED * seconds, PLAYER_RADIUS, ARENA.width - PLAYER_RADIUS);
+        player.y = clamp(player.y + player.input.y * PLAYER_SPEED * seconds, PLAYER_RADIUS, ARENA.height - PLAYER_RADIUS);
+    }
+}
+
+/**
+ * A player touched by an opponent inside the opponent's half is sent back to
+ * their spawn point to wait out the respawn timer; a flag they carried returns home.
+ */
+function resolveTags(state) {
+    const alive = Object.values(state.players).filter((player) => player.respawnMs === 0);
+    for (const defender of alive) {
+        for (const intruder of alive) {
+            if (defender.team === intruder.team || intruder.respawnMs > 0 || defender.respawnMs > 0) {
+                continue;
+            }
+            if (sideOf(intruder.x) !== defender.team || !isTouching(defender, intruder, PLAYER_RADIUS * 2)) {
+                continue;
+            }
+            if (intruder.carrying) {
+                homeFlag(state.flags[intruder.carrying]);
+                intruder.carrying = null;
+            }
+            Object.assign(intruder, spawnPoint(state, intruder), { input: { x: 0, y: 0 }, respawnMs: RESPAWN_MS });
+            defender.tags += 1;
+            pushEvent(state, { type: 'tag', playerId: defender.id, targetId: intruder.id, team: defender.team });
+        }
+    }
+}
+
+function resolveFlags(state) {
+    for (const player of Object.values(state.players)) {
+        if (player.respawnMs > 0) {
+            continue;
+        }
+        const enemyFlag = state.flags[opponentOf(player.team)];
+        if (!enemyFlag.carriedBy && isTouching(player, enemyFlag, PLAYER_RADIUS + FLAG_RADIUS)) {
+            enemyFlag.carriedBy = player.id;
+            enemyFlag.atHome = false;
+            player.carrying = enemyFlag.team;
+            pushEvent(state, { type: 'pickup', playerId: player.id, team: player.team });
+        }
+        if (player.carrying && state.flags[player.team].atHome && isTouching(player, BASES[player.team], BASE_RADIUS)) {
+            homeFlag(state.flags[player.carrying]);
+            player.carrying = null;
+            player.captures += 1;
+            state.score[player.team] += 1;
+            pushEvent(state, { type: 'capture', playerId: player.id, team: player.team });
+            if (state.score[player.team] >= state.scoreToWin && !state.isComplete) {
+                state.isComplete = true;
+                state.winner = player.team;
+                state.winnerColor = player.team;
+                state.winnerName = teamName(player.team);
+            }
+        }
+    }
+    for (const flag of Object.values(state.flags)) {
+        const carrier = flag.carriedBy ? state.players[flag.carriedBy] : null;
+        if (carrier) {
+            flag.x = carrier.x;
+            flag.y = carrier.y;
+        }
+    }
+}
+
+/**
+ * onTick hook: advances the match by `dt` milliseconds, or returns null while
+ * nobody is moving or respawning so idle ticks do not produce state versions.
+ */
+function advance(state, dt) {
+    if (state.isComplete || !isActive(state)) {
+        return null;
+    }
+    const next = cloneState(state);
+    movePlayers(next, dt);
+    resolveTags(next);
+    resolveFlags(next);
+    return next;
+}
+
+function createInitialState(roomId) {
+    return {
+        gameType: 'capture-the-flag',
+        roomId,
+        arena: { ...ARENA, playerRadius: PLAYER_RADIUS, flagRadius: FLAG_RADIUS, baseRadius: BASE_RADIUS },
+        bases: cloneState(BASES),
+        flags: {
+            red: { team: 'red', ...BASES.red, carriedBy: null, atHome: true },
+            blue: { team: 'blue', ...BASES.blue, carriedBy: null, atHome: true },
+        },
+        players: {},
+        score: { red: 0, blue: 0 },
+        scoreToWin: SCORE_TO_WIN,
+        events: [],
+        isComplete: false,
+        winner: null,
+        winnerColor: null,
+        winnerName: null,
+    };
+}
+
+function initializeGameState(game, participants) {
+    const state = game.stateManager.snapshot().state;
+    participants.forEach((participant, index) => {
+        const team = TEAMS[index % TEAMS.length];
+        const added = game.playerManager.addPlayer({
+            id: participant.id,
+            displayName: participant.displayName || `Player ${index + 1}`,
+            // color drives the shared scoreboard and player labels
+            metadata: { team, color: team },
+            isReady: true,
+        });
+        state.players[added.id] = {
+            id: added.id,
+            displayName: added.displayName,
+            team,
+            color: team,
+            x: 0,
+            y: 0,
+            input: { x: 0, y: 0 },
+            carrying: null,
+            respawnMs: 0,
+            captures: 0,
+            tags: 0,
+        };
+    });
+    for (const player of Object.values(state.players)) {
+        Object.assign(player, spawnPoint(state, player));
+    }
+    game.stateManager.replace(state, { system: 'capture-the-flag:init' });
+}
+
+function attachRoundEndEmitter(game, roomId) {
+    let emitted = false;
+    game.stateManager.on('stateChanged', ({ current }) => {
+        const { state } = current;
+        if (!state.isComplete || emitted) {
+            return;
+        }
+        emitted = true;
+        game.stateManager.emit('roundEnd', {
+            roomId,
+            round: 1,
+            winnerColor: state.winnerColor,
+            winnerName: state.winnerName,
+            score: { ...state.score },
+        });
+    });
+}
+
 module.exports = {
     register(registry) {
         return registry.register({
@@ -50,36 +269,23 @@ module.exports = {
             name: 'Capture the Flag',
             minPlayers: 4,
             maxPlayers: 8,
-            version: '1.0.0',
+            version: '2.0.0',
+            category: 'action',
+            description: 'Real-time team game - steal the enemy flag and bring it home!',
+            commandSchemas: COMMAND_SCHEMAS,
+            onTick: advance,
             create({ roomId, players = [] }) {
                 const game = buildGameInstance({
                     id: 'capture-the-flag',
                     minPlayers: 4,
                     maxPlayers: 8,
-                    initialState: {
-                        roomId,
-                        scores: { red: 0, blue: 0 },
-                        scoreToWin: 3,
-                        events: [],
-                        isComplete: false,
-                        winner: null,
-                        activePlayerId: players[0]?.id || null,
-                        turnIndex: 0,
-                    },
+                    initialState: createInitialState(roomId),
                     strategies: {
-                        performTurn: new CaptureFlagMoveStrategy(),
+                        move: new MoveStrategy(),
                     },
                 });
-                players.forEach((participant, index) => {
-                    game.playerManager.addPlayer({
-                        id: participant.id,
-                        displayName: participant.displayName,
-                        metadata: {
-                            team: index % 2 === 0 ? 'red' : 'blue',
-                        },
-                        isReady: true,
-                    });
-                });
+                initializeGameState(game, players);
+                attachRoundEndEmitter(game, roomId);
                 return game;
             },
         });
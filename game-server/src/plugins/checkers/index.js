@@ -1,6 +1,7 @@
 'use strict';
 
-const { buildGameInstance } = require('../../core');
+const { z } = require('zod');
+const { buildGameInstance, pickBotCommand } = require('../../core');
 
 const logger = console;
 
@@ -8,6 +9,19 @@ const BOARD_SIZE = 8;
 const COLORS = ['red', 'black'];
 const SERIES_WINS_REQUIRED = 2;
 
+const coordinateSchema = z.object({
+    row: z.number().int().min(0).max(BOARD_SIZE - 1),
+    col: z.number().int().min(0).max(BOARD_SIZE - 1),
+});
+
+const COMMAND_SCHEMAS = {
+    movePiece: z.object({
+        from: coordinateSchema,
+        to: coordinateSchema.optional(),
+        sequence: z.array(coordinateSchema).min(1).max(12).optional(),
+    }).refine(move => move.to || move.sequence, { message: 'Move requires a destination.' }),
+};
+
 class MovePieceStrategy {
     execute({ state, playerManager, playerId, payload }) {
         const context = {
@@ -493,6 +507,97 @@ function getMoveDirections(piece, color) {
     return [[forward, 1], [forward, -1]];
 }
 
+/**
+ * Every single step or jump the player may make. Captures are mandatory, and a
+ * multi-jump is played one jump at a time while mustContinue is set.
+ */
+function getLegalMoves(state, playerId) {
+    if (state.isComplete || state.isRoundComplete || state.currentPlayerId !== playerId) {
+        return [];
+    }
+    const color = state.players?.[playerId]?.color;
+    const { board, mustContinue } = state;
+    const origins = [];
+    if (mustContinue) {
+        origins.push(mustContinue.from);
+    } else {
+        for (let row = 0; row < BOARD_SIZE; row += 1) {
+            for (let col = 0; col < BOARD_SIZE; col += 1) {
+                if (belongsToColor(board[row][col], color)) {
+                    origins.push({ row, col });
+                }
+            }
+        }
+    }
+    const steps = [];
+    const jumps = [];
+    for (const from of origins) {
+        const piece = board[from.row][from.col];
+        for (const [dRow, dCol] of getMoveDirections(piece, color)) {
+            const step = { row: from.row + dRow, col: from.col + dCol };
+            const landing = { row: from.row + dRow * 2, col: from.col + dCol * 2 };
+            if (isValidCoordinate(step) && board[step.row][step.col] === null) {
+                steps.push({ from, to: step });
+            } else if (isValidCoordinate(landing) && board[landing.row][landing.col] === null
+                && isOpponentPiece(board[step.row][step.col], color)) {
+                jumps.push({ from, to: landing });
+            }
+        }
+    }
+    if (jumps.length || mustContinue) {
+        return jumps;
+    }
+    return steps;
+}
+
+/**
+ * Whether an opponent could jump the piece standing on `square`
+ */
+function isExposed(board, square, color) {
+    const opponentColor = getOppositeColor(color);
+    for (const [dRow, dCol] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+        const attacker = { row: square.row + dRow, col: square.col + dCol };
+        const landing = { row: square.row - dRow, col: square.col - dCol };
+        if (!isValidCoordinate(attacker) || !isValidCoordinate(landing) || board[landing.row][landing.col] !== null) {
+            continue;
+        }
+        const piece = board[attacker.row][attacker.col];
+        if (belongsToColor(piece, opponentColor)
+            && getMoveDirections(piece, opponentColor).some(([r, c]) => r === -dRow && c === -dCol)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Bot policy: prefer moves that crown a piece and avoid leaving the moved
+ * piece where it can be jumped.
+ */
+const BOT = {
+    getLegalCommands(state, playerId) {
+        return getLegalMoves(state, playerId).map(move => ({ type: 'movePiece', payload: move }));
+    },
+    chooseCommand(state, playerId, commands, options) {
+        const color = state.players[playerId].color;
+        const score = ({ payload: { from, to } }) => {
+            const board = cloneBoard(state.board);
+            const piece = board[from.row][from.col];
+            board[from.row][from.col] = null;
+            if (Math.abs(to.row - from.row) === 2) {
+                board[(from.row + to.row) / 2][(from.col + to.col) / 2] = null;
+            }
+            board[to.row][to.col] = piece;
+            let value = shouldPromote(piece, color, to.row) ? 2 : 0;
+            if (isExposed(board, to, color)) {
+                value -= 3;
+            }
+            return value;
+        };
+        return pickBotCommand(commands, { ...options, score });
+    },
+};
+
 function registerPlayers(game, players = []) {
     players.forEach((participant, index) => {
         const color = COLORS[index % COLORS.length];
@@ -537,6 +642,10 @@ module.exports = {
             minPlayers: 2,
             maxPlayers: 2,
             version: '1.0.0',
+            commandSchemas: COMMAND_SCHEMAS,
+            // Nothing is hidden, so taking a move back reveals nothing
+            allowUndo: true,
+            bot: BOT,
             create({ roomId, players }) {
                 const initialPlayers = Array.isArray(players) ? players : [];
                 const initialOrder = initialPlayers.map(p => p.id);
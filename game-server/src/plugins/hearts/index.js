@@ -5,21 +5,32 @@
  * Lowest score wins!
  */
 
-const { buildGameInstance } = require('../../core');
+const { z } = require('zod');
+const { buildGameInstance, pickBotCommand } = require('../../core');
 const {
   createDeck,
   shuffle,
   dealCards,
   getCardDisplayName,
+  redactHands,
   SUITS
 } = require('../../shared/cardUtils');
 
+/**
+ * Payload schemas for Hearts commands
+ */
+const COMMAND_SCHEMAS = {
+  playCard: z.object({
+    cardId: z.number().int().min(0).max(51)
+  })
+};
+
 /**
  * Strategy for playing a card in Hearts
  */
 class PlayCardStrategy {
-  execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+  execute({ state, playerManager, playerId, payload = {}, rng }) {
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
@@ -45,6 +56,7 @@ class PlayCardStrategy {
     }
 
     const card = hand[cardIndex];
+    const strategy = this;
 
     // Validate card play
     const validation = this.validatePlay(state, playerId, card);
@@ -81,7 +93,7 @@ class PlayCardStrategy {
         const numPlayers = next.playerOrder.length;
         if (next.currentTrick.length === numPlayers) {
           // Determine trick winner
-          const winner = this.determineTrickWinner(next.currentTrick, next.leadSuit);
+          const winner = strategy.determineTrickWinner(next.currentTrick, next.leadSuit);
           const winnerId = winner.playerId;
 
           // Award points for hearts and Queen of Spades
@@ -126,14 +138,14 @@ class PlayCardStrategy {
             next.isRoundComplete = true;
 
             // Check for shooting the moon (one player took all 26 points)
-            const shooterId = this.checkShootingMoon(next);
+            const shooterId = strategy.checkShootingMoon(next);
             if (shooterId) {
               // Shooting the moon: give 26 points to all other players
               next.playerOrder.forEach(pid => {
                 if (pid !== shooterId) {
                   next.score[pid] += 26;
                 } else {
-                  next.score[pid] = 0; // Reset shooter's score for this round
+                  next.score[pid] -= 26; // Shooter takes no points for this hand
                 }
               });
               next.shootingMoon = true;
@@ -152,8 +164,10 @@ class PlayCardStrategy {
               scores.sort((a, b) => a.score - b.score);
               const winner = scores[0];
               next.gameWinnerId = winner.playerId;
-              const winnerPlayer = playerManager.get(winner.playerId);
+              const winnerPlayer = playerManager.getPlayer(winner.playerId);
               next.gameWinner = winnerPlayer.displayName;
+            } else {
+              dealHand(next, rng);
             }
           }
         } else {
@@ -221,25 +235,138 @@ class PlayCardStrategy {
   checkShootingMoon(state) {
     // Check if any player took all 26 points
     for (const playerId of state.playerOrder) {
-      if (state.score[playerId] === 26) {
-        // Verify they took all hearts and queen of spades
-        const playerTricks = state.completedTricks.filter(t => t.winnerId === playerId);
-        const playerCards = playerTricks.flatMap(t => t.cards.map(c => c.card));
-
-        const heartCount = playerCards.filter(c => c.suit === 'hearts').length;
-        const hasQueenOfSpades = playerCards.some(
-          c => c.suit === 'spades' && c.rank === 'Q'
-        );
-
-        if (heartCount === 13 && hasQueenOfSpades) {
-          return playerId;
-        }
+      // Verify they took all hearts and queen of spades this hand
+      const playerTricks = state.completedTricks.filter(t => t.winnerId === playerId);
+      const playerCards = playerTricks.flatMap(t => t.cards.map(c => c.card));
+
+      const heartCount = playerCards.filter(c => c.suit === 'hearts').length;
+      const hasQueenOfSpades = playerCards.some(
+        c => c.suit === 'spades' && c.rank === 'Q'
+      );
+
+      if (heartCount === 13 && hasQueenOfSpades) {
+        return playerId;
       }
     }
     return null;
   }
 }
 
+/**
+ * Shuffles and deals a fresh hand of 13 cards to every player
+ * @param {Object} state - Game state to deal into (mutated)
+ * @param {Object} rng - The room's random source
+ */
+function dealHand(state, rng) {
+  const { hands } = dealCards(shuffle(createDeck(), rng), state.playerOrder.length, 13);
+
+  if (state.completedTricks.length > 0) {
+    state.lastHand = {
+      handNumber: state.handNumber,
+      completedTricks: state.completedTricks,
+      shootingMoon: state.shootingMoon,
+      shooterId: state.shooterId
+    };
+  }
+
+  state.playerOrder.forEach((playerId, index) => {
+    state.hands[playerId] = hands[index] || [];
+    state.tricks[playerId] = 0;
+  });
+  state.currentTrick = [];
+  state.completedTricks = [];
+  state.leadSuit = null;
+  state.heartsBroken = false;
+  state.shootingMoon = false;
+  state.shooterId = null;
+  state.isRoundComplete = false;
+  state.handNumber += 1;
+
+  // Player with 2 of clubs leads
+  state.currentPlayerId = state.playerOrder.find(playerId =>
+    state.hands[playerId].some(c => c.suit === 'clubs' && c.rank === '2')
+  ) || state.playerOrder[0] || null;
+
+  return state;
+}
+
+/**
+ * State as seen by one seated player: only their own hand, opponents show card counts
+ */
+function getPlayerView(state, playerId) {
+  return {
+    ...state,
+    hands: redactHands(state.hands, playerId, { revealFaceUp: false })
+  };
+}
+
+/**
+ * State as seen by spectators
+ */
+function getPublicView(state) {
+  return getPlayerView(state, null);
+}
+
+/**
+ * Turn clock: 30 seconds per card. A player who runs out of time plays their
+ * lowest legal card.
+ */
+const TURN_TIMER = {
+  phases: { trick: 30000 },
+  getTurn(state) {
+    if (state.isComplete || !state.currentPlayerId) {
+      return null;
+    }
+    return { phase: 'trick', playerIds: [state.currentPlayerId] };
+  },
+  getDefaultCommand(state, playerId) {
+    const [lowest] = getLegalCards(state, playerId).sort((a, b) => a.value - b.value || a.id - b.id);
+    return lowest ? { type: 'playCard', payload: { cardId: lowest.id } } : null;
+  }
+};
+
+/**
+ * Cards in the player's hand that the rules allow them to play now
+ */
+function getLegalCards(state, playerId) {
+  if (state.isComplete || state.currentPlayerId !== playerId) {
+    return [];
+  }
+  const rules = new PlayCardStrategy();
+  return (state.hands[playerId] || []).filter(card => !rules.validatePlay(state, playerId, card).error);
+}
+
+function cardPoints(card) {
+  if (card.suit === 'hearts') return 1;
+  return card.suit === 'spades' && card.rank === 'Q' ? 13 : 0;
+}
+
+/**
+ * Bot policy: duck under the winning card when following suit (or win cheaply
+ * if it must), dump the Queen of Spades and high hearts when void, and lead low.
+ */
+const BOT = {
+  getLegalCommands(state, playerId) {
+    return getLegalCards(state, playerId).map(card => ({ type: 'playCard', payload: { cardId: card.id } }));
+  },
+  chooseCommand(state, playerId, commands, options) {
+    const hand = state.hands[playerId];
+    const trick = state.currentTrick.map(play => play.card).filter(Boolean);
+    const winning = Math.max(0, ...trick.filter(card => card.suit === state.leadSuit).map(card => card.value));
+    const score = ({ payload }) => {
+      const card = hand.find(candidate => candidate.id === payload.cardId);
+      if (!state.leadSuit) {
+        return -card.value - cardPoints(card) * 20;
+      }
+      if (card.suit !== state.leadSuit) {
+        return cardPoints(card) * 20 + card.value;
+      }
+      return card.value < winning ? 100 + card.value : -card.value;
+    };
+    return pickBotCommand(commands, { ...options, score });
+  }
+};
+
 /**
  * Register the Hearts card game
  */
@@ -253,81 +380,77 @@ module.exports = {
       version: '1.0.0',
       description: 'Classic trick-taking game - avoid hearts and the Queen of Spades!',
       category: 'cards',
+      getPlayerView,
+      getPublicView,
+      commandSchemas: COMMAND_SCHEMAS,
+      turnTimer: TURN_TIMER,
+      bot: BOT,
+
+      create({ roomId, players = [], rng }) {
+        const initialState = {
+          roomId,
+          gameType: 'hearts',
+          hands: {},
+          currentTrick: [],
+          completedTricks: [],
+          lastHand: null,
+          handNumber: 0,
+          tricks: {},
+          leadSuit: null,
+          heartsBroken: false,
+          score: {},
+          players: {},
+          playerOrder: [],
+          currentPlayerId: null,
+          isRoundComplete: false,
+          isComplete: false,
+          gameWinner: null,
+          gameWinnerId: null,
+          shootingMoon: false,
+          shooterId: null,
+          lastMove: null
+        };
 
-      create({ roomId, players = [] }) {
-        // Create and shuffle deck
-        const deck = shuffle(createDeck());
+        // Initialize players
+        players.forEach((player, index) => {
+          initialState.score[player.id] = 0;
+          initialState.players[player.id] = {
+            id: player.id,
+            displayName: player.displayName,
+            index
+          };
+          initialState.playerOrder.push(player.id);
+        });
 
-        // Deal all cards to players (13 each for 4 players)
-        const numPlayers = Math.max(players.length, 4);
-        const cardsPerPlayer = 13;
-        const { hands } = dealCards(deck, numPlayers, cardsPerPlayer);
+        // Deal the first hand (13 cards each for 4 players)
+        dealHand(initialState, rng);
 
         // Create game instance
         const game = buildGameInstance({
           id: 'hearts',
           minPlayers: 4,
           maxPlayers: 4,
-          initialState: {
-            roomId,
-            gameType: 'hearts',
-            hands: {},
-            currentTrick: [],
-            completedTricks: [],
-            tricks: {},
-            leadSuit: null,
-            heartsBroken: false,
-            score: {},
-            players: {},
-            playerOrder: [],
-            currentPlayerId: null,
-            isRoundComplete: false,
-            isComplete: false,
-            gameWinner: null,
-            gameWinnerId: null,
-            shootingMoon: false,
-            shooterId: null,
-            lastMove: null
-          },
+          rng,
+          initialState,
           strategies: {
             playCard: new PlayCardStrategy()
           }
         });
 
-        // Initialize players
-        players.forEach((player, index) => {
-          game.playerManager.add(player);
-          const state = game.getState();
-          state.hands[player.id] = hands[index] || [];
-          state.score[player.id] = 0;
-          state.tricks[player.id] = 0;
-          state.players[player.id] = {
-            id: player.id,
-            displayName: player.displayName,
-            index
-          };
-          state.playerOrder.push(player.id);
+        players.forEach(player => {
+          game.playerManager.addPlayer({ ...player, isReady: true });
         });
 
-        // Find player with 2 of clubs to start
-        const state = game.getState();
-        for (const playerId of state.playerOrder) {
-          const has2OfClubs = state.hands[playerId].some(
-            c => c.suit === 'clubs' && c.rank === '2'
-          );
-          if (has2OfClubs) {
-            state.currentPlayerId = playerId;
-            break;
-          }
-        }
-
         // Listen for round end
+        let roundEndEmitted = false;
         game.stateManager.on('stateChanged', ({ current }) => {
-          if (current.isComplete && current.gameWinnerId) {
-            game.emit('roundEnd', {
-              score: current.score,
-              winnerId: current.gameWinnerId,
-              winnerName: current.gameWinner,
+          const { state } = current;
+          if (state.isComplete && state.gameWinnerId && !roundEndEmitted) {
+            roundEndEmitted = true;
+            game.stateManager.emit('roundEnd', {
+              score: state.score,
+              winnerId: state.gameWinnerId,
+              winnerName: state.gameWinner,
               outcome: 'win'
             });
           }
@@ -1,13 +1,15 @@
 /**
  * Texas Hold'em Poker Plugin
- * Classic casino poker game with betting rounds
+ * Classic casino poker game with betting rounds, played as a single hand or as
+ * a cash-game or sit-and-go session of many hands
  * Players: 2-9
  */
 
-const { buildGameInstance, VotingStrategy } = require('../../core');
+const { z } = require('zod');
+const { buildGameInstance, VotingStrategy, voteCommandSchema } = require('../../core');
 const { BettingManager } = require('../../core/bettingManager');
-const { createDeck, shuffle, getCardDisplayName } = require('../../shared/cardUtils');
-const { evaluateHand, determineWinners } = require('./pokerUtils');
+const { createDeck, shuffle, getCardDisplayName, redactHands } = require('../../shared/cardUtils');
+const { evaluateHand, determineWinners, createPokerTurnTimer } = require('./pokerUtils');
 
 /**
  * Betting rounds in Texas Hold'em
@@ -20,28 +22,80 @@ const BETTING_ROUNDS = {
   SHOWDOWN: 'showdown'
 };
 
+/**
+ * How a table plays: one hand and done, or a session of hands that runs until one
+ * player has every chip or the host closes the table. Cash games keep their
+ * blinds unless the host sets a pace; sit-and-gos raise them every 10 hands.
+ */
+const SESSION_MODES = ['single', 'cash', 'sitAndGo'];
+const DEFAULT_HANDS_PER_LEVEL = { single: 0, cash: 0, sitAndGo: 10 };
+
+/**
+ * Blind levels a session climbs, one level every `handsPerLevel` hands
+ */
+const DEFAULT_BLIND_SCHEDULE = [
+  { small: 5, big: 10 },
+  { small: 10, big: 20 },
+  { small: 15, big: 30 },
+  { small: 25, big: 50 },
+  { small: 50, big: 100 },
+  { small: 75, big: 150 },
+  { small: 100, big: 200 },
+  { small: 150, big: 300 },
+  { small: 200, big: 400 }
+];
+
+/**
+ * Payload schemas for Hold'em commands
+ */
+const COMMAND_SCHEMAS = {
+  bet: z.object({
+    action: z.enum(['call', 'raise', 'check', 'fold', 'allIn']),
+    amount: z.number().int().positive().optional()
+  }).refine(move => move.action !== 'raise' || move.amount, { message: 'Raise requires an amount.' }),
+  closeTable: z.object({}),
+  vote: voteCommandSchema
+};
+
+/**
+ * Table settings the host can pick in the match lobby; they apply from the next game
+ */
+const SETTINGS_SCHEMA = z.object({
+  pokerMode: z.enum(SESSION_MODES),
+  handsPerLevel: z.number().int().min(0).max(100),
+  blindSchedule: z.array(z.object({
+    small: z.number().int().positive(),
+    big: z.number().int().positive()
+  }).refine(level => level.big >= level.small, { message: 'The big blind must be at least the small blind.' })).min(1).max(20)
+}).partial();
+COMMAND_SCHEMAS.pokerAction = COMMAND_SCHEMAS.bet;
+
 /**
  * Strategy for placing bets
  */
 class BetStrategy {
-  execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+  execute({ state, playerManager, playerId, payload = {}, rng }) {
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
 
     const { action, amount } = payload;
-    const bettingManager = state._bettingManager;
 
-    if (!bettingManager) {
+    if (!state.betting) {
       return { error: 'Betting manager not initialized' };
     }
 
+    if (state.isComplete) {
+      return { error: 'Hand is complete' };
+    }
+
     // Validate it's player's turn
     if (state.currentPlayerId !== playerId) {
       return { error: 'Not your turn' };
     }
 
+    const bettingManager = BettingManager.fromState(state.betting);
     let result;
 
     switch (action) {
@@ -71,6 +125,8 @@ class BetStrategy {
       return result;
     }
 
+    const strategy = this;
+
     return {
       apply(current) {
         const next = JSON.parse(JSON.stringify(current));
@@ -83,38 +139,34 @@ class BetStrategy {
           amount: result.amount || 0
         };
 
-        // Update betting state from manager
-        const bettingState = bettingManager.getState();
-        next.pot = bettingState.pot;
-        next.currentBet = bettingState.currentBet;
+        // A bet that raises the price reopens the action for everyone else
+        next.actedPlayers = bettingManager.currentBet > current.currentBet
+          ? [playerId]
+          : [...new Set([...(next.actedPlayers || []), playerId])];
 
-        // Update player statuses
-        next.playerOrder.forEach(pid => {
-          const status = bettingManager.getPlayerStatus(pid);
-          next.playerStatuses[pid] = status;
-          next.playerBets[pid] = bettingManager.getPlayerCurrentBet(pid);
-        });
+        syncBettingState(next, bettingManager);
 
-        // Check if we need to move to next player or next round
-        const activePlayers = bettingManager.getActivePlayers();
         const playersInHand = bettingManager.getPlayersInHand();
 
         if (playersInHand.length === 1) {
-          // Only one player left, they win
+          // Only one player left, they win the pot
+          const { pots } = bettingManager.distributePots(() => playersInHand, getSeatsFromButton(next));
           next.isComplete = true;
           next.winnerId = playersInHand[0];
-          const winner = playerManager.get(playersInHand[0]);
-          next.winner = winner.displayName;
-          return next;
+          next.winners = [playersInHand[0]];
+          next.winner = playerManager.getPlayer(playersInHand[0])?.displayName || null;
+          syncBettingState(next, bettingManager);
+          next.pots = pots;
+          return concludeHand(next, bettingManager, rng);
         }
 
-        if (bettingManager.isRoundComplete()) {
+        if (isBettingRoundComplete(next, bettingManager)) {
           // Move to next betting round
-          return this.advanceRound(next, playerManager, bettingManager);
-        } else {
-          // Move to next active player
-          return this.moveToNextPlayer(next, bettingManager);
+          return strategy.advanceRound(next, bettingManager, rng);
         }
+
+        // Move to next active player
+        return strategy.moveToNextPlayer(next);
       },
       getUndo() {
         return () => ({ state: JSON.parse(JSON.stringify(state)) });
@@ -122,15 +174,12 @@ class BetStrategy {
     };
   }
 
-  moveToNextPlayer(state, bettingManager) {
-    const activePlayers = bettingManager.getActivePlayers();
-    const currentIndex = activePlayers.indexOf(state.currentPlayerId);
-    const nextIndex = (currentIndex + 1) % activePlayers.length;
-    state.currentPlayerId = activePlayers[nextIndex];
+  moveToNextPlayer(state) {
+    state.currentPlayerId = getNextToAct(state, state.currentPlayerId);
     return state;
   }
 
-  advanceRound(state, playerManager, bettingManager) {
+  advanceRound(state, bettingManager, rng) {
     const roundOrder = [
       BETTING_ROUNDS.PRE_FLOP,
       BETTING_ROUNDS.FLOP,
@@ -176,62 +225,363 @@ class BetStrategy {
 
       case BETTING_ROUNDS.SHOWDOWN:
         // Determine winner
-        return this.showdown(state, playerManager, bettingManager);
+        return this.showdown(state, bettingManager, rng);
     }
 
     // Start new betting round
     bettingManager.startRound(nextRound);
+    state.actedPlayers = [];
+    syncBettingState(state, bettingManager);
 
-    // Reset to first active player (after dealer button)
-    const activePlayers = bettingManager.getActivePlayers();
-    if (activePlayers.length > 0) {
-      state.currentPlayerId = activePlayers[0];
+    // Nobody left to bet against: run the board out
+    const canAct = state.playerOrder.filter(pid => bettingManager.getPlayerStatus(pid) === 'active');
+    if (canAct.length < 2) {
+      return this.advanceRound(state, bettingManager, rng);
     }
 
-    // Reset player bets for display
-    state.playerOrder.forEach(pid => {
-      state.playerBets[pid] = 0;
-    });
+    // First active player after the dealer button acts first
+    state.currentPlayerId = getNextToAct(state, state.playerOrder[state.dealerIndex]);
 
     return state;
   }
 
-  showdown(state, playerManager, bettingManager) {
-    // Get all players still in hand
-    const playersInHand = bettingManager.getPlayersInHand();
-
-    // Evaluate hands
-    const playerHands = playersInHand.map(playerId => {
-      const hand = state.hands[playerId] || [];
-      const cards = [...hand, ...state.communityCards];
-      return {
-        playerId,
-        cards,
-        evaluation: evaluateHand(cards)
-      };
-    });
+  showdown(state, bettingManager, rng) {
+    const cardsOf = playerId => [...(state.hands[playerId] || []), ...state.communityCards];
 
-    // Determine winner(s)
-    const { winners, bestHand } = determineWinners(playerHands.map(ph => ({
-      playerId: ph.playerId,
-      cards: ph.cards
-    })));
+    // Each pot goes to the best hand among the players who can win it
+    const { pots } = bettingManager.distributePots(
+      eligible => determineWinners(eligible.map(playerId => ({ playerId, cards: cardsOf(playerId) }))).winners,
+      getSeatsFromButton(state)
+    );
 
-    // Payout
-    bettingManager.payout(winners, 'equal');
-
-    state.winners = winners;
-    state.winningHand = bestHand;
+    // The main pot names the winning hand; anyone who won a contested pot is a winner
+    const mainPot = pots[0];
+    state.winners = [...new Set(pots.filter(pot => pot.eligible.length > 1).flatMap(pot => pot.winners))];
+    if (state.winners.length === 0 && mainPot) {
+      state.winners = [...mainPot.winners];
+    }
+    state.winningHand = mainPot ? evaluateHand(cardsOf(mainPot.winners[0])) : null;
     state.isComplete = true;
     state.bettingRound = BETTING_ROUNDS.SHOWDOWN;
+    state.currentPlayerId = null;
 
-    // Store final balances
-    state.playerOrder.forEach(pid => {
-      state.finalBalances[pid] = bettingManager.getPlayerBalance(pid);
-    });
+    syncBettingState(state, bettingManager);
+    state.pots = pots;
+
+    return concludeHand(state, bettingManager, rng);
+  }
+}
 
+/**
+ * Host-only: ends a session. A hand in progress is called off and everyone gets
+ * back what they put into it.
+ */
+class CloseTableStrategy {
+  execute({ state, playerManager, playerId }) {
+    if (state.mode === 'single') {
+      return { error: 'Only a cash game or sit-and-go table can be closed.' };
+    }
+    if (state.isComplete) {
+      return { error: 'The table is already closed.' };
+    }
+
+    return {
+      apply(current) {
+        const next = JSON.parse(JSON.stringify(current));
+        next.playerOrder.forEach(pid => {
+          next.finalBalances[pid] = next.startingBalances[pid];
+          next.playerBets[pid] = 0;
+        });
+        next.pot = 0;
+        next.pots = [];
+        next.currentBet = 0;
+        next.betting = null;
+        next.lastAction = {
+          playerId,
+          playerName: playerManager.getPlayer(playerId)?.displayName || null,
+          action: 'closeTable',
+          amount: 0
+        };
+        return endSession(next, 'closed');
+      },
+      getUndo() {
+        return () => ({ state: JSON.parse(JSON.stringify(state)) });
+      }
+    };
+  }
+}
+
+/**
+ * Starts the next hand: the button moves to the next seat still in play, the
+ * blinds are those of the level the hand number has reached, and everyone left
+ * gets two fresh hole cards from a new deck
+ */
+function dealHand(state, rng) {
+  const live = state.seats.filter(pid => !state.eliminated.includes(pid));
+  state.dealerIndex = state.handNumber === 0 ? 0 : getNextButton(state, live);
+  state.handNumber += 1;
+  state.playerOrder = live;
+
+  const levelIndex = state.handsPerLevel > 0
+    ? Math.min(Math.floor((state.handNumber - 1) / state.handsPerLevel), state.blindSchedule.length - 1)
+    : 0;
+  const { small, big } = state.blindSchedule[levelIndex];
+  state.blinds = { small, big, level: levelIndex + 1 };
+  state.nextLevelAt = state.handsPerLevel > 0 && levelIndex < state.blindSchedule.length - 1
+    ? (levelIndex + 1) * state.handsPerLevel + 1
+    : null;
+
+  // No limit: nobody can bet more than the biggest stack at the table
+  const maxBet = Math.max(...live.map(pid => state.finalBalances[pid]));
+  const deck = shuffle(createDeck(), rng);
+  const bettingManager = new BettingManager({
+    minBet: big,
+    maxBet,
+    gameType: 'rounds'
+  });
+
+  Object.assign(state, {
+    hands: {},
+    communityCards: [],
+    deck,
+    minBet: big,
+    maxBet,
+    playerBets: {},
+    playerStatuses: {},
+    startingBalances: {},
+    actedPlayers: [],
+    currentPlayerId: null,
+    bettingRound: BETTING_ROUNDS.PRE_FLOP,
+    isComplete: false,
+    winnerId: null,
+    winner: null,
+    winners: null,
+    winningHand: null,
+    lastAction: null
+  });
+
+  // Deal hole cards (2 per player)
+  live.forEach(pid => {
+    state.hands[pid] = [
+      { ...deck.shift(), faceUp: false },
+      { ...deck.shift(), faceUp: false }
+    ];
+    state.playerBets[pid] = 0;
+    state.playerStatuses[pid] = 'active';
+    state.startingBalances[pid] = state.finalBalances[pid];
+    bettingManager.initializePlayer(pid, state.finalBalances[pid]);
+  });
+
+  // Post blinds
+  bettingManager.startRound(BETTING_ROUNDS.PRE_FLOP);
+  if (live.length >= 2) {
+    // Heads-up the button posts the small blind, so it acts first before the
+    // flop and last after it
+    const smallBlindIndex = live.length === 2 ? state.dealerIndex : (state.dealerIndex + 1) % live.length;
+    const bigBlindIndex = (smallBlindIndex + 1) % live.length;
+
+    bettingManager.postBlind(live[smallBlindIndex], small);
+    bettingManager.postBlind(live[bigBlindIndex], big);
+    syncBettingState(state, bettingManager);
+
+    // Start with player after big blind
+    state.currentPlayerId = getNextToAct(state, live[bigBlindIndex]);
+  }
+  state.betting = bettingManager.getState();
+
+  return state;
+}
+
+/**
+ * Index in `live` of the first seat after the last button that is still in play
+ */
+function getNextButton(state, live) {
+  const seats = state.seats;
+  const from = seats.indexOf(state.playerOrder[state.dealerIndex]);
+  for (let offset = 1; offset <= seats.length; offset++) {
+    const pid = seats[(from + offset) % seats.length];
+    if (live.includes(pid)) {
+      return live.indexOf(pid);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Settles a finished hand. A single hand ends the game; a session keeps the
+ * hand's result for the table to show, knocks out players left without chips,
+ * and deals the next hand until one player holds them all
+ */
+function concludeHand(state, bettingManager, rng) {
+  recordFinalBalances(state, bettingManager);
+  if (state.mode === 'single') {
     return state;
   }
+
+  const shownHands = {};
+  getRevealedPlayers(state).forEach(pid => {
+    shownHands[pid] = state.hands[pid].map(card => ({ ...card, faceUp: true }));
+  });
+  state.lastHand = {
+    handNumber: state.handNumber,
+    winners: state.winners,
+    winningHand: state.winningHand,
+    pots: state.pots,
+    communityCards: state.communityCards,
+    shownHands,
+    startingBalances: state.startingBalances,
+    finalBalances: Object.fromEntries(state.playerOrder.map(pid => [pid, state.finalBalances[pid]])),
+    totalBets: Object.fromEntries(state.playerOrder.map(pid => [pid, bettingManager.getPlayerTotalBet(pid)]))
+  };
+
+  state.eliminated.push(...state.playerOrder.filter(pid => state.finalBalances[pid] <= 0));
+  if (state.seats.length - state.eliminated.length < 2) {
+    return endSession(state, 'lastPlayerStanding');
+  }
+  return dealHand(state, rng);
+}
+
+/**
+ * Ends a session; whoever holds the most chips wins it
+ */
+function endSession(state, reason) {
+  const live = state.seats.filter(pid => !state.eliminated.includes(pid));
+  const top = Math.max(...live.map(pid => state.finalBalances[pid]));
+  state.winners = live.filter(pid => state.finalBalances[pid] === top);
+  state.winnerId = state.winners.length === 1 ? state.winners[0] : null;
+  state.winner = state.winnerId ? state.players[state.winnerId]?.displayName || null : null;
+  state.isComplete = true;
+  state.currentPlayerId = null;
+  state.sessionEnd = { reason, handNumber: state.handNumber };
+  return state;
+}
+
+/**
+ * Copies the betting manager's pot (split into main and side pots), bets and statuses into game state
+ */
+function syncBettingState(state, bettingManager) {
+  const bettingState = bettingManager.getState();
+  state.betting = bettingState;
+  state.pot = bettingState.pot;
+  state.pots = bettingManager.buildPots();
+  state.currentBet = bettingState.currentBet;
+  state.playerOrder.forEach(pid => {
+    state.playerStatuses[pid] = bettingManager.getPlayerStatus(pid);
+    state.playerBets[pid] = bettingManager.getPlayerCurrentBet(pid);
+  });
+}
+
+/**
+ * Records every player's balance once the hand is settled
+ */
+function recordFinalBalances(state, bettingManager) {
+  state.playerOrder.forEach(pid => {
+    state.finalBalances[pid] = bettingManager.getPlayerBalance(pid);
+  });
+}
+
+/**
+ * A betting round ends once every player who can still act has acted and matched the bet
+ */
+function isBettingRoundComplete(state, bettingManager) {
+  if (!bettingManager.isRoundComplete()) {
+    return false;
+  }
+  const canAct = state.playerOrder.filter(pid => bettingManager.getPlayerStatus(pid) === 'active');
+  if (canAct.length <= 1 && bettingManager.getPlayerCurrentBet(canAct[0]) >= bettingManager.currentBet) {
+    return true;
+  }
+  return canAct.every(pid => state.actedPlayers.includes(pid));
+}
+
+/**
+ * Next player after fromId (in seat order) who has not folded or gone all-in
+ */
+function getNextToAct(state, fromId) {
+  const order = state.playerOrder;
+  const start = order.indexOf(fromId);
+  for (let offset = 1; offset <= order.length; offset++) {
+    const pid = order[(start + offset) % order.length];
+    if (state.playerStatuses[pid] === 'active') {
+      return pid;
+    }
+  }
+  return null;
+}
+
+/**
+ * Seats in order starting left of the dealer button, who get a split pot's odd chips first
+ */
+function getSeatsFromButton(state) {
+  const order = state.playerOrder;
+  return order.map((_, offset) => order[(state.dealerIndex + 1 + offset) % order.length]);
+}
+
+/**
+ * Players whose hole cards are shown: everyone still in the hand once it reaches showdown
+ */
+function getRevealedPlayers(state) {
+  if (state.bettingRound !== BETTING_ROUNDS.SHOWDOWN || !state.isComplete) {
+    return [];
+  }
+  return (state.playerOrder || []).filter(pid => state.playerStatuses?.[pid] !== 'folded');
+}
+
+/**
+ * State as seen by one seated player: their own hole cards, opponents' cards hidden
+ */
+function getPlayerView(state, playerId) {
+  return {
+    ...state,
+    hands: redactHands(state.hands, playerId, { reveal: getRevealedPlayers(state) }),
+    deck: [],
+    deckCount: (state.deck || []).length
+  };
+}
+
+/**
+ * State as seen by spectators: no hole cards until showdown
+ */
+function getPublicView(state) {
+  return getPlayerView(state, null);
+}
+
+/**
+ * A session reports each hand as a round as soon as it is settled, with the
+ * stacks it started and finished on (the next hand is already dealt unless the
+ * session is over), and a table closed by the host as a last round without
+ * chip movements
+ */
+function emitSessionRoundEnd(game, previous, state) {
+  const hand = state.lastHand;
+  if (hand && hand.handNumber > (previous.lastHand?.handNumber || 0)) {
+    const winnings = {};
+    hand.winners.forEach(winnerId => {
+      winnings[winnerId] = hand.finalBalances[winnerId] - hand.startingBalances[winnerId];
+    });
+    game.stateManager.emit('roundEnd', {
+      round: hand.handNumber,
+      winners: hand.winners,
+      winnerName: hand.winners.map(pid => state.players[pid]?.displayName).filter(Boolean).join(' & ') || null,
+      winnings,
+      pot: hand.pots.reduce((sum, pot) => sum + pot.amount, 0),
+      winningHand: hand.winningHand,
+      outcome: state.isComplete ? 'complete' : 'hand',
+      nextRoundStarted: !state.isComplete,
+      state: {
+        finalBalances: hand.finalBalances,
+        startingBalances: hand.startingBalances,
+        totalBets: hand.totalBets
+      }
+    });
+  } else if (state.isComplete && !previous.isComplete) {
+    game.stateManager.emit('roundEnd', {
+      round: state.handNumber,
+      winners: state.winners,
+      winnerName: state.winner,
+      outcome: 'closed'
+    });
+  }
 }
 
 /**
@@ -250,125 +600,114 @@ module.exports = {
       isCasino: true,
       minBet: 10,
       maxBet: 1000,
-
-      create({ roomId, players = [], initialBalances = {} }) {
-        // Create and shuffle deck
-        const deck = shuffle(createDeck());
-
-        // Initialize betting manager
-        const bettingManager = new BettingManager({
+      getPlayerView,
+      getPublicView,
+      commandSchemas: COMMAND_SCHEMAS,
+      settingsSchema: SETTINGS_SCHEMA,
+      hostCommands: ['closeTable'],
+      turnTimer: createPokerTurnTimer('bettingRound', {
+        [BETTING_ROUNDS.PRE_FLOP]: 30000,
+        [BETTING_ROUNDS.FLOP]: 30000,
+        [BETTING_ROUNDS.TURN]: 30000,
+        [BETTING_ROUNDS.RIVER]: 30000
+      }),
+
+      create({ roomId, players = [], initialBalances = {}, metadata = {}, rng }) {
+        const settings = metadata.gameSettings || {};
+        const mode = settings.pokerMode || 'single';
+
+        const initialState = {
+          roomId,
+          gameType: 'texas-holdem',
+          mode,
+          handNumber: 0,
+          blindSchedule: settings.blindSchedule || DEFAULT_BLIND_SCHEDULE,
+          handsPerLevel: settings.handsPerLevel ?? DEFAULT_HANDS_PER_LEVEL[mode],
+          blinds: null,
+          nextLevelAt: null,
+          seats: players.map(player => player.id),
+          eliminated: [],
+          hands: {},
+          communityCards: [],
+          deck: [],
+          pot: 0,
+          pots: [],
+          currentBet: 0,
           minBet: 10,
           maxBet: 1000,
-          gameType: 'rounds'
-        });
+          playerBets: {},
+          playerStatuses: {},
+          players: {},
+          playerOrder: [],
+          actedPlayers: [],
+          dealerIndex: 0,
+          currentPlayerId: null,
+          bettingRound: BETTING_ROUNDS.PRE_FLOP,
+          isComplete: false,
+          winners: null,
+          winningHand: null,
+          lastAction: null,
+          lastHand: null,
+          sessionEnd: null,
+          startingBalances: {},
+          finalBalances: {},
+          betting: null
+        };
 
-        // Deal hole cards (2 per player)
-        const hands = {};
-        players.forEach(player => {
-          hands[player.id] = [
-            { ...deck.shift(), faceUp: false },
-            { ...deck.shift(), faceUp: false }
-          ];
+        players.forEach((player, index) => {
+          initialState.players[player.id] = {
+            id: player.id,
+            displayName: player.displayName,
+            index
+          };
+          initialState.finalBalances[player.id] = initialBalances[player.id] ?? 1000;
         });
+        dealHand(initialState, rng);
 
         // Create game instance
+        const bet = new BetStrategy();
         const game = buildGameInstance({
           id: 'texas-holdem',
           minPlayers: 2,
           maxPlayers: 9,
-          initialState: {
-            roomId,
-            gameType: 'texas-holdem',
-            hands: {},
-            communityCards: [],
-            deck: deck,
-            pot: 0,
-            currentBet: 0,
-            minBet: 10,
-            maxBet: 1000,
-            playerBets: {},
-            playerStatuses: {},
-            players: {},
-            playerOrder: [],
-            dealerIndex: 0,
-            currentPlayerId: null,
-            bettingRound: BETTING_ROUNDS.PRE_FLOP,
-            isComplete: false,
-            winners: null,
-            winningHand: null,
-            lastAction: null,
-            finalBalances: {},
-            _bettingManager: bettingManager
-          },
+          rng,
+          initialState,
           strategies: {
-            bet: new BetStrategy(),
+            bet,
+            pokerAction: bet,
+            closeTable: new CloseTableStrategy(),
             vote: new VotingStrategy()
           }
         });
 
-        // Initialize players
-        players.forEach((player, index) => {
-          game.playerManager.add(player);
-          const state = game.getState();
-
-          state.hands[player.id] = hands[player.id];
-          state.playerBets[player.id] = 0;
-          state.playerStatuses[player.id] = 'active';
-          state.players[player.id] = {
-            id: player.id,
-            displayName: player.displayName,
-            index
-          };
-          state.playerOrder.push(player.id);
-          state.finalBalances[player.id] = 0;
-
-          // Initialize betting manager for player
-          const balance = initialBalances[player.id] || 1000;
-          bettingManager.initializePlayer(player.id, balance);
+        players.forEach(player => {
+          game.playerManager.addPlayer({ ...player, isReady: true });
         });
 
-        // Post blinds
-        const state = game.getState();
-        if (state.playerOrder.length >= 2) {
-          const smallBlindIndex = (state.dealerIndex + 1) % state.playerOrder.length;
-          const bigBlindIndex = (state.dealerIndex + 2) % state.playerOrder.length;
-
-          const smallBlindId = state.playerOrder[smallBlindIndex];
-          const bigBlindId = state.playerOrder[bigBlindIndex];
-
-          // Post small blind (5)
-          bettingManager.placeBet(smallBlindId, 5);
-          state.playerBets[smallBlindId] = 5;
-
-          // Post big blind (10)
-          bettingManager.placeBet(bigBlindId, 10);
-          state.playerBets[bigBlindId] = 10;
-
-          // Update pot
-          state.pot = bettingManager.getPot();
-          state.currentBet = 10;
-
-          // Start with player after big blind
-          const firstPlayerIndex = (bigBlindIndex + 1) % state.playerOrder.length;
-          state.currentPlayerId = state.playerOrder[firstPlayerIndex];
-        }
-
         // Listen for game completion
-        game.stateManager.on('stateChanged', ({ current }) => {
-          if (current.isComplete) {
-            const winners = Array.isArray(current.winners) ? current.winners : [current.winnerId];
+        let roundEndEmitted = false;
+        game.stateManager.on('stateChanged', ({ previous, current }) => {
+          const { state } = current;
+          if (state.mode !== 'single') {
+            emitSessionRoundEnd(game, previous.state, state);
+            return;
+          }
+          if (state.isComplete && !roundEndEmitted) {
+            roundEndEmitted = true;
+            const winners = Array.isArray(state.winners) ? state.winners : [state.winnerId];
             const winnings = {};
 
             winners.forEach(winnerId => {
-              winnings[winnerId] = current.finalBalances[winnerId] - (initialBalances[winnerId] || 1000);
+              winnings[winnerId] = state.finalBalances[winnerId] - (initialBalances[winnerId] ?? 1000);
             });
 
-            game.emit('roundEnd', {
+            game.stateManager.emit('roundEnd', {
               winners,
               winnings,
-              pot: current.pot,
-              winningHand: current.winningHand,
-              outcome: 'complete'
+              pot: state.pot,
+              winningHand: state.winningHand,
+              outcome: 'complete',
+              state: { finalBalances: state.finalBalances }
             });
           }
         });
@@ -153,10 +153,10 @@ function evaluateFiveCards(cards) {
   }
 
   // Two Pair
-  if (groups[2] && groups[2].length >= 4) {
+  if (groups[2] && groups[2].length >= 2) {
     const pairs = [...groups[2]];
     const pair1Value = getPokerValue(pairs[0].rank);
-    const pair2Value = getPokerValue(pairs[2].rank);
+    const pair2Value = getPokerValue(pairs[1].rank);
     const pairValues = [pair1Value, pair2Value].sort((a, b) => b - a);
     const remaining = sorted.filter(c =>
       getPokerValue(c.rank) !== pairValues[0] &&
@@ -234,13 +234,6 @@ function checkStraight(cards) {
 function groupByRank(cards) {
   const groups = {};
 
-  for (const card of cards) {
-    const value = getPokerValue(card.rank);
-    for (let i = 1; i <= 4; i++) {
-      if (!groups[i]) groups[i] = [];
-    }
-  }
-
   // Count occurrences
   const counts = {};
   for (const card of cards) {
@@ -322,11 +315,11 @@ function getCombinations(array, k) {
 
 /**
  * Determine winners from multiple players
- * Returns array of winning player IDs (can be multiple in case of tie)
+ * Returns { winners, bestHand }: the winning player IDs (can be multiple in case of tie) and their hand
  */
 function determineWinners(players) {
-  if (!players || players.length === 0) return [];
-  if (players.length === 1) return [players[0].playerId];
+  if (!players || players.length === 0) return { winners: [], bestHand: null };
+  if (players.length === 1) return { winners: [players[0].playerId], bestHand: evaluateHand(players[0].cards) };
 
   // Evaluate all hands
   const evaluations = players.map(player => ({
@@ -355,11 +348,33 @@ function determineWinners(players) {
   return { winners, bestHand: bestEval.hand };
 }
 
+/**
+ * Turn timer config shared by the poker variants. `roundField` names the state
+ * field holding the betting round and `phases` the time allowed per round; a
+ * player who runs out of time checks if they owe nothing and folds otherwise.
+ */
+function createPokerTurnTimer(roundField, phases) {
+  return {
+    phases,
+    getTurn(state) {
+      if (state.isComplete || !state.currentPlayerId) {
+        return null;
+      }
+      return { phase: state[roundField], playerIds: [state.currentPlayerId] };
+    },
+    getDefaultCommand(state, playerId) {
+      const owesChips = (state.playerBets?.[playerId] || 0) < (state.currentBet || 0);
+      return { type: 'pokerAction', payload: { action: owesChips ? 'fold' : 'check' } };
+    }
+  };
+}
+
 module.exports = {
   HAND_RANKS,
   HAND_NAMES,
   evaluateHand,
   compareHands,
   determineWinners,
-  getPokerValue
+  getPokerValue,
+  createPokerTurnTimer
 };
@@ -1,11 +1,20 @@
 'use strict';
 
-const { buildGameInstance } = require('../../core');
+const { z } = require('zod');
+const { buildGameInstance, pickBotCommand } = require('../../core');
 
 const BOARD_SIZE = 3;
 const PLAYER_MARKERS = ['X', 'O'];
 const SERIES_WINS_REQUIRED = 2;
 
+const COMMAND_SCHEMAS = {
+    placeMark: z.object({
+        row: z.number().int().min(0).max(BOARD_SIZE - 1),
+        col: z.number().int().min(0).max(BOARD_SIZE - 1),
+    }),
+    resetRound: z.object({}),
+};
+
 class PlaceMarkStrategy {
     execute({ state, playerManager, playerId, payload }) {
         if (!playerManager.hasPlayer(playerId)) {
@@ -337,6 +346,41 @@ function attachRoundEndEmitter(game, roomId) {
     game.stateManager.on('stateChanged', handler);
 }
 
+/**
+ * Bot policy: complete a line, else block the opponent's, else prefer the
+ * centre and then the corners.
+ */
+const BOT = {
+    getLegalCommands(state, playerId) {
+        if (state.isComplete || state.isRoundComplete || state.currentPlayerId !== playerId) {
+            return [];
+        }
+        const commands = [];
+        state.board.forEach((cells, row) => cells.forEach((cell, col) => {
+            if (cell === null) {
+                commands.push({ type: 'placeMark', payload: { row, col } });
+            }
+        }));
+        return commands;
+    },
+    chooseCommand(state, playerId, commands, options) {
+        const marker = state.players[playerId].marker;
+        const opponent = PLAYER_MARKERS.find(candidate => candidate !== marker);
+        const completesLine = (who, { row, col }) => {
+            const board = state.board.map(cells => cells.slice());
+            board[row][col] = who;
+            return detectWinner(board)?.marker === who;
+        };
+        const score = ({ payload }) => {
+            if (completesLine(marker, payload)) return 4;
+            if (completesLine(opponent, payload)) return 3;
+            if (payload.row === 1 && payload.col === 1) return 2;
+            return payload.row !== 1 && payload.col !== 1 ? 1 : 0;
+        };
+        return pickBotCommand(commands, { ...options, score });
+    },
+};
+
 module.exports = {
     register(registry) {
         return registry.register({
@@ -345,6 +389,10 @@ module.exports = {
             minPlayers: 2,
             maxPlayers: 2,
             version: '1.0.0',
+            commandSchemas: COMMAND_SCHEMAS,
+            // Nothing is hidden, so taking a move back reveals nothing
+            allowUndo: true,
+            bot: BOT,
             create({ roomId, players = [] }) {
                 const game = buildGameInstance({
                     id: 'tic-tac-toe',
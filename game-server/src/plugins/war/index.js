@@ -3,6 +3,7 @@
  * A simple 2-player card game where players flip cards and the highest card wins
  */
 
+const { z } = require('zod');
 const { buildGameInstance } = require('../../core');
 const {
   createDeck,
@@ -11,12 +12,20 @@ const {
   getCardDisplayName
 } = require('../../shared/cardUtils');
 
+/**
+ * Payload schemas for War commands
+ */
+const COMMAND_SCHEMAS = {
+  playCard: z.object({}),
+  resetRound: z.object({})
+};
+
 /**
  * Strategy for playing a card in War
  */
 class PlayCardStrategy {
   execute({ state, playerManager, playerId, payload = {} }) {
-    const player = playerManager.get(playerId);
+    const player = playerManager.getPlayer(playerId);
     if (!player) {
       return { error: 'Player not found' };
     }
@@ -76,7 +85,7 @@ class PlayCardStrategy {
           } else {
             // Clear winner
             const winnerId = winner.playerId;
-            const winnerPlayer = playerManager.get(winnerId);
+            const winnerPlayer = playerManager.getPlayer(winnerId);
 
             // Winner takes all cards in play plus any war pot
             const wonCards = [...cards.map(c => c.card), ...next.warPot];
@@ -94,7 +103,7 @@ class PlayCardStrategy {
             const hasCards = playerIds.filter(pid => next.hands[pid].length > 0);
             if (hasCards.length === 1) {
               const gameWinnerId = hasCards[0];
-              const gameWinner = playerManager.get(gameWinnerId);
+              const gameWinner = playerManager.getPlayer(gameWinnerId);
               next.isComplete = true;
               next.gameWinner = gameWinner.displayName;
               next.gameWinnerId = gameWinnerId;
@@ -160,77 +169,83 @@ module.exports = {
       version: '1.0.0',
       description: 'Classic card game where highest card wins',
       category: 'cards',
+      commandSchemas: COMMAND_SCHEMAS,
 
-      create({ roomId, players = [] }) {
+      create({ roomId, players = [], rng }) {
         // Create and shuffle deck
-        const deck = shuffle(createDeck());
+        const deck = shuffle(createDeck(), rng);
 
         // Deal all cards to players
         const numPlayers = Math.max(players.length, 2);
         const cardsPerPlayer = Math.floor(deck.length / numPlayers);
         const { hands } = dealCards(deck, numPlayers, cardsPerPlayer);
 
+        const initialState = {
+          roomId,
+          gameType: 'war',
+          hands: {},
+          playedCards: {},
+          warPot: [],
+          warCount: 0,
+          isWar: false,
+          score: {},
+          players: {},
+          playerOrder: [],
+          currentPlayerId: null,
+          round: 1,
+          isRoundComplete: false,
+          isComplete: false,
+          winner: null,
+          winnerId: null,
+          gameWinner: null,
+          gameWinnerId: null,
+          lastMove: null
+        };
+
+        // Initialize players
+        players.forEach((player, index) => {
+          initialState.hands[player.id] = hands[index] || [];
+          initialState.playedCards[player.id] = null;
+          initialState.score[player.id] = 0;
+          initialState.players[player.id] = {
+            id: player.id,
+            displayName: player.displayName,
+            index
+          };
+          initialState.playerOrder.push(player.id);
+        });
+
+        // Set first player
+        initialState.currentPlayerId = initialState.playerOrder[0] || null;
+
         // Create game instance
         const game = buildGameInstance({
           id: 'war',
           minPlayers: 2,
           maxPlayers: 2,
-          initialState: {
-            roomId,
-            gameType: 'war',
-            hands: {},
-            playedCards: {},
-            warPot: [],
-            warCount: 0,
-            isWar: false,
-            score: {},
-            players: {},
-            playerOrder: [],
-            currentPlayerId: null,
-            round: 1,
-            isRoundComplete: false,
-            isComplete: false,
-            winner: null,
-            winnerId: null,
-            gameWinner: null,
-            gameWinnerId: null,
-            lastMove: null
-          },
+          rng,
+          initialState,
           strategies: {
             playCard: new PlayCardStrategy(),
             resetRound: new ResetRoundStrategy()
           }
         });
 
-        // Initialize players
-        players.forEach((player, index) => {
-          game.playerManager.add(player);
-          const state = game.getState();
-          state.hands[player.id] = hands[index] || [];
-          state.playedCards[player.id] = null;
-          state.score[player.id] = 0;
-          state.players[player.id] = {
-            id: player.id,
-            displayName: player.displayName,
-            index
-          };
-          state.playerOrder.push(player.id);
+        players.forEach(player => {
+          game.playerManager.addPlayer({ ...player, isReady: true });
         });
 
-        // Set first player
-        const state = game.getState();
-        if (state.playerOrder.length > 0) {
-          state.currentPlayerId = state.playerOrder[0];
-        }
-
         // Listen for round end
+        let roundEndEmitted = false;
         game.stateManager.on('stateChanged', ({ current }) => {
-          if (current.isComplete && current.gameWinnerId) {
-            game.emit('roundEnd', {
-              round: current.round,
-              score: current.score,
-              winnerId: current.gameWinnerId,
-              winnerName: current.gameWinner,
+          const { state } = current;
+          if (state.isComplete && state.gameWinnerId && !roundEndEmitted) {
+            roundEndEmitted = true;
+            game.stateManager.emit('roundEnd', {
+              round: state.round,
+              score: state.score,
+              winnerId: state.gameWinnerId,
+              winnerName: state.gameWinner,
               outcome: 'win'
             });
           }
@@ -20,6 +20,23 @@ const roomCodeSchema = z.string()
   .regex(/^[A-Z0-9]{6}$/, 'Room code must be 6 alphanumeric characters')
   .length(6, 'Room code must be exactly 6 characters');
 
+// Room identifier: short codes as well as generated ids (e.g. lan_1a2b3c4d)
+const roomIdentifierSchema = z.string()
+  .trim()
+  .min(3, 'Room id is too short')
+  .max(40, 'Room id is too long')
+  .regex(/^[A-Za-z0-9_-]+$/, 'Room id may only contain letters, numbers, underscores, or hyphens');
+
+// Room code a p2p host picks for a new room, as sanitizeRoomCode accepts it
+// (letters are upper-cased)
+const customRoomCodeSchema = z.string()
+  .trim()
+  .regex(/^[A-Za-z0-9]{3,10}$/, 'Room code must be 3-10 characters using letters A-Z or numbers 0-9.');
+
+// Username as typed by the player (sanitized further by the user store)
+const usernameSchema = z.string()
+  .max(50, 'Username too long');
+
 // Game type identifier
 const gameTypeSchema = z.string()
   .min(1)
@@ -31,6 +48,13 @@ const playerIdSchema = z.string()
   .min(1)
   .max(100);
 
+// Tournament id (e.g. tournament_1a2b3c4d)
+const tournamentIdSchema = z.string()
+  .regex(/^tournament_[a-f0-9]{8}$/, 'Invalid tournament id');
+
+// Quick reactions players can send during a game
+const REACTIONS = ['gg', 'nice-hand', 'good-move', 'well-played', 'oops', 'laugh', 'wow', 'clap', 'fire', 'cry'];
+
 // Display name
 const displayNameSchema = z.string()
   .min(1, 'Display name required')
@@ -48,10 +72,81 @@ const versionSchema = z.string()
   .regex(/^\d+\.\d+\.\d+$/, 'Version must be in semver format (x.y.z)')
   .default('1.0.0');
 
+// ===========================
+// Protocol Versioning
+// ===========================
+
+const PROTOCOL_VERSION = '1.0.0';
+const SUPPORTED_MAJOR_VERSIONS = [1];
+
+function parseVersion(version) {
+  if (typeof version !== 'string' || !/^\d+\.\d+\.\d+$/.test(version)) {
+    return null;
+  }
+  return version.split('.').map(Number);
+}
+
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check whether the server can speak a protocol version
+ *
+ * @param {String} version - Semver version string
+ * @returns {Boolean}
+ */
+function isVersionSupported(version) {
+  const parsed = parseVersion(version);
+  return Boolean(parsed) && SUPPORTED_MAJOR_VERSIONS.includes(parsed[0]);
+}
+
+/**
+ * Negotiate the protocol version used with a client
+ *
+ * Picks the highest client version with a supported major and caps it at the
+ * server version, since minor releases within a major stay backward compatible.
+ *
+ * @param {String|String[]} requested - Version(s) the client speaks
+ * @returns {String|null} Negotiated version, or null when nothing is compatible
+ */
+function negotiateVersion(requested) {
+  const candidates = (Array.isArray(requested) ? requested : [requested])
+    .filter(isVersionSupported)
+    .sort(compareVersions);
+
+  if (!candidates.length) {
+    return null;
+  }
+
+  const best = candidates[candidates.length - 1];
+  return compareVersions(best, PROTOCOL_VERSION) > 0 ? PROTOCOL_VERSION : best;
+}
+
 // ===========================
 // Client-to-Server Events
 // ===========================
 
+/**
+ * Hello Event
+ * Client announces the protocol versions it speaks
+ */
+const helloSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    version: versionSchema.optional(),
+    supportedVersions: z.array(z.string().max(20)).max(10).optional(),
+  }),
+});
+
 /**
  * Create Game Event
  * Client requests to create a new game room
@@ -62,7 +157,8 @@ const createGameSchema = z.object({
   payload: z.object({
     gameType: gameTypeSchema,
     mode: z.enum(['lan', 'p2p']).default('lan'),
-    roomCode: roomCodeSchema.optional(),
+    roomCode: customRoomCodeSchema.optional(),
+    username: usernameSchema.optional(),
     minPlayers: z.number().int().min(2).max(100).optional(),
     maxPlayers: z.number().int().min(2).max(100).optional(),
     options: z.record(z.any()).optional(), // Game-specific options
@@ -80,7 +176,7 @@ const joinGameSchema = z.object({
   version: versionSchema,
   seq: sequenceNumberSchema.optional(),
   payload: z.object({
-    roomCode: roomCodeSchema,
+    roomCode: roomIdentifierSchema,
     password: z.string().max(100).optional(),
   }),
 });
@@ -109,20 +205,99 @@ const startGameSchema = z.object({
   }),
 });
 
+/**
+ * Game command carried by submitMove/gameAction
+ * Command data may be sent as `data` or `payload`; it is normalized to `payload`
+ * so it can be handed straight to the CommandBus.
+ */
+const commandSchema = z.object({
+  type: z.string().min(1).max(50), // Command type (e.g., 'placeMark', 'bet')
+  data: z.record(z.any()).optional(), // Command-specific data
+  payload: z.record(z.any()).optional(), // Alias of data used by the bundled client
+  timestamp: z.number().int().positive().optional(), // Client timestamp
+}).transform(({ type, data, payload, timestamp }) => ({
+  type,
+  payload: payload || data || {},
+  timestamp,
+}));
+
 /**
  * Submit Move Event
  * Client submits a game action/command
  */
 const submitMoveSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: commandSchema,
+});
+
+/**
+ * Game Action Event (legacy alias of submitMove)
+ */
+const gameActionSchema = submitMoveSchema;
+
+/**
+ * Identify Event
+ * Client announces its username, and the reconnect token of its last session
+ */
+const identifySchema = z.object({
   version: versionSchema,
   seq: sequenceNumberSchema.optional(),
   payload: z.object({
-    type: z.string().min(1).max(50), // Command type (e.g., 'placeMark', 'bet')
-    data: z.record(z.any()), // Command-specific data
-    timestamp: z.number().int().positive().optional(), // Client timestamp
+    username: usernameSchema.optional(),
+    reconnectToken: z.string().regex(/^[0-9a-f]{48}$/, 'Invalid reconnect token').optional(),
+    attemptReconnect: z.boolean().default(true),
   }),
 });
 
+/**
+ * Get User Stats Event
+ */
+const getUserStatsSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    username: usernameSchema.optional(),
+  }),
+});
+
+/**
+ * Create Room Event (lobby alias of createGame)
+ */
+const createRoomSchema = createGameSchema;
+
+/**
+ * Join Room Event
+ * Lobby client joins a room from the room list or by code
+ */
+const joinRoomSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    roomId: roomIdentifierSchema,
+    username: usernameSchema.optional(),
+    spectate: z.boolean().optional(), // Watch instead of taking a seat
+  }),
+});
+
+/**
+ * Leave Room Event
+ */
+const leaveRoomSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({}),
+});
+
+/**
+ * Room List Request
+ */
+const getRoomListSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({}),
+});
+
 /**
  * Undo Move Event
  * Client requests to undo last action
@@ -149,14 +324,40 @@ const leaveGameSchema = z.object({
 
 /**
  * Chat Message Event
- * Client sends a chat message
+ * Client sends a chat message to the lobby or to its room
  */
 const chatMessageSchema = z.object({
   version: versionSchema,
   seq: sequenceNumberSchema.optional(),
   payload: z.object({
     message: z.string().min(1).max(500),
-    type: z.enum(['text', 'emote', 'system']).default('text'),
+    type: z.enum(['text', 'emote']).default('text'),
+    channel: z.enum(['lobby', 'room']).default('room'),
+  }),
+});
+
+/**
+ * Send Reaction Event
+ * Seated player fires a quick reaction during a game
+ */
+const sendReactionSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    reaction: z.enum(REACTIONS),
+  }),
+});
+
+/**
+ * Update Room Settings Event
+ * Host changes room settings
+ */
+const updateRoomSettingsSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    reactionsEnabled: z.boolean().optional(),
+    gameSettings: z.record(z.any()).optional(), // Checked against the game's settingsSchema
   }),
 });
 
@@ -184,28 +385,129 @@ const requestSyncSchema = z.object({
   }),
 });
 
+/**
+ * Open Replay Event
+ * Client loads a recorded match into the replay viewer
+ */
+const openReplaySchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    replayId: z.string().regex(/^match_[a-f0-9]{8}$/, 'Invalid replay id'),
+  }),
+});
+
+/**
+ * Replay Step Event
+ * Client jumps to a frame of the open replay (0 = initial state)
+ */
+const replayStepSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    index: z.number().int().min(0),
+  }),
+});
+
+/**
+ * Add Bot Event
+ * Host seats a bot in the match lobby
+ */
+const addBotSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    difficulty: z.enum(['easy', 'medium', 'hard']).default('medium'),
+  }),
+});
+
+/**
+ * Remove Bot Event
+ */
+const removeBotSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    botId: playerIdSchema,
+  }),
+});
+
+/**
+ * Close Replay Event
+ */
+const closeReplaySchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({}),
+});
+
+/**
+ * Get Tournaments Event
+ */
+const getTournamentsSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({}),
+});
+
+/**
+ * Create Tournament Event
+ * Client opens registration for a tournament and registers as its host
+ */
+const createTournamentSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    gameType: gameTypeSchema,
+    format: z.enum(['single-elimination', 'double-elimination', 'round-robin']).default('single-elimination'),
+    name: z.string().max(50).optional(),
+  }),
+});
+
+/**
+ * Tournament Action Event
+ * Join, leave, start or cancel a tournament
+ */
+const tournamentActionSchema = z.object({
+  version: versionSchema,
+  seq: sequenceNumberSchema.optional(),
+  payload: z.object({
+    tournamentId: tournamentIdSchema,
+  }),
+});
+
 // ===========================
 // Server-to-Client Events
 // ===========================
 
 /**
- * Game State Update (Delta)
- * Server sends incremental state change
+ * Game State Update
+ * Server sends either the full state or the changes since `fromVersion`.
+ * `version` here is the game state version, not the protocol version.
  */
-const gameStateUpdateSchema = z.object({
-  version: versionSchema,
-  type: z.literal('delta'),
-  serverTime: z.number().int().positive(),
-  tick: z.number().int().min(0),
-  delta: z.object({
-    changes: z.array(z.object({
-      path: z.string(), // JSON path to changed value
-      value: z.any(),
-      operation: z.enum(['set', 'delete', 'push', 'splice']),
-    })),
+const stateVersionSchema = z.number().int().min(0);
+
+const gameStateUpdateSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('full'),
+    version: stateVersionSchema,
+    state: z.record(z.any()),
+    context: z.record(z.any()).optional(),
   }),
-  checksum: z.string().optional(), // Hash of full state for validation
-});
+  z.object({
+    type: z.literal('delta'),
+    fromVersion: stateVersionSchema,
+    version: stateVersionSchema,
+    delta: z.object({
+      changes: z.array(z.object({
+        operation: z.enum(['set', 'delete']),
+        path: z.array(z.union([z.string(), z.number().int().min(0)])), // Keys and indexes from the state root
+        value: z.any().optional(),
+      })),
+    }),
+    context: z.record(z.any()).optional(),
+  }),
+]);
 
 /**
  * Game State Snapshot (Full)
@@ -370,6 +672,14 @@ function createValidator(schema) {
 
 const schemas = {
   // Client-to-Server
+  'hello': helloSchema,
+  'identify': identifySchema,
+  'getUserStats': getUserStatsSchema,
+  'createRoom': createRoomSchema,
+  'joinRoom': joinRoomSchema,
+  'leaveRoom': leaveRoomSchema,
+  'getRoomList': getRoomListSchema,
+  'gameAction': gameActionSchema,
   'createGame': createGameSchema,
   'joinGame': joinGameSchema,
   'playerReady': playerReadySchema,
@@ -378,8 +688,21 @@ const schemas = {
   'undoMove': undoMoveSchema,
   'leaveGame': leaveGameSchema,
   'chatMessage': chatMessageSchema,
+  'sendReaction': sendReactionSchema,
+  'updateRoomSettings': updateRoomSettingsSchema,
   'ping': pingSchema,
   'requestSync': requestSyncSchema,
+  'openReplay': openReplaySchema,
+  'replayStep': replayStepSchema,
+  'closeReplay': closeReplaySchema,
+  'addBot': addBotSchema,
+  'removeBot': removeBotSchema,
+  'getTournaments': getTournamentsSchema,
+  'createTournament': createTournamentSchema,
+  'joinTournament': tournamentActionSchema,
+  'leaveTournament': tournamentActionSchema,
+  'startTournament': tournamentActionSchema,
+  'cancelTournament': tournamentActionSchema,
 
   // Server-to-Client
   'gameStateUpdate': gameStateUpdateSchema,
@@ -410,8 +733,27 @@ function hasSchema(eventName) {
 }
 
 module.exports = {
+  // Protocol
+  PROTOCOL_VERSION,
+  SUPPORTED_MAJOR_VERSIONS,
+  REACTIONS,
+  negotiateVersion,
+  isVersionSupported,
+
   // Schemas
   schemas,
+  roomCodeSchema,
+  customRoomCodeSchema,
+  roomIdentifierSchema,
+  commandSchema,
+  helloSchema,
+  identifySchema,
+  getUserStatsSchema,
+  createRoomSchema,
+  joinRoomSchema,
+  leaveRoomSchema,
+  getRoomListSchema,
+  gameActionSchema,
   createGameSchema,
   joinGameSchema,
   playerReadySchema,
@@ -420,8 +762,18 @@ module.exports = {
   undoMoveSchema,
   leaveGameSchema,
   chatMessageSchema,
+  sendReactionSchema,
+  updateRoomSettingsSchema,
   pingSchema,
   requestSyncSchema,
+  openReplaySchema,
+  replayStepSchema,
+  closeReplaySchema,
+  addBotSchema,
+  removeBotSchema,
+  getTournamentsSchema,
+  createTournamentSchema,
+  tournamentActionSchema,
   gameStateUpdateSchema,
   gameStateSnapshotSchema,
   roomStateUpdateSchema,
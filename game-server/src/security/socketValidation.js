@@ -0,0 +1,146 @@
+'use strict';
+
+const { createCodedError } = require('../core/utils');
+const {
+    PROTOCOL_VERSION,
+    SUPPORTED_MAJOR_VERSIONS,
+    getSchema,
+    validateMessage,
+    negotiateVersion,
+    isVersionSupported,
+} = require('./messageSchemas');
+
+function isEnvelope(message) {
+    return Boolean(message)
+        && typeof message === 'object'
+        && !Array.isArray(message)
+        && typeof message.version === 'string'
+        && Object.prototype.hasOwnProperty.call(message, 'payload');
+}
+
+function describeValidationError(error) {
+    const issue = Array.isArray(error?.details) ? error.details[0] : null;
+    if (!issue) {
+        return error?.message || 'Invalid message format';
+    }
+    const path = (issue.path || []).filter((segment) => segment !== 'payload').join('.');
+    return path ? `${path}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Installs a Socket.IO packet middleware that validates every client event
+ * against its schema before any handler runs.
+ *
+ * Envelopes ({ version, seq, payload }) and bare payloads from older clients are
+ * both accepted; handlers always receive the validated payload. Rejected packets
+ * never reach the handler: the client gets an `error` event (and a failed ack
+ * when one was supplied).
+ */
+function attachMessageValidation(socket, {
+    getSchemaFor = getSchema,
+    onReject,
+    sequenceValidation = false,
+    maxSequenceDrift = 100,
+    logger = console,
+} = {}) {
+    const handshakeVersion = socket.handshake?.auth?.protocolVersion || socket.handshake?.query?.protocolVersion;
+    socket.data = socket.data || {};
+    socket.data.protocolVersion = handshakeVersion ? negotiateVersion(handshakeVersion) : PROTOCOL_VERSION;
+    let lastSeq = null;
+
+    const reject = (event, ack, code, message, details) => {
+        const error = { code, message, details };
+        try {
+            if (typeof onReject === 'function') {
+                onReject(socket, { event, ...error });
+            } else if (socket.connected !== false) {
+                socket.emit('error', { message, code, action: event, details, version: PROTOCOL_VERSION });
+            }
+            if (typeof ack === 'function') {
+                ack({ ok: false, error: { code, message } });
+            }
+        } catch (emitError) {
+            logger.error?.('[SocketValidation] Failed to report rejected message:', emitError);
+        }
+    };
+
+    const handleHello = (payload, ack) => {
+        const requested = payload.supportedVersions?.length
+            ? payload.supportedVersions
+            : (payload.version || PROTOCOL_VERSION);
+        const negotiated = negotiateVersion(requested);
+        const response = {
+            version: negotiated,
+            serverVersion: PROTOCOL_VERSION,
+            supportedMajorVersions: SUPPORTED_MAJOR_VERSIONS,
+        };
+        if (!negotiated) {
+            reject('hello', ack, 'UNSUPPORTED_VERSION', `Protocol version ${requested} is not supported.`, response);
+            return;
+        }
+        socket.data.protocolVersion = negotiated;
+        socket.emit('welcome', response);
+        if (typeof ack === 'function') {
+            ack({ ok: true, ...response });
+        }
+    };
+
+    socket.use((packet, next) => {
+        const [event, ...args] = packet;
+        const schema = getSchemaFor(event);
+        if (!schema) {
+            return next();
+        }
+
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const message = args[0];
+        const envelope = isEnvelope(message)
+            ? message
+            : { version: socket.data.protocolVersion || PROTOCOL_VERSION, payload: message ?? {} };
+
+        if (event !== 'hello') {
+            if (!socket.data.protocolVersion) {
+                reject(event, ack, 'UNSUPPORTED_VERSION', 'Negotiate a supported protocol version with hello first.');
+                return undefined;
+            }
+            if (!isVersionSupported(envelope.version)) {
+                reject(event, ack, 'UNSUPPORTED_VERSION', `Protocol version ${envelope.version} is not supported.`, {
+                    serverVersion: PROTOCOL_VERSION,
+                });
+                return undefined;
+            }
+        }
+
+        const result = validateMessage(schema, envelope);
+        if (!result.success) {
+            reject(event, ack, result.error.code, describeValidationError(result.error), result.error.details);
+            return undefined;
+        }
+
+        if (sequenceValidation && typeof result.data.seq === 'number') {
+            const { seq } = result.data;
+            if (lastSeq !== null && (seq <= lastSeq || seq - lastSeq > maxSequenceDrift)) {
+                reject(event, ack, 'INVALID_SEQUENCE', 'Message sequence number is out of order.', { lastSeq, seq });
+                return undefined;
+            }
+            lastSeq = seq;
+        }
+
+        if (event === 'hello') {
+            handleHello(result.data.payload, ack);
+            return undefined;
+        }
+
+        packet.length = 1;
+        packet.push(result.data.payload);
+        if (ack) {
+            packet.push(ack);
+        }
+        return next();
+    });
+}
+
+module.exports = {
+    attachMessageValidation,
+    createCodedError,
+};
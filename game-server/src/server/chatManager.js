@@ -0,0 +1,74 @@
+'use strict';
+
+const { SlidingWindowRateLimiter } = require('../security/rateLimiter');
+const { containsProfanity } = require('../security/profanityFilter');
+const { sanitizeTextInput } = require('../security/validators');
+const { createCodedError, generateRoomId } = require('../core/utils');
+
+const LOBBY_CHANNEL = 'lobby';
+
+/**
+ * Text chat for the lobby and for each room. Channels are the lobby plus one
+ * per room id; each keeps its last `scrollback` messages in memory for people
+ * who join later. Senders are rate limited across all channels, and messages
+ * containing profanity are rejected rather than masked.
+ */
+class ChatManager {
+    constructor({ scrollback = 50, maxLength = 500, rateLimit = { windowMs: 10000, max: 5 } } = {}) {
+        this.scrollback = scrollback;
+        this.maxLength = maxLength;
+        this.limiter = new SlidingWindowRateLimiter(rateLimit);
+        this.channels = new Map();
+    }
+
+    /**
+     * Adds a message to a channel and returns it, or throws VALIDATION_ERROR,
+     * RATE_LIMITED or INAPPROPRIATE_LANGUAGE.
+     */
+    post(channel, { senderId, username }, text, { type = 'text' } = {}) {
+        const message = sanitizeTextInput(text, { maxLength: this.maxLength });
+        if (!message) {
+            throw createCodedError('VALIDATION_ERROR', 'Message is empty.');
+        }
+        if (!this.limiter.allow(senderId)) {
+            throw createCodedError('RATE_LIMITED', 'You are sending messages too quickly.');
+        }
+        if (containsProfanity(message)) {
+            throw createCodedError('INAPPROPRIATE_LANGUAGE', 'Message contains inappropriate language.');
+        }
+
+        const entry = {
+            id: generateRoomId('chat'),
+            channel: channel === LOBBY_CHANNEL ? LOBBY_CHANNEL : 'room',
+            roomId: channel === LOBBY_CHANNEL ? null : channel,
+            senderId,
+            username,
+            text: message,
+            type,
+            sentAt: Date.now(),
+        };
+        const messages = this.channels.get(channel) || [];
+        messages.push(entry);
+        if (messages.length > this.scrollback) {
+            messages.splice(0, messages.length - this.scrollback);
+        }
+        this.channels.set(channel, messages);
+        return entry;
+    }
+
+    /**
+     * The scrollback of a channel, oldest first.
+     */
+    history(channel) {
+        return [...(this.channels.get(channel) || [])];
+    }
+
+    clear(channel) {
+        this.channels.delete(channel);
+    }
+}
+
+module.exports = {
+    ChatManager,
+    LOBBY_CHANNEL,
+};
@@ -7,27 +7,99 @@ const {
     GameFactory,
     GameRoomManager,
     ResourceMonitor,
+    TickManager,
     InMemoryGameRepository,
+    FileGameRepository,
+    MatchRecorder,
+    MatchHistory,
+    TournamentManager,
+    buildReplayFrames,
 } = require('../core');
 const { getPluginDirectory } = require('../plugins');
 const { sanitizeRoomCode, sanitizeTextInput } = require('../security/validators');
+const { attachMessageValidation } = require('../security/socketValidation');
+const { SlidingWindowRateLimiter } = require('../security/rateLimiter');
+const { ChatManager, LOBBY_CHANNEL } = require('./chatManager');
+const { createCodedError } = require('../core/utils');
+const { summarizeRecording, getMatchOutcomes } = require('../core/matchRecorder');
+const { diffState } = require('../core/statePatch');
+const { metricsCollector } = require('../monitoring/metrics');
 
 class ModularGameServer extends EventEmitter {
-    constructor({ io, logger = console, pluginDirectory, profileService = null }) {
+    constructor({
+        io,
+        logger = console,
+        pluginDirectory,
+        profileService = null,
+        deterministicRng = true,
+        replayDirectory = null,
+        historyFile = null,
+        roomStateDirectory = null,
+        startCountdownMs = 0,
+        tickRate = 30,
+        snapshotRate = 10,
+        turnTimers = true,
+        botThinkMs = 1000,
+        voteTimeoutMs = 30000,
+        tournamentMatchDelayMs = 5000,
+        chatScrollback = 50,
+        chatRateLimit = { windowMs: 10000, max: 5 },
+        reactionCooldownMs = 3000,
+        deltaSync = true,
+        userStore = null,
+        sessionManager = null,
+        allowUndo = false,
+    }) {
         super();
         this.io = io;
         this.logger = logger;
         this.profileService = profileService;
+        this.userStore = userStore;
+        this.sessionManager = sessionManager;
+        // Lets players take back their last command (undoMove); off by default
+        this.allowUndo = allowUndo;
         this.roomListVersion = 0;
         this.registry = new GameRegistry();
         this.pluginManager = new PluginManager({ registry: this.registry, logger });
         this.factory = new GameFactory({ registry: this.registry });
-        this.repository = new InMemoryGameRepository();
-        this.roomManager = new GameRoomManager({ gameFactory: this.factory, repository: this.repository });
+        this.repository = roomStateDirectory
+            ? new FileGameRepository({ directory: roomStateDirectory, logger })
+            : new InMemoryGameRepository();
+        this.matchRecorder = replayDirectory ? new MatchRecorder({ directory: replayDirectory, logger }) : null;
+        this.matchHistory = historyFile ? new MatchHistory({ file: historyFile, logger }) : null;
+        this.replaySessions = new Map();
+        // socketId -> stable player id issued at identify; sockets without one act as their socket id
+        this.playerIds = new Map();
+        // Send state changes as patches against the last version broadcast to each room
+        this.deltaSync = deltaSync;
+        // roomId -> state version every socket in the room was last sent
+        this.syncedVersions = new Map();
+        // Shared fixed-timestep loop for games that define onTick; runs only while such a room is active
+        this.tickManager = new TickManager({ tickRate, snapshotRate }, logger);
+        this.roomManager = new GameRoomManager({
+            gameFactory: this.factory,
+            repository: this.repository,
+            matchRecorder: this.matchRecorder,
+            deterministicRng,
+            startCountdownMs,
+            tickManager: this.tickManager,
+            turnTimers,
+            botThinkMs,
+            voteTimeoutMs,
+        });
+        this.tournamentManager = new TournamentManager({
+            roomManager: this.roomManager,
+            logger,
+            matchDelayMs: tournamentMatchDelayMs,
+        });
+        this.chat = new ChatManager({ scrollback: chatScrollback, rateLimit: chatRateLimit });
+        // One quick reaction per player per cooldown
+        this.reactionLimiter = new SlidingWindowRateLimiter({ windowMs: reactionCooldownMs, max: 1 });
         this.resourceMonitor = new ResourceMonitor({ intervalMs: 3000 });
         this.resourceMonitor.start();
-        this._init(pluginDirectory);
         this._wireRoomEvents();
+        this._wireTournamentEvents();
+        this.ready = this._init(pluginDirectory);
         this._wirePluginEvents();
     }
 
@@ -35,17 +107,35 @@ class ModularGameServer extends EventEmitter {
         const directory = pluginDirectory || getPluginDirectory();
         try {
             await this.pluginManager.loadFromDirectory(directory);
-            this.io.emit('availableGames', this.registry.list().map(({ id, name, minPlayers, maxPlayers, category, isCasino }) => ({
-                id,
-                name,
-                minPlayers,
-                maxPlayers,
-                category: category || 'other',
-                isCasino: isCasino || false
-            })));
+            this.io.emit('availableGames', this._listGames());
         } catch (error) {
             this.logger.error('Failed to load game plugins:', error);
         }
+        await this.matchHistory?.load();
+        await this._rehydrateRooms();
+    }
+
+    /**
+     * Recreates the rooms found in the repository after a restart. A room that
+     * cannot be rebuilt (e.g. its plugin is gone) is logged and dropped.
+     */
+    async _rehydrateRooms() {
+        let entries;
+        try {
+            entries = await this.repository.list();
+        } catch (error) {
+            this.logger.error('Failed to read stored rooms:', error);
+            return;
+        }
+        for (const entry of entries) {
+            try {
+                this.roomManager.restoreRoom(entry);
+                this.logger.info(`Restored room ${entry.roomId} (${entry.metadata?.gameId}) at version ${entry.metadata?.version}`);
+            } catch (error) {
+                this.logger.error(`Failed to restore room ${entry.roomId}:`, error);
+                await Promise.resolve(this.repository.remove(entry.roomId)).catch(() => {});
+            }
+        }
     }
 
     _wireRoomEvents() {
@@ -57,17 +147,15 @@ class ModularGameServer extends EventEmitter {
                     (sum, room) => sum + room.playerManager.players.size,
                     0,
                 ),
+                tick: summarizeTickMetrics(this.tickManager.getMetrics()),
             });
             this.io.emit('serverMetrics', this.resourceMonitor.getSnapshot());
         };
+        this.tickManager.on('metrics', updateMetrics);
 
         const emitRooms = () => {
             this.roomListVersion++;
-            this.io.emit('updateRoomList', {
-                version: this.roomListVersion,
-                rooms: this._serializeRooms(),
-                timestamp: Date.now(),
-            });
+            this.io.emit('updateRoomList', this._buildRoomList());
             updateMetrics();
         };
 
@@ -84,8 +172,10 @@ class ModularGameServer extends EventEmitter {
             emitRooms();
         });
 
-        this.roomManager.on('roomRemoved', ({ roomId }) => {
-            const reason = 'The host has closed the room';
+        this.roomManager.on('roomRemoved', ({ roomId, reason: removalReason }) => {
+            this.syncedVersions.delete(roomId);
+            this.chat.clear(roomId);
+            const reason = removalReason || 'The host has closed the room';
 
             this.io.to(roomId).emit('roomClosing', {
                 roomId,
@@ -102,374 +192,507 @@ class ModularGameServer extends EventEmitter {
         this.roomManager.on('gameStarted', ({ roomId, state }) => {
             const room = this.roomManager.getRoom(roomId);
             if (room) {
-                const pm = room.playerManager.list();
-                const enrichedPlayers = pm.map((p) => {
-                    const info = (state.state.players || {})[p.id] || {};
-                    return {
-                        ...p,
-                        color: info.color || p.metadata?.color || null,
-                        marker: info.marker || p.metadata?.marker || null,
-                        displayName: info.displayName || p.displayName || p.username || null,
-                    };
-                });
-                this.io.to(roomId).emit('gameStart', {
-                    gameState: state.state,
-                    players: enrichedPlayers,
-                    gameId: room.gameId,
-                    mode: room.metadata.mode || 'lan',
-                });
+                this.syncedVersions.set(roomId, state.version);
+                this._emitToViewers(room, 'gameStart', (viewerId) => this._buildGameStartPayload(room, state, viewerId));
             }
             updateMetrics();
         });
 
-        this.roomManager.on('gameState', ({ roomId, state, version, context }) => {
-            this.io.to(roomId).emit('gameStateUpdate', {
-                state,
-                version,
-                context,
+        this.roomManager.on('gameState', ({ roomId, state, version, previous, context }) => {
+            const room = this.roomManager.getRoom(roomId);
+            if (!room) {
+                return;
+            }
+            // Patches are only valid against the version the room was last sent
+            const base = this.deltaSync && previous?.version === this.syncedVersions.get(roomId) ? previous : null;
+            this.syncedVersions.set(roomId, version);
+            this._emitToViewers(room, 'gameStateUpdate', (viewerId) => {
+                const view = this.registry.projectState(room.gameId, state, viewerId);
+                if (base) {
+                    const changes = diffState(this.registry.projectState(room.gameId, base.state, viewerId), view);
+                    if (changes.every((change) => change.path.length)) {
+                        return { type: 'delta', fromVersion: base.version, version, delta: { changes }, context };
+                    }
+                }
+                return { type: 'full', state: view, version, context };
             });
         });
 
-        this.roomManager.on('roundEnd', ({ roomId, ...event }) => {
-            if (!roomId) {
+        this.roomManager.on('gameSnapshot', ({ roomId, tick, serverTime, version, state }) => {
+            const room = this.roomManager.getRoom(roomId);
+            if (!room) {
                 return;
             }
+            this.syncedVersions.set(roomId, version);
+            this._emitToViewers(room, 'gameStateSnapshot', (viewerId) => ({
+                type: 'snapshot',
+                tick,
+                serverTime,
+                version,
+                state: this.registry.projectState(room.gameId, state, viewerId),
+            }));
+        });
 
-            // Update player credits for casino games
+        this.roomManager.on('turnTimer', ({ roomId, timer }) => {
+            this.io.to(roomId).emit('turnTimer', { roomId, timer, serverTime: Date.now() });
+        });
+
+        this.roomManager.on('turnTimeout', ({ roomId, playerId, phase, command }) => {
             const room = this.roomManager.getRoom(roomId);
-            if (room && this.profileService) {
-                const gameDefinition = this.registry.get(room.gameId);
-                const isCasinoGame = gameDefinition?.isCasino || false;
-
-                if (isCasinoGame && event.state) {
-                    const players = room.playerManager.list();
-                    const finalBalances = event.state.finalBalances || {};
-
-                    players.forEach(player => {
-                        const username = player.metadata?.username || player.displayName;
-                        const finalBalance = finalBalances[player.id];
-
-                        if (username && typeof finalBalance === 'number') {
-                            // Update the user's credit balance
-                            this.profileService.updateBalance(username, finalBalance);
-                            this.logger.info(`[Credits] Updated ${username} balance to ${finalBalance}`);
-                        }
+            const player = room?.playerManager.getPlayer(playerId);
+            this.io.to(roomId).emit('turnTimeout', {
+                roomId,
+                playerId,
+                playerName: player?.displayName || null,
+                phase,
+                command,
+            });
+        });
+
+        this.roomManager.on('spectatorPromoted', ({ roomId, playerId }) => {
+            const room = this.roomManager.getRoom(roomId);
+            if (room) {
+                for (const socketId of this._socketIdsFor(playerId)) {
+                    this.io.to(socketId).emit('joinedMatchLobby', {
+                        room: this._enrichRoomData(room),
+                        yourId: playerId,
+                        promoted: true,
                     });
                 }
             }
-
-            this.io.to(roomId).emit('roundEnd', event);
-        });
-    }
-
-    attachSocket(socket, { getPlayer, setPlayerRoom, clearPlayerRoom }) {
-        const startGameLocks = new Map();
-
-        socket.emit('availableGames', this.registry.list().map(({ id, name, minPlayers, maxPlayers, category, isCasino }) => ({
-            id,
-            name,
-            minPlayers,
-            maxPlayers,
-            category: category || 'other',
-            isCasino: isCasino || false
-        })));
-        socket.emit('updateRoomList', {
-            version: this.roomListVersion,
-            rooms: this._serializeRooms(),
-            timestamp: Date.now(),
         });
-        socket.on('createGame', async (payload = {}) => {
-            this.logger.debug('createGame received:', payload, 'from socket:', socket.id);
-            try {
-                if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
-                    throw new Error('Create game payload must be an object.');
-                }
 
-                const rawGameType = payload.gameType;
-                if (typeof rawGameType !== 'string') {
-                    throw new Error('Game type must be a non-empty string.');
+        this.roomManager.on('returnedToLobby', ({ roomId }) => {
+            const room = this.roomManager.getRoom(roomId);
+            if (room) {
+                this.syncedVersions.delete(roomId);
+                const roomData = this._enrichRoomData(room);
+                for (const socketId of this.io.sockets?.adapter?.rooms?.get(roomId) || []) {
+                    const playerId = this.playerIds.get(socketId) || socketId;
+                    this.io.to(socketId).emit('joinedMatchLobby', {
+                        room: roomData,
+                        yourId: playerId,
+                        spectating: room.spectators.has(playerId),
+                        returned: true,
+                    });
                 }
+            }
+        });
 
-                const sanitizedGameType = sanitizeTextInput(rawGameType, { maxLength: 50 });
-                if (!sanitizedGameType) {
-                    throw new Error('Game type must be a non-empty string.');
-                }
-                if (!/^[a-zA-Z0-9_-]+$/.test(sanitizedGameType)) {
-                    throw new Error('Game type may only contain letters, numbers, underscores, or hyphens.');
-                }
+        this.roomManager.on('gameStartFailed', ({ roomId, error }) => {
+            this.logger.error(`Delayed start failed for room ${roomId}:`, error);
+            this.io.to(roomId).emit('error', {
+                message: error?.code ? error.message : 'The game could not be started.',
+                code: error?.code || 'SERVER_ERROR',
+                action: 'startGame',
+            });
+        });
 
-                const definition = this._resolveGameDefinition(sanitizedGameType);
+        this.roomManager.on('roundEnd', ({ roomId, ...event }) => {
+            if (!roomId) {
+                return;
+            }
 
-                const sanitizedMode = typeof payload.mode === 'string' ? payload.mode.trim().toLowerCase() : 'lan';
-                const mode = sanitizedMode === 'p2p' ? 'p2p' : 'lan';
+            // Settle player credits for casino games; tournament matches are played with table chips
+            const room = this.roomManager.getRoom(roomId);
+            if (room && this.profileService && !room.metadata.tournamentId
+                && this.registry.get(room.gameId)?.isCasino && event.state) {
+                this._settleCredits(room, event);
+            }
 
-                let preferredRoomId;
-                if (payload.roomCode !== undefined && payload.roomCode !== null && payload.roomCode !== '') {
-                    const sanitizedRoomCode = sanitizeRoomCode(String(payload.roomCode));
-                    if (!sanitizedRoomCode) {
-                        throw new Error('Room code must be 3-10 characters using letters A-Z or numbers 0-9.');
-                    }
-                    preferredRoomId = sanitizedRoomCode;
-                }
+            this.io.to(roomId).emit('roundEnd', event);
+        });
 
-                const { minPlayers, maxPlayers } = payload;
-                const player = getPlayer();
-                const room = this.roomManager.createRoom({
-                    hostId: socket.id,
-                    gameId: definition.id,
-                    mode,
-                    preferredRoomId: mode === 'p2p' ? preferredRoomId : undefined,
-                    playerLimits: {
-                        minPlayers: minPlayers || definition.minPlayers,
-                        maxPlayers: maxPlayers || definition.maxPlayers,
-                    },
-                    metadata: { mode },
-                });
-                this.logger.debug('Room created:', room.id);
-                await this.roomManager.joinRoom(room.id, {
-                    id: socket.id,
-                    displayName: player?.username || player?.displayName || 'Player',
-                    metadata: { account: player?.account || null },
-                    isReady: true,
-                });
-                this.logger.debug('Host joined room:', room.id);
-                setPlayerRoom(room.id);
-                socket.join(room.id);
-                socket.emit('joinedMatchLobby', { room: this._enrichRoomData(room), yourId: socket.id });
-                this.io.to(room.id).emit('roomStateUpdate', this._enrichRoomData(room));
+        this.roomManager.on('matchComplete', (event) => {
+            try {
+                this._recordMatchResult(event);
             } catch (error) {
-                this.logger.error('Failed to create game:', error);
-                socket.emit('error', error.message);
+                this.logger.error(`[Stats] Failed to record the match in room ${event.roomId}:`, error);
             }
         });
+    }
 
-        socket.on('joinGame', async (roomIdRaw) => {
-            try {
-                if (typeof roomIdRaw !== 'string') {
-                    throw new Error('Room code must be provided as a string.');
-                }
-
-                const sanitizedRoomId = sanitizeRoomCode(roomIdRaw);
-                if (!sanitizedRoomId) {
-                    throw new Error('Room code must be 3-10 characters using letters A-Z or numbers 0-9.');
-                }
-
-                const room = this.roomManager.getRoom(sanitizedRoomId);
-                this.logger.debug('Player attempting to join room:', sanitizedRoomId, 'Socket ID:', socket.id);
-                if (!room) {
-                    throw new Error(`Room ${sanitizedRoomId} does not exist.`);
-                }
-                if (room.playerManager.players.size >= room.playerManager.maxPlayers) {
-                    throw new Error('Room is full.');
-                }
-                const player = getPlayer();
-                await this.roomManager.joinRoom(room.id, {
-                    id: socket.id,
-                    displayName: player?.username || player?.displayName || 'Guest',
-                    metadata: { account: player?.account || null },
-                    isReady: false,
+    /**
+     * Writes a casino round to the credit ledger: per player, what they staked
+     * (a bet entry) and what came back (a payout entry), so the entries add up
+     * to the change from their starting to their final balance. The keys name
+     * the round, so a round reported twice is only settled once.
+     */
+    _settleCredits(room, event) {
+        const finalBalances = event.state.finalBalances || {};
+        // A round that reports its own starting stacks and bets (a hand of a poker session)
+        // is settled from those; otherwise from the game's starting balances and betting state
+        const startingBalances = event.state.startingBalances || room.gameSetup?.initialBalances || {};
+        const totalBets = event.state.totalBets
+            || Object.fromEntries((room.gameInstance?.getState().state?.betting?.players || [])
+                .map((entry) => [entry.id, entry.totalBet]));
+        const roundId = [room.id, room.gameStartedAt, event.round].filter((part) => part != null).join(':');
+
+        for (const player of room.playerManager.list()) {
+            const username = player.metadata?.username || player.displayName;
+            const finalBalance = finalBalances[player.id];
+            if (!username || player.metadata?.isBot || typeof finalBalance !== 'number') {
+                continue;
+            }
+            const change = finalBalance - (startingBalances[player.id] ?? 1000);
+            const totalBet = totalBets[player.id];
+            const staked = Math.max(Number.isFinite(totalBet) ? totalBet : 0, -change);
+            const transaction = { roundId, gameId: room.gameId, roomId: room.id };
+            if (staked > 0) {
+                this.profileService.recordTransaction(username, {
+                    ...transaction, type: 'bet', amount: -staked, idempotencyKey: `${roundId}:${player.id}:bet`,
+                });
+            }
+            if (change + staked > 0) {
+                this.profileService.recordTransaction(username, {
+                    ...transaction, type: 'payout', amount: change + staked, idempotencyKey: `${roundId}:${player.id}:payout`,
                 });
-                const updatedRoom = this.roomManager.getRoom(room.id);
-                this.logger.debug('Room after join:', sanitizedRoomId);
-                setPlayerRoom(room.id);
-                socket.join(room.id);
-                const roomToUse = updatedRoom || room;
-                socket.emit('joinedMatchLobby', { room: this._enrichRoomData(roomToUse), yourId: socket.id });
-                this.io.to(room.id).emit('roomStateUpdate', this._enrichRoomData(roomToUse));
-            } catch (error) {
-                socket.emit('error', error.message);
             }
+            this.logger.info(`[Credits] ${username} ${change >= 0 ? 'won' : 'lost'} ${Math.abs(change)} in round ${roundId}`);
+        }
+    }
+
+    /**
+     * Records a finished match: an entry in the match history, and for the
+     * people who played it a win, loss or draw in that game and, except in
+     * games against the house, their rating. Bots are not tracked in stats, and
+     * stats are left alone when someone held two seats.
+     */
+    _recordMatchResult({ roomId, gameId, state, players, setup, startedAt, replayId }) {
+        const outcomes = getMatchOutcomes(state, players.map((player) => player.id));
+        const tournamentId = setup?.metadata?.tournamentId || null;
+        // Tournament matches are played with table chips, not credits
+        const creditsChange = (player) => (!tournamentId && typeof state.finalBalances?.[player.id] === 'number'
+            ? state.finalBalances[player.id] - (setup?.initialBalances?.[player.id] ?? 1000)
+            : null);
+        this.matchHistory?.record({
+            gameId,
+            roomId,
+            startedAt,
+            tournamentId,
+            replayId,
+            players: players.map((player) => ({
+                username: player.metadata?.isBot ? null : player.metadata?.username || null,
+                displayName: player.displayName || null,
+                isBot: Boolean(player.metadata?.isBot),
+                result: outcomes?.get(player.id) || null,
+                creditsChange: creditsChange(player),
+            })),
         });
 
-        socket.on('playerReady', () => {
-            const player = getPlayer();
-            if (!player || !player.inRoom) {
-                socket.emit('error', 'Player not found or not in a room');
-                return;
+        if (!this.userStore) {
+            return;
+        }
+        const humans = players.filter((player) => !player.metadata?.isBot && player.metadata?.username);
+        const usernames = new Set(humans.map((player) => player.metadata.username));
+        if (!humans.length || !outcomes || usernames.size !== humans.length) {
+            return;
+        }
+        const results = humans.map((player) => ({ username: player.metadata.username, result: outcomes.get(player.id) }));
+        results.forEach(({ username, result }) => this.userStore.recordResult(username, gameId, result));
+        this.logger.info(`[Stats] ${gameId} in room ${roomId}: ${results.map(({ username, result }) => `${username} ${result}`).join(', ')}`);
+
+        const definition = this.registry.get(gameId);
+        if (definition?.minPlayers >= 2 && results.length >= 2 && results.some(({ result }) => result === 'win')) {
+            const rated = this.userStore.recordRatings(gameId, results.map(({ username, result }) => ({ username, won: result === 'win' })));
+            this.logger.info(`[Ratings] ${gameId}: ${rated.map(({ id, rating, delta }) => `${id} ${rating} (${delta >= 0 ? '+' : ''}${delta})`).join(', ')}`);
+        }
+
+        // Let everyone who played see their new record
+        for (const socket of this.io.sockets.sockets.values()) {
+            if (usernames.has(socket.username)) {
+                socket.emit('userStats', this._userStats(this.userStore.getOrCreate(socket.username)));
             }
-            const playerRoomId = player.inRoom;
+        }
+    }
+
+    /**
+     * Emits a per-socket payload to everyone in a room so each seat only receives
+     * its own view of hidden information. Sockets without a seat get the public view.
+     */
+    _emitToViewers(room, event, buildPayload) {
+        const members = this.io.sockets?.adapter?.rooms?.get(room.id);
+        if (!members) {
+            return;
+        }
+        for (const socketId of members) {
+            const playerId = this.playerIds.get(socketId) || socketId;
+            const viewerId = room.playerManager.hasPlayer(playerId) ? playerId : null;
             try {
-                const updated = this.roomManager.toggleReady(playerRoomId, socket.id);
-                if (updated) {
-                    const room = this.roomManager.getRoom(playerRoomId);
-                    if (room) {
-                        this.io.to(playerRoomId).emit('roomStateUpdate', this._enrichRoomData(room));
-                    }
-                }
+                this.io.to(socketId).emit(event, buildPayload(viewerId));
             } catch (error) {
-                socket.emit('error', error.message);
+                this.logger.error(`Failed to build ${event} view for ${socketId}:`, error);
             }
-        });
+        }
+    }
 
-        socket.on('startGame', async () => {
-            const player = getPlayer();
-            // Defensive check: ensure player exists and has a room
-            if (!player || !player.inRoom) {
-                socket.emit('error', 'Player not found or not in a room');
-                return;
-            }
+    _buildGameStartPayload(room, state, viewerId) {
+        const enrichedPlayers = room.playerManager.list().map((p) => {
+            const info = (state.state.players || {})[p.id] || {};
+            return {
+                ...p,
+                color: info.color || p.metadata?.color || null,
+                marker: info.marker || p.metadata?.marker || null,
+                displayName: info.displayName || p.displayName || p.username || null,
+            };
+        });
+        return {
+            gameState: this.registry.projectState(room.gameId, state.state, viewerId),
+            version: state.version,
+            players: enrichedPlayers,
+            gameId: room.gameId,
+            mode: room.metadata.mode || 'lan',
+            allowUndo: this.allowUndo && Boolean(this.registry.get(room.gameId)?.allowUndo),
+        };
+    }
 
-            // Store room ID to avoid accessing player.inRoom after potential state changes
-            const playerRoomId = player.inRoom;
+    /**
+     * Sends a socket the full current state of its room's game, for clients
+     * that missed a patch (a version gap) or want to start over.
+     */
+    handleRequestSync(socket, { reason = 'manual' } = {}) {
+        const room = this._requireGameRoom(socket);
+        const playerId = this.resolvePlayerId(socket);
+        const viewerId = room.playerManager.hasPlayer(playerId) ? playerId : null;
+        const { state, version } = room.gameInstance.getState();
+        socket.emit('gameStateUpdate', {
+            type: 'full',
+            state: this.registry.projectState(room.gameId, state, viewerId),
+            version,
+            context: { resync: reason },
+        });
+        return { version };
+    }
 
-            if (startGameLocks.get(playerRoomId)) {
-                socket.emit('error', 'Game is already starting');
-                return;
-            }
+    /**
+     * The player id a socket acts as: the one bound at identify, or its own id.
+     */
+    resolvePlayerId(socket) {
+        return this.playerIds.get(socket.id) || socket.id;
+    }
 
-            const room = this.roomManager.getRoom(playerRoomId);
-            if (!room || room.hostId !== socket.id) {
-                socket.emit('error', 'Only the host can start the game.');
-                return;
+    /**
+     * Makes the socket act as `playerId` in rooms and games. A socket that still
+     * held that id (a connection the server has not noticed dropping, or another
+     * tab) loses it and is taken out of its rooms.
+     */
+    bindPlayer(socket, playerId) {
+        for (const socketId of this._socketIdsFor(playerId)) {
+            if (socketId === socket.id) {
+                continue;
             }
-
-            startGameLocks.set(playerRoomId, true);
-
-            try {
-                // Check if this is a casino game and prepare balances
-                const gameDefinition = this.registry.get(room.gameId);
-                const isCasinoGame = gameDefinition?.isCasino || false;
-                let initialBalances = {};
-
-                if (isCasinoGame && this.profileService) {
-                    // Get balances for all players in the room
-                    const players = room.playerManager.list();
-                    for (const p of players) {
-                        // Try to get balance from profile
-                        if (p.account) {
-                            const balance = this.profileService.getBalance(p.account);
-                            initialBalances[p.id] = balance !== null ? balance : 1000;
-                        } else {
-                            // Guest or no account, use default
-                            initialBalances[p.id] = 1000;
-                        }
+            this.playerIds.delete(socketId);
+            const previous = this.io.sockets?.sockets?.get(socketId);
+            if (previous) {
+                for (const roomId of previous.rooms) {
+                    if (this.roomManager.getRoom(roomId)) {
+                        previous.leave(roomId);
                     }
                 }
-
-                this.roomManager.startGame(playerRoomId, { initialBalances });
-            } catch (error) {
-                socket.emit('error', error.message);
-            } finally {
-                setTimeout(() => {
-                    startGameLocks.delete(playerRoomId);
-                }, 2000);
+                previous.emit('error', {
+                    message: 'You signed in from another connection.',
+                    code: 'SESSION_REPLACED',
+                    action: 'identify',
+                });
             }
-        });
+        }
+        this.playerIds.set(socket.id, playerId);
+    }
 
-        socket.on('submitMove', (commandDescriptor = {}) => {
-            const player = getPlayer();
-            if (!player || !player.inRoom) return;
-            const playerRoomId = player.inRoom;
-            try {
-                this.roomManager.submitCommand(playerRoomId, { ...commandDescriptor, playerId: socket.id });
-            } catch (error) {
-                socket.emit('error', error.message);
+    /**
+     * Puts an identified socket back in the room it holds a seat in, after a
+     * dropped connection or a server restart, and sends it the lobby and, if a
+     * game is running, the current game state. Seats are found by the socket's
+     * player id; seats restored after a restart predate every session, so one
+     * no session holds is matched by username and the socket is bound to the
+     * seat's id. Only a seat no other connected socket holds is handed over.
+     * Returns the room, or null.
+     */
+    reclaimSeat(socket) {
+        const playerId = this.resolvePlayerId(socket);
+        const heldElsewhere = (id) => this._socketIdsFor(id).some((socketId) => socketId !== socket.id);
+        for (const room of this.roomManager.rooms.values()) {
+            const player = room.playerManager.getPlayer(playerId)
+                || (socket.username && room.playerManager.list().find((candidate) =>
+                    (candidate.metadata?.username || candidate.displayName) === socket.username
+                    && !this.sessionManager?.hasPlayerSession(candidate.id)));
+            if (!player || heldElsewhere(player.id)) {
+                continue;
             }
-        });
+            this.bindPlayer(socket, player.id);
+            socket.join(room.id);
+            socket.emit('joinedMatchLobby', { room: this._enrichRoomData(room), yourId: player.id });
+            this._sendRoomChat(socket, room);
+            if (room.gameInstance) {
+                socket.emit('gameStart', this._buildGameStartPayload(room, room.gameInstance.getState(), player.id));
+            }
+            // Resumes the game if this was the last seat it was waiting for
+            this.roomManager.markPlayerReconnected(room.id, player.id);
+            return room;
+        }
+        return null;
+    }
 
-        socket.on('undoMove', () => {
-            const player = getPlayer();
-            if (!player || !player.inRoom) return;
-            const playerRoomId = player.inRoom;
-            try {
-                this.roomManager.undoLast(playerRoomId, socket.id);
-            } catch (error) {
-                socket.emit('error', error.message);
+    /**
+     * Drops a socket's player binding when it disconnects, and marks a seat it
+     * still holds as disconnected so it can be reclaimed.
+     */
+    releaseSeat(socket) {
+        const playerId = this.resolvePlayerId(socket);
+        this.playerIds.delete(socket.id);
+        if (this.isPlayerConnected(playerId)) {
+            // Another socket took this player over
+            return;
+        }
+        // socket.rooms is already empty once 'disconnect' fires, so look the seat up by id
+        for (const room of this.roomManager.rooms.values()) {
+            if (room.playerManager.hasPlayer(playerId)) {
+                this.roomManager.markPlayerDisconnected(room.id, playerId);
+            } else if (room.spectators.has(playerId)) {
+                // Spectators hold no seat, so there is nothing to reclaim
+                this.roomManager.leaveRoom(room.id, playerId);
             }
-        });
+        }
+    }
 
-        socket.on('leaveGame', () => {
-            const player = getPlayer();
-            if (!player || !player.inRoom) return;
-            const playerRoomId = player.inRoom;
-            this._leaveRoom(socket, playerRoomId, clearPlayerRoom);
-        });
+    /**
+     * Whether a connected socket currently acts as `playerId`.
+     */
+    isPlayerConnected(playerId) {
+        return this._socketIdsFor(playerId).length > 0;
+    }
 
-        socket.on('disconnect', () => {
-            const player = getPlayer();
-            if (player && player.inRoom) {
-                const playerRoomId = player.inRoom;
-                this._leaveRoom(socket, playerRoomId, clearPlayerRoom, { disconnect: true });
+    _socketIdsFor(playerId) {
+        const sockets = this.io.sockets?.sockets;
+        if (!sockets) {
+            return [];
+        }
+        const socketIds = [];
+        for (const [socketId, boundId] of this.playerIds) {
+            if (boundId === playerId && sockets.has(socketId)) {
+                socketIds.push(socketId);
             }
-        });
+        }
+        if (sockets.has(playerId) && !this.playerIds.has(playerId)) {
+            socketIds.push(playerId);
+        }
+        return socketIds;
     }
 
-    async _leaveRoom(socket, roomId, clearPlayerRoom, { disconnect = false } = {}) {
-        try {
-            const room = this.roomManager.getRoom(roomId);
-            const wasGameActive = room?.gameInstance != null;
-            const gameDefinition = room?.gameId ? this.registry.get(room.gameId) : null;
-            const playersBeforeLeave = room?.playerManager.players.size || 0;
+    /**
+     * Registers the client protocol on a socket. Every event accepts a Socket.IO
+     * acknowledgement callback, which is called with `{ ok: true, ...result }` or
+     * `{ ok: false, error: { code, message } }`. Failures are also emitted as an
+     * `error` event carrying the `action`, like rejected (invalid) messages, for
+     * clients that do not pass a callback. Everything else a client needs
+     * (joinedMatchLobby, gameStart, ...) is still sent as events.
+     */
+    attachSocket(socket, { validation = {} } = {}) {
+        attachMessageValidation(socket, { logger: this.logger, ...validation });
+        socket.username = null;
+
+        socket.emit('availableGames', this._listGames());
+        socket.emit('updateRoomList', this._buildRoomList());
+        socket.emit('chatHistory', { channel: LOBBY_CHANNEL, roomId: null, messages: this.chat.history(LOBBY_CHANNEL) });
+
+        const on = (events, handler) => {
+            for (const event of [].concat(events)) {
+                socket.on(event, (payload, ack) => this._dispatch(socket, event, handler, payload, ack));
+            }
+        };
 
-            await this.roomManager.leaveRoom(roomId, socket.id);
+        on('identify', (payload) => this.handleIdentify(socket, payload));
+        on('getUserStats', (payload) => this.handleGetUserStats(socket, payload));
+        on('getRoomList', () => this.handleGetRoomList(socket));
+        on(['createRoom', 'createGame'], (payload) => this.handleCreateRoom(socket, payload));
+        on(['joinRoom', 'joinGame'], (payload) => this.handleJoinRoom(socket, payload));
+        on(['leaveRoom', 'leaveGame'], () => this.handleLeaveRoom(socket));
+        on('playerReady', (payload) => this.handlePlayerReady(socket, payload));
+        on('startGame', () => this.handleStartGame(socket));
+        on('addBot', (payload) => this.handleAddBot(socket, payload));
+        on('removeBot', (payload) => this.handleRemoveBot(socket, payload));
+        on(['submitMove', 'gameAction'], (command) => this.handleSubmitMove(socket, command));
+        on('undoMove', () => this.handleUndoMove(socket));
+        on('requestSync', (payload) => this.handleRequestSync(socket, payload));
+        on('ping', (payload) => this.handlePing(socket, payload));
+        on('openReplay', (payload) => this.handleOpenReplay(socket, payload));
+        on('replayStep', (payload) => this.handleReplayStep(socket, payload));
+        on('closeReplay', () => this.handleCloseReplay(socket));
+        on('getTournaments', () => this.handleGetTournaments());
+        on('createTournament', (payload) => this.handleCreateTournament(socket, payload));
+        on('joinTournament', (payload) => this.handleJoinTournament(socket, payload));
+        on('leaveTournament', (payload) => this.handleLeaveTournament(socket, payload));
+        on('startTournament', (payload) => this.handleStartTournament(socket, payload));
+        on('cancelTournament', (payload) => this.handleCancelTournament(socket, payload));
+        on('chatMessage', (payload) => this.handleChatMessage(socket, payload));
+        on('sendReaction', (payload) => this.handleSendReaction(socket, payload));
+        on('updateRoomSettings', (payload) => this.handleUpdateRoomSettings(socket, payload));
+
+        socket.on('disconnect', (reason) => this.handleDisconnect(socket, reason));
+    }
 
-            // Safely handle socket.leave - socket might be disconnected
-            try {
-                if (socket && typeof socket.leave === 'function') {
-                    socket.leave(roomId);
-                }
-            } catch (socketError) {
-                this.logger.error('Failed to remove socket from room:', socketError);
+    async _dispatch(socket, event, handler, payload, ack) {
+        if (typeof payload === 'function') {
+            ack = payload;
+            payload = undefined;
+        }
+        const respond = typeof ack === 'function' ? ack : null;
+        try {
+            const result = await handler(payload || {});
+            respond?.({ ok: true, ...result });
+        } catch (error) {
+            // Coded errors are expected rejections and safe to show; anything else stays generic
+            const code = error?.code || 'SERVER_ERROR';
+            const message = error?.code ? error.message : 'Operation failed';
+            if (error?.code) {
+                this.logger.warn?.(`[Socket] ${event} rejected for ${socket.id}: [${code}] ${message}`);
+            } else {
+                this.logger.error(`[Socket] ${event} failed:`, error);
+                metricsCollector.recordError(error, { action: event, transport: 'socket.io' });
             }
-
-            // Safely execute clearPlayerRoom callback
-            try {
-                if (typeof clearPlayerRoom === 'function') {
-                    clearPlayerRoom();
-                }
-            } catch (callbackError) {
-                this.logger.error('Failed to clear player room:', callbackError);
+            if (socket.connected) {
+                socket.emit('error', { message, code, action: event, details: error?.details });
             }
+            respond?.({ ok: false, error: { code, message } });
+        }
+    }
 
-            const roomAfterLeave = this.roomManager.getRoom(roomId);
-            const playersAfterLeave = roomAfterLeave?.playerManager.players.size || 0;
-
-            if (wasGameActive && disconnect) {
-                // Check if this is a 2-player game or if remaining players < minimum required
-                const is2PlayerGame = gameDefinition?.maxPlayers === 2;
-                const belowMinimum = gameDefinition?.minPlayers && playersAfterLeave < gameDefinition.minPlayers;
-
-                if (is2PlayerGame || belowMinimum) {
-                    // Close the room for 2-player games or if below minimum players
-                    if (roomAfterLeave) {
-                        this.io.to(roomId).emit('playerLeft', 'A player has disconnected. The match has ended.');
-
-                        setTimeout(() => {
-                            try {
-                                this.io.to(roomId).emit('roomClosing', {
-                                    roomId,
-                                    reason: 'Player disconnected',
-                                    secondsRemaining: 3,
-                                });
-
-                                setTimeout(() => {
-                                    try {
-                                        this.io.to(roomId).emit('roomClosed', { roomId, reason: 'Player disconnected' });
-                                        this.roomManager.deleteRoom(roomId);
-                                    } catch (innerError) {
-                                        this.logger.error('Failed to close room in timeout:', innerError);
-                                    }
-                                }, 3000);
-                            } catch (outerError) {
-                                this.logger.error('Failed to emit room closing:', outerError);
-                            }
-                        }, 1000);
-                    }
-                } else {
-                    // For multi-player games (3+ players), just notify and continue
-                    if (roomAfterLeave) {
-                        this.io.to(roomId).emit('playerLeft', 'A player has exited the game.');
-                        this.io.to(roomId).emit('roomStateUpdate', this._enrichRoomData(roomAfterLeave));
-                    }
-                }
-            } else if (roomAfterLeave) {
-                this.io.to(roomId).emit('roomStateUpdate', this._enrichRoomData(roomAfterLeave));
-                if (disconnect) {
-                    this.io.to(roomId).emit('playerLeft', 'A player has disconnected.');
-                }
+    /**
+     * The game room a socket is in (seated or watching), or null.
+     */
+    _socketRoom(socket) {
+        for (const roomId of socket.rooms) {
+            const room = roomId !== socket.id ? this.roomManager.getRoom(roomId) : null;
+            if (room) {
+                return room;
             }
-        } catch (error) {
-            this.logger.error('Failed to leave room:', error);
+        }
+        return null;
+    }
+
+    _requireRoom(socket) {
+        const room = this._socketRoom(socket);
+        if (!room) {
+            throw createCodedError('ROOM_NOT_FOUND', 'Not in a room.');
+        }
+        return room;
+    }
+
+    _requireGameRoom(socket) {
+        const room = this._socketRoom(socket);
+        if (!room?.gameInstance) {
+            throw createCodedError('NOT_IN_GAME', 'Not in an active game.');
+        }
+        return room;
+    }
+
+    /**
+     * Names a socket that never identified after the username sent with a
+     * create or join, so its seat is labelled.
+     */
+    _adoptUsername(socket, username) {
+        if (!socket.username) {
+            socket.username = this.userStore ? this.userStore.sanitizeUsername(username) : username || null;
         }
     }
 
@@ -480,6 +703,7 @@ class ModularGameServer extends EventEmitter {
 
         roomData.isCasino = isCasinoGame;
         roomData.gameType = room.gameId;
+        roomData.supportsBots = Boolean(gameDefinition?.bot);
 
         // Add balances to players if it's a casino game
         if (isCasinoGame && this.profileService && roomData.players) {
@@ -497,44 +721,94 @@ class ModularGameServer extends EventEmitter {
         return roomData;
     }
 
-    notifyRoomUpdate(roomId) {
-        const room = this.roomManager.getRoom(roomId);
-        if (!room) {
-            return;
-        }
-        this.io.to(roomId).emit('roomStateUpdate', this._enrichRoomData(room));
-        this.io.emit('updateRoomList', this._serializeRooms());
+    _wireTournamentEvents() {
+        this.tournamentManager.on('tournamentUpdated', (tournament) => {
+            this.io.emit('tournamentUpdated', tournament);
+        });
+        this.tournamentManager.on('tournamentRemoved', ({ tournamentId }) => {
+            this.io.emit('tournamentRemoved', { tournamentId });
+        });
+
+        // Moves the players' sockets into the match room before the game starts,
+        // so they get its gameStart; a player who is offline can reclaim the seat
+        this.tournamentManager.on('matchReady', ({ tournamentId, matchId, roomId, playerIds }) => {
+            const room = this.roomManager.getRoom(roomId);
+            for (const playerId of playerIds) {
+                const socketIds = this._socketIdsFor(playerId);
+                if (!socketIds.length) {
+                    this.roomManager.markPlayerDisconnected(roomId, playerId);
+                    continue;
+                }
+                for (const socketId of socketIds) {
+                    const socket = this.io.sockets.sockets.get(socketId);
+                    for (const previousRoomId of Array.from(socket.rooms)) {
+                        if (previousRoomId !== socketId && this.roomManager.getRoom(previousRoomId)) {
+                            // Out of the socket.io room first, so a room this closes does not send it roomClosing
+                            socket.leave(previousRoomId);
+                            this.roomManager.leaveRoom(previousRoomId, playerId).catch((error) => {
+                                this.logger.error(`Failed to leave room ${previousRoomId} for a tournament match:`, error);
+                            });
+                        }
+                    }
+                    socket.join(roomId);
+                    this.sessionManager?.setSessionRoom(socketId, roomId);
+                    socket.emit('joinedMatchLobby', {
+                        room: this._enrichRoomData(room),
+                        yourId: playerId,
+                        tournament: { tournamentId, matchId },
+                    });
+                }
+            }
+        });
     }
 
     _wirePluginEvents() {
         const broadcast = () => {
-            this.io.emit('availableGames', this.registry.list().map(({ id, name, minPlayers, maxPlayers, category, isCasino }) => ({
-                id,
-                name,
-                minPlayers,
-                maxPlayers,
-                category: category || 'other',
-                isCasino: isCasino || false
-            })));
+            this.io.emit('availableGames', this._listGames());
         };
         this.pluginManager.on('pluginLoaded', broadcast);
         this.pluginManager.on('pluginUnloaded', broadcast);
         this.registry.on('updated', broadcast);
     }
 
+    _listGames() {
+        return this.registry.list().map(({ id, name, minPlayers, maxPlayers, category, isCasino }) => ({
+            id,
+            name,
+            minPlayers,
+            maxPlayers,
+            category: category || 'other',
+            isCasino: isCasino || false,
+        }));
+    }
+
+    _buildRoomList() {
+        return {
+            version: this.roomListVersion,
+            rooms: this._serializeRooms(),
+            timestamp: Date.now(),
+        };
+    }
+
+    /**
+     * Every open room for the lobby list. Full and in-progress rooms are listed
+     * too (`canJoin: false`) so they can be watched.
+     */
     _serializeRooms() {
         const summary = {};
         for (const room of this.roomManager.rooms.values()) {
-            if (room.playerManager.players.size < room.playerManager.maxPlayers) {
-                summary[room.id] = {
-                    roomId: room.id,
-                    gameType: room.gameId,
-                    mode: room.metadata.mode,
-                    playerCount: room.playerManager.players.size,
-                    maxPlayers: room.playerManager.maxPlayers,
-                    hostId: room.hostId,
-                };
-            }
+            summary[room.id] = {
+                roomId: room.id,
+                gameType: room.gameId,
+                mode: room.metadata.mode,
+                playerCount: room.playerManager.players.size,
+                maxPlayers: room.playerManager.maxPlayers,
+                spectatorCount: room.spectators.size,
+                canJoin: room.isBetweenMatches() && room.playerManager.players.size < room.playerManager.maxPlayers,
+                hostId: room.hostId,
+                status: room.status,
+                statusDetails: room.lifecycle.metadata,
+            };
         }
         return summary;
     }
@@ -542,13 +816,13 @@ class ModularGameServer extends EventEmitter {
     _resolveGameDefinition(gameType) {
         const available = this.registry.list();
         if (!available.length) {
-            throw new Error('No games are currently available.');
+            throw createCodedError('INVALID_GAME_TYPE', 'No games are currently available.');
         }
 
         if (gameType) {
             const definition = this.registry.get(gameType);
             if (!definition) {
-                throw new Error('Selected game type is not available.');
+                throw createCodedError('INVALID_GAME_TYPE', 'Selected game type is not available.');
             }
             return definition;
         }
@@ -556,186 +830,454 @@ class ModularGameServer extends EventEmitter {
         return available[0];
     }
 
-    // Handle methods for server.js compatibility
-    async handleCreateRoom(socket, gameType) {
-        try {
-            const definition = this._resolveGameDefinition(gameType);
-            const room = this.roomManager.createRoom({
-                hostId: socket.id,
-                gameId: definition.id,
-                mode: 'lan',
-                playerLimits: {
-                    minPlayers: definition.minPlayers,
-                    maxPlayers: definition.maxPlayers,
-                },
-                metadata: { mode: 'lan' },
-            });
+    /**
+     * Names the socket, binds it to its session's stable player id and hands
+     * back a seat the user still holds (see reclaimSeat). Usernames are not
+     * authenticated: an earlier session, and its player id, is only resumed
+     * with the reconnect token `identified` handed out when it began.
+     */
+    handleIdentify(socket, { username, reconnectToken, attemptReconnect = true } = {}) {
+        const user = this.userStore.getOrCreate(username);
+        socket.username = user.username;
+
+        // Pick up this user's earlier session, and with it their player id
+        const resumed = attemptReconnect && reconnectToken
+            ? this.sessionManager.attemptReconnect(socket.id, user.username, reconnectToken)
+            : null;
+        const session = this.sessionManager.registerSession(socket.id, user.username);
+        this.bindPlayer(socket, session.playerId);
+
+        // Hand back a seat this user still holds (dropped connection or server restart)
+        let reconnect = null;
+        const reclaimedRoom = attemptReconnect ? this.reclaimSeat(socket) : null;
+        if (reclaimedRoom) {
+            this.logger.info(`[Socket] ${user.username} (${socket.id}) reclaimed a seat in room ${reclaimedRoom.id}`);
+            this.sessionManager.setSessionRoom(socket.id, reclaimedRoom.id);
+            this.sessionManager.setSessionPlayer(socket.id, this.resolvePlayerId(socket));
+            reconnect = { reconnected: true, roomId: reclaimedRoom.id, message: 'Seat restored' };
+        } else if (resumed?.canReconnect) {
+            reconnect = { reconnected: true, roomId: null, message: 'Previous session restored' };
+        }
 
-            await this.roomManager.joinRoom(room.id, {
-                id: socket.id,
-                displayName: socket.username || 'Player',
-                metadata: { username: socket.username },
-                isReady: true,
-            });
+        const playerId = this.resolvePlayerId(socket);
+        socket.emit('identified', {
+            username: user.username,
+            playerId,
+            reconnectToken: session.reconnectToken,
+            stats: {
+                wins: user.wins,
+                losses: user.losses,
+                gamesPlayed: user.gamesPlayed,
+                credits: user.credits,
+            },
+            reconnect,
+        });
+        return { username: user.username, playerId, reconnect };
+    }
 
-            socket.join(room.id);
+    handleGetUserStats(socket, { username } = {}) {
+        socket.emit('userStats', this._userStats(this.userStore.getOrCreate(username || socket.username)));
+        return {};
+    }
 
-            return {
-                success: true,
-                roomId: room.id,
-                room: this._enrichRoomData(room),
-            };
-        } catch (error) {
-            this.logger.error('handleCreateRoom failed:', error);
-            return {
-                success: false,
-                error: error.message,
-            };
-        }
+    _userStats(user) {
+        return {
+            username: user.username,
+            wins: user.wins,
+            losses: user.losses,
+            gamesPlayed: user.gamesPlayed,
+            credits: user.credits,
+            games: user.games || {},
+        };
     }
 
-    async handleJoinRoom(socket, roomId) {
-        try {
-            const room = this.roomManager.getRoom(roomId);
-            if (!room) {
-                throw new Error(`Room ${roomId} does not exist.`);
+    handleGetRoomList(socket) {
+        socket.emit('updateRoomList', this._buildRoomList());
+        return {};
+    }
+
+    /**
+     * Opens a room with the socket as its host. P2P rooms may ask for their own
+     * room code, which fails with ROOM_CODE_EXISTS when it is taken.
+     */
+    async handleCreateRoom(socket, { gameType, mode = 'lan', roomCode, username, minPlayers, maxPlayers } = {}) {
+        this._adoptUsername(socket, username);
+        const definition = this._resolveGameDefinition(sanitizeTextInput(gameType, { maxLength: 50 }));
+
+        let preferredRoomId;
+        if (mode === 'p2p' && roomCode) {
+            preferredRoomId = sanitizeRoomCode(String(roomCode));
+            if (!preferredRoomId) {
+                throw createCodedError(
+                    'VALIDATION_ERROR',
+                    'Room code must be 3-10 characters using letters A-Z or numbers 0-9.',
+                );
             }
+        }
 
-            await this.roomManager.joinRoom(room.id, {
-                id: socket.id,
-                displayName: socket.username || 'Guest',
-                metadata: { username: socket.username },
-                isReady: false,
-            });
+        // Requested limits are kept within the game's, and the minimum within the maximum
+        const roomMaxPlayers = Math.max(definition.minPlayers, Math.min(definition.maxPlayers, maxPlayers || definition.maxPlayers));
+        const roomMinPlayers = Math.min(Math.max(definition.minPlayers, minPlayers || 0), roomMaxPlayers);
+
+        const playerId = this.resolvePlayerId(socket);
+        const room = this.roomManager.createRoom({
+            hostId: playerId,
+            gameId: definition.id,
+            mode,
+            preferredRoomId,
+            playerLimits: { minPlayers: roomMinPlayers, maxPlayers: roomMaxPlayers },
+            metadata: { mode },
+        });
 
-            socket.join(room.id);
+        await this.roomManager.joinRoom(room.id, {
+            id: playerId,
+            displayName: socket.username || 'Player',
+            metadata: { username: socket.username },
+            isReady: true,
+        });
 
-            return {
-                success: true,
-                roomId: room.id,
-                room: this._enrichRoomData(room),
-            };
-        } catch (error) {
-            this.logger.error('handleJoinRoom failed:', error);
-            return {
-                success: false,
-                error: error.message,
-            };
-        }
+        socket.join(room.id);
+        this.sessionManager?.setSessionRoom(socket.id, room.id);
+        this.logger.info(`[Socket] Room created: ${room.id} by ${socket.username}`);
+
+        const roomData = this._enrichRoomData(room);
+        socket.emit('joinedMatchLobby', { room: roomData, yourId: playerId });
+        this.io.to(room.id).emit('roomStateUpdate', roomData);
+        return { roomId: room.id };
     }
 
-    async handleLeaveRoom(socket) {
-        try {
-            const rooms = Array.from(socket.rooms);
-            for (const roomId of rooms) {
-                if (roomId !== socket.id) {
-                    const room = this.roomManager.getRoom(roomId);
-                    if (room) {
-                        await this.roomManager.leaveRoom(roomId, socket.id);
-                        socket.leave(roomId);
-                    }
-                }
-            }
+    /**
+     * Seats the socket in a room, or adds it as a spectator when asked to or
+     * when the room is full or mid-game. A spectator joining a running game
+     * also gets `gameStart`, the public view to open the game with.
+     */
+    async handleJoinRoom(socket, { roomId, roomCode, username, spectate = false } = {}) {
+        this._adoptUsername(socket, username);
+        const requested = roomId || roomCode;
+        const room = this.roomManager.getRoom(requested) || this.roomManager.getRoom(sanitizeRoomCode(String(requested || '')));
+        if (!room) {
+            throw createCodedError('ROOM_NOT_FOUND', `Room ${requested} does not exist.`);
+        }
 
-            return { success: true };
-        } catch (error) {
-            this.logger.error('handleLeaveRoom failed:', error);
-            return {
-                success: false,
-                error: error.message,
-            };
+        const playerId = this.resolvePlayerId(socket);
+        const person = {
+            id: playerId,
+            displayName: socket.username || 'Guest',
+            metadata: { username: socket.username },
+        };
+        const seatOpen = room.isBetweenMatches()
+            && room.playerManager.players.size < room.playerManager.maxPlayers;
+        const spectating = spectate || !seatOpen;
+        if (spectating) {
+            this.roomManager.spectateRoom(room.id, person);
+        } else {
+            await this.roomManager.joinRoom(room.id, { ...person, isReady: false });
+        }
+
+        socket.join(room.id);
+        this.sessionManager?.setSessionRoom(socket.id, room.id);
+        this.logger.info(`[Socket] ${socket.username} ${spectating ? 'is watching' : 'joined'} room ${room.id}`);
+
+        const roomData = this._enrichRoomData(room);
+        socket.emit('joinedMatchLobby', { room: roomData, yourId: playerId, spectating });
+        this._sendRoomChat(socket, room);
+        if (spectating && room.gameInstance) {
+            socket.emit('gameStart', this._buildGameStartPayload(room, room.gameInstance.getState(), null));
         }
+        this.io.to(room.id).emit('roomStateUpdate', roomData);
+        return { roomId: room.id, spectating };
     }
 
-    handlePlayerReady(socket) {
-        try {
-            const rooms = Array.from(socket.rooms);
-            for (const roomId of rooms) {
-                if (roomId !== socket.id) {
-                    const room = this.roomManager.getRoom(roomId);
-                    if (room) {
-                        room.playerManager.setReady(socket.id, true);
-                        this.io.to(roomId).emit('roomStateUpdate', this._enrichRoomData(room));
-                    }
-                }
+    async handleLeaveRoom(socket) {
+        const playerId = this.resolvePlayerId(socket);
+        for (const roomId of Array.from(socket.rooms)) {
+            if (roomId !== socket.id && this.roomManager.getRoom(roomId)) {
+                await this.roomManager.leaveRoom(roomId, playerId);
+                socket.leave(roomId);
             }
+        }
+        this.sessionManager?.setSessionRoom(socket.id, null);
+        socket.emit('roomLeft', { success: true });
+        return {};
+    }
 
-            return { success: true };
-        } catch (error) {
-            this.logger.error('handlePlayerReady failed:', error);
-            return {
-                success: false,
-                error: error.message,
-            };
+    /**
+     * Sets the socket's ready flag, or toggles it when `ready` is omitted.
+     */
+    handlePlayerReady(socket, { ready } = {}) {
+        const room = this._requireRoom(socket);
+        const playerId = this.resolvePlayerId(socket);
+        if (typeof ready === 'boolean') {
+            this.roomManager.setReady(room.id, playerId, ready);
+        } else {
+            this.roomManager.toggleReady(room.id, playerId);
         }
+        return { ready: Boolean(room.playerManager.getPlayer(playerId)?.isReady) };
     }
 
     handleStartGame(socket) {
-        try {
-            const rooms = Array.from(socket.rooms);
-            for (const roomId of rooms) {
-                if (roomId !== socket.id) {
-                    const room = this.roomManager.getRoom(roomId);
-                    if (room && room.hostId === socket.id) {
-                        // Check if this is a casino game and prepare balances
-                        const gameDefinition = this.registry.get(room.gameId);
-                        const isCasinoGame = gameDefinition?.isCasino || false;
-                        let initialBalances = {};
-
-                        if (isCasinoGame && this.profileService) {
-                            const players = room.playerManager.list();
-                            for (const p of players) {
-                                const username = p.metadata?.username || p.displayName;
-                                if (username) {
-                                    const balance = this.profileService.getBalance(username);
-                                    initialBalances[p.id] = balance !== null ? balance : 1000;
-                                } else {
-                                    initialBalances[p.id] = 1000;
-                                }
-                            }
-                        }
+        const room = this._socketRoom(socket);
+        if (!room || room.hostId !== this.resolvePlayerId(socket)) {
+            throw createCodedError('NOT_HOST', 'Room not found or you are not the host');
+        }
 
-                        this.roomManager.startGame(roomId, { initialBalances });
-                        return { success: true };
-                    }
-                }
+        // Casino games start from each player's stored balance; an overdrawn one (from
+        // playing at two tables at once) brings nothing to the table
+        const initialBalances = {};
+        if (this.registry.get(room.gameId)?.isCasino && this.profileService) {
+            for (const player of room.playerManager.list()) {
+                const username = player.metadata?.username || player.displayName;
+                const balance = username ? this.profileService.getBalance(username) : null;
+                initialBalances[player.id] = balance !== null ? Math.max(0, balance) : 1000;
             }
+        }
 
-            return {
-                success: false,
-                error: 'Room not found or you are not the host',
-            };
-        } catch (error) {
-            this.logger.error('handleStartGame failed:', error);
-            return {
-                success: false,
-                error: error.message,
-            };
+        this.roomManager.startGame(room.id, { initialBalances });
+        return { roomId: room.id };
+    }
+
+    /**
+     * Host-only: seats a bot (or removes one) in the match lobby of the host's room.
+     */
+    handleAddBot(socket, { difficulty } = {}) {
+        const room = this._requireRoom(socket);
+        const bot = this.roomManager.addBot(room.id, { requesterId: this.resolvePlayerId(socket), difficulty });
+        return { bot };
+    }
+
+    handleRemoveBot(socket, { botId } = {}) {
+        const room = this._requireRoom(socket);
+        this.roomManager.removeBot(room.id, { requesterId: this.resolvePlayerId(socket), botId });
+        return {};
+    }
+
+    /**
+     * Plays a command as the socket's player. The ack carries the state version
+     * the command produced; the state itself follows as gameStateUpdate.
+     */
+    handleSubmitMove(socket, command = {}) {
+        const room = this._requireGameRoom(socket);
+        this.roomManager.submitCommand(room.id, { ...command, playerId: this.resolvePlayerId(socket) });
+        return { version: room.stateManager?.version ?? null };
+    }
+
+    /**
+     * Takes back the socket player's last command, when the server allows undo.
+     */
+    handleUndoMove(socket) {
+        if (!this.allowUndo) {
+            throw createCodedError('UNDO_DISABLED', 'Undo is not enabled on this server.');
         }
+        const room = this._requireGameRoom(socket);
+        if (!this.registry.get(room.gameId)?.allowUndo) {
+            throw createCodedError('UNDO_NOT_SUPPORTED', 'This game does not allow undo.');
+        }
+        if (this.roomManager.undoLast(room.id, this.resolvePlayerId(socket)) === null) {
+            throw createCodedError('NO_MOVES_TO_UNDO', 'There is no move to undo.');
+        }
+        return { version: room.stateManager?.version ?? null };
     }
 
-    handleGameAction(socket, action) {
+    handlePing(socket, { clientTime } = {}) {
+        const serverTime = Date.now();
+        socket.emit('pong', { clientTime, serverTime });
+        return { serverTime };
+    }
+
+    /**
+     * Cleans up after a socket. A dropped connection keeps its seat and session
+     * so the user can reclaim it; a deliberate disconnect leaves the room.
+     */
+    async handleDisconnect(socket, reason) {
+        this.logger.info(`[Socket] Client disconnected: ${socket.id} (${socket.username || 'unknown'}) - Reason: ${reason}`);
         try {
-            const rooms = Array.from(socket.rooms);
-            for (const roomId of rooms) {
-                if (roomId !== socket.id) {
-                    this.roomManager.submitCommand(roomId, { ...action, playerId: socket.id });
-                    return { success: true };
-                }
+            this.handleCloseReplay(socket);
+            this.sessionManager?.updateActivity(socket.id);
+            if (reason === 'client namespace disconnect' || reason === 'server namespace disconnect') {
+                await this.handleLeaveRoom(socket);
+                this.sessionManager?.removeSession(socket.id);
             }
-
-            return {
-                success: false,
-                error: 'Not in a game room',
-            };
+            this.releaseSeat(socket);
         } catch (error) {
-            this.logger.error('handleGameAction failed:', error);
+            this.logger.error('[Socket] Error during disconnect cleanup:', error);
+        }
+    }
+
+    /**
+     * Loads a recorded match for step-through viewing. The frames are rebuilt once
+     * per socket and kept until the viewer closes the replay or disconnects.
+     */
+    async handleOpenReplay(socket, { replayId } = {}) {
+        if (!this.matchRecorder) {
+            throw createCodedError('REPLAYS_DISABLED', 'Match recording is not enabled on this server.');
+        }
+        const recording = await this.matchRecorder.get(replayId);
+        if (!recording) {
+            throw createCodedError('REPLAY_NOT_FOUND', `Replay ${replayId} not found.`);
+        }
+        const frames = buildReplayFrames(recording, this.factory);
+        const players = recording.players.map((player) => {
+            const info = (recording.initialState.players || {})[player.id] || {};
             return {
-                success: false,
-                error: error.message,
+                ...player,
+                color: info.color || null,
+                marker: info.marker || null,
             };
+        });
+        this.replaySessions.set(socket.id, { recording, frames });
+        socket.emit('replayLoaded', { ...summarizeRecording(recording), players, frameCount: frames.length });
+        socket.emit('replayFrame', this._buildReplayFrame(recording, frames, 0));
+        return { replayId: recording.id, frameCount: frames.length };
+    }
+
+    handleReplayStep(socket, { index } = {}) {
+        const session = this.replaySessions.get(socket.id);
+        if (!session) {
+            throw createCodedError('REPLAY_NOT_OPEN', 'No replay is open.');
         }
+        const clamped = Math.min(Math.max(index, 0), session.frames.length - 1);
+        socket.emit('replayFrame', this._buildReplayFrame(session.recording, session.frames, clamped));
+        return { index: clamped };
+    }
+
+    handleCloseReplay(socket) {
+        this.replaySessions.delete(socket.id);
+        return {};
+    }
+
+    handleGetTournaments() {
+        return { tournaments: this.tournamentManager.listTournaments() };
+    }
+
+    handleCreateTournament(socket, { gameType, format, name } = {}) {
+        const definition = this._resolveGameDefinition(sanitizeTextInput(gameType, { maxLength: 50 }));
+        const tournament = this.tournamentManager.createTournament({
+            gameId: definition.id,
+            format,
+            name: sanitizeTextInput(name, { maxLength: 50 }) || undefined,
+            host: this._tournamentEntrant(socket),
+        });
+        this.logger.info(`[Socket] Tournament created: ${tournament.id} by ${socket.username}`);
+        return { tournamentId: tournament.id };
+    }
+
+    handleJoinTournament(socket, { tournamentId } = {}) {
+        this.tournamentManager.registerPlayer(tournamentId, this._tournamentEntrant(socket));
+        return { tournamentId };
+    }
+
+    handleLeaveTournament(socket, { tournamentId } = {}) {
+        this.tournamentManager.unregisterPlayer(tournamentId, this.resolvePlayerId(socket));
+        return {};
     }
+
+    async handleStartTournament(socket, { tournamentId } = {}) {
+        await this.tournamentManager.startTournament(tournamentId, this.resolvePlayerId(socket));
+        return { tournamentId };
+    }
+
+    handleCancelTournament(socket, { tournamentId } = {}) {
+        this.tournamentManager.cancelTournament(tournamentId, this.resolvePlayerId(socket));
+        return {};
+    }
+
+    _tournamentEntrant(socket) {
+        return {
+            id: this.resolvePlayerId(socket),
+            displayName: socket.username || 'Guest',
+            metadata: { username: socket.username },
+        };
+    }
+
+    /**
+     * Posts a message to the lobby or to the socket's room (seated or
+     * watching) and sends it to everyone in that channel.
+     */
+    handleChatMessage(socket, { message, type, channel = 'room' } = {}) {
+        if (!socket.username) {
+            throw createCodedError('NOT_IDENTIFIED', 'Choose a name before chatting.');
+        }
+        const room = channel === LOBBY_CHANNEL ? null : this._requireRoom(socket);
+        const sender = { senderId: this.resolvePlayerId(socket), username: socket.username };
+        const entry = this.chat.post(room ? room.id : LOBBY_CHANNEL, sender, message, { type });
+        (room ? this.io.to(room.id) : this.io).emit('chatMessage', entry);
+        return { message: entry };
+    }
+
+    _sendRoomChat(socket, room) {
+        socket.emit('chatHistory', { channel: 'room', roomId: room.id, messages: this.chat.history(room.id) });
+    }
+
+    /**
+     * Relays a quick reaction from a seated player to everyone in the room as
+     * `playerReaction`, unless the host turned reactions off.
+     */
+    handleSendReaction(socket, { reaction } = {}) {
+        const room = this._requireGameRoom(socket);
+        const playerId = this.resolvePlayerId(socket);
+        const player = room.playerManager.getPlayer(playerId);
+        if (!player) {
+            throw createCodedError('SPECTATOR', 'Only players can send reactions.');
+        }
+        if (room.metadata.reactionsEnabled === false) {
+            throw createCodedError('REACTIONS_DISABLED', 'The host has turned reactions off.');
+        }
+        if (!this.reactionLimiter.allow(playerId)) {
+            throw createCodedError('REACTION_COOLDOWN', 'Wait a moment before reacting again.');
+        }
+        this.io.to(room.id).emit('playerReaction', {
+            roomId: room.id,
+            playerId,
+            displayName: player.displayName,
+            reaction,
+            sentAt: Date.now(),
+        });
+        return {};
+    }
+
+    handleUpdateRoomSettings(socket, { reactionsEnabled, gameSettings } = {}) {
+        const room = this._requireRoom(socket);
+        return this.roomManager.updateSettings(room.id, {
+            requesterId: this.resolvePlayerId(socket),
+            reactionsEnabled,
+            gameSettings,
+        });
+    }
+
+    /**
+     * A replay frame shows the spectator view of the state, as the match was
+     * broadcast: the shoe and any cards still face down stay hidden.
+     */
+    _buildReplayFrame(recording, frames, index) {
+        const { command, state } = frames[index];
+        return {
+            replayId: recording.id,
+            gameId: recording.gameId,
+            index,
+            frameCount: frames.length,
+            command,
+            state: this.registry.projectState(recording.gameId, state, null),
+        };
+    }
+}
+
+/**
+ * The tick loop figures published in serverMetrics (durations in ms).
+ */
+function summarizeTickMetrics(metrics) {
+    return {
+        running: metrics.isRunning,
+        tickRate: metrics.tickRate,
+        snapshotRate: metrics.snapshotRate,
+        ticksPerSecond: metrics.ticksPerSecond,
+        activeRooms: metrics.activeRooms,
+        avgTickDuration: metrics.avgTickDuration,
+        p95TickDuration: metrics.p95TickDuration,
+        p99TickDuration: metrics.p99TickDuration,
+        maxTickDuration: metrics.maxTickDuration,
+        slowTicks: metrics.slowTicks,
+        skippedTicks: metrics.skippedTicks,
+    };
 }
 
 function createModularGameServer(options) {
@@ -85,12 +85,13 @@ function createDeck(includeJokers = false) {
 /**
  * Shuffles an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Object} rng - Random source exposing random() (e.g. the room's DeterministicRNG)
  * @returns {Array} Shuffled array (new instance)
  */
-function shuffle(array) {
+function shuffle(array, rng = Math) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng.random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -195,6 +196,45 @@ function getCardDisplayName(card) {
   return `${card.rank}${card.symbol}`;
 }
 
+/**
+ * Creates a face-down placeholder that reveals nothing about the card it replaces
+ * @returns {Object} Concealed card
+ */
+function concealCard() {
+  return { hidden: true, faceUp: false };
+}
+
+/**
+ * Conceals every face-down card in a list, leaving face-up cards untouched
+ * @param {Array} cards - Cards to redact
+ * @returns {Array} Redacted cards
+ */
+function concealFaceDown(cards = []) {
+  return cards.map(card => (card && card.faceUp ? card : concealCard()));
+}
+
+/**
+ * Redacts a map of hands for a single viewer
+ * @param {Object} hands - Hands keyed by player id
+ * @param {string|null} viewerId - Player whose own hand stays visible
+ * @param {Object} options - { revealFaceUp: keep other players' face-up cards, reveal: player ids shown in full }
+ * @returns {Object} Redacted hands
+ */
+function redactHands(hands = {}, viewerId = null, { revealFaceUp = true, reveal = [] } = {}) {
+  const redacted = {};
+  Object.entries(hands).forEach(([playerId, cards]) => {
+    const list = Array.isArray(cards) ? cards : [];
+    if (playerId === viewerId || reveal.includes(playerId)) {
+      redacted[playerId] = list;
+    } else if (revealFaceUp) {
+      redacted[playerId] = concealFaceDown(list);
+    } else {
+      redacted[playerId] = list.map(() => concealCard());
+    }
+  });
+  return redacted;
+}
+
 module.exports = {
   SUITS,
   SUIT_SYMBOLS,
@@ -209,5 +249,8 @@ module.exports = {
   findCards,
   updateCard,
   flipCard,
-  getCardDisplayName
+  getCardDisplayName,
+  concealCard,
+  concealFaceDown,
+  redactHands
 };
@@ -0,0 +1,34 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+let tempCounter = 0;
+
+/**
+ * Writes a file so readers only ever see the old or the new content: the data
+ * goes to a temp file in the same directory, is flushed, then renamed over the
+ * target (rename is atomic within a filesystem).
+ */
+async function writeFileAtomic(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  tempCounter += 1;
+  const tempPath = `${filePath}.${process.pid}.${tempCounter}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+};
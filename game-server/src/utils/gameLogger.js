@@ -24,11 +24,12 @@ class GameLogger {
   /**
    * Log game initialization
    */
-  logGameStart(players, initialState) {
+  logGameStart(players, initialState, { seed = null } = {}) {
     this.logger.info({
       event: 'game_start',
       playerCount: players.length,
       players: players.map(p => ({ id: p.id, name: p.displayName })),
+      seed,
       initialState: this._sanitizeState(initialState)
     }, `[${this.gameId}] Game started with ${players.length} players`);
   }
@@ -47,7 +47,7 @@ class DeterministicRNG {
    * @returns {String} Hex seed
    */
   _generateSeed() {
-    return crypto.randomBytes(16).toString('hex');
+    return generateSeed();
   }
 
   /**
@@ -328,8 +328,19 @@ function createRNG(seed, options = {}) {
   return new DeterministicRNG(seed, options);
 }
 
+/**
+ * Generate an unpredictable seed for a game. Recorded with the game so it can
+ * be replayed, but not derivable from anything a player can see.
+ *
+ * @returns {String} Hex seed
+ */
+function generateSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
 /**
  * Generate a unique seed from room ID and timestamp
+ * Predictable from its inputs: use generateSeed() for games.
  *
  * @param {String} roomId - Room identifier
  * @param {Number} timestamp - Optional timestamp (default: now)
@@ -343,5 +354,6 @@ function generateRoomSeed(roomId, timestamp = Date.now()) {
 module.exports = {
   DeterministicRNG,
   createRNG,
+  generateSeed,
   generateRoomSeed,
 };
@@ -1,14 +1,20 @@
 'use strict';
 
+const crypto = require('crypto');
+
 /**
  * Session Manager for Player Reconnection
  *
- * Tracks player sessions to allow reconnection after disconnects
+ * Tracks player sessions to allow reconnection after disconnects. Each session
+ * carries a stable player id that rooms and games use instead of the socket id,
+ * so a reconnected socket picks up the same seat, and a secret reconnect token
+ * that a new socket must present to take the session over. Usernames are not
+ * authenticated, so the name alone never resumes a session.
  */
 
 class SessionManager {
   constructor(sessionTimeoutMs = 300000) { // 5 minutes default
-    this.sessions = new Map(); // socketId -> { username, roomId, lastSeen, playerData }
+    this.sessions = new Map(); // socketId -> { username, playerId, roomId, lastSeen, playerData }
     this.usernameSessions = new Map(); // username -> socketId
     this.sessionTimeoutMs = sessionTimeoutMs;
 
@@ -19,12 +25,16 @@ class SessionManager {
   }
 
   /**
-   * Register a new session or update existing one
+   * Register a new session or update existing one. A new session is issued a
+   * fresh player id and reconnect token; an existing one (e.g. after
+   * attemptReconnect) keeps both.
    */
   registerSession(socketId, username, roomId = null, playerData = {}) {
     const session = {
       socketId,
       username,
+      playerId: this.sessions.get(socketId)?.playerId || createPlayerId(),
+      reconnectToken: this.sessions.get(socketId)?.reconnectToken || createReconnectToken(),
       roomId,
       playerData,
       lastSeen: Date.now(),
@@ -62,6 +72,14 @@ class SessionManager {
     return socketId ? this.sessions.get(socketId) : null;
   }
 
+  /**
+   * Whether a session (connected or waiting for its user to come back) acts as
+   * `playerId`
+   */
+  hasPlayerSession(playerId) {
+    return Array.from(this.sessions.values()).some(session => session.playerId === playerId);
+  }
+
   /**
    * Update room ID for a session
    */
@@ -73,6 +91,17 @@ class SessionManager {
     }
   }
 
+  /**
+   * Replace the player id of a session, e.g. with the id of a seat the user
+   * held before a server restart
+   */
+  setSessionPlayer(socketId, playerId) {
+    const session = this.sessions.get(socketId);
+    if (session) {
+      session.playerId = playerId;
+    }
+  }
+
   /**
    * Check if a username has an active session
    */
@@ -85,10 +114,12 @@ class SessionManager {
   }
 
   /**
-   * Attempt to reconnect a player to their previous session
+   * Attempt to reconnect a player to their previous session. The session is
+   * found by its reconnect token, which must belong to `username`.
    */
-  attemptReconnect(newSocketId, username) {
-    const oldSession = this.getSessionByUsername(username);
+  attemptReconnect(newSocketId, username, reconnectToken) {
+    const oldSession = Array.from(this.sessions.values()).find(session =>
+      session.username === username && tokensMatch(session.reconnectToken, reconnectToken));
 
     if (!oldSession) {
       return { canReconnect: false, reason: 'No previous session found' };
@@ -186,4 +217,19 @@ class SessionManager {
   }
 }
 
+function createPlayerId() {
+  return `player_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function createReconnectToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function tokensMatch(expected, given) {
+  if (typeof given !== 'string' || given.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given));
+}
+
 module.exports = { SessionManager };
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for Baccarat side bets and scoreboard
+ *
+ * Tests that pair and Dragon Bonus side bets pay on a natural and by the
+ * winning margin, that the Banker commission leaves whole credits, that a new
+ * game at the table deals on from the same shoe and keeps its history until the
+ * cut card comes out, and that the shoe's cards stay off the public recording
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GameRegistry, GameFactory, GameRoomManager, MatchRecorder } = require('../../src/core');
+const { toPublicRecording } = require('../../src/core/matchRecorder');
+const { createDeck } = require('../../src/shared/cardUtils');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+// A shoe that deals `ranks` first (the Player's two cards, the Banker's two,
+// then any third cards) followed by `filler` more cards
+function stackedShoe(ranks, filler = 30) {
+  const deck = createDeck();
+  const cards = ranks.map(rank => ({ ...deck.find(card => card.rank === rank) }));
+  return { shoe: { cards: [...cards, ...deck.slice(0, filler)] } };
+}
+
+describe('Baccarat', () => {
+  let manager;
+
+  beforeEach(() => {
+    const registry = new GameRegistry();
+    require('../../src/plugins/baccarat').register(registry);
+    manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  async function startTable(ids, carryOver) {
+    const room = manager.createRoom({ hostId: ids[0], gameId: 'baccarat', playerLimits: { minPlayers: 1, maxPlayers: 8 } });
+    for (const id of ids) {
+      await manager.joinRoom(room.id, { id, displayName: id });
+      manager.setReady(room.id, id, true);
+    }
+    manager.startGame(room.id, { seed: 'baccarat', carryOver });
+    return room;
+  }
+
+  const bet = (room, playerId, payload) => manager.submitCommand(room.id, { playerId, type: 'placeBet', payload });
+  const stateOf = room => room.gameInstance.getState().state;
+
+  it('pays pair and Dragon Bonus side bets on a natural', async () => {
+    const room = await startTable(['p0'], stackedShoe(['4', '4', '2', '3']));
+
+    bet(room, 'p0', {
+      amount: 100,
+      betType: 'player',
+      sideBets: { playerPair: 10, bankerPair: 10, dragonBonusPlayer: 10 },
+    });
+
+    const { winner, results, finalBalances } = stateOf(room);
+    expect(winner).toBe('player');
+    expect(results.p0.sideBets).toEqual({
+      playerPair: { amount: 10, payout: 120 },
+      bankerPair: { amount: 10, payout: 0 },
+      dragonBonusPlayer: { amount: 10, payout: 20 },
+    });
+    expect(results.p0).toMatchObject({ result: 'win', payout: 340, profit: 210 });
+    expect(finalBalances.p0).toBe(1210);
+  });
+
+  it('pays the Dragon Bonus by the winning margin and records the result', async () => {
+    const room = await startTable(['p0', 'p1'], stackedShoe(['10', 'K', '3', '4', 'A']));
+
+    bet(room, 'p0', { amount: 100, betType: 'player', sideBets: { dragonBonusPlayer: 10 } });
+    bet(room, 'p1', { amount: 100, betType: 'banker', sideBets: { dragonBonusBanker: 20 } });
+
+    const { results, finalBalances, history } = stateOf(room);
+    expect(results.p0.sideBets.dragonBonusPlayer.payout).toBe(0);
+    expect(results.p1.sideBets.dragonBonusBanker.payout).toBe(100);
+    expect(finalBalances).toEqual({ p0: 890, p1: 1175 });
+    expect(history).toEqual([
+      { winner: 'banker', playerValue: 1, bankerValue: 7, natural: false, playerPair: false, bankerPair: false },
+    ]);
+  });
+
+  it('rounds a Banker win down to whole credits after commission', async () => {
+    const room = await startTable(['p0'], stackedShoe(['10', 'K', '3', '4', 'A']));
+
+    bet(room, 'p0', { amount: 15, betType: 'banker' });
+
+    const { winner, results, finalBalances } = stateOf(room);
+    expect(winner).toBe('banker');
+    expect(results.p0).toMatchObject({ payout: 29, profit: 14 });
+    expect(finalBalances.p0).toBe(1014);
+  });
+
+  it('deals on from the same shoe until the cut card comes out', async () => {
+    const room = await startTable(['p0'], stackedShoe(['4', '4', '2', '3'], 20));
+    const playGame = () => {
+      bet(room, 'p0', { amount: 10, betType: 'banker' });
+      manager.submitCommand(room.id, { playerId: 'p0', type: 'vote', payload: { vote: 'newGame' } });
+    };
+
+    playGame();
+    expect(stateOf(room).history).toHaveLength(1);
+    expect(stateOf(room).deck).toHaveLength(20);
+    expect(stateOf(room).shoe.reshuffled).toBe(false);
+
+    playGame();
+    expect(stateOf(room).history).toEqual([]);
+    expect(stateOf(room).deck).toHaveLength(416);
+    expect(stateOf(room).shoe.reshuffled).toBe(true);
+  });
+
+  it('keeps the shoe off the public recording of the next game', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    manager.matchRecorder = new MatchRecorder({ directory, logger: silentLogger });
+    const room = await startTable(['p0'], stackedShoe(['4', '4', '2', '3']));
+    bet(room, 'p0', { amount: 10, betType: 'banker' });
+    manager.submitCommand(room.id, { playerId: 'p0', type: 'vote', payload: { vote: 'newGame' } });
+    bet(room, 'p0', { amount: 10, betType: 'banker' });
+
+    const { recording } = room.matchRecording;
+    await room.matchRecording.finish();
+    const published = toPublicRecording(recording);
+    expect(recording.setup.carryOver.shoe.cards).toHaveLength(30);
+    expect(published).not.toHaveProperty('seed');
+    expect(published.setup).not.toHaveProperty('carryOver');
+    expect(published.initialState.deck).toEqual([]);
+    expect(published.initialState.history).toHaveLength(1);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
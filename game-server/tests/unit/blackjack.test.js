@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Blackjack rules
+ *
+ * Tests splitting and resplitting with doubles after a split, insurance and
+ * even money against a dealer blackjack, and late surrender, H17 and a 6:5
+ * payout, with the shoe dealt on until its cut card comes out
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { createDeck } = require('../../src/shared/cardUtils');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+// A one-deck shoe that deals `ranks` first (players two cards each in seat
+// order, then the dealer's up and hole cards); its cut card is 13 cards from the end
+function stackedShoe(ranks) {
+  const deck = createDeck();
+  const cards = ranks.map(rank => ({ ...deck.find(card => card.rank === rank) }));
+  return { shoe: { decks: 1, cards: [...cards, ...deck.slice(0, 13)] } };
+}
+
+describe('Blackjack rules', () => {
+  let registry;
+  let manager;
+
+  beforeEach(() => {
+    registry = new GameRegistry();
+    require('../../src/plugins/blackjack').register(registry);
+    manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  async function startTable(ids, gameSettings, ranks) {
+    const room = manager.createRoom({ hostId: ids[0], gameId: 'blackjack', playerLimits: { minPlayers: 1, maxPlayers: 7 } });
+    for (const id of ids) {
+      await manager.joinRoom(room.id, { id, displayName: id });
+      manager.setReady(room.id, id, true);
+    }
+    manager.updateSettings(room.id, { requesterId: ids[0], gameSettings: { decks: 1, ...gameSettings } });
+    manager.startGame(room.id, { seed: 'blackjack', carryOver: stackedShoe(ranks) });
+    ids.forEach(id => manager.submitCommand(room.id, { playerId: id, type: 'placeBet', payload: { amount: 100 } }));
+    return {
+      room,
+      act: (playerId, action) => manager.submitCommand(room.id, { playerId, type: 'action', payload: { action } }),
+      state: () => room.gameInstance.getState().state,
+    };
+  }
+
+  it('splits and resplits pairs, doubling after a split', async () => {
+    const { act, state } = await startTable(['p0'], {}, ['8', '8', '6', '10', '3', '8', '10', '2', 'K', '9', '10']);
+
+    act('p0', 'split');
+    expect(() => act('p0', 'surrender')).toThrow(expect.objectContaining({ code: 'INVALID_MOVE' }));
+    act('p0', 'double');
+    act('p0', 'split');
+    expect(state().hands.p0.map(hand => hand.value)).toEqual([21, 10, 18]);
+    act('p0', 'hit');
+    act('p0', 'stand');
+    act('p0', 'stand');
+
+    const { results, finalBalances, dealerHand, playerBets, phase } = state();
+    expect(phase).toBe('complete');
+    expect(playerBets.p0).toBe(400);
+    expect(dealerHand.map(card => card.rank)).toEqual(['6', '10', '10']);
+    expect(results.p0.hands.map(hand => [hand.result, hand.payout])).toEqual([['win', 400], ['win', 200], ['win', 200]]);
+    expect(results.p0).toMatchObject({ result: 'win', payout: 800, net: 400 });
+    expect(finalBalances.p0).toBe(1400);
+  });
+
+  it('offers insurance and even money when the dealer shows an ace', async () => {
+    const { room, state } = await startTable(['p0', 'p1'], {}, ['A', 'K', '10', '9', 'A', 'K']);
+    const insure = (playerId, take) => manager.submitCommand(room.id, { playerId, type: 'insurance', payload: { take } });
+
+    expect(state().phase).toBe('insurance');
+    insure('p0', true);
+    expect(() => insure('p0', false)).toThrow(expect.objectContaining({ code: 'INVALID_MOVE' }));
+    insure('p1', true);
+
+    const { results, finalBalances, dealerHand, phase } = state();
+    expect(phase).toBe('complete');
+    expect(dealerHand[1].faceUp).toBe(true);
+    expect(results.p0).toMatchObject({ result: 'win', payout: 200, insurance: null });
+    expect(results.p1).toMatchObject({ result: 'push', payout: 150, insurance: { stake: 50, payout: 150 } });
+    expect(finalBalances).toEqual({ p0: 1100, p1: 1000 });
+  });
+
+  it('pays 6:5, lets a hand surrender and has the dealer hit soft 17', async () => {
+    const { room, act, state } = await startTable(['p0', 'p1', 'p2'], { dealerHitsSoft17: true, blackjackPayout: '6:5' },
+      ['A', 'K', '10', '5', '10', '8', '6', 'A', '4']);
+
+    act('p1', 'surrender');
+    act('p2', 'stand');
+
+    const { results, finalBalances, dealerValue, shoe } = state();
+    expect(dealerValue).toBe(21);
+    expect(results.p0).toMatchObject({ result: 'blackjack', payout: 220 });
+    expect(results.p1.hands[0]).toMatchObject({ result: 'surrender', payout: 50 });
+    expect(finalBalances).toEqual({ p0: 1120, p1: 950, p2: 900 });
+    expect(shoe).toMatchObject({ size: 52, cutCard: 13, cutCardOut: true, reshuffled: false });
+
+    // The cut card is out, so the next game starts from a fresh shoe
+    const next = registry.get('blackjack').create({
+      roomId: room.id, players: room.playerManager.list(), metadata: room.metadata,
+      carryOver: registry.get('blackjack').carryOver(state()), rng: Math,
+    });
+    expect(next.getState().state.deck).toHaveLength(52);
+    expect(next.getState().state.shoe.reshuffled).toBe(true);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for bot players
+ *
+ * Tests that hosts can seat bots in the match lobby, that bots play through
+ * GameRoomManager.submitCommand after their think delay, and the move
+ * policies of the Tic-Tac-Toe, Checkers and Hearts plugins
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager, pickBotCommand } = require('../../src/core');
+const { createRNG } = require('../../src/utils/rng');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+function createRegistry() {
+  const registry = new GameRegistry();
+  ['hearts', 'checkers', 'tictactoe', 'blackjack'].forEach(id => require(`../../src/plugins/${id}`).register(registry));
+  return registry;
+}
+
+describe('pickBotCommand', () => {
+  const commands = [1, 2, 3, 4].map(value => ({ type: 'pick', payload: { value } }));
+  const score = command => command.payload.value;
+
+  it('always plays the best command on hard and any command on easy', () => {
+    const rng = createRNG('bots');
+    const hard = new Set();
+    const easy = new Set();
+    for (let i = 0; i < 40; i++) {
+      hard.add(pickBotCommand(commands, { difficulty: 'hard', rng, score }).payload.value);
+      easy.add(pickBotCommand(commands, { difficulty: 'easy', rng, score }).payload.value);
+    }
+    expect([...hard]).toEqual([4]);
+    expect(easy.size).toBeGreaterThan(1);
+  });
+});
+
+describe('GameRoomManager bots', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    manager = new GameRoomManager({
+      gameFactory: new GameFactory({ registry: createRegistry() }),
+      logger: silentLogger,
+      botThinkMs: 100,
+    });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+    jest.useRealTimers();
+  });
+
+  async function createLobby(gameId) {
+    const room = manager.createRoom({ hostId: 'host', gameId });
+    await manager.joinRoom(room.id, { id: 'host', displayName: 'Host' });
+    manager.setReady(room.id, 'host', true);
+    return room;
+  }
+
+  it('lets only the host seat bots, and only in the lobby of a game with a bot policy', async () => {
+    const room = await createLobby('hearts');
+    await manager.joinRoom(room.id, { id: 'guest', displayName: 'Guest' });
+
+    expect(() => manager.addBot(room.id, { requesterId: 'guest' })).toThrow(expect.objectContaining({ code: 'NOT_HOST' }));
+    expect(() => manager.addBot(room.id, { requesterId: 'host', difficulty: 'genius' }))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+
+    const bot = manager.addBot(room.id, { requesterId: 'host', difficulty: 'hard' });
+    manager.addBot(room.id, { requesterId: 'host' });
+    expect(room.toJSON().players.find(player => player.id === bot.id))
+      .toEqual(expect.objectContaining({ displayName: 'Bot 1', isReady: true, isBot: true, botDifficulty: 'hard' }));
+    expect(() => manager.addBot(room.id, { requesterId: 'host' })).toThrow(expect.objectContaining({ code: 'ROOM_FULL' }));
+
+    manager.removeBot(room.id, { requesterId: 'host', botId: bot.id });
+    expect(room.playerManager.hasPlayer(bot.id)).toBe(false);
+    expect(manager.addBot(room.id, { requesterId: 'host' }).displayName).toBe('Bot 1');
+    expect(() => manager.removeBot(room.id, { requesterId: 'host', botId: 'guest' }))
+      .toThrow(expect.objectContaining({ code: 'BOT_NOT_FOUND' }));
+
+    const blackjack = await createLobby('blackjack');
+    expect(() => manager.addBot(blackjack.id, { requesterId: 'host' }))
+      .toThrow(expect.objectContaining({ code: 'BOTS_NOT_SUPPORTED' }));
+  });
+
+  it('fills a Hearts table and plays the bot turns through submitCommand', async () => {
+    const room = await createLobby('hearts');
+    for (let i = 0; i < 3; i++) {
+      manager.addBot(room.id, { requesterId: 'host' });
+    }
+    manager.startGame(room.id, { seed: 'bots' });
+
+    const submitted = jest.spyOn(manager, 'submitCommand');
+    const state = () => room.gameInstance.getState().state;
+    for (let i = 0; i < 20 && state().currentPlayerId !== 'host'; i++) {
+      jest.advanceTimersByTime(125);
+    }
+
+    expect(state().currentPlayerId).toBe('host');
+    expect(submitted.mock.calls.every(([, command]) => room.bots.has(command.playerId))).toBe(true);
+    const played = state().currentTrick.length + state().completedTricks.length * 4;
+    expect(played).toBe(submitted.mock.calls.length);
+    expect(played).toBeGreaterThan(0);
+  });
+
+  it('does not act while paused and closes the room when the last human leaves', async () => {
+    const room = await createLobby('tic-tac-toe');
+    const bot = manager.addBot(room.id, { requesterId: 'host' });
+    manager.startGame(room.id);
+    const state = () => room.gameInstance.getState().state;
+    if (state().currentPlayerId === 'host') {
+      manager.submitCommand(room.id, { playerId: 'host', type: 'placeMark', payload: { row: 0, col: 0 } });
+    }
+    expect(state().currentPlayerId).toBe(bot.id);
+
+    manager.markPlayerDisconnected(room.id, 'host');
+    jest.advanceTimersByTime(1000);
+    expect(state().currentPlayerId).toBe(bot.id);
+
+    manager.markPlayerReconnected(room.id, 'host');
+    jest.advanceTimersByTime(125);
+    expect(state().currentPlayerId).toBe('host');
+
+    manager.leaveRoom(room.id, 'host');
+    expect(manager.getRoom(room.id)).toBeNull();
+  });
+});
+
+describe('bot policies', () => {
+  const registry = createRegistry();
+  const rng = createRNG('bots');
+
+  it('completes its own line before blocking in Tic-Tac-Toe', () => {
+    const { bot } = registry.get('tic-tac-toe');
+    const state = {
+      currentPlayerId: 'p1',
+      players: { p0: { marker: 'X' }, p1: { marker: 'O' } },
+      board: [
+        ['X', 'X', null],
+        ['O', 'O', null],
+        [null, null, null]
+      ]
+    };
+    const commands = bot.getLegalCommands(state, 'p1');
+    expect(commands).toHaveLength(5);
+    expect(bot.getLegalCommands(state, 'p0')).toEqual([]);
+    expect(bot.chooseCommand(state, 'p1', commands, { difficulty: 'hard', rng }).payload).toEqual({ row: 1, col: 2 });
+
+    state.board[1] = ['O', null, null];
+    const block = bot.chooseCommand(state, 'p1', bot.getLegalCommands(state, 'p1'), { difficulty: 'hard', rng });
+    expect(block.payload).toEqual({ row: 0, col: 2 });
+  });
+
+  it('only offers captures in Checkers when a capture is available', () => {
+    const { bot } = registry.get('checkers');
+    const board = Array.from({ length: 8 }, () => Array(8).fill(null));
+    board[5][0] = 'r';
+    board[5][4] = 'r';
+    board[4][1] = 'b';
+    const state = { currentPlayerId: 'p0', players: { p0: { color: 'red' } }, board, mustContinue: null };
+
+    expect(bot.getLegalCommands(state, 'p0')).toEqual([
+      { type: 'movePiece', payload: { from: { row: 5, col: 0 }, to: { row: 3, col: 2 } } }
+    ]);
+
+    board[4][1] = null;
+    expect(bot.getLegalCommands(state, 'p0')).toHaveLength(3);
+  });
+
+  it('dumps points in Hearts when void in the led suit', () => {
+    const { bot } = registry.get('hearts');
+    const card = (suit, rank, value) => ({ id: `${rank}-${suit}`, suit, rank, value });
+    const state = {
+      phase: 'playing',
+      currentPlayerId: 'p1',
+      leadSuit: 'clubs',
+      heartsBroken: false,
+      completedTricks: [{}, {}],
+      currentTrick: [{ playerId: 'p0', card: card('clubs', '5', 5) }],
+      hands: { p1: [card('spades', 'Q', 12), card('hearts', '3', 3), card('diamonds', 'A', 14)] }
+    };
+    const commands = bot.getLegalCommands(state, 'p1');
+    expect(commands).toHaveLength(3);
+    expect(bot.chooseCommand(state, 'p1', commands, { difficulty: 'hard', rng }).payload.cardId).toBe('Q-spades');
+  });
+});
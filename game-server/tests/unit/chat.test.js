@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for chat
+ *
+ * Tests that ChatManager keeps a capped scrollback per channel and rejects
+ * empty, profane and too frequent messages, and that the gateway sends room
+ * messages to the room, lobby messages to everyone and the scrollback on join
+ */
+
+const path = require('path');
+const { ChatManager, LOBBY_CHANNEL } = require('../../src/server/chatManager');
+const { createModularGameServer } = require('../../src/server/gameGateway');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+
+function createFakeSocket(id) {
+  const handlers = new Map();
+  return {
+    id,
+    connected: true,
+    handshake: {},
+    rooms: new Set([id]),
+    emitted: [],
+    use() {},
+    on(event, handler) {
+      handlers.set(event, handler);
+    },
+    emit(event, payload) {
+      this.emitted.push({ event, payload });
+    },
+    join(roomId) {
+      this.rooms.add(roomId);
+    },
+    leave(roomId) {
+      this.rooms.delete(roomId);
+    },
+    request(event, payload = {}) {
+      return new Promise(resolve => handlers.get(event)(payload, resolve));
+    },
+  };
+}
+
+describe('ChatManager', () => {
+  const alice = { senderId: 'p1', username: 'alice' };
+
+  it('keeps the latest messages of each channel', () => {
+    const chat = new ChatManager({ scrollback: 2, rateLimit: { windowMs: 1000, max: 10 } });
+    ['one', 'two', 'three'].forEach(text => chat.post('room_1', alice, text));
+    chat.post(LOBBY_CHANNEL, alice, '  hello   lobby ');
+
+    expect(chat.history('room_1').map(message => message.text)).toEqual(['two', 'three']);
+    expect(chat.history('room_1')[0]).toEqual(expect.objectContaining({ channel: 'room', roomId: 'room_1', username: 'alice' }));
+    expect(chat.history(LOBBY_CHANNEL)).toEqual([expect.objectContaining({ channel: 'lobby', roomId: null, text: 'hello lobby' })]);
+    chat.clear('room_1');
+    expect(chat.history('room_1')).toEqual([]);
+  });
+
+  it('rejects empty, profane and too frequent messages', () => {
+    const chat = new ChatManager({ rateLimit: { windowMs: 60000, max: 2 } });
+
+    expect(() => chat.post(LOBBY_CHANNEL, alice, '   ')).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    expect(() => chat.post(LOBBY_CHANNEL, alice, 'you noob!')).toThrow(expect.objectContaining({ code: 'INAPPROPRIATE_LANGUAGE' }));
+    chat.post(LOBBY_CHANNEL, alice, 'gg');
+    expect(() => chat.post(LOBBY_CHANNEL, alice, 'gg')).toThrow(expect.objectContaining({ code: 'RATE_LIMITED' }));
+    expect(() => chat.post(LOBBY_CHANNEL, { senderId: 'p2', username: 'bob' }, 'gg')).not.toThrow();
+    expect(chat.history(LOBBY_CHANNEL).map(message => message.username)).toEqual(['alice', 'bob']);
+  });
+});
+
+describe('gateway chat', () => {
+  let gateway;
+  let broadcasts;
+
+  beforeEach(async () => {
+    broadcasts = [];
+    gateway = createModularGameServer({
+      io: {
+        emit: (event, payload) => broadcasts.push({ to: null, event, payload }),
+        to: roomId => ({ emit: (event, payload) => broadcasts.push({ to: roomId, event, payload }) }),
+        sockets: { sockets: new Map() },
+      },
+      logger: silentLogger,
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      turnTimers: false,
+    });
+    await gateway.ready;
+  });
+
+  afterEach(() => {
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+  });
+
+  const chatBroadcasts = () => broadcasts.filter(({ event }) => event === 'chatMessage');
+
+  it('sends room messages to the room and the scrollback to people who join', async () => {
+    const host = createFakeSocket('host');
+    const guest = createFakeSocket('guest');
+    gateway.attachSocket(host);
+    gateway.attachSocket(guest);
+    const { roomId } = await host.request('createRoom', { gameType: 'tic-tac-toe', username: 'alice' });
+
+    expect(await host.request('chatMessage', { message: 'anyone?' })).toEqual({
+      ok: true, message: expect.objectContaining({ channel: 'room', roomId, username: 'alice', text: 'anyone?' }),
+    });
+    await guest.request('joinRoom', { roomId, username: 'bob' });
+
+    expect(chatBroadcasts()).toEqual([expect.objectContaining({ to: roomId })]);
+    expect(guest.emitted.filter(({ event }) => event === 'chatHistory').map(({ payload }) => payload)).toEqual([
+      { channel: 'lobby', roomId: null, messages: [] },
+      { channel: 'room', roomId, messages: [expect.objectContaining({ text: 'anyone?' })] },
+    ]);
+  });
+
+  it('sends lobby messages to everyone and needs a name and, for rooms, a room', async () => {
+    const socket = createFakeSocket('anon');
+    gateway.attachSocket(socket);
+
+    expect(await socket.request('chatMessage', { message: 'hi' })).toEqual({
+      ok: false, error: { code: 'NOT_IDENTIFIED', message: 'Choose a name before chatting.' },
+    });
+    socket.username = 'carol';
+    expect((await socket.request('chatMessage', { message: 'hi' })).error.code).toBe('ROOM_NOT_FOUND');
+    expect((await socket.request('chatMessage', { message: 'hi all', channel: 'lobby' })).ok).toBe(true);
+
+    expect(chatBroadcasts()).toEqual([expect.objectContaining({ to: null, payload: expect.objectContaining({ text: 'hi all' }) })]);
+  });
+});
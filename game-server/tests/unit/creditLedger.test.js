@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for the credit ledger
+ *
+ * Tests that balances are the sum of a user's entries, that an idempotency key
+ * is only recorded once, that the log survives a reload and edits to it are
+ * found, and that the gateway settles a casino round as bet and payout entries
+ * that add up to the change in balance, once even if the round is reported twice
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CreditLedger } = require('../../src/core/creditLedger');
+const { createModularGameServer } = require('../../src/server/gameGateway');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+
+describe('CreditLedger', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    file = path.join(directory, 'ledger.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('derives balances from the entries and records each key once', () => {
+    const ledger = new CreditLedger({ file, logger: silentLogger });
+    ledger.record({ username: 'alice', type: 'grant', amount: 1000, idempotencyKey: 'signup:alice' });
+    ledger.record({ username: 'alice', type: 'bet', amount: -100, roundId: 'r1', idempotencyKey: 'r1:p1:bet' });
+    expect(ledger.record({ username: 'alice', type: 'bet', amount: -100, roundId: 'r1', idempotencyKey: 'r1:p1:bet' })).toBeNull();
+    ledger.record({ username: 'alice', type: 'payout', amount: 250, roundId: 'r1', idempotencyKey: 'r1:p1:payout' });
+
+    expect(ledger.balance('alice')).toBe(1150);
+    expect(ledger.balance('bob')).toBe(0);
+    expect(() => ledger.record({ username: 'alice', type: 'gift', amount: 5 })).toThrow(expect.objectContaining({ code: 'INVALID_TRANSACTION' }));
+
+    const page = ledger.listForUser('alice', { limit: 2 });
+    expect(page.total).toBe(3);
+    expect(page.transactions.map(entry => [entry.type, entry.amount, entry.balance])).toEqual([['payout', 250, 1150], ['bet', -100, 900]]);
+    expect(ledger.listForUser('alice', { type: 'grant' }).transactions).toEqual([
+      expect.objectContaining({ amount: 1000, roundId: null, idempotencyKey: 'signup:alice' }),
+    ]);
+  });
+
+  it('reloads the log and finds entries that were edited', () => {
+    const ledger = new CreditLedger({ file, logger: silentLogger });
+    ledger.record({ username: 'alice', type: 'grant', amount: 1000, idempotencyKey: 'signup:alice' });
+    ledger.record({ username: 'alice', type: 'bet', amount: -100 });
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const edited = { ...JSON.parse(lines[0]), amount: 5000 };
+    fs.writeFileSync(file, [JSON.stringify(edited), lines[1], '{"cut short'].join('\n'));
+
+    const reloaded = new CreditLedger({ file, logger: silentLogger });
+    reloaded.load();
+
+    expect(reloaded.balance('alice')).toBe(4900);
+    expect(reloaded.record({ username: 'alice', type: 'grant', amount: 1000, idempotencyKey: 'signup:alice' })).toBeNull();
+    expect(reloaded.verify()).toEqual([
+      expect.objectContaining({ username: 'alice', recorded: 1000, derived: 5000 }),
+      expect.objectContaining({ username: 'alice', recorded: 900, derived: 4900 }),
+    ]);
+  });
+});
+
+describe('gateway credit settlement', () => {
+  let gateway;
+  let ledger;
+
+  beforeEach(async () => {
+    ledger = new CreditLedger({ logger: silentLogger });
+    gateway = createModularGameServer({
+      io: { emit: () => {}, to: () => ({ emit: () => {} }), sockets: { sockets: new Map() } },
+      logger: silentLogger,
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      turnTimers: false,
+      profileService: {
+        getBalance: username => ledger.balance(username),
+        recordTransaction: (username, transaction) => ledger.record({ ...transaction, username }),
+      },
+    });
+    await gateway.ready;
+  });
+
+  afterEach(() => {
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+  });
+
+  it('records what each player staked and won, once per round', async () => {
+    const manager = gateway.roomManager;
+    const room = manager.createRoom({ hostId: 'p1', gameId: 'texas-holdem' });
+    for (const id of ['p1', 'p2']) {
+      await manager.joinRoom(room.id, { id, displayName: id, metadata: { username: id } });
+      manager.setReady(room.id, id, true);
+    }
+    manager.startGame(room.id, { seed: 'ledger', initialBalances: { p1: 500, p2: 500 } });
+    const { currentPlayerId } = room.gameInstance.getState().state;
+    manager.submitCommand(room.id, { playerId: currentPlayerId, type: 'pokerAction', payload: { action: 'fold' } });
+    const { finalBalances } = room.gameInstance.getState().state;
+    manager.emit('roundEnd', { roomId: room.id, state: { finalBalances } });
+
+    for (const id of ['p1', 'p2']) {
+      const { transactions } = ledger.listForUser(id);
+      expect(ledger.balance(id)).toBe(finalBalances[id] - 500);
+      expect(transactions.every(entry => entry.roundId === `${room.id}:${room.gameStartedAt}`)).toBe(true);
+    }
+    const folder = ledger.listForUser(currentPlayerId).transactions;
+    expect(folder.map(entry => entry.type)).toEqual(['bet']);
+    const winner = ledger.listForUser(currentPlayerId === 'p1' ? 'p2' : 'p1').transactions;
+    expect(winner.map(entry => entry.type)).toEqual(['payout', 'bet']);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for MatchHistory
+ *
+ * Tests that completed matches are listed per user newest first with paging
+ * and a game filter, survive a reload from the JSON Lines file, and that the
+ * file is compacted to the newest entries once it grows past its limit
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MatchHistory } = require('../../src/core/matchHistory');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+const player = (username, result) => ({ username, displayName: username, isBot: false, result, creditsChange: null });
+
+describe('MatchHistory', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    file = path.join(directory, 'history.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('lists a user\'s matches newest first with paging and a game filter', () => {
+    const history = new MatchHistory({ file, logger: silentLogger });
+    history.record({ gameId: 'checkers', roomId: 'r1', startedAt: 1000, endedAt: 61000, players: [player('alice', 'win'), player('bob', 'loss')] });
+    history.record({ gameId: 'war', roomId: 'r2', players: [player('alice', 'draw'), player('carol', 'draw')] });
+    history.record({ gameId: 'checkers', roomId: 'r3', players: [player('bob', 'win'), player('carol', 'loss')] });
+
+    const page = history.listForUser('alice', { limit: 1 });
+    expect(page.total).toBe(2);
+    expect(page.matches.map(match => match.roomId)).toEqual(['r2']);
+    expect(history.listForUser('alice', { limit: 1, offset: 1 }).matches[0]).toEqual(expect.objectContaining({
+      roomId: 'r1', durationMs: 60000, tournamentId: null,
+    }));
+    expect(history.listForUser('bob', { gameId: 'checkers' }).matches.map(match => match.roomId)).toEqual(['r3', 'r1']);
+  });
+
+  it('reloads the entries written to its file', async () => {
+    const history = new MatchHistory({ file, logger: silentLogger });
+    history.record({ gameId: 'checkers', roomId: 'r1', players: [player('alice', 'win')] });
+    history.record({ gameId: 'checkers', roomId: 'r2', players: [player('alice', 'loss')] });
+    await history.flush();
+
+    const reloaded = new MatchHistory({ file, logger: silentLogger });
+    await reloaded.load();
+
+    expect(reloaded.listForUser('alice').matches.map(match => match.roomId)).toEqual(['r2', 'r1']);
+  });
+
+  it('compacts the file to the newest entries', async () => {
+    const history = new MatchHistory({ file, logger: silentLogger, maxEntries: 2 });
+    ['r1', 'r2', 'r3', 'r4'].forEach(roomId => history.record({ gameId: 'war', roomId, players: [player('alice', 'win')] }));
+    await history.flush();
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).roomId);
+    expect(lines).toEqual(['r3', 'r4']);
+    expect(history.listForUser('alice').total).toBe(2);
+  });
+});
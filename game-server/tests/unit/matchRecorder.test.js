@@ -0,0 +1,229 @@
+/**
+ * Unit Tests for match recording and replay
+ *
+ * Tests that rooms record their setup, seed and command log, persist them under
+ * the replay directory and can be rebuilt frame by frame, that a card game
+ * recorded without a seed is not rebuilt with invented deals, that a shoe dealt
+ * on into the next match is kept off the public recording, and that the
+ * gateway sends replay frames as the spectator view
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GameRegistry, GameFactory, GameRoomManager, MatchRecorder, buildReplayFrames } = require('../../src/core');
+const { toPublicRecording } = require('../../src/core/matchRecorder');
+const { createModularGameServer } = require('../../src/server/gameGateway');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('MatchRecorder', () => {
+  let directory;
+  let recorder;
+  let factory;
+  let manager;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    const registry = new GameRegistry();
+    require('../../src/plugins/tictactoe').register(registry);
+    require('../../src/plugins/texas-holdem').register(registry);
+    require('../../src/plugins/blackjack').register(registry);
+    factory = new GameFactory({ registry });
+    recorder = new MatchRecorder({ directory, logger: silentLogger });
+    manager = new GameRoomManager({ gameFactory: factory, matchRecorder: recorder, logger: silentLogger });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function startGame(gameId, playerCount, options = {}) {
+    const room = manager.createRoom({ hostId: 'p0', gameId, playerLimits: { minPlayers: 1, maxPlayers: 8 } });
+    for (let i = 0; i < playerCount; i++) {
+      await manager.joinRoom(room.id, { id: `p${i}`, displayName: `Player ${i}` });
+      manager.setReady(room.id, `p${i}`, true);
+    }
+    manager.startGame(room.id, options);
+    return room;
+  }
+
+  const stateOf = room => room.gameInstance.getState().state;
+
+  function playHoldemHand(room) {
+    for (let i = 0; i < 20 && !stateOf(room).isComplete; i++) {
+      const state = stateOf(room);
+      const playerId = state.currentPlayerId;
+      const action = state.currentBet > state.playerBets[playerId] ? 'call' : 'check';
+      manager.submitCommand(room.id, { playerId, type: 'bet', payload: { action } });
+    }
+  }
+
+  it('records the seed, setup and every executed command', async () => {
+    const room = await startGame('tic-tac-toe', 2, { seed: 'recorded' });
+    const first = stateOf(room).currentPlayerId;
+    manager.submitCommand(room.id, { playerId: first, type: 'placeMark', payload: { row: 1, col: 1 } });
+
+    const { recording } = room.matchRecording;
+    expect(recording.seed).toBe('recorded');
+    expect(recording.gameId).toBe('tic-tac-toe');
+    expect(recording.setup.players.map(player => player.id)).toEqual(['p0', 'p1']);
+    expect(recording.initialState.board).toEqual([[null, null, null], [null, null, null], [null, null, null]]);
+    expect(recording.commands).toEqual([
+      expect.objectContaining({ type: 'placeMark', playerId: first, payload: { row: 1, col: 1 } }),
+    ]);
+  });
+
+  it('records undos and replays them', async () => {
+    const room = await startGame('tic-tac-toe', 2);
+    const first = stateOf(room).currentPlayerId;
+    manager.submitCommand(room.id, { playerId: first, type: 'placeMark', payload: { row: 0, col: 0 } });
+    manager.undoLast(room.id, first);
+
+    const { recording } = room.matchRecording;
+    expect(recording.commands[1]).toEqual(expect.objectContaining({ type: 'placeMark', undo: true }));
+
+    const frames = buildReplayFrames(recording, factory);
+    expect(frames).toHaveLength(3);
+    expect(frames[1].state.board[0][0]).not.toBeNull();
+    expect(frames[2].state.board[0][0]).toBeNull();
+  });
+
+  it('persists a completed match and rebuilds it frame by frame', async () => {
+    const room = await startGame('texas-holdem', 3, { seed: 'replay-me' });
+    playHoldemHand(room);
+    const finalState = stateOf(room);
+    expect(finalState.isComplete).toBe(true);
+
+    await room.matchRecording.finish();
+    const { total, replays } = await recorder.list();
+    expect(total).toBe(1);
+    expect(replays[0]).toEqual(expect.objectContaining({ gameId: 'texas-holdem', completed: true, finalized: true }));
+
+    const recording = await recorder.get(replays[0].id);
+    const frames = buildReplayFrames(recording, factory);
+    const lastFrame = frames[frames.length - 1];
+
+    expect(frames).toHaveLength(recording.commands.length + 1);
+    expect(frames[0].state.hands).toEqual(recording.initialState.hands);
+    expect(lastFrame.state.communityCards).toEqual(finalState.communityCards);
+    expect(lastFrame.state.winners).toEqual(finalState.winners);
+    expect(lastFrame.state.finalBalances).toEqual(finalState.finalBalances);
+  });
+
+  it('finalizes the recording when the room is deleted', async () => {
+    const room = await startGame('tic-tac-toe', 2);
+    const { recording } = room.matchRecording;
+    manager.submitCommand(room.id, { playerId: stateOf(room).currentPlayerId, type: 'placeMark', payload: { row: 2, col: 2 } });
+
+    manager.deleteRoom(room.id);
+    await recorder.pendingWrites.get(recording.id);
+
+    const saved = await recorder.get(recording.id);
+    expect(saved.completed).toBe(false);
+    expect(saved.finalized).toBe(true);
+    expect(saved.endedAt).toEqual(expect.any(Number));
+  });
+
+  it('does not write matches without any commands', async () => {
+    const room = await startGame('tic-tac-toe', 2);
+    await room.matchRecording.finish();
+    expect(await recorder.list()).toEqual({ total: 0, replays: [] });
+  });
+
+  it('withholds the seed until the recording is finalized', async () => {
+    const room = await startGame('tic-tac-toe', 2, { seed: 'secret' });
+    const { recording } = room.matchRecording;
+    expect(toPublicRecording(recording)).not.toHaveProperty('seed');
+
+    manager.submitCommand(room.id, { playerId: stateOf(room).currentPlayerId, type: 'placeMark', payload: { row: 0, col: 1 } });
+    await room.matchRecording.finish();
+    expect(toPublicRecording(recording).seed).toBe('secret');
+  });
+
+  it('keeps a shoe that carries over to the next match off the public recording', async () => {
+    const room = await startGame('blackjack', 1, { seed: 'shoe' });
+    const placeBet = () => manager.submitCommand(room.id, { playerId: 'p0', type: 'placeBet', payload: { amount: 10 } });
+    placeBet();
+    while (!stateOf(room).isComplete) {
+      manager.submitCommand(room.id, { playerId: 'p0', type: 'action', payload: { action: 'stand' } });
+    }
+    manager.submitCommand(room.id, { playerId: 'p0', type: 'vote', payload: { vote: 'newGame' } });
+    placeBet();
+    const { recording } = room.matchRecording;
+    expect(recording.setup.carryOver.shoe.cards).toEqual(recording.initialState.deck);
+
+    manager.deleteRoom(room.id);
+    await recorder.pendingWrites.get(recording.id);
+    const saved = await recorder.get(recording.id);
+    const published = toPublicRecording(saved);
+    expect(saved.finalized).toBe(true);
+    expect(published).not.toHaveProperty('seed');
+    expect(published.setup).not.toHaveProperty('carryOver');
+    expect(published.initialState.deck).toEqual([]);
+    expect(buildReplayFrames(saved, factory)).toHaveLength(saved.commands.length + 1);
+  });
+
+  it('does not rebuild a card game recorded without a seed', async () => {
+    manager.deterministicRng = false;
+    const room = await startGame('texas-holdem', 3);
+    playHoldemHand(room);
+    const { recording } = room.matchRecording;
+
+    expect(recording.seed).toBeNull();
+    expect(() => buildReplayFrames(recording, factory)).toThrow(expect.objectContaining({ code: 'REPLAY_UNAVAILABLE' }));
+  });
+
+  it('ignores replay ids that are not recording ids', async () => {
+    fs.writeFileSync(path.join(directory, 'notes.json'), '{}');
+    expect(await recorder.get('../notes')).toBeNull();
+    expect(await recorder.get('match_00000000')).toBeNull();
+    expect((await recorder.list()).total).toBe(0);
+  });
+});
+
+describe('gateway replays', () => {
+  let directory;
+  let gateway;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    gateway = createModularGameServer({
+      io: { emit: () => {}, to: () => ({ emit: () => {} }), sockets: { sockets: new Map() } },
+      logger: { ...silentLogger, debug: () => {} },
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      replayDirectory: directory,
+      turnTimers: false,
+    });
+    await gateway.ready;
+  });
+
+  afterEach(() => {
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('sends frames as the spectator view, without the deck or hidden hands', async () => {
+    const manager = gateway.roomManager;
+    const room = manager.createRoom({ hostId: 'p0', gameId: 'texas-holdem' });
+    for (const id of ['p0', 'p1']) {
+      await manager.joinRoom(room.id, { id, displayName: id });
+      manager.setReady(room.id, id, true);
+    }
+    manager.startGame(room.id, { seed: 'spectator' });
+    const { currentPlayerId } = room.gameInstance.getState().state;
+    manager.submitCommand(room.id, { playerId: currentPlayerId, type: 'bet', payload: { action: 'call' } });
+    const { recording } = room.matchRecording;
+    await room.matchRecording.finish();
+
+    const emitted = [];
+    await gateway.handleOpenReplay({ id: 'viewer', emit: (event, data) => emitted.push({ event, data }) }, { replayId: recording.id });
+    const frame = emitted.find(({ event }) => event === 'replayFrame').data;
+
+    expect(frame.state.deck).toEqual([]);
+    expect(frame.state.deckCount).toBe(recording.initialState.deck.length);
+    Object.values(frame.state.hands).forEach(hand => hand.forEach(card => expect(card.rank).toBeUndefined()));
+  });
+});
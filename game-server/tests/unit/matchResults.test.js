@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for match results
+ *
+ * Tests that finished matches are reported once with their seated players,
+ * that outcomes are read from the final state (winners, teams, house results),
+ * and that the gateway records them: every match in the history, and for the
+ * people who played stats per game and ratings outside house games, nothing for
+ * bots or a user holding two seats
+ */
+
+const path = require('path');
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { getMatchOutcomes } = require('../../src/core/matchRecorder');
+const { createModularGameServer } = require('../../src/server/gameGateway');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+const human = (id, username = id) => ({ id, displayName: id, metadata: { username } });
+
+describe('getMatchOutcomes', () => {
+  it('reads winners, winning teams and house results', () => {
+    expect(getMatchOutcomes({ winners: ['a'] }, ['a', 'b'])).toEqual(new Map([['a', 'win'], ['b', 'loss']]));
+    expect(getMatchOutcomes({ winner: 'red', players: { a: { team: 'blue' }, b: { team: 'red' } } }, ['a', 'b']))
+      .toEqual(new Map([['a', 'loss'], ['b', 'win']]));
+    expect(getMatchOutcomes({ results: { a: { result: 'blackjack' }, b: { result: 'push' } } }, ['a', 'b']))
+      .toEqual(new Map([['a', 'win'], ['b', 'draw']]));
+    expect(getMatchOutcomes({ isComplete: true }, ['a', 'b'])).toEqual(new Map([['a', 'draw'], ['b', 'draw']]));
+    expect(getMatchOutcomes({ winner: 'banker' }, ['a'])).toBeNull();
+  });
+});
+
+describe('GameRoomManager matchComplete', () => {
+  it('reports a finished match once, with its players', async () => {
+    const registry = new GameRegistry();
+    require('../../src/plugins/texas-holdem').register(registry);
+    const manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+    const room = manager.createRoom({ hostId: 'p1', gameId: 'texas-holdem' });
+    for (const id of ['p1', 'p2']) {
+      await manager.joinRoom(room.id, human(id));
+      manager.setReady(room.id, id, true);
+    }
+    const reports = [];
+    manager.on('matchComplete', event => reports.push(event));
+    manager.startGame(room.id, { seed: 'results' });
+
+    const { currentPlayerId } = room.gameInstance.getState().state;
+    manager.submitCommand(room.id, { playerId: currentPlayerId, type: 'pokerAction', payload: { action: 'fold' } });
+    manager.deleteRoom(room.id);
+    manager.shutdown();
+
+    expect(reports).toHaveLength(1);
+    expect(reports[0].players.map(player => player.id)).toEqual(['p1', 'p2']);
+    expect(reports[0].state.winners).toEqual([currentPlayerId === 'p1' ? 'p2' : 'p1']);
+  });
+});
+
+describe('gateway match recording', () => {
+  let gateway;
+  let userStore;
+
+  beforeEach(async () => {
+    userStore = { recordResult: jest.fn(), recordRatings: jest.fn(() => []) };
+    gateway = createModularGameServer({
+      io: { emit: () => {}, to: () => ({ emit: () => {} }), sockets: { sockets: new Map() } },
+      logger: silentLogger,
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      turnTimers: false,
+      userStore,
+    });
+    await gateway.ready;
+  });
+
+  afterEach(() => {
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+  });
+
+  const finish = (gameId, players, state, extra = {}) => gateway.roomManager.emit('matchComplete', { roomId: 'room', gameId, state, players, ...extra });
+
+  it('records and rates the people who played, not the bots', () => {
+    finish('hearts', [human('p1'), human('p2'), human('p3'), { id: 'bot_1', metadata: { isBot: true } }], { gameWinnerId: 'p2' });
+
+    expect(userStore.recordResult.mock.calls).toEqual([
+      ['p1', 'hearts', 'loss'],
+      ['p2', 'hearts', 'win'],
+      ['p3', 'hearts', 'loss'],
+    ]);
+    expect(userStore.recordRatings).toHaveBeenCalledWith('hearts', [
+      { username: 'p1', won: false },
+      { username: 'p2', won: true },
+      { username: 'p3', won: false },
+    ]);
+  });
+
+  it('records house games without rating them', () => {
+    finish('blackjack', [human('p1'), human('p2')], { results: { p1: { result: 'win' }, p2: { result: 'lose' } } });
+
+    expect(userStore.recordResult.mock.calls).toEqual([['p1', 'blackjack', 'win'], ['p2', 'blackjack', 'loss']]);
+    expect(userStore.recordRatings).not.toHaveBeenCalled();
+  });
+
+  it('adds every finished match to the history with credit changes', () => {
+    gateway.matchHistory = { record: jest.fn() };
+    const state = { winners: ['p1'], finalBalances: { p1: 1250, bot_1: 750 } };
+
+    finish('texas-holdem', [human('p1'), { id: 'bot_1', displayName: 'Bot', metadata: { isBot: true } }], state, {
+      setup: { metadata: {}, initialBalances: { p1: 1000, bot_1: 1000 } }, startedAt: 5, replayId: 'match_1',
+    });
+
+    expect(gateway.matchHistory.record).toHaveBeenCalledWith({
+      gameId: 'texas-holdem',
+      roomId: 'room',
+      startedAt: 5,
+      tournamentId: null,
+      replayId: 'match_1',
+      players: [
+        { username: 'p1', displayName: 'p1', isBot: false, result: 'win', creditsChange: 250 },
+        { username: null, displayName: 'Bot', isBot: true, result: 'loss', creditsChange: -250 },
+      ],
+    });
+  });
+
+  it('records nothing without a seated winner or when a user holds two seats', () => {
+    finish('checkers', [human('p1'), human('p2')], { winner: 'red' });
+    finish('checkers', [human('p1', 'alice'), human('p2', 'alice')], { seriesWinner: 'p1' });
+
+    expect(userStore.recordResult).not.toHaveBeenCalled();
+    expect(userStore.recordRatings).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for socket message validation
+ *
+ * Tests protocol negotiation, envelope handling, that createRoom and createGame
+ * validate alike, and plugin command schemas
+ */
+
+const { z } = require('zod');
+const GameRegistry = require('../../src/core/gameRegistry');
+const { negotiateVersion, isVersionSupported } = require('../../src/security/messageSchemas');
+const { attachMessageValidation } = require('../../src/security/socketValidation');
+
+function createFakeSocket(handshake = {}) {
+  const emitted = [];
+  const socket = {
+    id: 'socket-1',
+    connected: true,
+    handshake,
+    middleware: null,
+    emitted,
+    use(fn) {
+      this.middleware = fn;
+    },
+    emit(event, payload) {
+      emitted.push({ event, payload });
+    },
+    send(packet) {
+      let passed = false;
+      this.middleware(packet, () => {
+        passed = true;
+      });
+      return passed;
+    },
+  };
+  return socket;
+}
+
+describe('Protocol version negotiation', () => {
+  it('accepts versions with a supported major', () => {
+    expect(isVersionSupported('1.4.2')).toBe(true);
+    expect(isVersionSupported('2.0.0')).toBe(false);
+    expect(isVersionSupported('not-a-version')).toBe(false);
+  });
+
+  it('caps newer minor versions at the server version', () => {
+    expect(negotiateVersion(['1.9.0', '2.0.0'])).toBe('1.0.0');
+  });
+
+  it('returns null when nothing is compatible', () => {
+    expect(negotiateVersion(['0.9.0', '3.1.0'])).toBeNull();
+  });
+});
+
+describe('attachMessageValidation', () => {
+  it('unwraps envelopes and hands the validated payload to handlers', () => {
+    const socket = createFakeSocket();
+    attachMessageValidation(socket);
+
+    const packet = ['joinRoom', { version: '1.0.0', seq: 1, payload: { roomId: 'lan_1a2b3c4d' } }];
+    expect(socket.send(packet)).toBe(true);
+    expect(packet[1]).toEqual({ roomId: 'lan_1a2b3c4d' });
+  });
+
+  it('accepts bare payloads from legacy clients', () => {
+    const socket = createFakeSocket();
+    attachMessageValidation(socket);
+
+    const packet = ['submitMove', { type: 'placeMark', playerId: 'spoofed', payload: { row: 0, col: 1 } }];
+    expect(socket.send(packet)).toBe(true);
+    expect(packet[1]).toEqual({ type: 'placeMark', payload: { row: 0, col: 1 }, timestamp: undefined });
+  });
+
+  it('rejects malformed messages with VALIDATION_ERROR and a failed ack', () => {
+    const socket = createFakeSocket();
+    attachMessageValidation(socket);
+    const ack = jest.fn();
+
+    expect(socket.send(['createRoom', { gameType: 'Not Valid!' }, ack])).toBe(false);
+    expect(socket.emitted[0].event).toBe('error');
+    expect(socket.emitted[0].payload.code).toBe('VALIDATION_ERROR');
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: expect.objectContaining({ code: 'VALIDATION_ERROR' }) });
+  });
+
+  it('validates createRoom and createGame alike, keeping player limits', () => {
+    for (const event of ['createRoom', 'createGame']) {
+      const socket = createFakeSocket();
+      attachMessageValidation(socket);
+
+      const packet = [event, { gameType: 'hearts', mode: 'p2p', roomCode: 'abc', minPlayers: 3, maxPlayers: 4 }];
+      expect(socket.send(packet)).toBe(true);
+      expect(packet[1]).toEqual(expect.objectContaining({ roomCode: 'abc', minPlayers: 3, maxPlayers: 4 }));
+
+      expect(socket.send([event, { gameType: 'hearts', mode: 'p2p', roomCode: 'ab' }])).toBe(false);
+      expect(socket.emitted[0].payload.message).toContain('Room code must be 3-10 characters');
+      expect(socket.send([event, { gameType: 'hearts', minPlayers: 4, maxPlayers: 3 }])).toBe(false);
+    }
+  });
+
+  it('rejects envelopes from an unsupported protocol major', () => {
+    const socket = createFakeSocket();
+    attachMessageValidation(socket);
+
+    expect(socket.send(['getRoomList', { version: '2.0.0', payload: {} }])).toBe(false);
+    expect(socket.emitted[0].payload.code).toBe('UNSUPPORTED_VERSION');
+  });
+
+  it('answers hello with the negotiated version', () => {
+    const socket = createFakeSocket({ auth: { protocolVersion: '9.0.0' } });
+    attachMessageValidation(socket);
+
+    expect(socket.send(['leaveRoom'])).toBe(false);
+    expect(socket.emitted[0].payload.code).toBe('UNSUPPORTED_VERSION');
+
+    socket.send(['hello', { supportedVersions: ['1.0.0'] }]);
+    expect(socket.emitted[1]).toEqual({
+      event: 'welcome',
+      payload: expect.objectContaining({ version: '1.0.0' }),
+    });
+    expect(socket.send(['leaveRoom'])).toBe(true);
+  });
+
+  it('rejects out-of-order sequence numbers when enabled', () => {
+    const socket = createFakeSocket();
+    attachMessageValidation(socket, { sequenceValidation: true });
+
+    expect(socket.send(['getRoomList', { version: '1.0.0', seq: 5, payload: {} }])).toBe(true);
+    expect(socket.send(['getRoomList', { version: '1.0.0', seq: 5, payload: {} }])).toBe(false);
+    expect(socket.emitted[0].payload.code).toBe('INVALID_SEQUENCE');
+  });
+
+  it('lets events without a schema through untouched', () => {
+    const socket = createFakeSocket();
+    attachMessageValidation(socket);
+
+    const packet = ['customEvent', 'raw'];
+    expect(socket.send(packet)).toBe(true);
+    expect(packet[1]).toBe('raw');
+  });
+});
+
+describe('GameRegistry.validateCommand', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new GameRegistry();
+    registry.register({
+      id: 'grid',
+      create: () => null,
+      commandSchemas: {
+        place: z.object({ cell: z.number().int().min(0).max(8) }),
+      },
+    });
+  });
+
+  it('validates payloads of commands with a registered schema', () => {
+    const result = registry.validateCommand('grid', { type: 'place', payload: { cell: 12 } });
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('passes commands without a registered schema through', () => {
+    const descriptor = { type: 'other', payload: { anything: true } };
+    expect(registry.validateCommand('grid', descriptor).data).toBe(descriptor);
+  });
+
+  it('rejects definitions whose command schemas are not schemas', () => {
+    expect(() => registry.register({ id: 'bad', create: () => null, commandSchemas: { place: {} } }))
+      .toThrow(/commandSchemas/);
+  });
+});
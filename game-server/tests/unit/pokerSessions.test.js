@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Hold'em sessions
+ *
+ * Tests that a sit-and-go keeps dealing hands with the button moving and the
+ * blinds rising until one player has every chip, that heads-up the button posts
+ * the small blind and acts first only before the flop, that only the host can close a
+ * cash game and closing it hands back the chips in play, and that the gateway
+ * settles credits hand by hand
+ */
+
+const path = require('path');
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { CreditLedger } = require('../../src/core/creditLedger');
+const { createModularGameServer } = require('../../src/server/gameGateway');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+
+async function createTable(manager, ids, gameSettings) {
+  const room = manager.createRoom({ hostId: ids[0], gameId: 'texas-holdem' });
+  for (const id of ids) {
+    await manager.joinRoom(room.id, { id, displayName: id, metadata: { username: id } });
+    manager.setReady(room.id, id, true);
+  }
+  manager.updateSettings(room.id, { requesterId: ids[0], gameSettings });
+  return room;
+}
+
+describe('Hold\'em sessions', () => {
+  let manager;
+
+  beforeEach(() => {
+    const registry = new GameRegistry();
+    require('../../src/plugins/texas-holdem').register(registry);
+    manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  it('deals hands until one player holds every chip', async () => {
+    const room = await createTable(manager, ['p0', 'p1'], { pokerMode: 'sitAndGo', handsPerLevel: 1 });
+    manager.startGame(room.id, { seed: 'sit-and-go', initialBalances: { p0: 1000, p1: 10 } });
+    const roundEnds = [];
+    manager.on('roundEnd', event => roundEnds.push(event));
+    const hands = [];
+
+    let state = room.gameInstance.getState().state;
+    while (!state.isComplete) {
+      if (hands[hands.length - 1]?.handNumber !== state.handNumber) {
+        hands.push({ handNumber: state.handNumber, dealer: state.playerOrder[state.dealerIndex], big: state.blinds.big });
+      }
+      const action = state.currentPlayerId === 'p1' ? 'allIn' : 'call';
+      manager.submitCommand(room.id, { playerId: state.currentPlayerId, type: 'pokerAction', payload: { action } });
+      state = room.gameInstance.getState().state;
+      if (!state.isComplete) {
+        expect(room.status).toBe('PLAYING');
+      }
+    }
+
+    expect(hands.map(hand => hand.big)).toEqual([10, 20, 30, 50, 100, 150, 200, 300, 400].slice(0, hands.length));
+    hands.slice(1).forEach((hand, index) => expect(hand.dealer).not.toBe(hands[index].dealer));
+    expect(state.eliminated).toHaveLength(1);
+    expect(state.winners).toEqual(['p0', 'p1'].filter(id => !state.eliminated.includes(id)));
+    expect(state.finalBalances[state.winners[0]]).toBe(1010);
+    expect(state.sessionEnd).toEqual({ reason: 'lastPlayerStanding', handNumber: state.handNumber });
+    expect(roundEnds.map(event => event.round)).toEqual(hands.map(hand => hand.handNumber));
+    expect(roundEnds[roundEnds.length - 1]).toMatchObject({ outcome: 'complete', nextRoundStarted: false });
+    expect(room.status).toBe('ROUND_END');
+  });
+
+  it('puts the small blind on the button heads-up and caps bets at the biggest stack', async () => {
+    const room = await createTable(manager, ['p0', 'p1'], { pokerMode: 'sitAndGo' });
+    manager.startGame(room.id, { seed: 'heads-up', initialBalances: { p0: 1500, p1: 800 } });
+    const state = () => room.gameInstance.getState().state;
+    const act = action => manager.submitCommand(room.id, { playerId: state().currentPlayerId, type: 'pokerAction', payload: { action } });
+
+    const button = state().playerOrder[state().dealerIndex];
+    const other = state().playerOrder.find(id => id !== button);
+    expect(state().playerBets).toEqual({ [button]: 5, [other]: 10 });
+    expect(state().currentPlayerId).toBe(button);
+    expect(state().betting.maxBet).toBe(1500);
+
+    act('call');
+    act('check');
+    expect(state().bettingRound).toBe('flop');
+    expect(state().currentPlayerId).toBe(other);
+
+    act('fold');
+    expect(state().handNumber).toBe(2);
+    expect(state().playerOrder[state().dealerIndex]).toBe(other);
+    expect(state().playerBets).toEqual({ [other]: 5, [button]: 10 });
+    expect(state().currentPlayerId).toBe(other);
+  });
+
+  it('lets only the host close the table and hands back the chips in play', async () => {
+    const room = await createTable(manager, ['p0', 'p1', 'p2'], { pokerMode: 'cash' });
+    manager.startGame(room.id, { seed: 'cash-game', initialBalances: { p0: 500, p1: 700, p2: 300 } });
+    const raiser = room.gameInstance.getState().state.currentPlayerId;
+    manager.submitCommand(room.id, { playerId: raiser, type: 'pokerAction', payload: { action: 'raise', amount: 50 } });
+
+    expect(() => manager.submitCommand(room.id, { playerId: 'p1', type: 'closeTable', payload: {} }))
+      .toThrow(expect.objectContaining({ code: 'NOT_HOST' }));
+    manager.submitCommand(room.id, { playerId: 'p0', type: 'closeTable', payload: {} });
+    const { state } = room.gameInstance.getState();
+
+    expect(state).toMatchObject({
+      isComplete: true,
+      pot: 0,
+      winners: ['p1'],
+      finalBalances: { p0: 500, p1: 700, p2: 300 },
+      sessionEnd: { reason: 'closed', handNumber: 1 },
+    });
+    expect(room.status).toBe('ROUND_END');
+    expect(room.lifecycle.metadata.matchComplete).toBe(true);
+    expect(() => manager.updateSettings(room.id, { requesterId: 'p0', gameSettings: { pokerMode: 'tournament' } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SETTINGS' }));
+  });
+});
+
+describe('Hold\'em session credits', () => {
+  let gateway;
+  let ledger;
+
+  beforeEach(async () => {
+    ledger = new CreditLedger({ logger: silentLogger });
+    gateway = createModularGameServer({
+      io: { emit: () => {}, to: () => ({ emit: () => {} }), sockets: { sockets: new Map() } },
+      logger: silentLogger,
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      turnTimers: false,
+      profileService: {
+        getBalance: username => ledger.balance(username),
+        recordTransaction: (username, transaction) => ledger.record({ ...transaction, username }),
+      },
+    });
+    await gateway.ready;
+  });
+
+  afterEach(() => {
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+  });
+
+  it('settles each hand as its own round', async () => {
+    const manager = gateway.roomManager;
+    const room = await createTable(manager, ['p1', 'p2'], { pokerMode: 'cash' });
+    manager.startGame(room.id, { seed: 'cash-credits', initialBalances: { p1: 500, p2: 500 } });
+    for (let hand = 0; hand < 2; hand++) {
+      const { currentPlayerId } = room.gameInstance.getState().state;
+      manager.submitCommand(room.id, { playerId: currentPlayerId, type: 'pokerAction', payload: { action: 'fold' } });
+    }
+    const { finalBalances, handNumber } = room.gameInstance.getState().state;
+
+    expect(handNumber).toBe(3);
+    for (const id of ['p1', 'p2']) {
+      expect(ledger.balance(id)).toBe(finalBalances[id] - 500);
+      const roundIds = new Set(ledger.listForUser(id).transactions.map(entry => entry.roundId));
+      expect([...roundIds].sort()).toEqual([1, 2].map(hand => `${room.id}:${room.gameStartedAt}:${hand}`));
+    }
+  });
+});
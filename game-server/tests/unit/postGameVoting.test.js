@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for the post-game vote
+ *
+ * Tests that GameRoomManager opens a vote when a casino match is over, restarts
+ * the game with rotated seats and carried balances on 'newGame', returns the
+ * seats to the match lobby on 'lobby', closes the vote when time runs out, and
+ * that the finished game's last state is not broadcast after the new game starts
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { RoomState } = require('../../src/core/stateMachines');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('GameRoomManager post-game vote', () => {
+  let manager;
+  let room;
+
+  beforeEach(async () => {
+    const registry = new GameRegistry();
+    require('../../src/plugins/texas-holdem').register(registry);
+    manager = new GameRoomManager({
+      gameFactory: new GameFactory({ registry }),
+      logger: silentLogger,
+      turnTimers: false,
+      voteTimeoutMs: 1000,
+    });
+    room = manager.createRoom({ hostId: 'p0', gameId: 'texas-holdem', playerLimits: { minPlayers: 2, maxPlayers: 3 } });
+    for (const id of ['p0', 'p1', 'p2']) {
+      await manager.joinRoom(room.id, { id, displayName: id });
+      manager.setReady(room.id, id, true);
+    }
+    manager.startGame(room.id, { seed: 'voting', initialBalances: { p0: 500, p1: 500, p2: 500 } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    manager.shutdown();
+  });
+
+  const state = () => room.gameInstance.getState().state;
+
+  function finishMatch() {
+    while (!state().isComplete) {
+      manager.submitCommand(room.id, { playerId: state().currentPlayerId, type: 'pokerAction', payload: { action: 'fold' } });
+    }
+  }
+
+  function vote(playerId, choice) {
+    manager.submitCommand(room.id, { playerId, type: 'vote', payload: { vote: choice } });
+  }
+
+  it('opens a vote with a deadline once the match is over', () => {
+    finishMatch();
+
+    expect(room.status).toBe(RoomState.ROUND_END);
+    expect(state()).toEqual(expect.objectContaining({ votingPhase: true, votes: {} }));
+    expect(state().voteDeadline).toBeGreaterThan(Date.now());
+
+    vote('p0', 'newGame');
+    expect(state().votes).toEqual({ p0: 'newGame' });
+    expect(room.status).toBe(RoomState.ROUND_END);
+  });
+
+  it('restarts the game with rotated seats and carried balances on newGame', () => {
+    finishMatch();
+    const { finalBalances } = state();
+    const finished = room.gameInstance;
+
+    ['p0', 'p1', 'p2'].forEach(id => vote(id, 'newGame'));
+
+    expect(room.status).toBe(RoomState.PLAYING);
+    expect(room.gameInstance).not.toBe(finished);
+    expect(state().playerOrder).toEqual(['p1', 'p2', 'p0']);
+    expect(state().votingPhase).toBeUndefined();
+    const total = Object.values(state().betting.players).reduce((sum, { balance }) => sum + balance, 0);
+    expect(total + state().pot).toBe(Object.values(finalBalances).reduce((sum, balance) => sum + balance, 0));
+    expect(room.gameSetup.initialBalances).toEqual(finalBalances);
+  });
+
+  it('broadcasts nothing from the finished game once the rematch has started', async () => {
+    finishMatch();
+    const events = [];
+    manager.on('gameStarted', () => events.push('gameStarted'));
+    manager.on('gameState', ({ state: { votingPhase } }) => events.push(votingPhase ? 'voteState' : 'gameState'));
+
+    ['p0', 'p1', 'p2'].forEach(id => vote(id, 'newGame'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events).toContain('gameStarted');
+    expect(events.slice(events.indexOf('gameStarted'))).not.toContain('voteState');
+  });
+
+  it('returns everyone to the match lobby with ready flags reset on lobby', () => {
+    const returned = [];
+    manager.on('returnedToLobby', event => returned.push(event));
+    finishMatch();
+
+    ['p0', 'p1', 'p2'].forEach(id => vote(id, 'lobby'));
+
+    expect(room.status).toBe(RoomState.LOBBY);
+    expect(room.gameInstance).toBeNull();
+    expect(room.playerManager.list().map(({ id, isReady }) => [id, isReady]))
+      .toEqual([['p0', false], ['p1', false], ['p2', false]]);
+    expect(returned).toEqual([{ roomId: room.id }]);
+  });
+
+  it('decides with the votes cast when time runs out', () => {
+    jest.useFakeTimers();
+    finishMatch();
+    vote('p1', 'newGame');
+
+    jest.advanceTimersByTime(1000);
+
+    expect(room.status).toBe(RoomState.PLAYING);
+    expect(state().playerOrder).toEqual(['p1', 'p2', 'p0']);
+  });
+});
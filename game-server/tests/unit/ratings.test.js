@@ -0,0 +1,46 @@
+/**
+ * Unit Tests for ratings
+ *
+ * Tests the Elo updates for one-on-one, multi-player and split results, and
+ * the per-game rating record
+ */
+
+const { rateMatch, createRatingRecord, applyRating, DEFAULT_RATING } = require('../../src/core/ratings');
+
+describe('rateMatch', () => {
+  it('moves evenly rated players by half the K factor', () => {
+    expect(rateMatch([{ id: 'a', rating: 1200, won: true }, { id: 'b', rating: 1200, won: false }])).toEqual([
+      { id: 'a', rating: 1216, delta: 16 },
+      { id: 'b', rating: 1184, delta: -16 },
+    ]);
+  });
+
+  it('rewards upsets more than expected wins', () => {
+    const [upset] = rateMatch([{ id: 'a', rating: 1000, won: true }, { id: 'b', rating: 1400, won: false }]);
+    const [expected] = rateMatch([{ id: 'b', rating: 1400, won: true }, { id: 'a', rating: 1000, won: false }]);
+
+    expect(upset.delta).toBe(29);
+    expect(expected.delta).toBe(3);
+  });
+
+  it('scores winners against everyone and shared winners as a draw', () => {
+    const rated = rateMatch([
+      { id: 'a', rating: 1200, won: true },
+      { id: 'b', rating: 1200, won: true },
+      { id: 'c', rating: 1200, won: false },
+      { id: 'd', rating: 1200, won: false },
+    ]);
+
+    expect(rated.map(({ delta }) => delta)).toEqual([11, 11, -16, -16]);
+  });
+
+  it('keeps the recent changes and peak on the record', () => {
+    const record = createRatingRecord();
+    applyRating(record, { rating: 1216, delta: 16 }, true, 1);
+    applyRating(record, { rating: 1200, delta: -16 }, false, 2);
+
+    expect(record).toEqual({
+      rating: DEFAULT_RATING, peak: 1216, gamesPlayed: 2, wins: 1, losses: 1, recent: [16, -16], updatedAt: 2,
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for quick reactions
+ *
+ * Tests that the gateway relays a seated player's reaction to the room, holds
+ * each player to the cooldown, refuses spectators and rooms where the host
+ * turned reactions off, and that only the host can change that setting
+ */
+
+const path = require('path');
+const { createModularGameServer } = require('../../src/server/gameGateway');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+
+function createFakeSocket(id) {
+  const handlers = new Map();
+  return {
+    id,
+    connected: true,
+    handshake: {},
+    rooms: new Set([id]),
+    emitted: [],
+    use() {},
+    on(event, handler) {
+      handlers.set(event, handler);
+    },
+    emit(event, payload) {
+      this.emitted.push({ event, payload });
+    },
+    join(roomId) {
+      this.rooms.add(roomId);
+    },
+    leave(roomId) {
+      this.rooms.delete(roomId);
+    },
+    request(event, payload = {}) {
+      return new Promise(resolve => handlers.get(event)(payload, resolve));
+    },
+  };
+}
+
+describe('quick reactions', () => {
+  let gateway;
+  let broadcasts;
+  let host;
+  let guest;
+  let roomId;
+
+  beforeEach(async () => {
+    broadcasts = [];
+    gateway = createModularGameServer({
+      io: {
+        emit: (event, payload) => broadcasts.push({ to: null, event, payload }),
+        to: target => ({ emit: (event, payload) => broadcasts.push({ to: target, event, payload }) }),
+        sockets: { sockets: new Map() },
+      },
+      logger: silentLogger,
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      turnTimers: false,
+      reactionCooldownMs: 60000,
+    });
+    await gateway.ready;
+
+    host = createFakeSocket('host');
+    guest = createFakeSocket('guest');
+    gateway.attachSocket(host);
+    gateway.attachSocket(guest);
+    ({ roomId } = await host.request('createRoom', { gameType: 'tic-tac-toe', username: 'alice' }));
+    await guest.request('joinRoom', { roomId, username: 'bob' });
+    await guest.request('playerReady', { ready: true });
+  });
+
+  afterEach(() => {
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+  });
+
+  const reactions = () => broadcasts.filter(({ event }) => event === 'playerReaction');
+
+  it('relays reactions to the room once per cooldown', async () => {
+    expect((await guest.request('sendReaction', { reaction: 'gg' })).error.code).toBe('NOT_IN_GAME');
+    await host.request('startGame');
+
+    expect(await guest.request('sendReaction', { reaction: 'gg' })).toEqual({ ok: true });
+    expect((await guest.request('sendReaction', { reaction: 'wow' })).error.code).toBe('REACTION_COOLDOWN');
+    expect((await host.request('sendReaction', { reaction: 'fire' })).ok).toBe(true);
+
+    expect(reactions()).toEqual([
+      { to: roomId, event: 'playerReaction', payload: expect.objectContaining({ roomId, playerId: 'guest', displayName: 'bob', reaction: 'gg' }) },
+      { to: roomId, event: 'playerReaction', payload: expect.objectContaining({ playerId: 'host', reaction: 'fire' }) },
+    ]);
+  });
+
+  it('lets only the host turn reactions off, and refuses spectators', async () => {
+    const watcher = createFakeSocket('watcher');
+    gateway.attachSocket(watcher);
+    await watcher.request('joinRoom', { roomId, username: 'carol' });
+    await host.request('startGame');
+
+    expect((await guest.request('updateRoomSettings', { reactionsEnabled: false })).error.code).toBe('NOT_HOST');
+    expect((await watcher.request('sendReaction', { reaction: 'gg' })).error.code).toBe('SPECTATOR');
+    expect(await host.request('updateRoomSettings', { reactionsEnabled: false })).toEqual({ ok: true, reactionsEnabled: false });
+    expect(gateway.roomManager.getRoom(roomId).toJSON().metadata.reactionsEnabled).toBe(false);
+    expect((await guest.request('sendReaction', { reaction: 'gg' })).error.code).toBe('REACTIONS_DISABLED');
+    expect(reactions()).toEqual([]);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for real-time games
+ *
+ * Tests the Capture the Flag onTick simulation and that GameRoomManager runs
+ * rooms with an onTick hook on the shared TickManager and emits snapshots
+ */
+
+const { performance } = require('perf_hooks');
+const { GameRegistry, GameFactory, GameRoomManager, TickManager } = require('../../src/core');
+const { RoomState } = require('../../src/core/stateMachines');
+
+const silentLogger = { error: () => true, warn: () => true, info: () => true, debug: () => true };
+
+function createRegistry() {
+  const registry = new GameRegistry();
+  require('../../src/plugins/capture-the-flag').register(registry);
+  return registry;
+}
+
+function createCaptureTheFlag(registry) {
+  const players = ['p0', 'p1', 'p2', 'p3'].map(id => ({ id, displayName: id }));
+  return new GameFactory({ registry }).create('capture-the-flag', { roomId: 'ROOM1', players });
+}
+
+describe('Capture the Flag simulation', () => {
+  const registry = createRegistry();
+  const { onTick } = registry.get('capture-the-flag');
+
+  function tickUntil(state, predicate, limit = 200) {
+    for (let i = 0; i < limit && !predicate(state); i++) {
+      state = onTick(state, 33) || state;
+    }
+    return state;
+  }
+
+  it('moves players along their input and skips idle ticks', () => {
+    const game = createCaptureTheFlag(registry);
+    game.commandBus.dispatch({ type: 'move', playerId: 'p0', payload: { x: 1, y: 0 } });
+    const state = game.getState().state;
+
+    const next = onTick(state, 1000);
+    expect(next.players.p0.x).toBeCloseTo(state.players.p0.x + 180);
+    expect(next.players.p0.y).toBe(state.players.p0.y);
+
+    next.players.p0.input = { x: 0, y: 0 };
+    expect(onTick(next, 33)).toBeNull();
+  });
+
+  it('scores when a carrier brings the enemy flag home', () => {
+    const game = createCaptureTheFlag(registry);
+    let state = game.getState().state;
+    // Keep the blue defenders away from the flag so the run is not tagged
+    Object.assign(state.players.p1, { x: 500, y: 20 });
+    Object.assign(state.players.p3, { x: 500, y: 460 });
+    Object.assign(state.players.p0, { x: state.flags.blue.x - 20, y: state.flags.blue.y + 100, input: { x: 0, y: -1 } });
+
+    state = tickUntil(state, current => current.players.p0.carrying === 'blue');
+    expect(state.flags.blue.carriedBy).toBe('p0');
+
+    state.players.p0.input = { x: -1, y: 0 };
+    state = tickUntil(state, current => current.score.red === 1);
+    expect(state.flags.blue).toEqual(expect.objectContaining({ atHome: true, carriedBy: null }));
+    expect(state.events.at(-1)).toEqual({ type: 'capture', playerId: 'p0', team: 'red' });
+  });
+
+  it('tags intruders in the defending half and returns the flag they carry', () => {
+    const game = createCaptureTheFlag(registry);
+    let state = game.getState().state;
+    Object.assign(state.players.p0, { x: 600, y: 400, carrying: 'blue' });
+    Object.assign(state.flags.blue, { carriedBy: 'p0', atHome: false });
+    Object.assign(state.players.p1, { x: 600, y: 430, input: { x: 0, y: -1 } });
+
+    state = onTick(state, 33);
+    expect(state.players.p0).toEqual(expect.objectContaining({ carrying: null, respawnMs: 3000 }));
+    expect(state.players.p0.x).toBe(state.bases.red.x);
+    expect(state.flags.blue.atHome).toBe(true);
+    expect(state.players.p1.tags).toBe(1);
+  });
+});
+
+describe('GameRoomManager real-time rooms', () => {
+  let manager;
+  let tickManager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // TickManager measures time with perf_hooks, which fake timers leave alone
+    jest.spyOn(performance, 'now').mockImplementation(() => Date.now());
+    tickManager = new TickManager({ tickRate: 30, snapshotRate: 10 }, silentLogger);
+    manager = new GameRoomManager({
+      gameFactory: new GameFactory({ registry: createRegistry() }),
+      tickManager,
+      logger: silentLogger,
+    });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+    tickManager.stop();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  async function startCaptureTheFlag() {
+    const room = manager.createRoom({ hostId: 'p0', gameId: 'capture-the-flag', playerLimits: { minPlayers: 4, maxPlayers: 8 } });
+    for (let i = 0; i < 4; i++) {
+      await manager.joinRoom(room.id, { id: `p${i}`, displayName: `Player ${i}` });
+      manager.setReady(room.id, `p${i}`, true);
+    }
+    manager.startGame(room.id);
+    return room;
+  }
+
+  it('simulates the game on ticks and broadcasts snapshots instead of per-tick updates', async () => {
+    const room = await startCaptureTheFlag();
+    expect(tickManager.isRunning).toBe(true);
+    expect(tickManager.rooms.get(room.id)).toBe(room);
+
+    const updates = [];
+    const snapshots = [];
+    manager.on('gameState', payload => updates.push(payload));
+    manager.on('gameSnapshot', payload => snapshots.push(payload));
+
+    const startX = room.gameInstance.getState().state.players.p0.x;
+    manager.submitCommand(room.id, { playerId: 'p0', type: 'move', payload: { x: 1, y: 0 } });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    const { state } = room.gameInstance.getState();
+    expect(state.players.p0.x).toBeGreaterThan(startX + 100);
+    expect(updates).toHaveLength(1);
+    expect(snapshots.length).toBeGreaterThanOrEqual(5);
+    expect(snapshots.at(-1).roomId).toBe(room.id);
+    expect(snapshots.at(-1).version).toBeGreaterThan(snapshots[0].version);
+    expect(tickManager.getMetrics().totalTicks).toBeGreaterThan(0);
+  });
+
+  it('holds the simulation while paused and leaves the loop when the room closes', async () => {
+    const room = await startCaptureTheFlag();
+    manager.submitCommand(room.id, { playerId: 'p0', type: 'move', payload: { x: 1, y: 0 } });
+    manager.markPlayerDisconnected(room.id, 'p3');
+    expect(room.status).toBe(RoomState.PAUSED);
+
+    const before = room.gameInstance.getState().version;
+    await jest.advanceTimersByTimeAsync(500);
+    expect(room.gameInstance.getState().version).toBe(before);
+
+    manager.deleteRoom(room.id);
+    expect(tickManager.rooms.size).toBe(0);
+    expect(tickManager.isRunning).toBe(false);
+  });
+});
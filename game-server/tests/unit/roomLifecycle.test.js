@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for the room lifecycle
+ *
+ * Tests that GameRoomManager drives each room's RoomStateMachine through
+ * start countdowns, rounds, pauses for disconnected players and shutdown
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { RoomState } = require('../../src/core/stateMachines');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('Room lifecycle', () => {
+  let manager;
+
+  function createManager(options = {}) {
+    const registry = new GameRegistry();
+    require('../../src/plugins/tictactoe').register(registry);
+    require('../../src/plugins/texas-holdem').register(registry);
+    manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, ...options });
+    return manager;
+  }
+
+  afterEach(() => {
+    manager?.shutdown();
+    jest.useRealTimers();
+  });
+
+  async function createRoom(gameId, playerCount) {
+    const room = manager.createRoom({ hostId: 'p0', gameId, playerLimits: { minPlayers: 2, maxPlayers: 8 } });
+    for (let i = 0; i < playerCount; i++) {
+      await manager.joinRoom(room.id, { id: `p${i}`, displayName: `Player ${i}` });
+      manager.setReady(room.id, `p${i}`, true);
+    }
+    return room;
+  }
+
+  const stateOf = room => room.gameInstance.getState().state;
+
+  function winTicTacToeRound(room) {
+    const first = stateOf(room).currentPlayerId;
+    const second = stateOf(room).turnOrder.find(id => id !== first);
+    const moves = [[first, 0, 0], [second, 1, 0], [first, 0, 1], [second, 1, 1], [first, 0, 2]];
+    for (const [playerId, row, col] of moves) {
+      manager.submitCommand(room.id, { playerId, type: 'placeMark', payload: { row, col } });
+    }
+  }
+
+  it('moves from LOBBY to PLAYING and exposes the state in room JSON', async () => {
+    createManager();
+    const room = await createRoom('tic-tac-toe', 2);
+    expect(room.toJSON().status).toBe(RoomState.LOBBY);
+
+    manager.startGame(room.id);
+    expect(room.toJSON()).toEqual(expect.objectContaining({ status: RoomState.PLAYING, isGameActive: true }));
+    expect(() => manager.startGame(room.id)).toThrow(expect.objectContaining({ code: 'INVALID_ROOM_STATE' }));
+  });
+
+  it('counts down in STARTING and falls back to LOBBY when a player unreadies', async () => {
+    jest.useFakeTimers();
+    createManager({ startCountdownMs: 3000 });
+    const room = await createRoom('tic-tac-toe', 2);
+
+    const { startsAt } = manager.startGame(room.id);
+    expect(room.status).toBe(RoomState.STARTING);
+    expect(room.toJSON().statusDetails).toEqual(expect.objectContaining({ startsAt, countdownMs: 3000 }));
+    expect(() => manager.submitCommand(room.id, { playerId: 'p0', type: 'placeMark', payload: { row: 0, col: 0 } }))
+      .toThrow(expect.objectContaining({ code: 'NOT_IN_GAME' }));
+
+    manager.setReady(room.id, 'p1', false);
+    expect(room.status).toBe(RoomState.LOBBY);
+    jest.advanceTimersByTime(3000);
+    expect(room.gameInstance).toBeNull();
+
+    manager.setReady(room.id, 'p1', true);
+    manager.startGame(room.id);
+    jest.advanceTimersByTime(3000);
+    expect(room.status).toBe(RoomState.PLAYING);
+    expect(room.gameInstance).not.toBeNull();
+  });
+
+  it('enters ROUND_END on a round end and resumes with the next round', async () => {
+    jest.useFakeTimers();
+    createManager();
+    const room = await createRoom('tic-tac-toe', 2);
+    manager.startGame(room.id);
+
+    winTicTacToeRound(room);
+    expect(room.status).toBe(RoomState.ROUND_END);
+    expect(room.toJSON().statusDetails).toEqual(expect.objectContaining({ round: 1, matchComplete: false }));
+
+    // tic-tac-toe deals the next round on its own after a second
+    jest.advanceTimersByTime(1000);
+    expect(stateOf(room).round).toBe(2);
+    expect(room.status).toBe(RoomState.PLAYING);
+  });
+
+  it('pauses while a seated player is disconnected', async () => {
+    createManager();
+    const room = await createRoom('tic-tac-toe', 2);
+    manager.startGame(room.id);
+    const playerId = stateOf(room).currentPlayerId;
+
+    manager.markPlayerDisconnected(room.id, 'p1');
+    expect(room.status).toBe(RoomState.PAUSED);
+    expect(room.toJSON().statusDetails.waitingFor).toEqual(['p1']);
+    expect(() => manager.submitCommand(room.id, { playerId, type: 'placeMark', payload: { row: 0, col: 0 } }))
+      .toThrow(expect.objectContaining({ code: 'GAME_PAUSED' }));
+
+    manager.markPlayerReconnected(room.id, 'p1');
+    expect(room.status).toBe(RoomState.PLAYING);
+    manager.submitCommand(room.id, { playerId, type: 'placeMark', payload: { row: 0, col: 0 } });
+  });
+
+  it('ends a game that drops below the minimum and terminates on delete', async () => {
+    createManager();
+    const room = await createRoom('texas-holdem', 3);
+    manager.startGame(room.id);
+
+    await manager.leaveRoom(room.id, 'p2');
+    expect(room.status).toBe(RoomState.PLAYING);
+    await manager.leaveRoom(room.id, 'p1');
+    expect(room.status).toBe(RoomState.ENDING);
+    await expect(manager.joinRoom(room.id, { id: 'p3' })).rejects.toMatchObject({ code: 'ROOM_NOT_FOUND' });
+
+    manager.deleteRoom(room.id);
+    expect(room.status).toBe(RoomState.TERMINATED);
+  });
+});
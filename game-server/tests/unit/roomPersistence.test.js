@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for room persistence
+ *
+ * Tests the file-backed game repository (journal, compaction, crash recovery),
+ * that rooms saved by the room manager can be rebuilt after a restart, and that
+ * a move is broadcast without waiting for its save
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GameRegistry, GameFactory, GameRoomManager, FileGameRepository } = require('../../src/core');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('FileGameRepository', () => {
+  let directory;
+  let repository;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+    repository = new FileGameRepository({ directory, compactAfter: 3, logger: silentLogger });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('returns the latest saved state', async () => {
+    await repository.save('ROOM1', { turn: 1 }, { version: 1 });
+    await repository.save('ROOM1', { turn: 2 }, { version: 2 });
+
+    expect(await repository.get('ROOM1')).toEqual({ turn: 2 });
+    expect(await repository.get('ROOM2')).toBeNull();
+    expect(await repository.list()).toEqual([{ roomId: 'ROOM1', state: { turn: 2 }, metadata: { version: 2 } }]);
+  });
+
+  it('compacts the journal into the snapshot', async () => {
+    for (let turn = 1; turn <= 4; turn++) {
+      await repository.save('ROOM1', { turn });
+    }
+
+    const journal = fs.readFileSync(path.join(directory, 'ROOM1.log'), 'utf8').split('\n').filter(Boolean);
+    expect(journal).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'ROOM1.json'), 'utf8')).state).toEqual({ turn: 3 });
+    expect(await repository.get('ROOM1')).toEqual({ turn: 4 });
+  });
+
+  it('skips a torn journal entry left by a crash', async () => {
+    await repository.save('ROOM1', { turn: 1 });
+    fs.appendFileSync(path.join(directory, 'ROOM1.log'), '{"state":{"tu');
+
+    const reopened = new FileGameRepository({ directory, logger: silentLogger });
+    expect(await reopened.get('ROOM1')).toEqual({ turn: 1 });
+  });
+
+  it('removes both files and rejects unsafe room ids', async () => {
+    await repository.save('ROOM1', { turn: 1 });
+    await repository.remove('ROOM1');
+
+    expect(fs.readdirSync(directory)).toEqual([]);
+    await expect(repository.save('../escape', {})).rejects.toThrow('Invalid room id');
+  });
+});
+
+describe('GameRoomManager.restoreRoom', () => {
+  let directory;
+  let factory;
+  let managers;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+    managers = [];
+    const registry = new GameRegistry();
+    require('../../src/plugins/hearts').register(registry);
+    factory = new GameFactory({ registry });
+  });
+
+  afterEach(() => {
+    managers.forEach(manager => manager.shutdown());
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function createManager() {
+    const repository = new FileGameRepository({ directory, logger: silentLogger });
+    const manager = new GameRoomManager({ gameFactory: factory, repository, logger: silentLogger });
+    managers.push(manager);
+    return manager;
+  }
+
+  async function startHearts(manager) {
+    const room = manager.createRoom({ hostId: 'p0', gameId: 'hearts', playerLimits: { minPlayers: 4, maxPlayers: 4 } });
+    for (let i = 0; i < 4; i++) {
+      await manager.joinRoom(room.id, { id: `p${i}`, displayName: `Player ${i}`, metadata: { username: `user${i}` } });
+      manager.setReady(room.id, `p${i}`, true);
+    }
+    manager.startGame(room.id, { seed: 'persisted' });
+    return room;
+  }
+
+  function playAnyCard(manager, room) {
+    const state = room.gameInstance.getState().state;
+    const playerId = state.currentPlayerId;
+    for (const card of state.hands[playerId]) {
+      try {
+        manager.submitCommand(room.id, { playerId, type: 'playCard', payload: { cardId: card.id } });
+        return;
+      } catch (error) {
+        // Not a legal card for this trick; try the next one
+      }
+    }
+    throw new Error(`No legal card for ${playerId}`);
+  }
+
+  it('rebuilds the game, players and state version after a restart', async () => {
+    const original = createManager();
+    const room = await startHearts(original);
+    playAnyCard(original, room);
+    playAnyCard(original, room);
+    await original.repository.flush();
+
+    const saved = room.gameInstance.getState();
+    const nextDraw = room.gameInstance.rng.random();
+
+    const restarted = createManager();
+    const [entry] = await restarted.repository.list();
+    const restored = restarted.restoreRoom(entry);
+
+    expect(restored.id).toBe(room.id);
+    expect(restored.gameInstance.getState()).toEqual(saved);
+    expect(restored.playerManager.list().map(player => player.metadata.username)).toEqual(['user0', 'user1', 'user2', 'user3']);
+    expect(restored.gameInstance.rng.random()).toBe(nextDraw);
+
+    expect(restored.status).toBe('PAUSED');
+    expect(restored.toJSON().statusDetails.waitingFor).toEqual(['p0', 'p1', 'p2', 'p3']);
+    ['p0', 'p1', 'p2', 'p3'].forEach(playerId => restarted.markPlayerReconnected(restored.id, playerId));
+    expect(restored.status).toBe('PLAYING');
+
+    playAnyCard(restarted, restored);
+    expect(restored.gameInstance.getState().version).toBe(saved.version + 1);
+  });
+
+  it('broadcasts a move without waiting for it to be saved', async () => {
+    const manager = createManager();
+    const room = await startHearts(manager);
+    const saves = [];
+    manager.repository.save = (roomId, state, metadata) => {
+      saves.push(metadata.version);
+      return new Promise(() => {});
+    };
+    const broadcast = [];
+    manager.on('gameState', ({ version }) => broadcast.push(version));
+
+    playAnyCard(manager, room);
+    playAnyCard(manager, room);
+
+    const { version } = room.gameInstance.getState();
+    expect(broadcast).toEqual([version - 1, version]);
+    expect(saves).toEqual([version - 1, version]);
+  });
+
+  it('rejects records for games that are not registered', () => {
+    const manager = createManager();
+    expect(() => manager.restoreRoom({
+      roomId: 'ROOM1',
+      state: {},
+      metadata: { gameId: 'chess', setup: {} },
+    })).toThrow(expect.objectContaining({ code: 'INVALID_GAME_TYPE' }));
+    expect(manager.getRoom('ROOM1')).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for seeded game randomness
+ *
+ * Tests that every card game is reproducible from the room seed plus the command log
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { BettingManager } = require('../../src/core/bettingManager');
+const { createDeck, shuffle } = require('../../src/shared/cardUtils');
+const { createRNG, generateRoomSeed } = require('../../src/utils/rng');
+
+const CARD_GAMES = {
+  war: 2,
+  hearts: 4,
+  blackjack: 2,
+  baccarat: 2,
+  'texas-holdem': 3,
+  '5-card-stud': 2
+};
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('Seeded game randomness', () => {
+  let manager;
+
+  beforeEach(() => {
+    const registry = new GameRegistry();
+    Object.keys(CARD_GAMES).forEach(gameId => {
+      require(`../../src/plugins/${gameId}`).register(registry);
+    });
+    manager = new GameRoomManager({
+      gameFactory: new GameFactory({ registry }),
+      logger: silentLogger
+    });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  async function startGame(gameId, options = {}) {
+    const room = manager.createRoom({
+      hostId: 'p0',
+      gameId,
+      playerLimits: { minPlayers: 1, maxPlayers: 8 }
+    });
+    for (let i = 0; i < CARD_GAMES[gameId]; i++) {
+      await manager.joinRoom(room.id, { id: `p${i}`, displayName: `Player ${i}` });
+      manager.setReady(room.id, `p${i}`, true);
+    }
+    manager.startGame(room.id, options);
+    return room;
+  }
+
+  const stateOf = room => room.gameInstance.getState().state;
+  // The room id and the wall-clock vote deadline differ between rooms
+  const withoutRoomFields = ({ roomId, voteDeadline, ...state }) => state;
+
+  it('shuffles identically from the same seed', () => {
+    const deck = createDeck();
+    expect(shuffle(deck, createRNG('abc'))).toEqual(shuffle(deck, createRNG('abc')));
+    expect(shuffle(deck, createRNG('abc'))).not.toEqual(shuffle(deck, createRNG('xyz')));
+  });
+
+  it.each(Object.keys(CARD_GAMES))('deals %s identically from the same seed', async (gameId) => {
+    const first = await startGame(gameId, { seed: 'game-night' });
+    const second = await startGame(gameId, { seed: 'game-night' });
+    const other = await startGame(gameId, { seed: 'other-night' });
+
+    expect(withoutRoomFields(stateOf(first))).toEqual(withoutRoomFields(stateOf(second)));
+    expect(withoutRoomFields(stateOf(first))).not.toEqual(withoutRoomFields(stateOf(other)));
+  });
+
+  it('replays a Hold\'em hand from the seed and command log', async () => {
+    const play = async () => {
+      const room = await startGame('texas-holdem', { seed: 'dispute-42' });
+      for (let i = 0; i < 20 && !stateOf(room).isComplete; i++) {
+        const state = stateOf(room);
+        const playerId = state.currentPlayerId;
+        const action = state.currentBet > state.playerBets[playerId] ? 'call' : 'check';
+        manager.submitCommand(room.id, { playerId, type: 'bet', payload: { action } });
+      }
+      return stateOf(room);
+    };
+
+    const original = await play();
+    const replay = await play();
+
+    expect(original.isComplete).toBe(true);
+    expect(original.communityCards).toHaveLength(5);
+    expect(withoutRoomFields(replay)).toEqual(withoutRoomFields(original));
+  });
+
+  it('seeds each room when deterministic RNG is enabled and keeps the seed server-side', async () => {
+    const room = await startGame('war');
+    expect(typeof room.seed).toBe('string');
+    expect(room.toJSON()).not.toHaveProperty('seed');
+    // Not derived from the public room id and start time
+    expect(room.seed).toMatch(/^[0-9a-f]{32}$/);
+    expect(room.seed).not.toBe(generateRoomSeed(room.id, room.gameStartedAt));
+  });
+
+  it('does not record a seed when deterministic RNG is disabled', async () => {
+    manager.deterministicRng = false;
+    const room = await startGame('war');
+    expect(room.seed).toBeNull();
+  });
+});
+
+describe('BettingManager.fromState', () => {
+  it('restores balances, bets and statuses from a snapshot', () => {
+    const original = new BettingManager({ minBet: 10, maxBet: 500, gameType: 'rounds' });
+    original.initializePlayer('alice', 1000);
+    original.initializePlayer('bob', 1000);
+    original.postBlind('alice', 5);
+    original.raise('bob', 20);
+    original.fold('alice');
+
+    const restored = BettingManager.fromState(JSON.parse(JSON.stringify(original.getState())));
+
+    expect(restored.getState()).toEqual(original.getState());
+    expect(restored.getPlayersInHand()).toEqual(['bob']);
+  });
+});
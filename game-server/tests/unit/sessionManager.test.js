@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for SessionManager
+ *
+ * Tests that sessions are issued a stable player id at registration and keep
+ * it when a user reconnects with a new socket and the session's reconnect token
+ */
+
+const { SessionManager } = require('../../src/utils/sessionManager');
+
+describe('SessionManager player ids', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = new SessionManager(1000);
+  });
+
+  afterEach(() => sessions.shutdown());
+
+  it('issues each new session its own player id', () => {
+    const alice = sessions.registerSession('socket-1', 'alice');
+    const bob = sessions.registerSession('socket-2', 'bob');
+
+    expect(alice.playerId).toMatch(/^player_[0-9a-f]{16}$/);
+    expect(bob.playerId).not.toBe(alice.playerId);
+    expect(sessions.registerSession('socket-1', 'alice').playerId).toBe(alice.playerId);
+  });
+
+  it('carries the player id over to the socket of a reconnect', () => {
+    const { playerId, reconnectToken } = sessions.registerSession('socket-1', 'alice');
+
+    expect(sessions.attemptReconnect('socket-2', 'alice').canReconnect).toBe(false);
+    expect(sessions.attemptReconnect('socket-2', 'alice', 'f'.repeat(48)).canReconnect).toBe(false);
+    expect(sessions.attemptReconnect('socket-2', 'bob', reconnectToken).canReconnect).toBe(false);
+    const result = sessions.attemptReconnect('socket-2', 'alice', reconnectToken);
+    expect(result.canReconnect).toBe(true);
+    expect(sessions.registerSession('socket-2', 'alice').playerId).toBe(playerId);
+    expect(sessions.getSession('socket-1')).toBeUndefined();
+
+    sessions.setSessionPlayer('socket-2', 'seat-from-before-restart');
+    expect(sessions.getSessionByUsername('alice').playerId).toBe('seat-from-before-restart');
+  });
+
+  it('starts over with a new id once the session has expired', () => {
+    jest.useFakeTimers();
+    try {
+      const { playerId, reconnectToken } = sessions.registerSession('socket-1', 'alice');
+      jest.advanceTimersByTime(1500);
+
+      expect(sessions.attemptReconnect('socket-2', 'alice', reconnectToken)).toEqual(expect.objectContaining({ canReconnect: false }));
+      expect(sessions.registerSession('socket-2', 'alice').playerId).not.toBe(playerId);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for side pots
+ *
+ * Tests that BettingManager splits the pot at each all-in amount, returns
+ * uncalled chips, gives a split pot's odd chips in seat order, and that a
+ * Hold'em showdown with a short all-in stack pays it from the main pot only
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { BettingManager } = require('../../src/core/bettingManager');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('BettingManager pots', () => {
+  function createManager(balances) {
+    const manager = new BettingManager({ minBet: 10, gameType: 'rounds' });
+    Object.entries(balances).forEach(([playerId, balance]) => manager.initializePlayer(playerId, balance));
+    manager.startRound('pre-flop');
+    return manager;
+  }
+
+  it('builds a main pot and a side pot per all-in amount', () => {
+    const manager = createManager({ a: 50, b: 200, c: 500, d: 500 });
+    manager.allIn('a');
+    manager.allIn('b');
+    manager.call('c');
+    manager.fold('d');
+
+    expect(manager.buildPots()).toEqual([
+      { amount: 150, eligible: ['a', 'b', 'c'] },
+      { amount: 300, eligible: ['b', 'c'] },
+    ]);
+    expect(manager.getState().sidePots).toEqual([{ amount: 300, eligible: ['b', 'c'] }]);
+  });
+
+  it('returns uncalled chips and splits odd chips in seat order', () => {
+    const manager = createManager({ a: 5, b: 100, c: 100 });
+    manager.allIn('a');
+    manager.call('b');
+    manager.call('c');
+    manager.raise('b', 10);
+    manager.fold('c');
+
+    const { pots } = manager.distributePots(eligible => eligible, ['c', 'b', 'a']);
+
+    expect(pots).toEqual([
+      { amount: 15, eligible: ['a', 'b'], winners: ['b', 'a'], payouts: { b: 8, a: 7 } },
+      { amount: 10, eligible: ['b'], winners: ['b'], payouts: { b: 10 } },
+    ]);
+    expect(['a', 'b', 'c'].map(id => manager.getPlayerBalance(id))).toEqual([7, 103, 95]);
+    expect(manager.getPot()).toBe(0);
+  });
+});
+
+describe('Hold\'em side pots', () => {
+  it('pays a short all-in stack from the main pot only', async () => {
+    const registry = new GameRegistry();
+    require('../../src/plugins/texas-holdem').register(registry);
+    const manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+    const room = manager.createRoom({ hostId: 'p0', gameId: 'texas-holdem' });
+    for (const id of ['p0', 'p1', 'p2']) {
+      await manager.joinRoom(room.id, { id, displayName: id });
+      manager.setReady(room.id, id, true);
+    }
+    const initialBalances = { p0: 1000, p1: 50, p2: 1000 };
+    manager.startGame(room.id, { seed: 'side-pots', initialBalances });
+    const act = (playerId, action) => manager.submitCommand(room.id, { playerId, type: 'pokerAction', payload: { action } });
+
+    act('p0', 'allIn');
+    act('p1', 'allIn');
+    act('p2', 'call');
+    const state = room.gameInstance.getState().state;
+    manager.shutdown();
+
+    expect(state.isComplete).toBe(true);
+    expect(state.pots.map(pot => [pot.amount, pot.eligible])).toEqual([[150, ['p0', 'p1', 'p2']], [1900, ['p0', 'p2']]]);
+    expect(Object.keys(state.pots[1].payouts)).not.toContain('p1');
+    expect(state.finalBalances.p1).toBeLessThanOrEqual(150);
+    const total = balances => Object.values(balances).reduce((sum, balance) => sum + balance, 0);
+    expect(total(state.finalBalances)).toBe(total(initialBalances));
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for the socket protocol
+ *
+ * Tests that every gateway event answers through its acknowledgement with
+ * { ok, ... } or { ok: false, error: { code, message } }, that failures are
+ * also emitted as `error` events tagged with the action, that p2p room codes
+ * and undo are reachable, undo only in games that opt in to it, that requested
+ * player limits stay within the game's, and that a seat only moves to a new
+ * socket that brings its session's reconnect token
+ */
+
+const path = require('path');
+const { createModularGameServer } = require('../../src/server/gameGateway');
+const { SessionManager } = require('../../src/utils/sessionManager');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+
+function createFakeIo() {
+  return {
+    emit: () => {},
+    to: () => ({ emit: () => {} }),
+    sockets: { sockets: new Map() },
+  };
+}
+
+function createFakeSocket(id) {
+  const handlers = new Map();
+  return {
+    id,
+    connected: true,
+    handshake: {},
+    rooms: new Set([id]),
+    emitted: [],
+    use() {},
+    on(event, handler) {
+      handlers.set(event, handler);
+    },
+    emit(event, payload) {
+      this.emitted.push({ event, payload });
+    },
+    join(roomId) {
+      this.rooms.add(roomId);
+    },
+    leave(roomId) {
+      this.rooms.delete(roomId);
+    },
+    request(event, payload = {}) {
+      return new Promise(resolve => handlers.get(event)(payload, resolve));
+    },
+  };
+}
+
+describe('socket protocol', () => {
+  let gateway;
+
+  beforeEach(async () => {
+    gateway = createModularGameServer({
+      io: createFakeIo(),
+      logger: silentLogger,
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      turnTimers: false,
+      allowUndo: true,
+    });
+    await gateway.ready;
+  });
+
+  afterEach(() => {
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+  });
+
+  async function seatTwoPlayers() {
+    const host = createFakeSocket('host');
+    const guest = createFakeSocket('guest');
+    gateway.attachSocket(host);
+    gateway.attachSocket(guest);
+    const { roomId } = await host.request('createGame', { gameType: 'tic-tac-toe', mode: 'p2p', roomCode: 'abc123' });
+    await guest.request('joinGame', { roomCode: 'ABC123' });
+    await guest.request('playerReady', { ready: true });
+    return { host, guest, roomId };
+  }
+
+  it('acknowledges successes with ok and the result', async () => {
+    const { host, guest, roomId } = await seatTwoPlayers();
+
+    expect(roomId).toBe('ABC123');
+    expect(await guest.request('playerReady')).toEqual({ ok: true, ready: false });
+    expect(await guest.request('playerReady')).toEqual({ ok: true, ready: true });
+    expect(await host.request('startGame')).toEqual({ ok: true, roomId });
+    expect(host.emitted.map(({ event }) => event)).toEqual(
+      expect.arrayContaining(['availableGames', 'updateRoomList', 'joinedMatchLobby'])
+    );
+  });
+
+  it('acknowledges failures with their code and emits them as errors for the action', async () => {
+    const { host, guest } = await seatTwoPlayers();
+
+    expect(await guest.request('startGame')).toEqual({
+      ok: false,
+      error: { code: 'NOT_HOST', message: 'Room not found or you are not the host' },
+    });
+    expect(guest.emitted.at(-1)).toEqual({
+      event: 'error',
+      payload: expect.objectContaining({ code: 'NOT_HOST', action: 'startGame' }),
+    });
+    const duplicate = await host.request('createRoom', { gameType: 'checkers', mode: 'p2p', roomCode: 'ABC123' });
+    expect(duplicate.error.code).toBe('ROOM_CODE_EXISTS');
+    expect((await guest.request('joinGame', { roomCode: 'NOPE42' })).error.code).toBe('ROOM_NOT_FOUND');
+    expect((await guest.request('submitMove', { type: 'placeMark', payload: { row: 0, col: 0 } })).error.code)
+      .toBe('NOT_IN_GAME');
+  });
+
+  it('hides the message of uncoded errors', async () => {
+    const socket = createFakeSocket('socket-1');
+    gateway.attachSocket(socket);
+    gateway.handleGetRoomList = () => {
+      throw new Error('secret internals');
+    };
+
+    expect(await socket.request('getRoomList')).toEqual({
+      ok: false,
+      error: { code: 'SERVER_ERROR', message: 'Operation failed' },
+    });
+  });
+
+  it('lets the issuing player undo their last move', async () => {
+    const { host, guest } = await seatTwoPlayers();
+    await host.request('startGame');
+    const state = () => gateway.roomManager.getRoom('ABC123').gameInstance.getState();
+    const [mover, other] = state().state.currentPlayerId === 'host' ? [host, guest] : [guest, host];
+
+    const move = await mover.request('submitMove', { type: 'placeMark', payload: { row: 0, col: 0 } });
+    expect(move).toEqual({ ok: true, version: state().version });
+    expect((await other.request('undoMove')).error.code).toBe('UNDO_NOT_ALLOWED');
+    expect((await mover.request('undoMove')).ok).toBe(true);
+    expect(state().state.board[0][0]).toBeNull();
+    expect((await mover.request('undoMove')).error.code).toBe('NO_MOVES_TO_UNDO');
+
+    gateway.allowUndo = false;
+    expect((await mover.request('undoMove')).error.code).toBe('UNDO_DISABLED');
+  });
+
+  it('refuses undo in games with hidden cards', async () => {
+    const host = createFakeSocket('host');
+    gateway.attachSocket(host);
+    await host.request('createGame', { gameType: 'blackjack', mode: 'p2p', roomCode: 'bj1234' });
+    await host.request('playerReady', { ready: true });
+    await host.request('startGame');
+    expect((await host.request('submitMove', { type: 'placeBet', payload: { amount: 10 } })).ok).toBe(true);
+
+    expect((await host.request('undoMove')).error.code).toBe('UNDO_NOT_SUPPORTED');
+    expect(gateway.roomManager.getRoom('BJ1234').gameInstance.getState().state.playerBets.host).toBe(10);
+  });
+
+  it('keeps requested player limits within the game\'s', async () => {
+    const limits = async (socketId, payload) => {
+      const socket = createFakeSocket(socketId);
+      gateway.attachSocket(socket);
+      const { roomId } = await socket.request('createGame', payload);
+      const { minPlayers, maxPlayers } = gateway.roomManager.getRoom(roomId).playerManager;
+      return { minPlayers, maxPlayers };
+    };
+
+    expect(await limits('host-1', { gameType: 'checkers', minPlayers: 6 })).toEqual({ minPlayers: 2, maxPlayers: 2 });
+    expect(await limits('host-2', { gameType: 'hearts', maxPlayers: 2 })).toEqual({ minPlayers: 4, maxPlayers: 4 });
+  });
+});
+
+describe('identify', () => {
+  let gateway;
+  let io;
+  let sessionManager;
+
+  beforeEach(async () => {
+    io = createFakeIo();
+    sessionManager = new SessionManager();
+    gateway = createModularGameServer({
+      io,
+      logger: silentLogger,
+      pluginDirectory: path.join(__dirname, '../../src/plugins'),
+      turnTimers: false,
+      sessionManager,
+      userStore: { getOrCreate: username => ({ username, wins: 0, losses: 0, gamesPlayed: 0, credits: 1000 }) },
+    });
+    await gateway.ready;
+  });
+
+  afterEach(() => {
+    sessionManager.shutdown();
+    gateway.resourceMonitor.stop();
+    gateway.roomManager.shutdown();
+  });
+
+  function connect(id) {
+    const socket = createFakeSocket(id);
+    io.sockets.sockets.set(id, socket);
+    gateway.attachSocket(socket);
+    return socket;
+  }
+
+  function disconnect(socket) {
+    io.sockets.sockets.delete(socket.id);
+    return gateway.handleDisconnect(socket, 'transport close');
+  }
+
+  const identified = socket => socket.emitted.filter(({ event }) => event === 'identified').pop().payload;
+  const received = (socket, event) => socket.emitted.some(entry => entry.event === event);
+
+  async function seatAlice() {
+    const alice = connect('alice-1');
+    await alice.request('identify', { username: 'alice' });
+    await alice.request('createGame', { gameType: 'tic-tac-toe' });
+    return { alice, ...identified(alice) };
+  }
+
+  it('does not hand a player id or seat to another socket using the same name', async () => {
+    const { alice, playerId } = await seatAlice();
+
+    const impostor = connect('impostor');
+    await impostor.request('identify', { username: 'alice' });
+    expect(identified(impostor).playerId).not.toBe(playerId);
+    expect(identified(impostor).reconnect).toBeNull();
+    expect(received(impostor, 'joinedMatchLobby')).toBe(false);
+    expect(received(alice, 'error')).toBe(false);
+
+    await disconnect(alice);
+    await impostor.request('identify', { username: 'alice' });
+    expect(identified(impostor).reconnect).toBeNull();
+    expect(received(impostor, 'joinedMatchLobby')).toBe(false);
+  });
+
+  it('gives the seat back to a new socket that brings the reconnect token', async () => {
+    const { alice, playerId, reconnectToken } = await seatAlice();
+    expect(reconnectToken).toMatch(/^[0-9a-f]{48}$/);
+    await disconnect(alice);
+
+    const returning = connect('alice-2');
+    await returning.request('identify', { username: 'alice', reconnectToken });
+    expect(identified(returning)).toMatchObject({ playerId, reconnectToken, reconnect: { reconnected: true } });
+    expect(received(returning, 'joinedMatchLobby')).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for spectators
+ *
+ * Tests that GameRoomManager lets anyone watch a full or running room without
+ * a seat, keeps spectators from playing, and seats them in join order when a
+ * seat opens between matches
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager } = require('../../src/core');
+const { RoomState } = require('../../src/core/stateMachines');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('GameRoomManager spectators', () => {
+  let manager;
+  let promoted;
+
+  beforeEach(() => {
+    const registry = new GameRegistry();
+    ['tictactoe', 'texas-holdem'].forEach(id => require(`../../src/plugins/${id}`).register(registry));
+    manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+    promoted = [];
+    manager.on('spectatorPromoted', event => promoted.push(event));
+  });
+
+  afterEach(() => manager.shutdown());
+
+  async function createRoom(gameId, playerIds, playerLimits = { minPlayers: 2, maxPlayers: 2 }) {
+    const room = manager.createRoom({ hostId: playerIds[0], gameId, playerLimits });
+    for (const id of playerIds) {
+      await manager.joinRoom(room.id, { id, displayName: id });
+      manager.setReady(room.id, id, true);
+    }
+    return room;
+  }
+
+  it('lets spectators watch a running game without taking part', async () => {
+    const room = await createRoom('tic-tac-toe', ['p0', 'p1']);
+    manager.startGame(room.id);
+
+    const { spectator } = manager.spectateRoom(room.id, { id: 'watcher', displayName: 'Watcher' });
+    expect(spectator).toEqual(expect.objectContaining({ id: 'watcher', displayName: 'Watcher' }));
+    expect(room.toJSON()).toEqual(expect.objectContaining({ spectatorCount: 1, spectators: [spectator] }));
+    expect(room.playerManager.hasPlayer('watcher')).toBe(false);
+
+    await expect(manager.joinRoom(room.id, { id: 'late', displayName: 'Late' }))
+      .rejects.toMatchObject({ code: 'GAME_IN_PROGRESS' });
+    expect(() => manager.spectateRoom(room.id, { id: 'p0' })).toThrow(expect.objectContaining({ code: 'ALREADY_SEATED' }));
+    expect(() => manager.submitCommand(room.id, { playerId: 'watcher', type: 'placeMark', payload: { row: 1, col: 1 } }))
+      .toThrow(expect.objectContaining({ code: 'SPECTATOR' }));
+
+    await manager.leaveRoom(room.id, 'watcher');
+    expect(room.spectators.size).toBe(0);
+    expect(room.status).toBe(RoomState.PLAYING);
+  });
+
+  it('seats the longest-waiting spectator when a lobby seat opens', async () => {
+    const room = await createRoom('tic-tac-toe', ['p0', 'p1']);
+    manager.spectateRoom(room.id, { id: 'first', displayName: 'First' });
+    manager.spectateRoom(room.id, { id: 'second', displayName: 'Second' });
+
+    await manager.leaveRoom(room.id, 'p1');
+
+    expect(promoted).toEqual([{ roomId: room.id, playerId: 'first' }]);
+    expect(room.playerManager.getPlayer('first')).toEqual(expect.objectContaining({ displayName: 'First', isReady: false }));
+    expect([...room.spectators.keys()]).toEqual(['second']);
+  });
+
+  it('holds spectators until the match is over, then seats them for the next one', async () => {
+    const room = await createRoom('texas-holdem', ['p0', 'p1'], { minPlayers: 2, maxPlayers: 3 });
+    manager.startGame(room.id, { seed: 'spectators' });
+    manager.spectateRoom(room.id, { id: 'watcher', displayName: 'Watcher' });
+    expect(promoted).toEqual([]);
+
+    const { currentPlayerId } = room.gameInstance.getState().state;
+    manager.submitCommand(room.id, { playerId: currentPlayerId, type: 'pokerAction', payload: { action: 'fold' } });
+
+    expect(room.status).toBe(RoomState.ROUND_END);
+    expect(promoted).toEqual([{ roomId: room.id, playerId: 'watcher' }]);
+    manager.setReady(room.id, 'watcher', true);
+    manager.startGame(room.id, { seed: 'spectators' });
+    expect(Object.keys(room.gameInstance.getState().state.players || {})).toContain('watcher');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for delta state sync
+ *
+ * Tests that diffState/applyPatch round-trip between two states without
+ * touching them, that GameStateManager reports the previous and current
+ * states of a change, and that per-viewer patches of a Hearts game rebuild
+ * the viewer's projection without revealing opponent cards
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager, GameStateManager, diffState, applyPatch } = require('../../src/core');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('diffState / applyPatch', () => {
+  const previous = {
+    phase: 'playing',
+    board: [['X', null], [null, null]],
+    history: [{ move: 1 }],
+    trick: [{ card: 'A' }, { card: 'K' }],
+    pending: { from: 'p0' },
+  };
+  const current = {
+    phase: 'playing',
+    board: [['X', null], [null, 'O']],
+    history: [{ move: 1 }, { move: 2 }],
+    trick: [],
+    winner: null,
+  };
+
+  it('sends only the changed paths and appended entries', () => {
+    expect(diffState(previous, current)).toEqual([
+      { operation: 'delete', path: ['pending'] },
+      { operation: 'set', path: ['board', 1, 1], value: 'O' },
+      { operation: 'set', path: ['history', 1], value: { move: 2 } },
+      { operation: 'set', path: ['trick'], value: [] },
+      { operation: 'set', path: ['winner'], value: null },
+    ]);
+    expect(diffState(current, current)).toEqual([]);
+  });
+
+  it('rebuilds the current state without changing the previous one', () => {
+    const before = JSON.parse(JSON.stringify(previous));
+    const patched = applyPatch(previous, diffState(previous, current));
+
+    expect(patched).toEqual(current);
+    expect(previous).toEqual(before);
+    expect(patched.history[0]).toBe(previous.history[0]);
+    expect(applyPatch(previous, [{ operation: 'set', path: [], value: current }])).toBe(current);
+  });
+});
+
+describe('GameStateManager.stateChanged', () => {
+  it('reports the previous and current versions without sharing the caller\'s object', () => {
+    const manager = new GameStateManager({ turn: 0 });
+    const events = [];
+    manager.on('stateChanged', event => events.push(event));
+
+    const next = { turn: 1 };
+    manager.replace(next, { system: 'test' });
+    next.turn = 99;
+    manager.update(state => ({ ...state, turn: state.turn + 1 }));
+
+    expect(events.map(({ previous, current }) => [previous, current])).toEqual([
+      [{ version: 0, state: { turn: 0 } }, { version: 1, state: { turn: 1 } }],
+      [{ version: 1, state: { turn: 1 } }, { version: 2, state: { turn: 2 } }],
+    ]);
+    expect(events[1].previous.state).toBe(events[0].current.state);
+    expect(manager.snapshot()).toEqual({ version: 2, state: { turn: 2 } });
+  });
+});
+
+describe('per-viewer patches', () => {
+  it('rebuild each player\'s Hearts view and keep opponent cards hidden', async () => {
+    const registry = new GameRegistry();
+    require('../../src/plugins/hearts').register(registry);
+    const manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+    const playerIds = ['p0', 'p1', 'p2', 'p3'];
+    const room = manager.createRoom({ hostId: 'p0', gameId: 'hearts' });
+    for (const id of playerIds) {
+      await manager.joinRoom(room.id, { id, displayName: id });
+      manager.setReady(room.id, id, true);
+    }
+    manager.startGame(room.id, { seed: 'delta' });
+
+    const state = () => room.gameInstance.getState().state;
+    const views = {};
+    const deltas = {};
+    playerIds.forEach(id => {
+      views[id] = registry.projectState('hearts', state(), id);
+      deltas[id] = [];
+    });
+    room.stateManager.on('stateChanged', ({ previous, current }) => {
+      playerIds.forEach(id => {
+        const changes = diffState(
+          registry.projectState('hearts', previous.state, id),
+          registry.projectState('hearts', current.state, id),
+        );
+        deltas[id].push(...changes);
+        views[id] = applyPatch(views[id], changes);
+      });
+    });
+
+    // Two full tricks, so the current trick grows and is then cleared
+    const { bot } = registry.get('hearts');
+    for (let i = 0; i < 8; i++) {
+      const [command] = bot.getLegalCommands(state(), state().currentPlayerId);
+      manager.submitCommand(room.id, { playerId: state().currentPlayerId, ...command });
+    }
+
+    expect(state().completedTricks).toHaveLength(2);
+    playerIds.forEach(id => {
+      expect(views[id]).toEqual(registry.projectState('hearts', state(), id));
+      const sent = JSON.stringify(deltas[id]);
+      playerIds.filter(other => other !== id).forEach(other => {
+        state().hands[other].forEach(card => expect(sent).not.toContain(`"id":"${card.id}"`));
+      });
+    });
+    manager.shutdown();
+  });
+});
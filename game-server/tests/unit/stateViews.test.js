@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for per-player state views
+ *
+ * Tests hidden-information redaction and registry projection
+ */
+
+const GameRegistry = require('../../src/core/gameRegistry');
+const { redactHands, concealFaceDown } = require('../../src/shared/cardUtils');
+const holdem = require('../../src/plugins/texas-holdem');
+const blackjack = require('../../src/plugins/blackjack');
+const hearts = require('../../src/plugins/hearts');
+
+const card = (id, faceUp = false) => ({ id, suit: 'spades', rank: 'A', faceUp });
+
+describe('redactHands', () => {
+  const hands = {
+    alice: [card(1), card(2, true)],
+    bob: [card(3), card(4, true)],
+  };
+
+  it('keeps the viewer hand intact', () => {
+    const view = redactHands(hands, 'alice');
+    expect(view.alice).toEqual(hands.alice);
+  });
+
+  it('conceals face-down cards of opponents without leaking ids', () => {
+    const view = redactHands(hands, 'alice');
+    expect(view.bob[0]).toEqual({ hidden: true, faceUp: false });
+    expect(view.bob[1]).toEqual(hands.bob[1]);
+  });
+
+  it('conceals every opponent card when face-up cards are private', () => {
+    const view = redactHands(hands, 'alice', { revealFaceUp: false });
+    expect(view.bob.every(c => c.hidden)).toBe(true);
+    expect(view.bob).toHaveLength(2);
+  });
+
+  it('reveals listed players in full', () => {
+    const view = redactHands(hands, null, { reveal: ['bob'] });
+    expect(view.bob).toEqual(hands.bob);
+    expect(view.alice[0].hidden).toBe(true);
+  });
+
+  it('conceals only face-down cards in a list', () => {
+    expect(concealFaceDown([card(5), card(6, true)]).map(c => Boolean(c.hidden))).toEqual([true, false]);
+  });
+});
+
+describe('GameRegistry.projectState', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new GameRegistry();
+    holdem.register(registry);
+    blackjack.register(registry);
+    hearts.register(registry);
+    registry.register({ id: 'open-game', create: () => null });
+  });
+
+  it('returns the full state for games without view hooks', () => {
+    const state = { secret: 1 };
+    expect(registry.projectState('open-game', state, 'alice')).toBe(state);
+  });
+
+  it('hides opponent hole cards and the deck in Hold\'em', () => {
+    const state = {
+      hands: { alice: [card(1), card(2)], bob: [card(3), card(4)] },
+      deck: [card(5), card(6)],
+      playerOrder: ['alice', 'bob'],
+      playerStatuses: { alice: 'active', bob: 'active' },
+      bettingRound: 'flop',
+      isComplete: false,
+    };
+
+    const aliceView = registry.projectState('texas-holdem', state, 'alice');
+    expect(aliceView.hands.alice).toEqual(state.hands.alice);
+    expect(aliceView.hands.bob.every(c => c.hidden)).toBe(true);
+    expect(aliceView.deck).toEqual([]);
+    expect(aliceView.deckCount).toBe(2);
+
+    const publicView = registry.projectState('texas-holdem', state, null);
+    expect(publicView.hands.alice.every(c => c.hidden)).toBe(true);
+  });
+
+  it('reveals non-folded hands at Hold\'em showdown', () => {
+    const state = {
+      hands: { alice: [card(1)], bob: [card(2)], carol: [card(3)] },
+      deck: [],
+      playerOrder: ['alice', 'bob', 'carol'],
+      playerStatuses: { alice: 'active', bob: 'allIn', carol: 'folded' },
+      bettingRound: 'showdown',
+      isComplete: true,
+    };
+
+    const view = registry.projectState('texas-holdem', state, null);
+    expect(view.hands.alice).toEqual(state.hands.alice);
+    expect(view.hands.bob).toEqual(state.hands.bob);
+    expect(view.hands.carol[0].hidden).toBe(true);
+  });
+
+  it('hides the Blackjack hole card until it is turned over', () => {
+    const state = { dealerHand: [card(1, true), card(2)], deck: [card(3)] };
+    const view = registry.projectState('blackjack', state, 'alice');
+    expect(view.dealerHand[0]).toEqual(state.dealerHand[0]);
+    expect(view.dealerHand[1].hidden).toBe(true);
+    expect(view.deck).toEqual([]);
+  });
+
+  it('shows only card counts for Hearts opponents', () => {
+    const state = { hands: { alice: [card(1)], bob: [card(2), card(3, true)] } };
+    const view = registry.projectState('hearts', state, 'alice');
+    expect(view.hands.bob).toHaveLength(2);
+    expect(view.hands.bob.every(c => c.hidden)).toBe(true);
+  });
+
+  it('does not mutate the authoritative state', () => {
+    const state = { dealerHand: [card(1, true), card(2)], deck: [card(3)] };
+    registry.projectState('blackjack', state, null);
+    expect(state.dealerHand[1].id).toBe(2);
+    expect(state.deck).toHaveLength(1);
+  });
+});
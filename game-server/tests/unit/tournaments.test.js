@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for tournaments
+ *
+ * Tests the bracket pairings (byes, double elimination, round robin) and that
+ * TournamentManager plays a bracket through GameRoomManager rooms: matches
+ * start seated, winners are read from the final state, leaving forfeits and
+ * the champion is crowned
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager, TournamentManager } = require('../../src/core');
+const { createBracket, recordResult, isBracketComplete, getChampion } = require('../../src/core/tournamentBracket');
+const { RoomState } = require('../../src/core/stateMachines');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function playOut(format, playerIds, pickWinner) {
+  const matches = createBracket(format, playerIds);
+  for (let match = matches.find(m => m.status === 'ready'); match; match = matches.find(m => m.status === 'ready')) {
+    recordResult(matches, match.id, { winnerId: pickWinner(match) });
+  }
+  return matches;
+}
+
+describe('tournament brackets', () => {
+  const players = ['p1', 'p2', 'p3', 'p4', 'p5'];
+
+  it('gives byes to the top seeds in single elimination', () => {
+    const matches = createBracket('single-elimination', players);
+    const firstRound = matches.filter(m => m.round === 1 && m.bracket === 'winners');
+
+    expect(firstRound.map(m => m.players)).toEqual([['p1', null], ['p4', 'p5'], ['p2', null], ['p3', null]]);
+    expect(firstRound.filter(m => m.status === 'complete').map(m => m.winnerId)).toEqual(['p1', 'p2', 'p3']);
+    expect(matches.find(m => m.id === 'W2-2').players).toEqual(['p2', 'p3']);
+  });
+
+  it('eliminates everyone but the champion after two losses in double elimination', () => {
+    let upset = 0;
+    const matches = playOut('double-elimination', players, m => m.players[++upset % 3 === 0 ? 1 : 0]);
+    const losses = {};
+    matches.filter(m => m.status === 'complete' && m.loserId).forEach(m => {
+      losses[m.loserId] = (losses[m.loserId] || 0) + 1;
+    });
+    const champion = getChampion('double-elimination', players, matches);
+
+    expect(isBracketComplete(matches)).toBe(true);
+    expect(losses[champion] || 0).toBeLessThan(2);
+    players.filter(id => id !== champion).forEach(id => expect(losses[id]).toBe(2));
+  });
+
+  it('pairs everyone once in a round robin and ranks by points', () => {
+    const matches = playOut('round-robin', players, m => [...m.players].sort()[0]);
+    const pairs = matches.map(m => [...m.players].sort().join('-'));
+
+    expect(new Set(pairs).size).toBe(10);
+    expect(getChampion('round-robin', players, matches)).toBe('p1');
+  });
+
+  it('replays drawn elimination matches', () => {
+    const matches = createBracket('single-elimination', ['p1', 'p2']);
+    const match = recordResult(matches, 'W1-1', { draw: true });
+
+    expect(match).toEqual(expect.objectContaining({ status: 'ready', replays: 1 }));
+  });
+});
+
+describe('TournamentManager', () => {
+  let roomManager;
+  let tournaments;
+
+  beforeEach(() => {
+    const registry = new GameRegistry();
+    ['texas-holdem', 'blackjack'].forEach(id => require(`../../src/plugins/${id}`).register(registry));
+    roomManager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger, turnTimers: false });
+    tournaments = new TournamentManager({ roomManager, logger: silentLogger, matchDelayMs: 0 });
+  });
+
+  afterEach(() => {
+    tournaments.shutdown();
+    roomManager.shutdown();
+  });
+
+  async function openTournament(playerIds, format = 'single-elimination') {
+    const [host, ...others] = playerIds.map(id => ({ id, displayName: id }));
+    const tournament = tournaments.createTournament({ gameId: 'texas-holdem', format, host });
+    others.forEach(player => tournaments.registerPlayer(tournament.id, player));
+    await tournaments.startTournament(tournament.id, host.id);
+    return tournament;
+  }
+
+  function roomOf(match) {
+    return roomManager.getRoom(match.roomId);
+  }
+
+  function fold(room) {
+    const { currentPlayerId } = room.gameInstance.getState().state;
+    roomManager.submitCommand(room.id, { playerId: currentPlayerId, type: 'pokerAction', payload: { action: 'fold' } });
+    return currentPlayerId;
+  }
+
+  it('starts every ready match in its own seated room and advances the winners', async () => {
+    const tournament = await openTournament(['p1', 'p2', 'p3', 'p4']);
+    const [semi1, semi2, final] = tournament.matches;
+
+    expect([semi1.status, semi2.status, final.status]).toEqual(['playing', 'playing', 'pending']);
+    const room = roomOf(semi1);
+    expect(room.status).toBe(RoomState.PLAYING);
+    expect(room.metadata).toEqual(expect.objectContaining({ tournamentId: tournament.id, matchId: 'W1-1' }));
+    expect(room.playerManager.list().map(p => p.id).sort()).toEqual([...semi1.players].sort());
+
+    const loser1 = fold(roomOf(semi1));
+    const loser2 = fold(roomOf(semi2));
+    expect(semi1.winnerId).toBe(semi1.players.find(id => id !== loser1));
+    await flush();
+
+    expect(roomManager.getRoom(semi1.roomId)).toBeNull();
+    expect(final.players).toEqual([semi1.winnerId, semi2.players.find(id => id !== loser2)]);
+    expect(final.status).toBe('playing');
+
+    fold(roomOf(final));
+    expect(tournament.status).toBe('complete');
+    expect(tournament.championId).toBe(final.winnerId);
+  });
+
+  it('counts leaving a match room as a forfeit', async () => {
+    const tournament = await openTournament(['p1', 'p2']);
+    const [match] = tournament.matches;
+
+    await roomManager.leaveRoom(match.roomId, 'p1');
+
+    expect(match).toEqual(expect.objectContaining({ status: 'complete', winnerId: 'p2' }));
+    expect(tournaments.toJSON(tournament)).toEqual(expect.objectContaining({ status: 'complete', championId: 'p2' }));
+  });
+
+  it('enforces registration and host rules', async () => {
+    expect(() => tournaments.createTournament({ gameId: 'blackjack', host: { id: 'p1' } }))
+      .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_GAME' }));
+    const tournament = tournaments.createTournament({ gameId: 'texas-holdem', host: { id: 'p1' } });
+    await expect(tournaments.startTournament(tournament.id, 'p1')).rejects.toMatchObject({ code: 'INSUFFICIENT_PLAYERS' });
+    tournaments.registerPlayer(tournament.id, { id: 'p2' });
+    await expect(tournaments.startTournament(tournament.id, 'p2')).rejects.toMatchObject({ code: 'NOT_HOST' });
+
+    await tournaments.startTournament(tournament.id, 'p1');
+    expect(() => tournaments.registerPlayer(tournament.id, { id: 'p3' })).toThrow(expect.objectContaining({ code: 'TOURNAMENT_STARTED' }));
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for turn timers
+ *
+ * Tests the TurnTimer clock rules and that GameRoomManager plays a game's
+ * default command through the CommandBus when a player runs out of time
+ */
+
+const { GameRegistry, GameFactory, GameRoomManager, TurnTimer } = require('../../src/core');
+const { RoomState } = require('../../src/core/stateMachines');
+const { createRNG } = require('../../src/utils/rng');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {} };
+
+describe('TurnTimer', () => {
+  const config = {
+    phases: { betting: 10000, playing: 5000 },
+    getTurn: state => state.turn,
+    getDefaultCommand: () => ({ type: 'noop' })
+  };
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  it('keeps the clock while a waited-on group shrinks and restarts it for a new phase', () => {
+    const timer = new TurnTimer({ config });
+    const expired = jest.fn();
+    timer.on('expired', expired);
+    timer.setRunning(true);
+
+    timer.update({ turn: { phase: 'betting', playerIds: ['a', 'b'] } });
+    jest.advanceTimersByTime(6000);
+    timer.update({ turn: { phase: 'betting', playerIds: ['b'] } }, { command: { playerId: 'a' } });
+    expect(timer.getStatus()).toEqual(expect.objectContaining({ playerIds: ['b'], remainingMs: 4000 }));
+
+    timer.update({ turn: { phase: 'playing', playerIds: ['a'] } });
+    expect(timer.getStatus().remainingMs).toBe(5000);
+    jest.advanceTimersByTime(5000);
+    expect(expired).toHaveBeenCalledWith({ phase: 'playing', playerIds: ['a'] });
+
+    timer.update({ turn: { phase: 'showdown', playerIds: ['a'] } });
+    expect(timer.getStatus()).toBeNull();
+    timer.dispose();
+  });
+
+  it('keeps the time left while stopped', () => {
+    const timer = new TurnTimer({ config });
+    const expired = jest.fn();
+    timer.on('expired', expired);
+    timer.update({ turn: { phase: 'playing', playerIds: ['a'] } });
+    timer.setRunning(true);
+
+    jest.advanceTimersByTime(3000);
+    timer.setRunning(false);
+    jest.advanceTimersByTime(60000);
+    expect(expired).not.toHaveBeenCalled();
+    expect(timer.getStatus()).toEqual(expect.objectContaining({ running: false, remainingMs: 2000, deadline: null }));
+
+    timer.setRunning(true);
+    jest.advanceTimersByTime(2000);
+    expect(expired).toHaveBeenCalledTimes(1);
+    timer.dispose();
+  });
+});
+
+describe('GameRoomManager turn timers', () => {
+  let manager;
+  let registry;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    registry = new GameRegistry();
+    ['texas-holdem', 'blackjack', 'hearts'].forEach(id => require(`../../src/plugins/${id}`).register(registry));
+    manager = new GameRoomManager({ gameFactory: new GameFactory({ registry }), logger: silentLogger });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+    jest.useRealTimers();
+  });
+
+  async function startRoom(gameId, playerCount) {
+    const room = manager.createRoom({ hostId: 'p0', gameId, playerLimits: { minPlayers: 1, maxPlayers: 8 } });
+    for (let i = 0; i < playerCount; i++) {
+      await manager.joinRoom(room.id, { id: `p${i}`, displayName: `Player ${i}` });
+      manager.setReady(room.id, `p${i}`, true);
+    }
+    manager.startGame(room.id, { seed: 'turn-timers' });
+    return room;
+  }
+
+  const stateOf = room => room.gameInstance.getState().state;
+
+  it('folds a poker player who owes chips when their 30 seconds run out', async () => {
+    const room = await startRoom('texas-holdem', 3);
+    const timeouts = [];
+    manager.on('turnTimeout', event => timeouts.push(event));
+    const idle = stateOf(room).currentPlayerId;
+    expect(room.toJSON().turnTimer).toEqual(expect.objectContaining({ phase: 'pre-flop', playerIds: [idle], running: true }));
+
+    jest.advanceTimersByTime(29999);
+    expect(timeouts).toHaveLength(0);
+    jest.advanceTimersByTime(1);
+
+    expect(timeouts).toEqual([expect.objectContaining({
+      playerId: idle,
+      phase: 'pre-flop',
+      command: { type: 'pokerAction', payload: { action: 'fold' } }
+    })]);
+    expect(stateOf(room).playerStatuses[idle]).toBe('folded');
+    expect(room.turnTimer.getStatus()).toEqual(expect.objectContaining({ playerIds: [stateOf(room).currentPlayerId], remainingMs: 30000 }));
+  });
+
+  it('holds the clock while the room is paused', async () => {
+    const room = await startRoom('texas-holdem', 3);
+    const idle = stateOf(room).currentPlayerId;
+    jest.advanceTimersByTime(20000);
+
+    manager.markPlayerDisconnected(room.id, 'p2');
+    expect(room.status).toBe(RoomState.PAUSED);
+    jest.advanceTimersByTime(60000);
+    expect(stateOf(room).currentPlayerId).toBe(idle);
+
+    manager.markPlayerReconnected(room.id, 'p2');
+    expect(room.turnTimer.getStatus().remainingMs).toBe(10000);
+    jest.advanceTimersByTime(10000);
+    expect(stateOf(room).playerStatuses[idle]).toBe('folded');
+  });
+
+  it('bets the table minimum for Blackjack players who do not bet, then stands for them', async () => {
+    const room = await startRoom('blackjack', 2);
+    manager.submitCommand(room.id, { playerId: 'p0', type: 'placeBet', payload: { amount: 50 } });
+    jest.advanceTimersByTime(30000);
+
+    const state = stateOf(room);
+    expect(state).toEqual(expect.objectContaining({ phase: 'playing', playerBets: { p0: 50, p1: 10 } }));
+    const current = state.currentPlayerId;
+    jest.advanceTimersByTime(30000);
+    expect(stateOf(room).playerStatuses[current]).toBe('stand');
+  });
+
+  it('plays the lowest legal card in Hearts', () => {
+    const { turnTimer } = registry.get('hearts');
+    const game = new GameFactory({ registry }).create('hearts', {
+      roomId: 'ROOM1',
+      rng: createRNG('turn-timers'),
+      players: ['p0', 'p1', 'p2', 'p3'].map(id => ({ id, displayName: id }))
+    });
+    const state = game.getState().state;
+    const leader = state.currentPlayerId;
+    const { payload } = turnTimer.getDefaultCommand(state, leader);
+    expect(state.hands[leader].find(card => card.id === payload.cardId)).toEqual(expect.objectContaining({ suit: 'clubs', rank: '2' }));
+
+    const follower = state.playerOrder[(state.playerOrder.indexOf(leader) + 1) % 4];
+    const played = { ...state, currentPlayerId: follower, leadSuit: 'clubs', currentTrick: [{ playerId: leader }] };
+    const card = state.hands[follower].find(c => c.id === turnTimer.getDefaultCommand(played, follower).payload.cardId);
+    const clubs = state.hands[follower].filter(c => c.suit === 'clubs');
+    expect(clubs.length).toBeGreaterThan(0);
+    expect(card).toEqual(clubs.reduce((low, c) => (c.value < low.value ? c : low)));
+  });
+});